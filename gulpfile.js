@@ -3,18 +3,26 @@ const gulp       = require('gulp');
 const typescript = require('gulp-tsc'); 
 const tscConfig  = require('./tsconfig.json');
 const mocha      = require('gulp-mocha');
+const fs         = require('fs');
 
 // compile the source code and test suite
 gulp.task('compile', function () {
     return gulp
     .src([
-      'test/finite-state-machine.specs.ts'
+      'test/*.specs.ts'
     ], { base: "." })
     .pipe(typescript(tscConfig.compilerOptions))
     .pipe(gulp.dest('.'))
 });
 
 gulp.task('test', function () {
-  return gulp.src("./test/finite-state-machine.specs.js", {read:false})
+  return gulp.src("./test/*.specs.js", {read:false})
   .pipe(mocha({reporter:'spec'}));
 });
+
+// write the machine-definition JSON Schema from its (compiled) source
+gulp.task('schema', ['compile'], function (done) {
+  const schema = require('./src/FsmDefinitionSchema.js').FSM_DEFINITION_SCHEMA;
+
+  fs.writeFile('schema/fsm-definition.schema.json', JSON.stringify(schema, null, 2) + '\n', done);
+});
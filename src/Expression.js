@@ -0,0 +1,416 @@
+"use strict";
+/**
+ * Copyright 2018 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * A small, sandboxed expression language for guards and computed outputs in data-defined machines.  The expression is
+ * parsed into an AST that is interpreted directly; nothing is ever evaluated as code.  There is no access to globals
+ * and no function calls.  The only identifiers are those provided to the constructor (by default, 'data' and 'state').
+ * <br/>
+ * <br/>
+ * The language supports number, string, boolean, null, and undefined literals, property access with dot or bracket
+ * notation, unary ! - +, arithmetic * / % + -, relational < <= > >=, equality == != === !==, logical && || and the
+ * conditional (ternary) operator.  Property access only reads own properties of the accessed value (and the length of
+ * a string) and access to a property of null or undefined results in undefined.
+ * <br/>
+ * <br/>
+ * Example: data.amount >= 25 && state == 'q'
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+var Expression = (function () {
+    /**
+     * Construct and parse a new expression
+     *
+     * @param {string} source Expression source
+     *
+     * @param {Array<string>} identifiers Names of the only identifiers the expression may reference
+     */
+    function Expression(source, identifiers) {
+        this._source = source !== undefined && source != null ? String(source) : '';
+        this._identifiers = identifiers !== undefined && identifiers != null ? identifiers.slice() : Expression.DEFAULT_IDENTIFIERS.slice();
+        this._ast = null;
+        this._error = '';
+        this._position = -1;
+        this._parse();
+    }
+    Object.defineProperty(Expression.prototype, "source", {
+        /**
+         * Access the expression source
+         *
+         * @returns {string}
+         */
+        get: function () {
+            return this._source;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(Expression.prototype, "isValid", {
+        /**
+         * Access whether or not the expression was successfully parsed
+         *
+         * @returns {boolean}
+         */
+        get: function () {
+            return this._ast != null;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(Expression.prototype, "error", {
+        /**
+         * Access a description of the parse error, if any
+         *
+         * @returns {string} Empty string if the expression is valid
+         */
+        get: function () {
+            return this._error;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(Expression.prototype, "position", {
+        /**
+         * Access the position in the source at which a parse error was detected
+         *
+         * @returns {number} -1 if the expression is valid
+         */
+        get: function () {
+            return this._position;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(Expression.prototype, "ast", {
+        /**
+         * Access the root of the expression AST
+         *
+         * @returns {IExpressionNode | null} null if the expression is not valid
+         */
+        get: function () {
+            return this._ast;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Evaluate the expression
+     *
+     * @param {Object} scope Values of the identifiers referenced by the expression, i.e. {data: input, state: 'S1'}
+     *
+     * @returns {any} Value of the expression; an invalid expression evaluates to undefined.  Evaluation never throws.
+     */
+    Expression.prototype.evaluate = function (scope) {
+        if (this._ast == null) {
+            return undefined;
+        }
+        try {
+            return this._eval(this._ast, scope !== undefined && scope != null ? scope : {});
+        }
+        catch (e) {
+            // i.e. a value in scope with a toString() or valueOf() that throws
+            return undefined;
+        }
+    };
+    Expression.prototype._eval = function (node, scope) {
+        var value;
+        switch (node.type) {
+            case Expression.LITERAL:
+                return node.value;
+            case Expression.IDENTIFIER:
+                return scope.hasOwnProperty(node.value) ? scope[node.value] : undefined;
+            case Expression.MEMBER:
+                return Expression._property(this._eval(node.object, scope), this._eval(node.property, scope));
+            case Expression.UNARY:
+                value = this._eval(node.argument, scope);
+                return node.operator == '!' ? !value : (node.operator == '-' ? -value : +value);
+            case Expression.LOGICAL:
+                value = this._eval(node.left, scope);
+                if (node.operator == '&&') {
+                    return value ? this._eval(node.right, scope) : value;
+                }
+                return value ? value : this._eval(node.right, scope);
+            case Expression.CONDITIONAL:
+                return this._eval(node.test, scope) ? this._eval(node.consequent, scope) : this._eval(node.alternate, scope);
+            case Expression.BINARY:
+                return Expression._binary(node.operator, this._eval(node.left, scope), this._eval(node.right, scope));
+        }
+        return undefined;
+    };
+    Expression._property = function (obj, key) {
+        if (obj === undefined || obj == null) {
+            return undefined;
+        }
+        var name = String(key);
+        if (Expression.FORBIDDEN.indexOf(name) != -1) {
+            return undefined;
+        }
+        if (typeof obj == 'string') {
+            return name == 'length' ? obj.length : (/^\d+$/.test(name) ? obj.charAt(+name) : undefined);
+        }
+        return typeof obj == 'object' && Object.prototype.hasOwnProperty.call(obj, name) ? obj[name] : undefined;
+    };
+    Expression._binary = function (operator, left, right) {
+        switch (operator) {
+            case '===': return left === right;
+            case '!==': return left !== right;
+            case '==': return left == right;
+            case '!=': return left != right;
+            case '<': return left < right;
+            case '<=': return left <= right;
+            case '>': return left > right;
+            case '>=': return left >= right;
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/': return left / right;
+            case '%': return left % right;
+        }
+        return undefined;
+    };
+    Expression.prototype._parse = function () {
+        try {
+            this._tokens = this._tokenize();
+            this._index = 0;
+            var root = this._conditional();
+            var token = this._peek();
+            if (token.type != 'eof') {
+                this._fail('Unexpected token: ' + token.value, token.position);
+            }
+            this._ast = root;
+        }
+        catch (e) {
+            // errors are reported through the error and position accessors
+            if (this._error == '') {
+                this._error = String(e);
+            }
+        }
+        this._tokens = null;
+    };
+    Expression.prototype._fail = function (message, position) {
+        this._error = message;
+        this._position = position;
+        throw new Error(message);
+    };
+    Expression.prototype._tokenize = function () {
+        var src = this._source;
+        var n = src.length;
+        var tokens = new Array();
+        var i = 0;
+        var start;
+        var ch;
+        var punctuator;
+        while (i < n) {
+            ch = src.charAt(i);
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+            start = i;
+            if (/[0-9]/.test(ch) || (ch == '.' && /[0-9]/.test(src.charAt(i + 1)))) {
+                var match = src.substr(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+                i += match[0].length;
+                tokens.push({ type: 'number', value: parseFloat(match[0]), position: start });
+            }
+            else if (/[A-Za-z_$]/.test(ch)) {
+                var match = src.substr(i).match(/^[A-Za-z_$][A-Za-z0-9_$]*/);
+                i += match[0].length;
+                tokens.push({ type: 'name', value: match[0], position: start });
+            }
+            else if (ch == '"' || ch == "'") {
+                var value = '';
+                i++;
+                while (i < n && src.charAt(i) != ch) {
+                    if (src.charAt(i) == '\\' && i + 1 < n) {
+                        i++;
+                        var esc = src.charAt(i);
+                        value += esc == 'n' ? '\n' : (esc == 't' ? '\t' : esc);
+                    }
+                    else {
+                        value += src.charAt(i);
+                    }
+                    i++;
+                }
+                if (i >= n) {
+                    this._fail('Unterminated string', start);
+                }
+                i++;
+                tokens.push({ type: 'string', value: value, position: start });
+            }
+            else {
+                punctuator = null;
+                Expression.PUNCTUATORS.some(function (p) {
+                    if (src.substr(i, p.length) == p) {
+                        punctuator = p;
+                        return true;
+                    }
+                    return false;
+                });
+                if (punctuator == null) {
+                    this._fail('Unexpected character: ' + ch, i);
+                }
+                i += punctuator.length;
+                tokens.push({ type: 'punctuator', value: punctuator, position: start });
+            }
+        }
+        tokens.push({ type: 'eof', value: '<end>', position: n });
+        return tokens;
+    };
+    Expression.prototype._peek = function () {
+        return this._tokens[this._index];
+    };
+    Expression.prototype._match = function (value) {
+        var token = this._tokens[this._index];
+        if (token.type == 'punctuator' && token.value == value) {
+            this._index++;
+            return true;
+        }
+        return false;
+    };
+    Expression.prototype._expect = function (value) {
+        if (!this._match(value)) {
+            var token = this._peek();
+            this._fail('Expected ' + value + ' but found ' + token.value, token.position);
+        }
+    };
+    Expression.prototype._conditional = function () {
+        var test = this._binaryLevel(0);
+        if (this._match('?')) {
+            var consequent = this._conditional();
+            this._expect(':');
+            return {
+                type: Expression.CONDITIONAL,
+                test: test,
+                consequent: consequent,
+                alternate: this._conditional()
+            };
+        }
+        return test;
+    };
+    Expression.prototype._binaryLevel = function (level) {
+        if (level >= Expression.LEVELS.length) {
+            return this._unary();
+        }
+        var left = this._binaryLevel(level + 1);
+        var token = this._peek();
+        while (token.type == 'punctuator' && Expression.LEVELS[level].indexOf(token.value) != -1) {
+            this._index++;
+            left = {
+                type: level < 2 ? Expression.LOGICAL : Expression.BINARY,
+                operator: token.value,
+                left: left,
+                right: this._binaryLevel(level + 1)
+            };
+            token = this._peek();
+        }
+        return left;
+    };
+    Expression.prototype._unary = function () {
+        var token = this._peek();
+        if (token.type == 'punctuator' && (token.value == '!' || token.value == '-' || token.value == '+')) {
+            this._index++;
+            return {
+                type: Expression.UNARY,
+                operator: token.value,
+                argument: this._unary()
+            };
+        }
+        return this._member();
+    };
+    Expression.prototype._member = function () {
+        var node = this._primary();
+        var token;
+        while (true) {
+            if (this._match('.')) {
+                token = this._peek();
+                if (token.type != 'name') {
+                    this._fail('Expected property name but found ' + token.value, token.position);
+                }
+                this._index++;
+                node = { type: Expression.MEMBER, object: node, property: { type: Expression.LITERAL, value: token.value } };
+            }
+            else if (this._match('[')) {
+                var property = this._conditional();
+                this._expect(']');
+                node = { type: Expression.MEMBER, object: node, property: property };
+            }
+            else {
+                return node;
+            }
+        }
+    };
+    Expression.prototype._primary = function () {
+        var token = this._peek();
+        switch (token.type) {
+            case 'number':
+            case 'string':
+                this._index++;
+                return { type: Expression.LITERAL, value: token.value };
+            case 'name':
+                this._index++;
+                switch (token.value) {
+                    case 'true': return { type: Expression.LITERAL, value: true };
+                    case 'false': return { type: Expression.LITERAL, value: false };
+                    case 'null': return { type: Expression.LITERAL, value: null };
+                    case 'undefined': return { type: Expression.LITERAL, value: undefined };
+                }
+                // there is no access to anything other than the supplied identifiers
+                if (this._identifiers.indexOf(token.value) == -1) {
+                    this._fail('Unknown identifier: ' + token.value, token.position);
+                }
+                return { type: Expression.IDENTIFIER, value: token.value };
+            case 'punctuator':
+                if (token.value == '(') {
+                    this._index++;
+                    var node = this._conditional();
+                    this._expect(')');
+                    return node;
+                }
+                break;
+        }
+        this._fail(token.type == 'eof' ? 'Unexpected end of expression' : 'Unexpected token: ' + token.value, token.position);
+        return null;
+    };
+    // node types
+    Expression.LITERAL = 'Literal';
+    Expression.IDENTIFIER = 'Identifier';
+    Expression.MEMBER = 'Member';
+    Expression.UNARY = 'Unary';
+    Expression.BINARY = 'Binary';
+    Expression.LOGICAL = 'Logical';
+    Expression.CONDITIONAL = 'Conditional';
+    // identifiers available to an expression unless otherwise specified
+    Expression.DEFAULT_IDENTIFIERS = ['data', 'state'];
+    // properties that are never accessible from an expression
+    Expression.FORBIDDEN = ['__proto__', 'prototype', 'constructor'];
+    Expression.PUNCTUATORS = [
+        '===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '!', '.', '[', ']', '(', ')', '?', ':'
+    ];
+    // binary operators from lowest to highest precedence
+    Expression.LEVELS = [
+        ['||'],
+        ['&&'],
+        ['===', '!==', '==', '!='],
+        ['<=', '>=', '<', '>'],
+        ['+', '-'],
+        ['*', '/', '%']
+    ];
+    return Expression;
+}());
+exports.Expression = Expression;
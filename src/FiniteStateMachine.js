@@ -16,11 +16,19 @@
  */
 Object.defineProperty(exports, "__esModule", { value: true });
 var Subject_1 = require("rxjs/Subject");
+var BehaviorSubject_1 = require("rxjs/BehaviorSubject");
+var filter_1 = require("rxjs/operators/filter");
+var async_1 = require("rxjs/scheduler/async");
+var Expression_1 = require("./Expression");
+var Regex_1 = require("./Regex");
+var SchemaValidator_1 = require("./SchemaValidator");
+var FsmDefinitionSchema_1 = require("./FsmDefinitionSchema");
+var NondeterministicMachine_1 = require("./NondeterministicMachine");
 /**
- * A reactive (Mealy) Finite State Machine that is designed to be driven by Object data that itself is likely metadata
- * in a larger collection.  While the architecture is Mealy, Moore-style machines may also be used.  It is possible to
- * exercise class methods directly, although typical use is to create a machine directly from teh static factory
- * ({create}) or construct machine and then later initialize it through the {fromJson()} method.
+ * A reactive (Mealy) Finite State Machine that is designed to be driven by Object data (most likely metadata in a
+ * larger collection).  While the architecture is Mealy, Moore-style machines may also be used.  Typical use is to
+ * create a machine directly from the static factory ({create} method) or construct a machine and then later initialize
+ * it through the {fromJson()} method.  It is also possible to manually create states and add transitions.
  * <br/>
  * <br/>
  * While transition functions may be defined in Object data, they should be pure and small.  Pay particular attention
@@ -42,13 +50,22 @@ var FiniteStateMachine = (function () {
     function FiniteStateMachine() {
         this.name = '';
         this._curState = FiniteStateMachine.NO_STATE;
-        this._states = new Set();
-        this._transitions = new Map();
+        this._def = FiniteStateMachine._emptyDefinition();
         this._subject = new Subject_1.Subject();
         this._subscriptions = new Array();
-        this._initialState = FiniteStateMachine.NO_STATE;
-        this._initialData = null;
-        this._alphabet = null;
+        this._state = new BehaviorSubject_1.BehaviorSubject(this._curState);
+        this._connections = new Array();
+        this._errors = new Subject_1.Subject();
+        this._done = false;
+        this._output = undefined;
+        this._queue = new Array();
+        this._pending = null;
+        this._timers = new Map();
+        this._scheduler = async_1.async;
+        this._journal = null;
+        this._snapshots = new Array();
+        this._cursor = 0;
+        this._context = {};
     }
     /**
      * Create a new FSM
@@ -57,19 +74,292 @@ var FiniteStateMachine = (function () {
      *
      * @param {string} name Machine name
      *
+     * @param {Object} guards Optional hash of named guards referenced by declarative transition tables in the data
+     *
+     * @param {Object} actions Optional hash of named actions referenced in the data
+     *
      * @returns {FiniteStateMachine | null} A null return indicates invalid data
      */
-    FiniteStateMachine.create = function (data, name) {
+    FiniteStateMachine.create = function (data, name, guards, actions) {
         if (data !== undefined && data != null) {
-            var machine = new FiniteStateMachine();
-            var result = machine.fromJson(data);
+            var machine_1 = new FiniteStateMachine();
+            if (guards !== undefined && guards != null) {
+                Object.keys(guards).forEach(function (key) { machine_1.addGuard(key, guards[key]); });
+            }
+            if (actions !== undefined && actions != null) {
+                Object.keys(actions).forEach(function (key) { machine_1.addAction(key, actions[key]); });
+            }
+            var result = machine_1.fromJson(data);
             if (result.success) {
-                machine.name = name !== undefined ? name : '';
-                return machine;
+                machine_1.name = name !== undefined ? name : '';
+                return machine_1;
             }
         }
         return null;
     };
+    /**
+     * Compile an {Object} definition of a machine into a frozen definition that may be shared by any number of lightweight
+     * machines (see {createInstance()}), so the definition is validated and its transitions compiled only once
+     *
+     * @param {Object} data Object description of the machine
+     *
+     * @param {string} name Machine name
+     *
+     * @param {Object} guards Optional hash of named guards referenced by declarative transition tables in the data
+     *
+     * @param {Object} actions Optional hash of named actions referenced in the data
+     *
+     * @returns {FiniteStateMachine | null} A machine whose definition is frozen; a null return indicates invalid data
+     */
+    FiniteStateMachine.compile = function (data, name, guards, actions) {
+        var machine = FiniteStateMachine.create(data, name, guards, actions);
+        if (machine != null) {
+            FiniteStateMachine._freeze(machine._def);
+        }
+        return machine;
+    };
+    /**
+     * Create a minimal deterministic machine whose acceptance states are those in which the input matches a regular
+     * expression (see {Regex} for the syntax)
+     *
+     * @param {string} pattern Regular expression
+     *
+     * @param {Array<string>} alphabet Optional token alphabet, whose tokens may be whole strings (the default alphabet is
+     * the set of characters in the pattern)
+     *
+     * @returns {FiniteStateMachine | null} Machine named for the pattern, with states S0 (the initial state), S1, ...
+     * each defined by a transition table over the alphabet.  The last state is a rejection state, from which no input can
+     * match; every other state transitions to it ('otherwise') on an input outside the alphabet.  A null return
+     * indicates that the pattern could not be parsed.
+     */
+    FiniteStateMachine.fromRegex = function (pattern, alphabet) {
+        var regex = new Regex_1.Regex(pattern, alphabet);
+        if (!regex.isValid) {
+            return null;
+        }
+        var machine = FiniteStateMachine.create(regex.toDefinition(), regex.source);
+        var minimized = machine.minimize();
+        var minimal = minimized != null ? minimized.machine : machine;
+        var data = minimal.toJson();
+        var dead = minimal.analyze().dead;
+        var names = {};
+        // states are numbered in order, followed by the state (if any) from which no input can match
+        var states = data['states'].filter(function (state) { return dead.indexOf(state['name']) == -1; })
+            .concat(data['states'].filter(function (state) { return dead.indexOf(state['name']) != -1; }));
+        states.forEach(function (state, i) { names[state['name']] = 'S' + i; });
+        data['states'] = states;
+        states.forEach(function (state) {
+            if (dead.indexOf(state['name']) != -1) {
+                state['isRejection'] = true;
+                delete state['transitions'];
+            }
+            else {
+                state['transitions'].forEach(function (row) { row.to = names[row.to]; });
+            }
+            state['name'] = names[state['name']];
+        });
+        // input outside the alphabet can never match, so every other state leads to the rejection state on such input
+        if (dead.length == 0) {
+            states.push({ name: 'S' + states.length, isAcceptance: false, isRejection: true });
+        }
+        var rejection = states[states.length - 1]['name'];
+        states.forEach(function (state) {
+            if (state['isRejection'] !== true) {
+                state['otherwise'] = rejection;
+            }
+        });
+        data['initialState'] = names[data['initialState']];
+        return FiniteStateMachine.create(data, regex.source);
+    };
+    /**
+     * Create the product of two machines, which runs both machines on the same input.  Each machine must be deterministic
+     * over its alphabet (see {minimize()}) and the alphabets must be compatible, i.e. contain the same symbols.
+     *
+     * @param {FiniteStateMachine} a First machine
+     *
+     * @param {FiniteStateMachine} b Second machine
+     *
+     * @param {Function} accepts Function of the acceptance of each machine (a, b) that returns true if the product accepts
+     *
+     * @param {string} name Optional name of the product
+     *
+     * @returns {FiniteStateMachine | null} Machine whose states are the reachable pairs of states of the two machines,
+     * named S0 (the initial state), S1, ... and each defined by a transition table over the alphabet of the first machine.
+     * A null return indicates that a machine is not deterministic or the alphabets are not compatible.
+     */
+    FiniteStateMachine.product = function (a, b, accepts, name) {
+        var first = a._deterministic();
+        var second = b._deterministic();
+        if (first == null || second == null || !FiniteStateMachine._compatible(a, b)) {
+            return null;
+        }
+        return FiniteStateMachine._combine(a, b, [first.initial, second.initial], function (pair, symbol) { return [first.next(pair[0], symbol), second.next(pair[1], symbol)]; }, function (pair) { return accepts(first.accepts(pair[0]), second.accepts(pair[1])); }, name);
+    };
+    /**
+     * Create a machine that accepts when both machines accept the same input (see {product()})
+     *
+     * @param {FiniteStateMachine} a First machine
+     *
+     * @param {FiniteStateMachine} b Second machine
+     *
+     * @param {string} name Optional name of the result
+     *
+     * @returns {FiniteStateMachine | null}
+     */
+    FiniteStateMachine.intersection = function (a, b, name) {
+        return FiniteStateMachine.product(a, b, function (x, y) { return x && y; }, name);
+    };
+    /**
+     * Create a machine that accepts when either machine accepts the same input (see {product()})
+     *
+     * @param {FiniteStateMachine} a First machine
+     *
+     * @param {FiniteStateMachine} b Second machine
+     *
+     * @param {string} name Optional name of the result
+     *
+     * @returns {FiniteStateMachine | null}
+     */
+    FiniteStateMachine.union = function (a, b, name) {
+        return FiniteStateMachine.product(a, b, function (x, y) { return x || y; }, name);
+    };
+    /**
+     * Create a machine that accepts exactly when a machine does not accept the same input.  The machine is completed
+     * against its alphabet; every symbol for which a state has no transition (including every symbol in a rejection or
+     * final state) becomes an explicit transition to the same state, since the machine remains in that state.
+     *
+     * @param {FiniteStateMachine} a Machine, which must be deterministic over its alphabet (see {minimize()})
+     *
+     * @param {string} name Optional name of the result
+     *
+     * @returns {FiniteStateMachine | null} Machine with the reachable states of the original machine, named S0 (the
+     * initial state), S1, ... and each defined by a transition table over the alphabet.  A null return indicates that the
+     * machine is not deterministic.
+     */
+    FiniteStateMachine.complement = function (a, name) {
+        var graph = a._deterministic();
+        if (graph == null) {
+            return null;
+        }
+        return FiniteStateMachine._combine(a, a, graph.initial, graph.next, function (state) { return !graph.accepts(state); }, name);
+    };
+    /**
+     * Create a machine that accepts input that may be split into input accepted by one machine followed by input accepted
+     * by a second machine (see {product()} for requirements)
+     *
+     * @param {FiniteStateMachine} a First machine
+     *
+     * @param {FiniteStateMachine} b Second machine
+     *
+     * @param {string} name Optional name of the result
+     *
+     * @returns {FiniteStateMachine | null} Machine whose states are the reachable combinations of a state of the first
+     * machine and a set of states of the second machine, named S0 (the initial state), S1, ...  A null return indicates
+     * that a machine is not deterministic or the alphabets are not compatible.
+     */
+    FiniteStateMachine.concatenation = function (a, b, name) {
+        var first = a._deterministic();
+        var second = b._deterministic();
+        if (first == null || second == null || !FiniteStateMachine._compatible(a, b)) {
+            return null;
+        }
+        // the second machine starts each time the first machine accepts
+        var start = function (state, states) { return ({
+            a: state,
+            b: FiniteStateMachine._ordered(first.accepts(state) ? states.concat(second.initial) : states, second.states)
+        }); };
+        return FiniteStateMachine._combine(a, b, start(first.initial, []), function (current, symbol) {
+            return start(first.next(current.a, symbol), current.b.map(function (state) { return second.next(state, symbol); }));
+        }, function (current) { return current.b.some(second.accepts); }, name);
+    };
+    /**
+     * Create a machine that accepts input that may be split into any number (including zero) of inputs accepted by a
+     * machine (Kleene star)
+     *
+     * @param {FiniteStateMachine} a Machine, which must be deterministic over its alphabet (see {minimize()})
+     *
+     * @param {string} name Optional name of the result
+     *
+     * @returns {FiniteStateMachine | null} Machine whose states are the reachable sets of states of the original machine,
+     * named S0 (the initial state, which accepts), S1, ...  A null return indicates that the machine is not deterministic.
+     */
+    FiniteStateMachine.star = function (a, name) {
+        var graph = a._deterministic();
+        if (graph == null) {
+            return null;
+        }
+        // the machine restarts each time it accepts; the initial state is distinct since it accepts empty input
+        return FiniteStateMachine._combine(a, a, { initial: true, states: [graph.initial] }, function (current, symbol) {
+            var states = current.states.map(function (state) { return graph.next(state, symbol); });
+            return {
+                initial: false,
+                states: FiniteStateMachine._ordered(states.some(graph.accepts) ? states.concat(graph.initial) : states, graph.states)
+            };
+        }, function (current) { return current.initial || current.states.some(graph.accepts); }, name);
+    };
+    /**
+     * Validate an {Object} definition of a machine without building the machine.  The data is checked against the
+     * definition schema (schema/fsm-definition.schema.json) and, if it conforms, is structurally validated as in
+     * {fromJson()}.
+     *
+     * @param {Object} data Data definition of a machine
+     *
+     * @returns {IDecisionTreeAction} Result of validation with the same action codes and 'errors' as {fromJson()}.  A
+     * schema violation has an action of {MISSING_PROPS} (missing top-level property), {NO_STATE} (empty state list) or
+     * {INVALID_DATA} with the Object that contains the violation as 'node'.  Since guards are not known, any guard that is
+     * a plain identifier is presumed to name a guard.  Action names are not checked.
+     *
+     * @param {boolean} nondeterministic True if the definition is validated as a nondeterministic definition (see
+     * {fromJson()}) even if no transition has more than one target or epsilon targets
+     */
+    FiniteStateMachine.validateDefinition = function (data, nondeterministic) {
+        if (nondeterministic === void 0) { nondeterministic = false; }
+        var errors;
+        if (data === undefined || data == null) {
+            errors = [{ success: false, action: FiniteStateMachine.NO_DATA }];
+        }
+        else {
+            var validator = new SchemaValidator_1.SchemaValidator(FsmDefinitionSchema_1.FSM_DEFINITION_SCHEMA);
+            errors = validator.validate(data).map(function (error) {
+                var segments = error.path.split('/').slice(1);
+                if (error.keyword == 'required' && segments.length == 1) {
+                    return { success: false, action: FiniteStateMachine.MISSING_PROPS, node: data };
+                }
+                if (error.keyword == 'minItems' && error.path == '/states') {
+                    return { success: false, action: FiniteStateMachine.NO_STATE, node: error.node };
+                }
+                // a primitive value is reported by the Object or Array that contains it
+                var node = error.node;
+                if (node == null || typeof node != 'object') {
+                    node = data;
+                    segments.slice(0, -1).forEach(function (key) { node = node != null ? node[key] : node; });
+                }
+                return { success: false, action: FiniteStateMachine.INVALID_DATA, node: node };
+            });
+            if (errors.length == 0) {
+                errors = FiniteStateMachine._definitionErrors(data, null, null, nondeterministic);
+            }
+        }
+        return errors.length == 0 ? { success: true, action: FiniteStateMachine.VALID } : {
+            success: false,
+            action: errors[0].action,
+            node: errors[0].node,
+            errors: errors
+        };
+    };
+    Object.defineProperty(FiniteStateMachine.prototype, "isFrozen", {
+        /**
+         * Access whether or not the definition of this machine is frozen, in which case it may be shared with other machines
+         * and any attempt to alter it throws an Error
+         *
+         * @returns {boolean}
+         */
+        get: function () {
+            return Object.isFrozen(this._def);
+        },
+        enumerable: true,
+        configurable: true
+    });
     Object.defineProperty(FiniteStateMachine.prototype, "numStates", {
         /**
          * Access the number of states defined for this machine
@@ -77,7 +367,7 @@ var FiniteStateMachine = (function () {
          * @returns {number}
          */
         get: function () {
-            return this._states.size;
+            return this._def.states.size;
         },
         enumerable: true,
         configurable: true
@@ -89,7 +379,62 @@ var FiniteStateMachine = (function () {
          * @returns {number}
          */
         get: function () {
-            return this._transitions.size;
+            var count = this._def.transitions.size;
+            this._def.guarded.forEach(function (transitions) { count += transitions.length; });
+            return count;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(FiniteStateMachine.prototype, "state$", {
+        /**
+         * Access the current state of this machine as an Observable.  Each observer receives the current state when it
+         * subscribes and each state that the machine subsequently enters, i.e. the semantics of a BehaviorSubject.
+         * A transition that leaves the current state unchanged (i.e. a self-transition) is not emitted.
+         *
+         * @returns {Observable<string>} Current state (composite when parallel regions are active)
+         */
+        get: function () {
+            return this._state.asObservable();
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(FiniteStateMachine.prototype, "error$", {
+        /**
+         * Access errors that have no caller to throw to as an Observable, i.e. an Error thrown while a timed transition is
+         * taken or an error of a stream connected without an error handler (see {connect()}).  Such an error does not affect
+         * observers of transitions, which continue to be notified.
+         *
+         * @returns {Observable<any>} Errors, which never error or complete
+         */
+        get: function () {
+            return this._errors.asObservable();
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(FiniteStateMachine.prototype, "conflictPolicy", {
+        /**
+         * Access the policy for resolving more than one guarded transition that matches an input
+         *
+         * @returns {string} {FIRST_MATCH} or {THROW_ON_CONFLICT}
+         */
+        get: function () {
+            return this._def.conflictPolicy;
+        },
+        /**
+         * Assign the policy for resolving more than one guarded transition that matches an input.  With {FIRST_MATCH} (the
+         * default), the first matching transition in evaluation order is taken.  With {THROW_ON_CONFLICT}, {next()} throws an
+         * Error if more than one transition of the highest matching priority matches the input.
+         *
+         * @param {string} policy {FIRST_MATCH} or {THROW_ON_CONFLICT}; any other value is ignored
+         */
+        set: function (policy) {
+            this._assertMutable();
+            if (policy == FiniteStateMachine.FIRST_MATCH || policy == FiniteStateMachine.THROW_ON_CONFLICT) {
+                this._def.conflictPolicy = policy;
+            }
         },
         enumerable: true,
         configurable: true
@@ -98,7 +443,9 @@ var FiniteStateMachine = (function () {
         /**
          * Access the current state of this machine
          *
-         * @returns {string}
+         * @returns {string} The current state is never a compound state; the path of a child state includes the names of
+         * its ancestors, i.e. 'checkout.payment.cardEntry'.  When parallel regions are active, the current state is
+         * composite; it contains the active state of each region, separated by {REGION_SEPARATOR}.
          */
         get: function () {
             return this._curState;
@@ -106,14 +453,52 @@ var FiniteStateMachine = (function () {
         enumerable: true,
         configurable: true
     });
+    Object.defineProperty(FiniteStateMachine.prototype, "activeStates", {
+        /**
+         * Access the active states of this machine
+         *
+         * @returns {Array<string>} The active state of each parallel region (the current state if there are no parallel
+         * regions)
+         */
+        get: function () {
+            return this._leaves();
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(FiniteStateMachine.prototype, "regionAcceptance", {
+        /**
+         * Access the policy for acceptance of a machine with more than one active state (in parallel regions)
+         *
+         * @returns {string} {ALL_REGIONS} or {ANY_REGION}
+         */
+        get: function () {
+            return this._def.regionAcceptance;
+        },
+        /**
+         * Assign the policy for acceptance of a machine with more than one active state.  With {ALL_REGIONS} (the default),
+         * the machine is in an acceptance state if every active state is an acceptance state.  With {ANY_REGION}, any active
+         * acceptance state suffices.
+         *
+         * @param {string} policy {ALL_REGIONS} or {ANY_REGION}; any other value is ignored
+         */
+        set: function (policy) {
+            this._assertMutable();
+            if (policy == FiniteStateMachine.ALL_REGIONS || policy == FiniteStateMachine.ANY_REGION) {
+                this._def.regionAcceptance = policy;
+            }
+        },
+        enumerable: true,
+        configurable: true
+    });
     Object.defineProperty(FiniteStateMachine.prototype, "states", {
         /**
          * Access the named states in this machine in the order they were defined
          *
-         * @returns {IterableIterator<string>}
+         * @returns {IterableIterator<string>} Child states are identified by path
          */
         get: function () {
-            return this._states.keys();
+            return this._def.states.keys();
         },
         enumerable: true,
         configurable: true
@@ -125,7 +510,7 @@ var FiniteStateMachine = (function () {
          * @returns {string} This is ONLY relevant for a machine defined by {Object} data
          */
         get: function () {
-            return this._initialState;
+            return this._def.initialState;
         },
         enumerable: true,
         configurable: true
@@ -137,7 +522,29 @@ var FiniteStateMachine = (function () {
          * @returns {Object} This is ONLY relevant for a machine defined by {Object} data
          */
         get: function () {
-            return this._initialData ? JSON.parse(JSON.stringify(this._initialData)) : null;
+            return this._def.initialData ? JSON.parse(JSON.stringify(this._def.initialData)) : null;
+        },
+        /**
+         * Assign initial data to this machine, which also resets the machine's context
+         *
+         * @param {Object | null} data Initial data (a copy is stored)
+         */
+        set: function (data) {
+            this._assertMutable();
+            this._def.initialData = data !== undefined && data != null ? JSON.parse(JSON.stringify(data)) : null;
+            this._context = this.initialData || {};
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(FiniteStateMachine.prototype, "context", {
+        /**
+         * Access the context (extended state) of this machine
+         *
+         * @returns {Object} A copy of the current context, which is initialized from initial data
+         */
+        get: function () {
+            return JSON.parse(JSON.stringify(this._context));
         },
         enumerable: true,
         configurable: true
@@ -149,7 +556,63 @@ var FiniteStateMachine = (function () {
          * @returns {boolean}
          */
         get: function () {
-            return this._acceptanceStates ? this._acceptanceStates.hasOwnProperty(this._curState) : false;
+            var _this = this;
+            if (!this._def.acceptanceStates) {
+                return false;
+            }
+            var accepts = function (state) { return _this._def.acceptanceStates.hasOwnProperty(state); };
+            return this._def.regionAcceptance == FiniteStateMachine.ANY_REGION ? this._leaves().some(accepts) : this._leaves().every(accepts);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(FiniteStateMachine.prototype, "isRejected", {
+        /**
+         * Access whether or not this machine is currently in a rejection state
+         *
+         * @returns {boolean} True if every active state (in parallel regions) is a rejection state
+         */
+        get: function () {
+            var _this = this;
+            return this._def.rejectionStates ? this._leaves().every(function (state) { return _this._def.rejectionStates.hasOwnProperty(state); }) : false;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(FiniteStateMachine.prototype, "isDone", {
+        /**
+         * Access whether or not this machine is done, i.e. it has reached a final state
+         *
+         * @returns {boolean} True if every active state (in parallel regions) is a final state; the machine makes no further
+         * transitions until it is reset
+         */
+        get: function () {
+            return this._done;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(FiniteStateMachine.prototype, "output", {
+        /**
+         * Access the output of this machine
+         *
+         * @returns {any} Output computed when the machine reached a final state (undefined if the machine is not done or the
+         * final state has no output)
+         */
+        get: function () {
+            return this._output;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(FiniteStateMachine.prototype, "isPending", {
+        /**
+         * Access whether or not an asynchronous transition is in flight
+         *
+         * @returns {boolean}
+         */
+        get: function () {
+            return this._pending != null;
         },
         enumerable: true,
         configurable: true
@@ -158,122 +621,432 @@ var FiniteStateMachine = (function () {
         /**
          * Access the alphabet defined for this machine.
          *
-         * @returns {Array<string>} This is ONLY relevant for a machine defined by {Object} data
+         * @returns {Array<string> | null} This is normally defined in {Object} data
          */
         get: function () {
-            return this._alphabet.slice();
+            return this._def.alphabet ? this._def.alphabet.slice() : null;
+        },
+        /**
+         * Assign the alphabet for this machine, i.e. for a machine whose states are created in code
+         *
+         * @param {Array<string> | null} symbols Alphabet symbols
+         */
+        set: function (symbols) {
+            this._assertMutable();
+            this._def.alphabet = symbols !== undefined && symbols != null ? symbols.slice() : null;
         },
         enumerable: true,
         configurable: true
     });
-    /**
-     * Initialize this machine from {Object} data
-     *
-     * @param {Object} data Data definition of this machine (must include 'name', 'alphabet', and 'states' properties
-     *
-     * @returns {IDecisionTreeAction} Result of data definition.  The 'success' property will be true and the 'action'
-     * property will be 'VALID' for valid machine data
-     */
-    FiniteStateMachine.prototype.fromJson = function (data) {
-        if (data === undefined || data == null) {
-            return {
-                success: false,
-                action: FiniteStateMachine.NO_DATA
-            };
-        }
-        // test required states
-        if (!data.hasOwnProperty('name') || !data.hasOwnProperty('alphabet') || !data.hasOwnProperty('states')) {
-            return {
-                success: false,
-                action: FiniteStateMachine.MISSING_PROPS
-            };
-        }
-        var tmp = data['alphabet'];
-        if (Object.prototype.toString.call(tmp) == '[object Array]') {
-            // good to go
-            this._alphabet = data['alphabet'].slice();
-        }
-        else {
-            return {
-                success: false,
-                action: FiniteStateMachine.INVALID_DATA
-            };
-        }
-        tmp = data['states'];
-        var states;
-        if (Object.prototype.toString.call(tmp) == '[object Array]') {
-            states = data['states'];
-            if (states.length == 0) {
-                return {
-                    success: false,
-                    action: FiniteStateMachine.NO_STATE
-                };
-            }
-        }
-        else {
-            return {
-                success: false,
-                action: FiniteStateMachine.INVALID_DATA
-            };
-        }
-        this.name = data['name'];
-        this._initialState = data.hasOwnProperty('initialState') ? data['initialState'] : FiniteStateMachine.NO_STATE;
-        this._curState = this._initialState;
-        // process the states
-        var n = states.length;
-        var i;
-        var state;
-        for (i = 0; i < n; ++i) {
-            state = states[i];
-            // TODO - work over error handling and apply transition function variable-check
-            if (state.hasOwnProperty('name') && state.hasOwnProperty('isAcceptance') && state.hasOwnProperty('transition')) {
-                var name_1 = state['name'];
-                var fcn = new Function('data', 'state', state['transition']);
-                // TODO insert fcn-check here ...
-                this.addState(name_1, state['isAcceptance']);
-                this.addTransition(name_1, fcn);
-            }
-            else {
-                return {
-                    success: false,
-                    action: FiniteStateMachine.INVALID_DATA,
-                    node: state
-                };
+    Object.defineProperty(FiniteStateMachine.prototype, "scheduler", {
+        /**
+         * Access the scheduler of timed transitions
+         *
+         * @returns {IScheduler}
+         */
+        get: function () {
+            return this._scheduler;
+        },
+        /**
+         * Assign the scheduler of timed transitions, i.e. a virtual-time scheduler for tests.  The default is the RxJS async
+         * scheduler.  Timed transitions that are armed are re-armed with the new scheduler.
+         *
+         * @param {IScheduler} scheduler Scheduler (null for the default)
+         */
+        set: function (scheduler) {
+            this._scheduler = scheduler !== undefined && scheduler != null ? scheduler : async_1.async;
+            if (this._timers.size > 0) {
+                this._rearm();
             }
-        }
-        // any initial data provided?
-        if (data.hasOwnProperty('initialData')) {
-            var tmp_1 = data['initialData'];
-            if (tmp_1 !== undefined && Object.prototype.toString.call(tmp_1) == '[object Object]') {
-                this._initialData = JSON.parse(JSON.stringify(tmp_1));
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(FiniteStateMachine.prototype, "journaling", {
+        /**
+         * Access whether or not this machine keeps a journal of its transitions
+         *
+         * @returns {boolean}
+         */
+        get: function () {
+            return this._journal != null;
+        },
+        /**
+         * Enable or disable the journal.  Enabling the journal starts a new journal from the current state; disabling it
+         * discards the journal.  The journal is restarted whenever the machine is reset, restored (from a snapshot without
+         * history) or loaded from data.
+         *
+         * @param {boolean} enabled True to keep a journal
+         */
+        set: function (enabled) {
+            if (enabled) {
+                this._startJournal();
             }
             else {
-                return {
-                    success: false,
-                    action: FiniteStateMachine.INVALID_DATA,
-                    node: tmp_1
-                };
+                this._journal = null;
+                this._snapshots.length = 0;
+                this._cursor = 0;
             }
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(FiniteStateMachine.prototype, "strict", {
+        /**
+         * Access whether or not the alphabet is enforced by {next()}
+         *
+         * @returns {boolean}
+         */
+        get: function () {
+            return this._def.strict;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(FiniteStateMachine.prototype, "errorState", {
+        /**
+         * Access the state to which {next()} transitions on an input that is not in the alphabet (strict mode only)
+         *
+         * @returns {string | null} null if the machine remains in its current state on such input
+         */
+        get: function () {
+            return this._def.errorState;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(FiniteStateMachine.prototype, "classifier", {
+        /**
+         * Access the classifier that maps input data to an alphabet symbol
+         *
+         * @returns {symbolClassifier | null}
+         */
+        get: function () {
+            return this._def.classifier;
+        },
+        /**
+         * Assign a classifier that maps input data to an alphabet symbol.  The classifier is used to enforce the alphabet
+         * and to match input against the rows of transition tables.  Transition functions always receive the input data.
+         * Without a classifier, primitive input is the symbol given by its string value and there is no symbol for other input.
+         *
+         * @param {symbolClassifier | null} classifier
+         */
+        set: function (classifier) {
+            this._assertMutable();
+            this._def.classifier = classifier !== undefined ? classifier : null;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Enable or disable strict (alphabet-enforcing) mode.  In strict mode, an input that does not classify to a symbol in
+     * the alphabet is rejected by {next()} without calling a transition function.
+     *
+     * @param {boolean} strict True to enforce the alphabet
+     *
+     * @param {string} errorState Optional state to which the machine transitions on an input that is not in the
+     * alphabet; otherwise, the machine remains in its current state
+     *
+     * @returns {boolean} False if the error state is not defined for this machine, in which case nothing is changed
+     */
+    FiniteStateMachine.prototype.setStrict = function (strict, errorState) {
+        this._assertMutable();
+        if (errorState !== undefined && errorState != null && !this._def.states.has(errorState)) {
+            return false;
+        }
+        this._def.strict = strict === true;
+        this._def.errorState = errorState !== undefined ? errorState : null;
+        return true;
+    };
+    /**
+     * Initialize this machine from {Object} data
+     *
+     * @param {Object} data Data definition of this machine (must include 'name', 'alphabet', and 'states' properties).
+     * Each state defines its transition either as a function body in the 'transition' property or as a declarative
+     * table ({ITransitionTable}) in the 'transitions' and optional 'otherwise' properties.  A table is never evaluated
+     * as code; named guards it references must be added with {addGuard()} before calling this method and any other
+     * guard or output is parsed as an {Expression}.  A state may name entry and exit actions ('onEnter' and 'onExit')
+     * and a table row may name transition actions ('action').  Named actions must be added with {addAction()} before
+     * calling this method.  The optional 'initialData' is the initial context of the machine.  A compound state
+     * contains child states in a nested 'states' array and may name its 'initial' child, or be marked 'parallel', in
+     * which case its children are parallel regions.  A child state is identified by its path in transition targets,
+     * 'initialState' and 'errorState'.  The optional 'regionAcceptance' ('all' or 'any') is the acceptance policy for
+     * parallel regions.  A final state ('isFinal') may compute the machine's output with an {Expression} in 'data',
+     * 'state' and 'context' or an Object whose property values are expressions ('output').  A property that is not part
+     * of the definition format (see {FSM_DEFINITION_SCHEMA}) is INVALID_DATA.
+     * <br/>
+     * <br/>
+     * A definition is nondeterministic if a table row or function body targets a literal list of states ('to') or a
+     * state lists states that are entered without consuming input ('epsilon').  Its states have only a name,
+     * 'isAcceptance', a transition and 'epsilon', and it must have an initial state.  At the top level, it may have
+     * 'initialData' but not 'strict', 'errorState' or 'regionAcceptance' (INVALID_DATA).  It is loaded as the equivalent
+     * deterministic machine, whose states are named for subsets of its states (see
+     * {NondeterministicMachine.determinize()}).  A function body that computes a list of states, rather than listing it
+     * literally, can not be detected; the list is an Error when the transition is taken.
+     *
+     * @returns {IDecisionTreeAction} Result of data definition.  The 'success' property will be true and the 'action'
+     * property will be 'VALID' for valid machine data.  The entire definition is validated before the machine is
+     * altered, so the machine is either fully loaded or unchanged.  On failure, 'errors' contains every error that was
+     * detected, each with a specific action code and the failing 'node'.  The 'action' and 'node' properties of the
+     * result are those of the first error.  A successful load replaces any existing states and transitions and sets the
+     * name of this machine from 'name'; guards and subscribers are retained.
+     */
+    FiniteStateMachine.prototype.fromJson = function (data) {
+        var _this = this;
+        this._assertMutable();
+        // the entire definition is validated before this machine is altered
+        var errors = FiniteStateMachine._definitionErrors(data, this._def.guards, this._def.actions);
+        if (errors.length > 0) {
+            return {
+                success: false,
+                action: errors[0].action,
+                node: errors[0].node,
+                errors: errors
+            };
+        }
+        if (FiniteStateMachine._isNondeterministic(data)) {
+            var nfa = new NondeterministicMachine_1.NondeterministicMachine();
+            var loaded = nfa.fromJson(data);
+            if (!loaded.success) {
+                return loaded;
+            }
+            // the initial context is not part of the nondeterministic machine
+            var deterministic = nfa.determinize().toJson();
+            if (data.hasOwnProperty('initialData')) {
+                deterministic['initialData'] = data['initialData'];
+            }
+            return this.fromJson(deterministic);
+        }
+        this._clearDefinition();
+        this.name = data['name'];
+        this._def.alphabet = data['alphabet'].slice();
+        this._def.initialState = data.hasOwnProperty('initialState') ? data['initialState'] : FiniteStateMachine.NO_STATE;
+        if (data.hasOwnProperty('initialData')) {
+            this.initialData = data['initialData'];
+        }
+        this._def.strict = data['strict'] === true;
+        this._def.errorState = data.hasOwnProperty('errorState') ? data['errorState'] : null;
+        this._def.regionAcceptance = data['regionAcceptance'] == 'any' ? FiniteStateMachine.ANY_REGION : FiniteStateMachine.ALL_REGIONS;
+        // parents are always added before their children
+        FiniteStateMachine._collect(data['states'], null).forEach(function (entry) {
+            var state = entry.state;
+            var name = entry.path;
+            _this.addState(state['name'], {
+                acceptance: state['isAcceptance'],
+                rejection: state['isRejection'] === true,
+                onEnter: state['onEnter'],
+                onExit: state['onExit'],
+                parent: entry.parent != null ? entry.parent : undefined,
+                initial: state['initial'],
+                parallel: state['parallel'] === true,
+                final: state['isFinal'] === true,
+                after: state['after']
+            });
+            if (state.hasOwnProperty('output')) {
+                _this._def.outputs.set(name, _this._compileOutput(state['output'], name));
+                _this._def.outputSources.set(name, JSON.parse(JSON.stringify(state['output'])));
+            }
+            if (state.hasOwnProperty('transition')) {
+                _this.addTransition(name, new Function('data', 'state', 'context', state['transition']));
+                _this._def.sources.set(name, state['transition']);
+            }
+            else if (state.hasOwnProperty('transitions')) {
+                _this.addTransitionTable(name, {
+                    transitions: state['transitions'],
+                    otherwise: state['otherwise']
+                });
+            }
+        });
+        this._curState = this._enter(this._def.initialState);
+        this._rearm();
+        this._publish();
+        if (this._journal != null) {
+            this._startJournal();
         }
         return {
             success: true,
             action: FiniteStateMachine.VALID
         };
     };
+    /**
+     * Export this machine as {Object} data in the same format accepted by {fromJson()}
+     *
+     * @returns {Object} Machine definition.  The transition for each state is exported as the original function body if it
+     * was defined in data or as a declarative table if one is available.  A transition defined by a function in code
+     * (an opaque closure) can not be exported; such a state has no transition and its 'opaque' property is true.  Data
+     * that contains an opaque state is not accepted by {fromJson()}.  Named guards and actions are exported by name and
+     * must be added to the machine that imports the data.  Actions defined by functions in code are not exported.
+     * Child states are exported in the 'states' array of their parent.  The output of a final state that is computed by a
+     * function in code is also opaque.  Timed transitions are exported in the 'after' property of their state.
+     */
+    FiniteStateMachine.prototype.toJson = function () {
+        var _this = this;
+        var states = new Array();
+        var nodes = new Map();
+        this._def.states.forEach(function (name) {
+            var parent = _this._def.parents.get(name);
+            var state = {
+                name: parent !== undefined ? name.substr(parent.length + 1) : name,
+                isAcceptance: _this._def.acceptanceStates ? _this._def.acceptanceStates.hasOwnProperty(name) : false
+            };
+            nodes.set(name, state);
+            if (_this._def.parallel.has(name)) {
+                state['parallel'] = true;
+            }
+            if (_this._def.rejectionStates && _this._def.rejectionStates.hasOwnProperty(name)) {
+                state['isRejection'] = true;
+            }
+            var isFinal = !!_this._def.finalStates && _this._def.finalStates.hasOwnProperty(name);
+            if (isFinal) {
+                state['isFinal'] = true;
+                if (_this._def.outputSources.has(name)) {
+                    state['output'] = JSON.parse(JSON.stringify(_this._def.outputSources.get(name)));
+                }
+                else if (_this._def.outputs.has(name)) {
+                    state['opaque'] = true;
+                }
+            }
+            // only named actions can be exported
+            var named = function (actions) {
+                return actions !== undefined ? actions.filter(function (action) { return typeof action == 'string'; }) : [];
+            };
+            if (named(_this._def.entryActions.get(name)).length > 0) {
+                state['onEnter'] = named(_this._def.entryActions.get(name));
+            }
+            if (named(_this._def.exitActions.get(name)).length > 0) {
+                state['onExit'] = named(_this._def.exitActions.get(name));
+            }
+            if (_this._def.delayed.has(name)) {
+                var after_1 = JSON.parse(JSON.stringify(_this._def.delayed.get(name)));
+                state['after'] = after_1.length == 1 ? after_1[0] : after_1;
+            }
+            if (_this._def.guarded.has(name)) {
+                // guarded transitions are always defined in code
+                state['opaque'] = true;
+            }
+            else if (_this._def.tables.has(name)) {
+                var table = JSON.parse(JSON.stringify(_this._def.tables.get(name)));
+                state['transitions'] = table.transitions;
+                if (table.otherwise !== undefined && table.otherwise != null) {
+                    state['otherwise'] = table.otherwise;
+                }
+            }
+            else if (_this._def.sources.has(name)) {
+                state['transition'] = _this._def.sources.get(name);
+            }
+            else if (_this._def.transitions.has(name)) {
+                state['opaque'] = true;
+            }
+            else if (!state['isRejection'] && !isFinal && parent === undefined && !_this._def.initial.has(name) && !_this._def.delayed.has(name)) {
+                // there is never a transition out of this state
+                state['transition'] = '';
+            }
+            if (parent === undefined) {
+                states.push(state);
+            }
+            else {
+                var parentState = nodes.get(parent);
+                // the first child is the default initial state
+                if (!parentState.hasOwnProperty('states')) {
+                    parentState['states'] = new Array();
+                    if (_this._def.initial.get(parent) != name) {
+                        parentState['initial'] = _this._def.initial.get(parent).substr(parent.length + 1);
+                    }
+                }
+                parentState['states'].push(state);
+            }
+        });
+        var data = {
+            name: this.name,
+            alphabet: this._def.alphabet ? this._def.alphabet.slice() : [],
+            states: states
+        };
+        if (this._def.initialState != FiniteStateMachine.NO_STATE) {
+            data['initialState'] = this._def.initialState;
+        }
+        if (this._def.initialData) {
+            data['initialData'] = JSON.parse(JSON.stringify(this._def.initialData));
+        }
+        if (this._def.strict) {
+            data['strict'] = true;
+        }
+        if (this._def.errorState != null) {
+            data['errorState'] = this._def.errorState;
+        }
+        if (this._def.regionAcceptance == FiniteStateMachine.ANY_REGION) {
+            data['regionAcceptance'] = 'any';
+        }
+        return data;
+    };
     /**
      * Add a named state to this machine
      *
      * @param {string} stateName State name
      *
-     * @param {boolean} acceptance True if this is an acceptance state for the machine
+     * @param {boolean | IStateOptions} options True if this is an acceptance state for the machine or an {IStateOptions}
+     * Object that may also mark the state as a rejection (trap) state or a final state (with optional output) and provide
+     * entry and exit actions (which replace any prior entry or exit actions for the state).  A child state is added with
+     * the path of an existing 'parent' state; its name may not contain a period.  The child is subsequently identified by
+     * its path, i.e. 'parent.child'.  No state name may contain a comma.  Timed transitions in the 'after' option replace
+     * any prior timed transitions of the state; each target is a state name (path) that should be added to the machine.
      */
-    FiniteStateMachine.prototype.addState = function (stateName, acceptance) {
-        if (acceptance === void 0) { acceptance = false; }
-        if (stateName !== undefined && stateName != '') {
-            this._states.add(stateName);
-            if (acceptance) {
-                this._acceptanceStates = this._acceptanceStates || {};
-                this._acceptanceStates[stateName] = true;
+    FiniteStateMachine.prototype.addState = function (stateName, options) {
+        if (options === void 0) { options = false; }
+        this._assertMutable();
+        if (stateName !== undefined && stateName != '' && stateName.indexOf(FiniteStateMachine.REGION_SEPARATOR) == -1) {
+            var opts = typeof options === 'boolean' ? { acceptance: options } : (options || {});
+            if (opts.parent !== undefined && opts.parent != null) {
+                if (!this._def.states.has(opts.parent) || stateName.indexOf(FiniteStateMachine.PATH_SEPARATOR) != -1) {
+                    return;
+                }
+                var parent_1 = opts.parent;
+                stateName = parent_1 + FiniteStateMachine.PATH_SEPARATOR + stateName;
+                this._def.parents.set(stateName, parent_1);
+                if (!this._def.initial.has(parent_1)) {
+                    this._def.initial.set(parent_1, stateName);
+                }
+            }
+            this._def.states.add(stateName);
+            if (opts.initial !== undefined && opts.initial != null) {
+                this._def.initial.set(stateName, stateName + FiniteStateMachine.PATH_SEPARATOR + opts.initial);
+            }
+            if (opts.parallel) {
+                this._def.parallel.add(stateName);
+            }
+            if (opts.acceptance) {
+                this._def.acceptanceStates = this._def.acceptanceStates || {};
+                this._def.acceptanceStates[stateName] = true;
+            }
+            if (opts.rejection) {
+                this._def.rejectionStates = this._def.rejectionStates || {};
+                this._def.rejectionStates[stateName] = true;
+            }
+            if (opts.final) {
+                this._def.finalStates = this._def.finalStates || {};
+                this._def.finalStates[stateName] = true;
+            }
+            if (opts.output !== undefined && opts.output != null) {
+                this._def.outputs.set(stateName, opts.output);
+                this._def.outputSources.delete(stateName);
+            }
+            if (opts.onEnter !== undefined && opts.onEnter != null) {
+                this._def.entryActions.set(stateName, FiniteStateMachine._toActions(opts.onEnter));
+            }
+            if (opts.onExit !== undefined && opts.onExit != null) {
+                this._def.exitActions.set(stateName, FiniteStateMachine._toActions(opts.onExit));
+            }
+            if (opts.after !== undefined && opts.after != null) {
+                var after_2 = Object.prototype.toString.call(opts.after) == '[object Array]'
+                    ? opts.after
+                    : [opts.after];
+                // timed transitions (and their data) are copied, since the definition may be frozen and shared
+                this._def.delayed.set(stateName, after_2.map(function (delayed) {
+                    var copy = { ms: delayed.ms, to: delayed.to };
+                    if (delayed.data !== undefined) {
+                        copy.data = FiniteStateMachine._clone(delayed.data);
+                    }
+                    return copy;
+                }));
             }
         }
     };
@@ -282,23 +1055,123 @@ var FiniteStateMachine = (function () {
      *
      * @param {string} from Name of the 'from' state
      *
-     * @param {transFunction} to Function that computes the next transition state and any associated data
+     * @param {transFunction | asyncTransFunction} to Function that computes the next transition state and any associated
+     * data (asynchronous transitions are processed only by {nextAsync()})
      *
-     * @returns {boolean} True if the addition was successful.  Repeat 'from' names are not allowed and will result
-     * in an error.
+     * @param {ITransitionOptions} options Optional symbol(s), guard and priority.  Any number of transitions with options
+     * may be added from a state.  They are evaluated before the (single) transition without options, which is taken
+     * only when no transition with options matches the input.
+     *
+     * @returns {boolean} True if the addition was successful.  Repeat 'from' names are not allowed (for a transition
+     * without options) and will result in an error.
      */
-    FiniteStateMachine.prototype.addTransition = function (from, to) {
+    FiniteStateMachine.prototype.addTransition = function (from, transition, options) {
+        this._assertMutable();
+        var to = transition;
         // does the from state exist?
-        var hasFrom = this._states.has(from);
-        if (!hasFrom) {
+        var hasFrom = this._def.states.has(from);
+        if (!hasFrom || to === undefined || to == null) {
             return false;
         }
+        if (options !== undefined && options != null) {
+            var on = options.on;
+            var guarded = {
+                on: on === undefined || on == null ? null : (Object.prototype.toString.call(on) == '[object Array]' ? on.slice() : [on]),
+                guard: options.guard !== undefined ? options.guard : null,
+                priority: options.priority !== undefined ? options.priority : 0,
+                transition: to,
+                actions: options.action !== undefined && options.action != null ? FiniteStateMachine._toActions(options.action) : []
+            };
+            var transitions = this._def.guarded.get(from) || new Array();
+            // maintain evaluation order; equal priorities are evaluated in the order they are added
+            var i = transitions.length;
+            while (i > 0 && transitions[i - 1].priority < guarded.priority) {
+                i--;
+            }
+            transitions.splice(i, 0, guarded);
+            this._def.guarded.set(from, transitions);
+            return true;
+        }
         // has a transition already been defined?
-        if (this._transitions.has(from)) {
+        if (this._def.transitions.has(from)) {
             return false;
         }
         // add the transition
-        this._transitions.set(from, to);
+        this._def.transitions.set(from, to);
+        return true;
+    };
+    /**
+     * Add a transition from a named state that is defined by a declarative table instead of a function
+     *
+     * @param {string} from Name of the 'from' state
+     *
+     * @param {ITransitionTable} table Transition rows and optional 'otherwise' state
+     *
+     * @returns {boolean} True if the addition was successful.  The same restrictions as {addTransition()} apply and
+     * every row must contain a 'to' property.  A guard that is not the name of a guard already added to this
+     * machine and any output must be a valid {Expression}.
+     */
+    FiniteStateMachine.prototype.addTransitionTable = function (from, table) {
+        this._assertMutable();
+        if (FiniteStateMachine._tableErrors(table, this._def.guards).length > 0) {
+            return false;
+        }
+        // retain a copy of the table for export; the table data is never evaluated as code
+        var source = JSON.parse(JSON.stringify(table));
+        if (!this.addTransition(from, this._compileTable(source))) {
+            return false;
+        }
+        this._def.tables.set(from, source);
+        return true;
+    };
+    /**
+     * Add a named guard that may be referenced by rows in a declarative transition table
+     *
+     * @param {string} name Guard name
+     *
+     * @param {guardFunction} guard Predicate that is evaluated on input data and current state
+     */
+    FiniteStateMachine.prototype.addGuard = function (name, guard) {
+        this._assertMutable();
+        if (name !== undefined && name != '' && guard !== undefined && guard != null) {
+            this._def.guards.set(name, guard);
+        }
+    };
+    /**
+     * Add a named action that may be referenced by states and transitions in code or in data
+     *
+     * @param {string} name Action name
+     *
+     * @param {stateAction} action Action
+     */
+    FiniteStateMachine.prototype.addAction = function (name, action) {
+        this._assertMutable();
+        if (name !== undefined && name != '' && action !== undefined && action != null) {
+            this._def.actions.set(name, action);
+        }
+    };
+    /**
+     * Add actions that are run on every transition between two named states, regardless of how the transition is defined
+     *
+     * @param {string} from Name of the 'from' state, which is the state that defines the transition (that may be an
+     * ancestor of the current state)
+     *
+     * @param {string} to Name of the 'to' state (which may be the same as 'from' for a self-transition) as returned by the
+     * transition
+     *
+     * @param {actionList} action Action(s) to add
+     *
+     * @returns {boolean} True if the addition was successful; both states must exist
+     */
+    FiniteStateMachine.prototype.addTransitionAction = function (from, to, action) {
+        this._assertMutable();
+        if (!this._def.states.has(from) || !this._def.states.has(to) || action === undefined || action == null) {
+            return false;
+        }
+        var targets = this._def.transitionActions.get(from) || new Map();
+        var actions = targets.get(to) || new Array();
+        targets.set(to, actions.concat(FiniteStateMachine._toActions(action)));
+        this._def.transitionActions.set(from, targets);
         return true;
     };
     /**
@@ -306,12 +1179,108 @@ var FiniteStateMachine = (function () {
      *
      * @param {Observer<IStateTransition>} observer
      *
-     * @returns {nothing}
+     * @returns {Subscription | null} Unsubscribe to remove the subscriber without altering the machine (null if there is
+     * no observer)
      */
     FiniteStateMachine.prototype.addSubscriber = function (observer) {
-        if (observer !== undefined && observer != null) {
-            this._subscriptions.push(this._subject.subscribe(observer));
+        return this._observe(this._subject, observer);
+    };
+    /**
+     * Observe transitions that enter a state
+     *
+     * @param {string} state State name (path), which may be a compound state
+     *
+     * @param {transitionObserver} observer Observer or function
+     *
+     * @returns {Subscription | null} Unsubscribe to remove the observer (null if there is no observer)
+     */
+    FiniteStateMachine.prototype.onEnter = function (state, observer) {
+        return this._observe(this._subject.pipe(filter_1.filter(function (transition) {
+            return transition.entered !== undefined && transition.entered.indexOf(state) != -1;
+        })), observer);
+    };
+    /**
+     * Observe transitions that exit a state
+     *
+     * @param {string} state State name (path), which may be a compound state
+     *
+     * @param {transitionObserver} observer Observer or function
+     *
+     * @returns {Subscription | null} Unsubscribe to remove the observer (null if there is no observer)
+     */
+    FiniteStateMachine.prototype.onExit = function (state, observer) {
+        return this._observe(this._subject.pipe(filter_1.filter(function (transition) {
+            return transition.exited !== undefined && transition.exited.indexOf(state) != -1;
+        })), observer);
+    };
+    /**
+     * Observe transitions that exit one state and enter another (which may be the same state)
+     *
+     * @param {string} from Name (path) of the state that is exited
+     *
+     * @param {string} to Name (path) of the state that is entered
+     *
+     * @param {transitionObserver} observer Observer or function
+     *
+     * @returns {Subscription | null} Unsubscribe to remove the observer (null if there is no observer)
+     */
+    FiniteStateMachine.prototype.onTransition = function (from, to, observer) {
+        return this._observe(this._subject.pipe(filter_1.filter(function (transition) {
+            return transition.exited !== undefined && transition.exited.indexOf(from) != -1 && transition.entered.indexOf(to) != -1;
+        })), observer);
+    };
+    /**
+     * Observe transitions after which the machine is in acceptance (see {isAcceptance})
+     *
+     * @param {transitionObserver} observer Observer or function
+     *
+     * @returns {Subscription | null} Unsubscribe to remove the observer (null if there is no observer)
+     */
+    FiniteStateMachine.prototype.onAccept = function (observer) {
+        var _this = this;
+        return this._observe(this._subject.pipe(filter_1.filter(function (transition) {
+            return transition.entered !== undefined && _this.isAcceptance;
+        })), observer);
+    };
+    /**
+     * Observe rejection, i.e. transitions after which the machine is rejected (see {isRejected}) and notifications of
+     * input to a rejected machine (status {REJECTED})
+     *
+     * @param {transitionObserver} observer Observer or function
+     *
+     * @returns {Subscription | null} Unsubscribe to remove the observer (null if there is no observer)
+     */
+    FiniteStateMachine.prototype.onReject = function (observer) {
+        var _this = this;
+        return this._observe(this._subject.pipe(filter_1.filter(function (transition) {
+            return transition.status != FiniteStateMachine.DONE && _this.isRejected;
+        })), observer);
+    };
+    /**
+     * Drive this machine from an input stream; each value is sent to {next()}
+     *
+     * @param {Observable<any>} input$ Input stream
+     *
+     * @param {(error: any) => void} onError Optional handler for an error of the stream, which is otherwise emitted by
+     * {error$}
+     *
+     * @returns {Subscription} Unsubscribe to disconnect the stream.  An Error thrown by {next()} disconnects the stream
+     * and is rethrown.  An error of the stream disconnects only that stream and does not affect the machine or its
+     * observers; neither does completion of the stream.  Every connected stream is disconnected by {clear()}.
+     */
+    FiniteStateMachine.prototype.connect = function (input$, onError) {
+        var _this = this;
+        var subscription = input$.subscribe(function (input) { _this.next(input); }, function (e) { onError ? onError(e) : _this._errors.next(e); }, function () { });
+        if (!subscription.closed) {
+            this._connections.push(subscription);
+            subscription.add(function () {
+                var index = _this._connections.indexOf(subscription);
+                if (index != -1) {
+                    _this._connections.splice(index, 1);
+                }
+            });
         }
+        return subscription;
     };
     /**
      * Transition to the next state based on current state and input data
@@ -320,52 +1289,2292 @@ var FiniteStateMachine = (function () {
      *
      * @param {string} initialState The initial state to use for the machine
      *
-     * @returns {IStateOutput | null}
+     * @returns {IStateOutput | null} If the machine is in a rejection state, the transition function is not called, the
+     * machine remains in that state, and the output 'status' is {REJECTED}.  Observers are notified with the same status.
+     * In strict mode, an input that is not in the alphabet is handled the same way with a status of {INVALID_SYMBOL},
+     * except that the machine transitions to the error state if one is defined.  A null return indicates that no
+     * transition is defined for the current state and input.  An Error is thrown if more than one guarded transition
+     * matches the input and the conflict policy is {THROW_ON_CONFLICT}.
+     * <br/>
+     * <br/>
+     * A transition runs the exit actions of the 'from' state, then the transition actions (those of a guarded transition
+     * or table row, those named in the transition function output, and those added with {addTransitionAction()}), then
+     * the entry actions of the 'to' state, after which observers are notified.  The machine is in the 'to' state when
+     * entry actions are run.  A self-transition exits and re-enters its state.  An Error is thrown, before any action is
+     * run, if an action name is not defined.
+     * <br/>
+     * <br/>
+     * Transition functions and guards receive a copy of the machine's context.  Context updates in the output of a
+     * transition function are applied when the machine transitions, before entry actions are run.
+     * <br/>
+     * <br/>
+     * Transitions of the current state are evaluated first, followed by those of its ancestors (innermost first), so a
+     * transition defined on a compound state applies to all of its descendants.  Entering a compound state enters its
+     * initial child.  A transition exits every state from the current state up to (but not including) the nearest
+     * common ancestor of the state that defines the transition and the 'to' state, and then enters every state from
+     * there down to the new current state.
+     * <br/>
+     * <br/>
+     * Every parallel region receives the input.  The transitions of a parallel state are evaluated only when no region
+     * takes a transition, and a region whose active state is a rejection state takes no transition.  Transitions are
+     * taken in the order of the regions, each with a notification to observers, and a transition that exits a region
+     * pre-empts any transition of that region.  The output data is that of the first transition.  The machine is
+     * rejected only if every active state is a rejection state.
+     * <br/>
+     * <br/>
+     * When every active state is a final state, the machine is done.  Observers receive a notification with status
+     * {DONE} and the machine's output as data, after which the subject completes.  Thereafter, this method returns the
+     * current state with status {TERMINATED} (and the input as data) until the machine is reset.
+     * <br/>
+     * <br/>
+     * Timed transitions of a state are armed (with the machine's scheduler) when the state is entered and cancelled when
+     * it is exited.  A timed transition that fires is taken from its state like any other transition and observers are
+     * notified in the same way.  Its input (passed to actions) is undefined.  Since a timed transition has no caller, an
+     * Error it throws (i.e. from an action) is emitted by {error$}; observers of transitions are unaffected.
      */
     FiniteStateMachine.prototype.next = function (input, initialState) {
+        if (this._pending != null) {
+            throw new Error('[FSM] next() may not be called while an asynchronous transition is pending');
+        }
+        if (this._journal == null) {
+            return this._next(input, initialState);
+        }
+        var before = this._capture();
+        var from = this._curState;
+        // the input is recorded before a transition function has a chance to alter it
+        var entry = { input: FiniteStateMachine._clone(input), from: from, to: from, timestamp: this._scheduler.now() };
         if (initialState !== undefined && initialState != '') {
-            this._curState = initialState;
+            entry.initialState = initialState;
         }
-        var transFcn = this._transitions.get(this._curState);
-        if (transFcn !== undefined) {
-            var toState = transFcn(input, this._curState);
-            // transition to that state and notify observers
-            this._subject.next({
-                from: this._curState,
-                to: toState.to,
-                data: toState.data ? toState.data : null
+        var output = this._next(input, initialState);
+        this._record(entry, output, before);
+        return output;
+    };
+    /**
+     * Process an input to {next()}
+     *
+     * @param input Input data
+     *
+     * @param {string} initialState Optional initial state
+     *
+     * @returns {IStateOutput | null}
+     */
+    FiniteStateMachine.prototype._next = function (input, initialState) {
+        var _this = this;
+        var status = this._begin(input, initialState);
+        if (status != null) {
+            return status;
+        }
+        var output = null;
+        this._select(input).forEach(function (selected) {
+            // an earlier transition (in another region) may have exited the state that defines this transition or completed
+            // the machine
+            if (_this._done || !_this._isActive(selected.source)) {
+                return;
+            }
+            var toState = selected.transition(input, _this._curState, _this._copyContext());
+            if (FiniteStateMachine._isAsync(toState)) {
+                throw new Error('[FSM] An asynchronous transition from state ' + selected.source + ' requires nextAsync()');
+            }
+            // a transition function (or table) may decline to transition on this input
+            if (toState !== undefined && toState != null) {
+                var applied = _this._apply(selected, toState, input);
+                output = output || applied;
+            }
+        });
+        if (output != null) {
+            output.to = this._curState;
+        }
+        return output;
+    };
+    /**
+     * Send the machine input that may cause asynchronous transitions
+     *
+     * @param input Input data
+     *
+     * @param {string} initialState Optional initial state to force the machine into before processing the input
+     *
+     * @returns {Promise<IStateOutput | null>} Resolves with the same output as {next()} once the input is processed,
+     * or with status {CANCELLED} if the transition is cancelled.  The Promise is rejected if the transition fails.  The
+     * transitions of parallel regions resolve in order, and each receives the state and context from before the input.
+     * They are applied (and observers notified) together once every one of them has resolved, so a failed or cancelled
+     * transition leaves every region as it was.  Input that arrives while a transition is in flight is queued and
+     * processed in order.
+     */
+    FiniteStateMachine.prototype.nextAsync = function (input, initialState) {
+        var _this = this;
+        return new Promise(function (resolve, reject) {
+            _this._queue.push({ input: input, initialState: initialState, resolve: resolve, reject: reject });
+            if (_this._pending == null) {
+                _this._dequeue();
+            }
+        });
+    };
+    /**
+     * Cancel the asynchronous transition in flight, which is not applied (nor are the transitions of any parallel regions
+     * that have resolved for the same input)
+     *
+     * @param {boolean} all True if queued inputs are also cancelled
+     *
+     * @returns {boolean} True if there was a transition to cancel.  The Promise of each cancelled input resolves with
+     * status {CANCELLED}.
+     */
+    FiniteStateMachine.prototype.cancel = function (all) {
+        var _this = this;
+        if (all === void 0) { all = false; }
+        var pending = this._pending;
+        if (all) {
+            var queue = this._queue.splice(0, this._queue.length);
+            queue.forEach(function (item) { item.resolve(_this._cancelled(item)); });
+        }
+        if (pending == null) {
+            return false;
+        }
+        pending.cancelled = true;
+        if (pending.subscription != null) {
+            pending.subscription.unsubscribe();
+        }
+        this._interrupted(pending);
+        pending.item.resolve(this._cancelled(pending.item));
+        this._dequeue();
+        return true;
+    };
+    /**
+     * Reset this machine to its initial state and restore the context from initial data.  States, transitions and
+     * subscribers are unaffected, unless the machine is done, in which case subscribers have been completed and a new
+     * subject is created.
+     */
+    FiniteStateMachine.prototype.reset = function () {
+        this._restart();
+        this._curState = this._enter(this._def.initialState);
+        this._context = this.initialData || {};
+        this._rearm();
+        this._publish();
+        if (this._journal != null) {
+            this._startJournal();
+        }
+    };
+    /**
+     * Analyze this machine by evaluating the transitions of each state over the alphabet.  Every state without children
+     * is analyzed (compound states are never the current state).  Each symbol is the input to the transitions of the
+     * state and its ancestors, innermost first, which receive a copy of the context from initial data.  Transition
+     * functions should be pure, since they are called without altering the machine.  Rejection and final states have no
+     * transitions.  Entering a compound state enters its initial (or every parallel) descendant.
+     *
+     * @param {string} initialState Optional state from which reachability is evaluated (default is the initial state)
+     *
+     * @returns {IAnalysis} The explicit transition graph; states that are not reachable from the initial state
+     * ('unreachable'); states from which no acceptance state is reachable ('dead'); (state, symbol) pairs that are
+     * missing a transition, nondeterministic or opaque; and whether or not any acceptance state is reachable.  Without an
+     * initial state, every state is unreachable.
+     */
+    FiniteStateMachine.prototype.analyze = function (initialState) {
+        var _this = this;
+        var start = initialState !== undefined && initialState != '' ? initialState : this._def.initialState;
+        var alphabet = this._def.alphabet || [];
+        var flag = function (states, state) { return !!states && states.hasOwnProperty(state); };
+        var leaves = new Array();
+        this._def.states.forEach(function (state) {
+            if (_this._children(state).length == 0) {
+                leaves.push(state);
+            }
+        });
+        var analysis = {
+            initial: start != FiniteStateMachine.NO_STATE && this._def.states.has(start) ? this._enter(start).split(FiniteStateMachine.REGION_SEPARATOR) : [],
+            transitions: new Array(),
+            unreachable: new Array(),
+            dead: new Array(),
+            missing: new Array(),
+            nondeterministic: new Array(),
+            opaque: new Array(),
+            acceptanceReachable: false
+        };
+        // an edge to each state that is entered with the target
+        var edges = function (from, on, to) {
+            var entered = _this._def.states.has(to) ? _this._entered(_this._path(to), 0) : [to];
+            entered.forEach(function (state) { analysis.transitions.push({ from: from, on: on, to: state }); });
+        };
+        leaves.forEach(function (leaf) {
+            if (flag(_this._def.rejectionStates, leaf) || flag(_this._def.finalStates, leaf)) {
+                return;
+            }
+            var path = _this._path(leaf).reverse();
+            path.forEach(function (state) {
+                (_this._def.delayed.get(state) || []).forEach(function (delayed) { edges(leaf, null, delayed.to); });
             });
-            this._curState = toState.to;
-            return {
-                to: this._curState,
-                data: toState.data ? toState.data : input
+            alphabet.forEach(function (symbol) {
+                var output = null;
+                try {
+                    var key_1 = FiniteStateMachine._symbolOf(_this._def, symbol);
+                    var transition_1 = null;
+                    // the innermost state with a matching transition defines the outcome
+                    path.some(function (state) {
+                        var matches = (_this._def.guarded.get(state) || []).filter(function (t) {
+                            return (t.on == null || (key_1 != null && t.on.indexOf(key_1) != -1)) && (t.guard == null || t.guard(symbol, leaf, _this.initialData || {}));
+                        });
+                        if (matches.length > 0) {
+                            if (matches.length > 1 && matches[1].priority == matches[0].priority) {
+                                analysis.nondeterministic.push({ state: leaf, on: symbol });
+                            }
+                            transition_1 = matches[0].transition;
+                            return true;
+                        }
+                        transition_1 = _this._def.transitions.has(state) ? _this._def.transitions.get(state) : null;
+                        return transition_1 != null;
+                    });
+                    output = transition_1 != null ? transition_1(symbol, leaf, _this.initialData || {}) : null;
+                }
+                catch (e) {
+                    analysis.opaque.push({ state: leaf, on: symbol });
+                    return;
+                }
+                if (FiniteStateMachine._isAsync(output)) {
+                    analysis.opaque.push({ state: leaf, on: symbol });
+                }
+                else if (output === undefined || output == null) {
+                    analysis.missing.push({ state: leaf, on: symbol });
+                }
+                else {
+                    edges(leaf, symbol, output.to);
+                }
+            });
+        });
+        // states reachable by following edges forward (or backward) from a set of states
+        var closure = function (from, forward) {
+            var reached = from.slice();
+            var _loop_1 = function (i) {
+                analysis.transitions.forEach(function (edge) {
+                    var next = forward ? (edge.from == reached[i] ? edge.to : null) : (edge.to == reached[i] ? edge.from : null);
+                    if (next != null && reached.indexOf(next) == -1) {
+                        reached.push(next);
+                    }
+                });
             };
+            for (var i = 0; i < reached.length; ++i) {
+                _loop_1(i);
+            }
+            return reached;
+        };
+        var reachable = closure(analysis.initial, true);
+        var live = closure(leaves.filter(function (leaf) { return flag(_this._def.acceptanceStates, leaf); }), false);
+        analysis.unreachable = leaves.filter(function (leaf) { return reachable.indexOf(leaf) == -1; });
+        analysis.dead = leaves.filter(function (leaf) { return live.indexOf(leaf) == -1; });
+        analysis.acceptanceReachable = reachable.some(function (state) { return flag(_this._def.acceptanceStates, state); });
+        return analysis;
+    };
+    /**
+     * Minimize this machine (Hopcroft's algorithm), starting from the partition of states by acceptance.  The transition
+     * graph is that of {analyze()}.  An input with no transition leaves the machine in its state, as does any input to a
+     * rejection or final state.  States that are not reachable from the initial state are removed.
+     *
+     * @param {string} initialState Optional initial state (path); the default is the initial state of the machine
+     *
+     * @returns {IMinimization | null} A new machine with the fewest states that accepts the same sequences of symbols,
+     * and the mapping of original states to merged states.  Each merged state is named for the first of its original
+     * states (in the order they were added, with a path separator replaced by an underscore) and is defined by a
+     * transition table.  The minimized machine has the name, alphabet and classifier of this machine; actions, context,
+     * data and other properties of states are not retained.  A null return indicates that this machine has no alphabet
+     * or initial state, or that its transition graph is not deterministic (there are parallel regions, timed transitions,
+     * or nondeterministic or opaque transitions).
+     */
+    FiniteStateMachine.prototype.minimize = function (initialState) {
+        var _this = this;
+        var graph = this._deterministic(initialState);
+        if (graph == null) {
+            return null;
         }
-        return null;
+        var alphabet = this._def.alphabet;
+        var states = graph.states;
+        var next = graph.next;
+        var accepts = graph.accepts;
+        var mapping = {};
+        this._def.states.forEach(function (state) {
+            if (_this._children(state).length == 0) {
+                mapping[state] = null;
+            }
+        });
+        // blocks are never altered once created, so a block in the work list is identified by reference
+        var partition = [
+            states.filter(function (state) { return accepts(state); }),
+            states.filter(function (state) { return !accepts(state); })
+        ].filter(function (block) { return block.length > 0; });
+        var work = partition.slice();
+        var _loop_2 = function () {
+            var splitter = work.pop();
+            alphabet.forEach(function (symbol) {
+                var refined = new Array();
+                partition.forEach(function (block) {
+                    var inside = block.filter(function (state) { return splitter.indexOf(next(state, symbol)) != -1; });
+                    var outside = block.filter(function (state) { return splitter.indexOf(next(state, symbol)) == -1; });
+                    if (inside.length == 0 || outside.length == 0) {
+                        refined.push(block);
+                        return;
+                    }
+                    refined.push(inside, outside);
+                    var index = work.indexOf(block);
+                    if (index != -1) {
+                        work.splice(index, 1, inside, outside);
+                    }
+                    else {
+                        work.push(inside.length <= outside.length ? inside : outside);
+                    }
+                });
+                partition = refined;
+            });
+        };
+        while (work.length > 0) {
+            _loop_2();
+        }
+        // each block is named for its first state
+        partition.sort(function (a, b) { return states.indexOf(a[0]) - states.indexOf(b[0]); });
+        var names = new Array();
+        partition.forEach(function (block) {
+            var name = block[0].split(FiniteStateMachine.PATH_SEPARATOR).join('_');
+            if (names.indexOf(name) != -1) {
+                name += '_' + names.length;
+            }
+            names.push(name);
+            block.forEach(function (state) { mapping[state] = name; });
+        });
+        var data = {
+            name: this.name,
+            alphabet: alphabet.slice(),
+            initialState: mapping[graph.initial],
+            states: partition.map(function (block, i) {
+                // symbols with the same target share a row
+                var rows = new Array();
+                alphabet.forEach(function (symbol) {
+                    var to = mapping[next(block[0], symbol)];
+                    var row = rows.filter(function (r) { return r.to == to; })[0];
+                    if (row !== undefined) {
+                        row.on.push(symbol);
+                    }
+                    else {
+                        rows.push({ on: [symbol], to: to });
+                    }
+                });
+                return { name: names[i], isAcceptance: accepts(block[0]), transitions: rows };
+            })
+        };
+        var machine = FiniteStateMachine.create(data, this.name);
+        machine.classifier = this._def.classifier;
+        return { machine: machine, mapping: mapping };
     };
     /**
-     * Clear this machine and prepare for new data
+     * Create a lightweight machine that shares the definition of this machine, which is frozen if it is not already
      *
-     * @returns {nothing} The only machine parameter that remains unaltered is the name.  The machine is set to the
-     * {NO_STATE} state.
+     * @returns {FiniteStateMachine} A machine, with a frozen definition, in the initial state with a context from initial
+     * data.  Its current state, context, subscribers, timed transitions, scheduler and journal are its own.
      */
-    FiniteStateMachine.prototype.clear = function () {
-        this._states.clear();
-        this._transitions.clear();
-        this._subscriptions.forEach(function (sub) { sub.unsubscribe(); });
-        this._subscriptions.length = 0;
-        this._subject = new Subject_1.Subject();
-        this._curState = FiniteStateMachine.NO_STATE;
-        this._acceptanceStates = null;
-        this._initialState = FiniteStateMachine.NO_STATE;
-        this._initialData = null;
-        this._alphabet = null;
+    FiniteStateMachine.prototype.createInstance = function () {
+        var machine = new FiniteStateMachine();
+        machine.name = this.name;
+        machine._def = FiniteStateMachine._freeze(this._def);
+        machine.reset();
+        return machine;
+    };
+    /**
+     * Capture the runtime state of this machine
+     *
+     * @returns {IMachineSnapshot} Serializable snapshot of the current state, a deep copy of the context, completion,
+     * armed timed transitions and the transition history, i.e. the journal (see {getJournal()}) if it has any entries.
+     * Asynchronous transitions in flight and queued inputs are not captured.
+     */
+    FiniteStateMachine.prototype.getSnapshot = function () {
+        var snapshot = this._capture();
+        if (this._journal != null && this._cursor > 0) {
+            snapshot.history = this.getJournal();
+        }
+        return snapshot;
+    };
+    /**
+     * Capture the runtime state of this machine without its history, i.e. for the journal itself
+     *
+     * @returns {IMachineSnapshot}
+     */
+    FiniteStateMachine.prototype._capture = function () {
+        var now = this._scheduler.now();
+        var timers = new Array();
+        this._timers.forEach(function (armed, state) {
+            armed.forEach(function (timer) { timers.push({ state: state, index: timer.index, remaining: Math.max(0, timer.due - now) }); });
+        });
+        var snapshot = {
+            name: this.name,
+            state: this._curState,
+            context: FiniteStateMachine._clone(this._context),
+            isAcceptance: this.isAcceptance,
+            isRejected: this.isRejected,
+            done: this._done,
+            timers: timers
+        };
+        if (this._done && this._output !== undefined) {
+            snapshot.output = FiniteStateMachine._clone(this._output);
+        }
+        return snapshot;
+    };
+    /**
+     * Restore the runtime state of this machine from a snapshot taken of a machine built from the same definition
+     *
+     * @param {IMachineSnapshot} snapshot Snapshot (possibly after serialization)
+     *
+     * @returns {IDecisionTreeAction} The snapshot is validated before the machine is altered.  On failure, the action is
+     * {NO_DATA}, {INVALID_DATA} for a malformed snapshot or {INVALID_STATE} if a state (or timed transition) of the
+     * snapshot does not exist in this machine, and 'node' is the failing value.  On success, asynchronous transitions
+     * (in flight and queued) are cancelled, the state, context and completion of the machine are restored, and timed
+     * transitions are re-armed with the time that remained.  Observers of {state$} receive the restored state, but no
+     * transition is notified.  Restoring a machine that is done completes its subject (see {reset()}).  The history of
+     * the snapshot, if any, becomes the journal of this machine (which enables journaling); only its first entry can be
+     * undone, since the states between its entries are not part of the snapshot.  Otherwise, the journal restarts.
+     */
+    FiniteStateMachine.prototype.restore = function (snapshot) {
+        var _this = this;
+        var failure = function (action, node) { return ({ success: false, action: action, node: node }); };
+        var isObject = function (value) { return Object.prototype.toString.call(value) == '[object Object]'; };
+        if (snapshot === undefined || snapshot == null) {
+            return failure(FiniteStateMachine.NO_DATA, snapshot);
+        }
+        if (!isObject(snapshot) || typeof snapshot.state != 'string' || !isObject(snapshot.context) ||
+            typeof snapshot.done != 'boolean' || Object.prototype.toString.call(snapshot.timers) != '[object Array]') {
+            return failure(FiniteStateMachine.INVALID_DATA, snapshot);
+        }
+        var history = snapshot.history;
+        if (history !== undefined && (!isObject(history) || !isObject(history.initial) ||
+            Object.prototype.toString.call(history.entries) != '[object Array]')) {
+            return failure(FiniteStateMachine.INVALID_DATA, history);
+        }
+        // every active state must be a state of this machine with no children
+        var leaves = snapshot.state.split(FiniteStateMachine.REGION_SEPARATOR);
+        if (snapshot.state != FiniteStateMachine.NO_STATE) {
+            var invalid = leaves.filter(function (leaf) {
+                return !_this._def.states.has(leaf) || _this._children(leaf).length > 0 || leaves.indexOf(leaf) != leaves.lastIndexOf(leaf);
+            });
+            if (invalid.length > 0) {
+                return failure(FiniteStateMachine.INVALID_STATE, invalid[0]);
+            }
+        }
+        // timed transitions must belong to an active state
+        var error = null;
+        snapshot.timers.some(function (timer) {
+            if (!isObject(timer) || typeof timer.remaining != 'number' || !isFinite(timer.remaining) || timer.remaining < 0) {
+                error = failure(FiniteStateMachine.INVALID_DATA, timer);
+            }
+            else {
+                var after_3 = _this._def.delayed.get(timer.state);
+                var active = snapshot.state != FiniteStateMachine.NO_STATE &&
+                    leaves.some(function (leaf) { return _this._path(leaf).indexOf(timer.state) != -1; });
+                if (!active || after_3 === undefined || after_3[timer.index] === undefined) {
+                    error = failure(FiniteStateMachine.INVALID_STATE, timer);
+                }
+            }
+            return error != null;
+        });
+        if (error != null) {
+            return error;
+        }
+        this._restore(snapshot);
+        if (history !== undefined && history.entries.length > 0) {
+            this._resumeJournal(history);
+        }
+        else if (this._journal != null) {
+            this._startJournal();
+        }
+        return {
+            success: true,
+            action: FiniteStateMachine.VALID
+        };
+    };
+    /**
+     * Access the journal of this machine
+     *
+     * @returns {IJournal | null} Serializable copy of the journal (null if journaling is disabled).  Entries that have been
+     * undone are not included.
+     */
+    FiniteStateMachine.prototype.getJournal = function () {
+        if (this._journal == null) {
+            return null;
+        }
+        return JSON.parse(JSON.stringify({
+            name: this.name,
+            initial: this._snapshots[0],
+            entries: this._journal.slice(0, this._cursor)
+        }));
+    };
+    /**
+     * Replay a journal, i.e. one exported from another machine built from the same definition
+     *
+     * @param {IJournal} journal Journal
+     *
+     * @returns {IDecisionTreeAction} This machine is restored to the initial snapshot of the journal and each entry is
+     * replayed in order (inputs are sent to {next()} and timed transitions are taken when they are reached).  Replay stops
+     * at the first entry whose states, output data or status differ from those of the journal, in which case the action is
+     * {DIVERGED} and the node is an Object with the 'index' of that entry, the 'expected' entry, and the 'actual' entry.
+     * An invalid journal or initial snapshot is reported as by {restore()}.  Inputs that were sent to {nextAsync()} are
+     * also sent to {next()}, which throws if a transition is asynchronous (see {replayAsync()}).
+     */
+    FiniteStateMachine.prototype.replay = function (journal) {
+        var _this = this;
+        var restored = this._replayable(journal);
+        if (!restored.success) {
+            return restored;
+        }
+        var diverged = null;
+        journal.entries.some(function (expected, index) {
+            diverged = _this._replayEntry(expected, index);
+            return diverged != null;
+        });
+        return diverged || { success: true, action: FiniteStateMachine.VALID };
+    };
+    /**
+     * Replay a journal that may contain asynchronous transitions
+     *
+     * @param {IJournal} journal Journal
+     *
+     * @returns {Promise<IDecisionTreeAction>} Resolves with the same result as {replay()}, except that inputs that were
+     * sent to {nextAsync()} are sent to {nextAsync()} and each is processed before the next entry is replayed.  The Promise
+     * is rejected if a transition fails.
+     */
+    FiniteStateMachine.prototype.replayAsync = function (journal) {
+        var _this = this;
+        var restored = this._replayable(journal);
+        if (!restored.success) {
+            return Promise.resolve(restored);
+        }
+        var step = function (index) {
+            if (index >= journal.entries.length) {
+                return Promise.resolve({ success: true, action: FiniteStateMachine.VALID });
+            }
+            var expected = journal.entries[index];
+            if (expected.async !== true) {
+                var diverged = _this._replayEntry(expected, index);
+                return diverged != null ? Promise.resolve(diverged) : step(index + 1);
+            }
+            // nextAsync() records the input if this machine is journaling
+            var actual = { from: _this._curState, to: _this._curState, timestamp: _this._scheduler.now(), async: true };
+            return _this.nextAsync(FiniteStateMachine._clone(expected.input), expected.initialState).then(function (output) {
+                FiniteStateMachine._outcome(actual, output, _this._curState);
+                var diverged = FiniteStateMachine._diverged(index, expected, actual);
+                return diverged != null ? diverged : step(index + 1);
+            });
+        };
+        return step(0);
+    };
+    /**
+     * Step backward through the journal, restoring the machine to its state before the last journal entry
+     *
+     * @returns {boolean} True if there was an entry to undo (false if journaling is disabled, or the entry was restored
+     * from the history of a snapshot and is not the first).  As with {restore()}, asynchronous transitions are cancelled
+     * and timed transitions are re-armed with the time that remained.
+     */
+    FiniteStateMachine.prototype.undo = function () {
+        if (this._journal == null || this._cursor == 0 || this._snapshots[this._cursor - 1] == null) {
+            return false;
+        }
+        this._cursor--;
+        this._restore(this._snapshots[this._cursor]);
+        return true;
+    };
+    /**
+     * Step forward through the journal, restoring the machine to its state after the next entry that was undone.  Any new
+     * entry discards the entries that could be redone.
+     *
+     * @returns {boolean} True if there was an entry to redo
+     */
+    FiniteStateMachine.prototype.redo = function () {
+        if (this._journal == null || this._cursor >= this._journal.length) {
+            return false;
+        }
+        this._cursor++;
+        this._restore(this._snapshots[this._cursor]);
+        return true;
+    };
+    /**
+     * Restore the runtime state of this machine from a valid snapshot
+     *
+     * @param {IMachineSnapshot} snapshot Snapshot
+     */
+    FiniteStateMachine.prototype._restore = function (snapshot) {
+        var _this = this;
+        this.cancel(true);
+        this._disarm();
+        this._restart();
+        this._curState = snapshot.state;
+        this._context = JSON.parse(JSON.stringify(snapshot.context));
+        if (snapshot.done) {
+            this._done = true;
+            this._output = snapshot.output !== undefined ? JSON.parse(JSON.stringify(snapshot.output)) : undefined;
+            this._subject.complete();
+        }
+        else {
+            snapshot.timers.forEach(function (timer) {
+                _this._schedule(timer.state, timer.index, timer.remaining);
+            });
+        }
+        this._publish();
+    };
+    /**
+     * Validate a journal to replay and restore this machine to its initial snapshot
+     *
+     * @param {IJournal} journal Journal
+     *
+     * @returns {IDecisionTreeAction}
+     */
+    FiniteStateMachine.prototype._replayable = function (journal) {
+        if (journal === undefined || journal == null) {
+            return { success: false, action: FiniteStateMachine.NO_DATA, node: journal };
+        }
+        if (Object.prototype.toString.call(journal.entries) != '[object Array]') {
+            return { success: false, action: FiniteStateMachine.INVALID_DATA, node: journal };
+        }
+        return this.restore(journal.initial);
+    };
+    /**
+     * Replay one journal entry with {next()} or by taking its timed transition
+     *
+     * @param {IJournalEntry} expected Entry
+     *
+     * @param {number} index Index of the entry in the journal
+     *
+     * @returns {IDecisionTreeAction | null} {DIVERGED} result or null if the outcome is that of the entry
+     */
+    FiniteStateMachine.prototype._replayEntry = function (expected, index) {
+        var before = this._journal != null ? this._capture() : null;
+        var actual = { from: this._curState, to: this._curState, timestamp: this._scheduler.now() };
+        var output = null;
+        if (expected.timer !== undefined) {
+            var after_4 = this._def.delayed.get(expected.timer.state);
+            actual.timer = expected.timer;
+            if (after_4 !== undefined && after_4[expected.timer.index] !== undefined) {
+                output = this._fire(expected.timer.state, expected.timer.index);
+            }
+        }
+        else {
+            actual.input = FiniteStateMachine._clone(expected.input);
+            if (expected.initialState !== undefined) {
+                actual.initialState = expected.initialState;
+            }
+            if (expected.async !== undefined) {
+                actual.async = expected.async;
+            }
+            // the journal's input is not altered by the transition function
+            output = this._next(FiniteStateMachine._clone(expected.input), expected.initialState);
+        }
+        if (this._journal != null) {
+            this._record(actual, output, before);
+        }
+        else {
+            FiniteStateMachine._outcome(actual, output, this._curState);
+        }
+        return FiniteStateMachine._diverged(index, expected, actual);
+    };
+    /**
+     * Compare the outcome (states, output data and status) of a replayed journal entry with that of the journal
+     *
+     * @param {number} index Index of the entry in the journal
+     *
+     * @param {IJournalEntry} expected Entry of the journal
+     *
+     * @param {IJournalEntry} actual Replayed entry
+     *
+     * @returns {IDecisionTreeAction | null} {DIVERGED} result or null if the outcomes are the same
+     */
+    FiniteStateMachine._diverged = function (index, expected, actual) {
+        var outcome = function (entry) { return JSON.stringify([entry.from, entry.to, entry.data, entry.status]); };
+        if (outcome(actual) == outcome(expected)) {
+            return null;
+        }
+        return {
+            success: false,
+            action: FiniteStateMachine.DIVERGED,
+            node: { index: index, expected: expected, actual: actual }
+        };
+    };
+    /**
+     * Start a new journal from the current state of this machine
+     */
+    FiniteStateMachine.prototype._startJournal = function () {
+        this._journal = new Array();
+        this._snapshots = [this._capture()];
+        this._cursor = 0;
+    };
+    /**
+     * Continue the history of a snapshot as the journal of this machine, which is in the state after its last entry
+     *
+     * @param {IJournal} history History of a snapshot, with at least one entry
+     */
+    FiniteStateMachine.prototype._resumeJournal = function (history) {
+        this._journal = FiniteStateMachine._clone(history.entries);
+        this._snapshots = this._journal.map(function () { return null; });
+        this._cursor = this._journal.length;
+        this._snapshots[0] = FiniteStateMachine._clone(history.initial);
+        this._snapshots.push(this._capture());
+    };
+    /**
+     * Record an entry in the journal, which discards any entries that could be redone
+     *
+     * @param {IJournalEntry} entry Entry, with the input (or timer) and the state before the transition
+     *
+     * @param {IStateOutput | null} output Output of the transition (null if there was no transition)
+     *
+     * @param {IMachineSnapshot} before Snapshot of the machine before the transition
+     */
+    FiniteStateMachine.prototype._record = function (entry, output, before) {
+        FiniteStateMachine._outcome(entry, output, this._curState);
+        this._journal.splice(this._cursor);
+        this._snapshots.splice(this._cursor);
+        this._journal.push(entry);
+        this._snapshots.push(before, this._capture());
+        this._cursor++;
+    };
+    /**
+     * Complete a journal entry with the outcome of a transition
+     *
+     * @param {IJournalEntry} entry Entry
+     *
+     * @param {IStateOutput | null} output Output of the transition (null if there was no transition)
+     *
+     * @param {string} to State after the transition
+     */
+    FiniteStateMachine._outcome = function (entry, output, to) {
+        entry.to = to;
+        if (output != null) {
+            if (output.data !== undefined) {
+                entry.data = FiniteStateMachine._clone(output.data);
+            }
+            if (output.status !== undefined) {
+                entry.status = output.status;
+            }
+        }
+    };
+    /**
+     * Copy a value as it would be serialized
+     *
+     * @param value Value
+     *
+     * @returns {any} Copy of the value (undefined is not altered)
+     */
+    FiniteStateMachine._clone = function (value) {
+        return value !== undefined ? JSON.parse(JSON.stringify(value)) : undefined;
+    };
+    /**
+     * Access the deterministic transition graph of this machine over its alphabet, as evaluated by {analyze()}.  An input
+     * with no transition leaves the machine in its state, as does any input to a rejection or final state.
+     *
+     * @param {string} initialState Optional initial state (path); the default is the initial state of the machine
+     *
+     * @returns {IDeterministicGraph | null} The graph of states (without children) that are reachable from the initial
+     * state, in the order they were added.  A null return indicates that there is no alphabet or initial state, or that
+     * there are parallel regions, timed transitions, or nondeterministic or opaque transitions.
+     */
+    FiniteStateMachine.prototype._deterministic = function (initialState) {
+        var _this = this;
+        var analysis = this.analyze(initialState);
+        if (this._def.alphabet == null || this._def.alphabet.length == 0 || analysis.initial.length != 1 ||
+            analysis.nondeterministic.length > 0 || analysis.opaque.length > 0) {
+            return null;
+        }
+        var delta = new Map();
+        var deterministic = true;
+        analysis.transitions.forEach(function (edge) {
+            var row = delta.get(edge.from) || {};
+            deterministic = deterministic && edge.on != null && (!row.hasOwnProperty(edge.on) || row[edge.on] == edge.to);
+            row[edge.on] = edge.to;
+            delta.set(edge.from, row);
+        });
+        if (!deterministic) {
+            return null;
+        }
+        var states = new Array();
+        this._def.states.forEach(function (state) {
+            if (_this._children(state).length == 0 && analysis.unreachable.indexOf(state) == -1) {
+                states.push(state);
+            }
+        });
+        return {
+            initial: analysis.initial[0],
+            states: states,
+            next: function (state, symbol) {
+                var row = delta.get(state);
+                return row !== undefined && row.hasOwnProperty(symbol) ? row[symbol] : state;
+            },
+            accepts: function (state) { return !!_this._def.acceptanceStates && _this._def.acceptanceStates.hasOwnProperty(state); }
+        };
+    };
+    /**
+     * Access whether or not two machines have compatible alphabets
+     *
+     * @param {FiniteStateMachine} a First machine
+     *
+     * @param {FiniteStateMachine} b Second machine
+     *
+     * @returns {boolean} True if both alphabets contain the same symbols (in any order)
+     */
+    FiniteStateMachine._compatible = function (a, b) {
+        var contains = function (x, y) {
+            return y.every(function (symbol) { return x.indexOf(symbol) != -1; });
+        };
+        return a._def.alphabet != null && b._def.alphabet != null && contains(a._def.alphabet, b._def.alphabet) && contains(b._def.alphabet, a._def.alphabet);
+    };
+    /**
+     * Order a set of states
+     *
+     * @param {Array<string>} states States, which may contain duplicates
+     *
+     * @param {Array<string>} order Every state, in order
+     *
+     * @returns {Array<string>} The distinct states in order
+     */
+    FiniteStateMachine._ordered = function (states, order) {
+        return order.filter(function (state) { return states.indexOf(state) != -1; });
+    };
+    /**
+     * Build a machine by exploring the states that are reachable from an initial state over the alphabet of a machine
+     *
+     * @param {FiniteStateMachine} a Machine whose alphabet (and classifier) is used
+     *
+     * @param {FiniteStateMachine} b Second machine; its classifier must be the same as that of the first machine for the
+     * classifier to be used
+     *
+     * @param {T} initial Initial state, which is any value that may be serialized
+     *
+     * @param {Function} next Function of a state and a symbol that returns the next state
+     *
+     * @param {Function} accepts Function of a state that returns true if it is an acceptance state
+     *
+     * @param {string} name Optional machine name
+     *
+     * @returns {FiniteStateMachine} Machine with states S0 (the initial state), S1, ... in the order they are reached, each
+     * defined by a transition table over the alphabet
+     */
+    FiniteStateMachine._combine = function (a, b, initial, next, accepts, name) {
+        var alphabet = a._def.alphabet;
+        var reached = [initial];
+        var keys = [JSON.stringify(initial)];
+        var states = new Array();
+        var _loop_3 = function (i) {
+            var rows = new Array();
+            alphabet.forEach(function (symbol) {
+                var target = next(reached[i], symbol);
+                var key = JSON.stringify(target);
+                var index = keys.indexOf(key);
+                if (index == -1) {
+                    index = reached.length;
+                    reached.push(target);
+                    keys.push(key);
+                }
+                // symbols with the same target share a row
+                var to = 'S' + index;
+                var row = rows.filter(function (r) { return r.to == to; })[0];
+                if (row !== undefined) {
+                    row.on.push(symbol);
+                }
+                else {
+                    rows.push({ on: [symbol], to: to });
+                }
+            });
+            states.push({ name: 'S' + i, isAcceptance: accepts(reached[i]), transitions: rows });
+        };
+        // states are added as they are reached, so the work list is the remainder of the list of states
+        for (var i = 0; i < reached.length; ++i) {
+            _loop_3(i);
+        }
+        var machine = FiniteStateMachine.create({
+            name: name !== undefined ? name : '',
+            alphabet: alphabet.slice(),
+            initialState: 'S0',
+            states: states
+        }, name);
+        machine.classifier = a._def.classifier === b._def.classifier ? a._def.classifier : null;
+        return machine;
+    };
+    /**
+     * Clear this machine and prepare for new data
+     *
+     * @returns {nothing} The only machine parameter that remains unaltered is the name.  The machine is set to the
+     * {NO_STATE} state.  A machine with a frozen definition no longer shares that definition (which is unaltered) and
+     * may be defined again.
+     */
+    FiniteStateMachine.prototype.clear = function () {
+        // a frozen definition is shared with other machines, so it is replaced rather than cleared
+        if (this.isFrozen) {
+            this._def = FiniteStateMachine._emptyDefinition();
+        }
+        this._clearDefinition();
+        this._def.guards.clear();
+        this._def.classifier = null;
+        this._def.conflictPolicy = FiniteStateMachine.FIRST_MATCH;
+        this._scheduler = async_1.async;
+        this._def.actions.clear();
+        this._connections.slice().forEach(function (sub) { sub.unsubscribe(); });
+        this._subscriptions.slice().forEach(function (sub) { sub.unsubscribe(); });
+        this._subscriptions.length = 0;
+        this._subject = new Subject_1.Subject();
+        this.journaling = false;
+    };
+    /**
+     * Freeze a definition along with every Map, Set, array and Object it contains, so that a definition shared by machines
+     * can not be altered through any of them
+     *
+     * @param value Definition (or a value within it)
+     *
+     * @returns {any} The value, which is frozen
+     */
+    FiniteStateMachine._freeze = function (value) {
+        if (value == null || typeof value != 'object' || Object.isFrozen(value)) {
+            return value;
+        }
+        if (value instanceof Map || value instanceof Set) {
+            var immutable_1 = function () { throw new Error('[FSM] The definition of this machine is frozen and may not be altered'); };
+            ['set', 'add', 'delete', 'clear'].forEach(function (method) {
+                if (typeof value[method] == 'function') {
+                    value[method] = immutable_1;
+                }
+            });
+            Object.freeze(value);
+            value.forEach(function (item, key) {
+                FiniteStateMachine._freeze(key);
+                FiniteStateMachine._freeze(item);
+            });
+            return value;
+        }
+        Object.freeze(value);
+        Object.keys(value).forEach(function (key) { FiniteStateMachine._freeze(value[key]); });
+        return value;
+    };
+    /**
+     * Create an empty definition
+     *
+     * @returns {IMachineDefinition} Definition of a machine without states
+     */
+    FiniteStateMachine._emptyDefinition = function () {
+        return {
+            states: new Set(),
+            parents: new Map(),
+            initial: new Map(),
+            parallel: new Set(),
+            regionAcceptance: FiniteStateMachine.ALL_REGIONS,
+            transitions: new Map(),
+            tables: new Map(),
+            sources: new Map(),
+            guards: new Map(),
+            guarded: new Map(),
+            conflictPolicy: FiniteStateMachine.FIRST_MATCH,
+            actions: new Map(),
+            entryActions: new Map(),
+            exitActions: new Map(),
+            transitionActions: new Map(),
+            acceptanceStates: null,
+            rejectionStates: null,
+            finalStates: null,
+            outputs: new Map(),
+            outputSources: new Map(),
+            delayed: new Map(),
+            initialState: FiniteStateMachine.NO_STATE,
+            initialData: null,
+            alphabet: null,
+            strict: false,
+            errorState: null,
+            classifier: null
+        };
+    };
+    /**
+     * Clear the states and transitions of this machine along with any information that accompanies a data definition
+     */
+    FiniteStateMachine.prototype._clearDefinition = function () {
+        this._restart();
+        this._def.states.clear();
+        this._def.parents.clear();
+        this._def.initial.clear();
+        this._def.parallel.clear();
+        this._def.transitions.clear();
+        this._def.guarded.clear();
+        this._def.tables.clear();
+        this._def.sources.clear();
+        this._def.entryActions.clear();
+        this._def.exitActions.clear();
+        this._def.transitionActions.clear();
+        this._def.delayed.clear();
+        this._def.outputs.clear();
+        this._def.outputSources.clear();
+        this._disarm();
+        this._curState = FiniteStateMachine.NO_STATE;
+        this._def.acceptanceStates = null;
+        this._def.rejectionStates = null;
+        this._def.finalStates = null;
+        this._def.initialState = FiniteStateMachine.NO_STATE;
+        this._def.initialData = null;
+        this._def.alphabet = null;
+        this._context = {};
+        this._def.strict = false;
+        this._def.errorState = null;
+        this._def.regionAcceptance = FiniteStateMachine.ALL_REGIONS;
+        this._publish();
+    };
+    /**
+     * Validate an entire {Object} definition of a machine
+     *
+     * @param {Object} data Data definition of a machine
+     *
+     * @param {Map<string, guardFunction>} guards Named guards available to transition tables or null if the names of
+     * guards are not known, in which case any guard that is a plain identifier is presumed to name a guard
+     *
+     * @param {Map<string, stateAction>} actions Named actions or null if the names of actions are not known (and can not
+     * be checked)
+     *
+     * @param {boolean} nondeterministic True if the definition is validated as nondeterministic whether or not it has
+     * lists of targets or epsilon targets
+     *
+     * @returns {Array<IDecisionTreeAction>} Every error detected in the definition (empty for a valid definition)
+     */
+    FiniteStateMachine._definitionErrors = function (data, guards, actions, nondeterministic) {
+        if (nondeterministic === void 0) { nondeterministic = false; }
+        var errors = new Array();
+        var isArray = function (value) { return Object.prototype.toString.call(value) == '[object Array]'; };
+        var isNfa = nondeterministic || FiniteStateMachine._isNondeterministic(data);
+        if (data === undefined || data == null) {
+            errors.push({ success: false, action: FiniteStateMachine.NO_DATA });
+            return errors;
+        }
+        // required properties
+        ['name', 'alphabet', 'states'].forEach(function (prop) {
+            if (!data.hasOwnProperty(prop)) {
+                errors.push({ success: false, action: FiniteStateMachine.MISSING_PROPS, node: data });
+            }
+        });
+        // properties are those of the schema, so the definitions accepted here are those accepted by {validateDefinition()}
+        var isUnknown = function (value, definition) {
+            var props = definition == null ? FsmDefinitionSchema_1.FSM_DEFINITION_SCHEMA['properties'] : FsmDefinitionSchema_1.FSM_DEFINITION_SCHEMA['definitions'][definition]['properties'];
+            return Object.keys(value).some(function (prop) { return !props.hasOwnProperty(prop); });
+        };
+        if (isUnknown(data, null)) {
+            errors.push({ success: false, action: FiniteStateMachine.INVALID_DATA, node: data });
+        }
+        if (data.hasOwnProperty('alphabet')) {
+            var alphabet = data['alphabet'];
+            if (!isArray(alphabet) || alphabet.some(function (symbol) { return typeof symbol != 'string'; })) {
+                errors.push({ success: false, action: FiniteStateMachine.INVALID_DATA, node: alphabet });
+            }
+        }
+        // valid state names (paths) must be known in advance to check transition targets
+        var states = FiniteStateMachine._collect(data['states'], null);
+        var names = new Array();
+        if (data.hasOwnProperty('states')) {
+            if (!isArray(data['states'])) {
+                errors.push({ success: false, action: FiniteStateMachine.INVALID_DATA, node: data['states'] });
+            }
+            else if (states.length == 0) {
+                errors.push({ success: false, action: FiniteStateMachine.NO_STATE, node: data['states'] });
+            }
+        }
+        states.forEach(function (entry) {
+            if (entry.path != null) {
+                if (names.indexOf(entry.path) != -1) {
+                    errors.push({ success: false, action: FiniteStateMachine.DUPLICATE_STATE, node: entry.state });
+                }
+                else {
+                    names.push(entry.path);
+                }
+            }
+        });
+        var isState = function (name) { return typeof name == 'string' && names.indexOf(name) != -1; };
+        var isStates = function (to) { return (isArray(to) ? to : [to]).every(function (name) { return isState(name); }); };
+        // a list of action names must contain names that are known, if possible
+        var isActionList = function (list) {
+            var items = Object.prototype.toString.call(list) == '[object Array]' ? list : [list];
+            return items.every(function (name) { return typeof name == 'string' && (actions == null || actions.has(name)); });
+        };
+        states.forEach(function (entry) {
+            var state = entry.state;
+            if (entry.path == null || state['name'].indexOf(FiniteStateMachine.PATH_SEPARATOR) != -1 ||
+                state['name'].indexOf(FiniteStateMachine.REGION_SEPARATOR) != -1 || typeof state['isAcceptance'] != 'boolean' ||
+                isUnknown(state, 'node')) {
+                errors.push({ success: false, action: FiniteStateMachine.INVALID_DATA, node: state });
+                return;
+            }
+            // a nondeterministic state has no children, actions, timed transitions or output
+            if (isNfa && Object.keys(state).some(function (prop) { return ['name', 'isAcceptance', 'transition', 'transitions', 'epsilon'].indexOf(prop) == -1; })) {
+                errors.push({ success: false, action: FiniteStateMachine.INVALID_DATA, node: state });
+                return;
+            }
+            // child states are listed in a non-empty array; the initial child must be one of them
+            var isCompound = state.hasOwnProperty('states');
+            // the regions of a parallel state are all entered, so there is no initial region
+            var isParallel = state.hasOwnProperty('parallel') && state['parallel'] !== false;
+            if ((isCompound && (!isArray(state['states']) || state['states'].length == 0)) ||
+                (isParallel && (state['parallel'] !== true || !isCompound || state.hasOwnProperty('initial')))) {
+                errors.push({ success: false, action: FiniteStateMachine.INVALID_DATA, node: state });
+                return;
+            }
+            if (state.hasOwnProperty('initial') &&
+                (!isCompound || !isState(entry.path + FiniteStateMachine.PATH_SEPARATOR + state['initial']))) {
+                errors.push({ success: false, action: FiniteStateMachine.INVALID_INITIAL_STATE, node: state });
+            }
+            // a transition may be defined by function body or declarative table, but not both; a rejection state is never
+            // exited, so it need not define a transition.  Compound and child states may rely on the transitions of their
+            // ancestors.
+            var hasFunction = state.hasOwnProperty('transition');
+            var hasTable = state.hasOwnProperty('transitions');
+            var inherits = isCompound || entry.parent != null;
+            var isFinal = state['isFinal'] === true;
+            var hasAfter = state.hasOwnProperty('after');
+            var hasEpsilon = state.hasOwnProperty('epsilon');
+            if ((hasFunction && hasTable) || !(hasFunction || hasTable || inherits || isFinal || hasAfter || hasEpsilon || state['isRejection'] === true)) {
+                errors.push({ success: false, action: FiniteStateMachine.INVALID_DATA, node: state });
+                return;
+            }
+            // only a final state has output, which is computed by expression(s)
+            if ((state.hasOwnProperty('isFinal') && typeof state['isFinal'] != 'boolean') || (state.hasOwnProperty('output') && !isFinal)) {
+                errors.push({ success: false, action: FiniteStateMachine.INVALID_DATA, node: state });
+                return;
+            }
+            if (state.hasOwnProperty('output') && !FiniteStateMachine._isOutput(state['output'])) {
+                errors.push({ success: false, action: FiniteStateMachine.INVALID_EXPRESSION, node: state });
+            }
+            if (hasAfter) {
+                var after_5 = isArray(state['after']) ? state['after'] : [state['after']];
+                after_5.forEach(function (delayed) {
+                    if (Object.prototype.toString.call(delayed) != '[object Object]' || typeof delayed['ms'] != 'number' ||
+                        !isFinite(delayed['ms']) || delayed['ms'] < 0 || isUnknown(delayed, 'delayed')) {
+                        errors.push({ success: false, action: FiniteStateMachine.INVALID_DATA, node: delayed });
+                    }
+                    else if (!isState(delayed['to'])) {
+                        errors.push({ success: false, action: FiniteStateMachine.INVALID_TARGET, node: delayed });
+                    }
+                });
+            }
+            if (hasEpsilon && !isStates(state['epsilon'])) {
+                errors.push({ success: false, action: FiniteStateMachine.INVALID_TARGET, node: state });
+            }
+            if ((state.hasOwnProperty('onEnter') && !isActionList(state['onEnter'])) ||
+                (state.hasOwnProperty('onExit') && !isActionList(state['onExit']))) {
+                errors.push({ success: false, action: FiniteStateMachine.INVALID_ACTION, node: state });
+            }
+            if (hasFunction) {
+                var body = state['transition'];
+                try {
+                    if (typeof body != 'string') {
+                        throw new Error('transition must be a function body');
+                    }
+                    new Function('data', 'state', 'context', body);
+                }
+                catch (e) {
+                    errors.push({ success: false, action: FiniteStateMachine.INVALID_TRANSITION, node: state });
+                    return;
+                }
+                // only literal targets, i.e. {to: 'S2'} or {to: ['S2', 'S3']} (nondeterministic), can be checked in a function
+                // body
+                var target = /\bto\s*:\s*(['"])([^'"\\]*)\1/g;
+                var targets = /\bto\s*:\s*\[([^\]]*)\]/g;
+                var name_1 = /(['"])([^'"\\]*)\1/g;
+                var names_1 = new Array();
+                var match = void 0;
+                while ((match = target.exec(body)) != null) {
+                    names_1.push(match[2]);
+                }
+                while ((match = targets.exec(body)) != null) {
+                    names_1 = names_1.concat((match[1].match(name_1) || []).map(function (quoted) { return quoted.slice(1, -1); }));
+                }
+                if (!names_1.every(function (to) { return isState(to); })) {
+                    errors.push({ success: false, action: FiniteStateMachine.INVALID_TARGET, node: state });
+                }
+            }
+            else if (hasTable) {
+                var table = {
+                    transitions: state['transitions'],
+                    otherwise: state['otherwise']
+                };
+                var tableErrors = FiniteStateMachine._tableErrors(table, guards);
+                tableErrors.forEach(function (error) {
+                    error.node = error.node || state;
+                    errors.push(error);
+                });
+                if (tableErrors.length == 0) {
+                    table.transitions.forEach(function (row) {
+                        // a nondeterministic row has only input symbols and one or more targets
+                        if (isUnknown(row, 'row') || (isNfa && Object.keys(row).some(function (prop) { return prop != 'on' && prop != 'to'; }))) {
+                            errors.push({ success: false, action: FiniteStateMachine.INVALID_DATA, node: row });
+                        }
+                        else if (!isStates(row.to)) {
+                            errors.push({ success: false, action: FiniteStateMachine.INVALID_TARGET, node: row });
+                        }
+                        if (row.action !== undefined && !isActionList(row.action)) {
+                            errors.push({ success: false, action: FiniteStateMachine.INVALID_ACTION, node: row });
+                        }
+                    });
+                    if (table.otherwise !== undefined && table.otherwise != null && !isState(table.otherwise)) {
+                        errors.push({ success: false, action: FiniteStateMachine.INVALID_TARGET, node: state });
+                    }
+                }
+            }
+        });
+        if (data.hasOwnProperty('initialState') && !isState(data['initialState'])) {
+            errors.push({ success: false, action: FiniteStateMachine.INVALID_INITIAL_STATE, node: data['initialState'] });
+        }
+        if (data.hasOwnProperty('initialData') && Object.prototype.toString.call(data['initialData']) != '[object Object]') {
+            errors.push({ success: false, action: FiniteStateMachine.INVALID_DATA, node: data['initialData'] });
+        }
+        if (data.hasOwnProperty('strict') && typeof data['strict'] != 'boolean') {
+            errors.push({ success: false, action: FiniteStateMachine.INVALID_DATA, node: data['strict'] });
+        }
+        if (data.hasOwnProperty('errorState') && !isState(data['errorState'])) {
+            errors.push({ success: false, action: FiniteStateMachine.INVALID_TARGET, node: data['errorState'] });
+        }
+        if (data.hasOwnProperty('regionAcceptance') && data['regionAcceptance'] != 'all' && data['regionAcceptance'] != 'any') {
+            errors.push({ success: false, action: FiniteStateMachine.INVALID_DATA, node: data['regionAcceptance'] });
+        }
+        // subset construction begins with the initial state of a nondeterministic definition
+        if (isNfa) {
+            if (Object.keys(data).some(function (prop) { return ['name', 'alphabet', 'initialState', 'initialData', 'states'].indexOf(prop) == -1; })) {
+                errors.push({ success: false, action: FiniteStateMachine.INVALID_DATA, node: data });
+            }
+            if (!data.hasOwnProperty('initialState')) {
+                errors.push({ success: false, action: FiniteStateMachine.INVALID_INITIAL_STATE, node: data });
+            }
+        }
+        return errors;
+    };
+    /**
+     * Access whether or not an {Object} definition of a machine is nondeterministic
+     *
+     * @param {Object} data Data definition of a machine
+     *
+     * @returns {boolean} True if a table row or a function body targets a literal list of states (i.e. {to: ['S1', 'S2']})
+     * or a state has epsilon targets
+     */
+    FiniteStateMachine._isNondeterministic = function (data) {
+        if (data === undefined || data == null) {
+            return false;
+        }
+        return FiniteStateMachine._collect(data['states'], null).some(function (entry) {
+            var state = entry.state;
+            if (entry.path == null) {
+                return false;
+            }
+            if (state.hasOwnProperty('epsilon') || (typeof state['transition'] == 'string' && /\bto\s*:\s*\[/.test(state['transition']))) {
+                return true;
+            }
+            return Object.prototype.toString.call(state['transitions']) == '[object Array]' &&
+                state['transitions'].some(function (row) { return row != null && Object.prototype.toString.call(row['to']) == '[object Array]'; });
+        });
+    };
+    /**
+     * Select the transition function to apply to input in the current state
+     *
+     * @param input Input data
+     *
+     * @returns {Array<ISelectedTransition>} For each parallel region (or the current state, if there are none), the first
+     * guarded transition that matches the input or the transition without options of the active state or, failing that,
+     * of its nearest ancestor that has a transition for the input.  The array is empty if there is no such transition.
+     */
+    FiniteStateMachine.prototype._select = function (input) {
+        var _this = this;
+        var leaves = this._leaves();
+        var tops = new Array();
+        leaves.forEach(function (leaf) {
+            var top = _this._path(leaf)[0];
+            if (tops.indexOf(top) == -1) {
+                tops.push(top);
+            }
+        });
+        var selected = new Array();
+        tops.forEach(function (top) { selected = selected.concat(_this._selectWithin(top, leaves, input).selected); });
+        return selected;
+    };
+    /**
+     * Select transitions to apply to input within an active state, innermost first
+     *
+     * @param {string} state Name of an active state
+     *
+     * @param {Array<string>} leaves Active states of the machine
+     *
+     * @param input Input data
+     *
+     * @returns {Object} Transitions selected within the state ('selected') and whether or not a rejection state within the
+     * state prevents its ancestors from transitioning ('blocked')
+     */
+    FiniteStateMachine.prototype._selectWithin = function (state, leaves, input) {
+        var _this = this;
+        var children = new Array();
+        leaves.forEach(function (leaf) {
+            var path = _this._path(leaf);
+            var i = path.indexOf(state);
+            if (i != -1 && i < path.length - 1 && children.indexOf(path[i + 1]) == -1) {
+                children.push(path[i + 1]);
+            }
+        });
+        var result = {
+            selected: new Array(),
+            blocked: children.length == 0 && !!this._def.rejectionStates && this._def.rejectionStates.hasOwnProperty(state)
+        };
+        children.forEach(function (child) {
+            var inner = _this._selectWithin(child, leaves, input);
+            result.selected = result.selected.concat(inner.selected);
+            result.blocked = result.blocked || inner.blocked;
+        });
+        if (result.selected.length == 0 && !result.blocked) {
+            var selected = this._selectFrom(state, input);
+            if (selected != null) {
+                result.selected.push(selected);
+            }
+        }
+        return result;
+    };
+    /**
+     * Select the transition function of a single state to apply to input in the current state
+     *
+     * @param {string} state Name of a state that is the current state or one of its ancestors
+     *
+     * @param input Input data
+     *
+     * @returns {ISelectedTransition | null}
+     */
+    FiniteStateMachine.prototype._selectFrom = function (state, input) {
+        var transitions = this._def.guarded.get(state);
+        if (transitions !== undefined) {
+            var symbol = FiniteStateMachine._symbolOf(this._def, input);
+            var n = transitions.length;
+            var selected = null;
+            var i = void 0;
+            var t = void 0;
+            for (i = 0; i < n; ++i) {
+                t = transitions[i];
+                // transitions are in priority order, so there can be no conflict with a lower-priority transition
+                if (selected != null && t.priority < selected.priority) {
+                    break;
+                }
+                if ((t.on == null || (symbol != null && t.on.indexOf(symbol) != -1)) && (t.guard == null || t.guard(input, this._curState, this._copyContext()))) {
+                    if (selected == null) {
+                        selected = t;
+                        if (this._def.conflictPolicy == FiniteStateMachine.FIRST_MATCH) {
+                            break;
+                        }
+                    }
+                    else {
+                        throw new Error('[FSM] More than one transition from state ' + state + ' matches input ' + symbol);
+                    }
+                }
+            }
+            if (selected != null) {
+                return { transition: selected.transition, actions: selected.actions, source: state };
+            }
+        }
+        return this._def.transitions.has(state) ? { transition: this._def.transitions.get(state), actions: [], source: state } : null;
+    };
+    /**
+     * Access the path from the top-level ancestor of a state to the state
+     *
+     * @param {string} state State name
+     *
+     * @returns {Array<string>} Names of the ancestors of the state, outermost first, followed by the state
+     */
+    FiniteStateMachine.prototype._path = function (state) {
+        var path = [state];
+        while (this._def.parents.has(path[0])) {
+            path.unshift(this._def.parents.get(path[0]));
+        }
+        return path;
+    };
+    /**
+     * Access the children of a state
+     *
+     * @param {string} state State name
+     *
+     * @returns {Array<string>} Paths of the children of the state in the order they were added
+     */
+    FiniteStateMachine.prototype._children = function (state) {
+        var children = new Array();
+        this._def.parents.forEach(function (parent, child) {
+            if (parent == state) {
+                children.push(child);
+            }
+        });
+        return children;
+    };
+    /**
+     * Access the active states of this machine
+     *
+     * @returns {Array<string>} Active state of each parallel region, in the order the regions were added
+     */
+    FiniteStateMachine.prototype._leaves = function () {
+        return this._curState.split(FiniteStateMachine.REGION_SEPARATOR);
+    };
+    /**
+     * Access whether or not a state is active, i.e. it is an active state or an ancestor of an active state
+     *
+     * @param {string} state State name
+     *
+     * @returns {boolean}
+     */
+    FiniteStateMachine.prototype._isActive = function (state) {
+        var _this = this;
+        return this._leaves().some(function (leaf) { return _this._path(leaf).indexOf(state) != -1; });
+    };
+    /**
+     * Access the current state of the machine after a state is entered from outside of its top-level ancestor
+     *
+     * @param {string} state State name
+     *
+     * @returns {string} The state (or its initial descendant if it is a compound state), with the initial state of each
+     * other parallel region that is entered
+     */
+    FiniteStateMachine.prototype._enter = function (state) {
+        return this._entered(this._path(state), 0).join(FiniteStateMachine.REGION_SEPARATOR);
+    };
+    /**
+     * Access the active states that result from entering a state
+     *
+     * @param {Array<string>} path Path to the state
+     *
+     * @param {number} depth Index in the path of the outermost state that is entered
+     *
+     * @returns {Array<string>} States that are active after entering the state; each sibling region of a parallel
+     * ancestor is entered in its initial state
+     */
+    FiniteStateMachine.prototype._entered = function (path, depth) {
+        var _this = this;
+        var state = path[depth];
+        if (depth == path.length - 1) {
+            if (this._def.parallel.has(state)) {
+                var leaves_1 = new Array();
+                this._children(state).forEach(function (region) { leaves_1 = leaves_1.concat(_this._entered([region], 0)); });
+                return leaves_1;
+            }
+            return this._def.initial.has(state) && this._def.states.has(this._def.initial.get(state)) ? this._entered([this._def.initial.get(state)], 0) : [state];
+        }
+        if (this._def.parallel.has(state)) {
+            var leaves_2 = new Array();
+            this._children(state).forEach(function (region) {
+                leaves_2 = leaves_2.concat(region == path[depth + 1] ? _this._entered(path, depth + 1) : _this._entered([region], 0));
+            });
+            return leaves_2;
+        }
+        return this._entered(path, depth + 1);
+    };
+    /**
+     * Transition from the current state to another state, run actions in order (exit, transition, entry), and notify
+     * observers
+     *
+     * @param {string} to Name of the 'to' state
+     *
+     * @param data Output data from the transition
+     *
+     * @param input Input that caused the transition
+     *
+     * @param {Array<stateAction | string>} actions Transition actions
+     *
+     * @param {Object} context Context of the machine after the transition
+     *
+     * @param {string} status Optional status code of the notification
+     *
+     * @param {string} source State that defines the transition (default is the current state)
+     */
+    FiniteStateMachine.prototype._transition = function (to, data, input, actions, context, status, source) {
+        var _this = this;
+        var from = this._curState;
+        var origin = source !== undefined ? source : from;
+        // states below the nearest common ancestor of the source and target are exited and entered; a transition to the
+        // source itself, or to an ancestor or descendant of the source, exits and re-enters the source.  Without a source,
+        // every active state is exited.
+        var sourcePath = source !== undefined ? this._path(source) : [];
+        var toPath = this._path(to);
+        var common = 0;
+        while (common < sourcePath.length - 1 && common < toPath.length - 1 && sourcePath[common] == toPath[common]) {
+            common++;
+        }
+        // active states outside of the common ancestor (in other parallel regions) are unaffected
+        var leaves = this._leaves();
+        var inside = function (leaf) { return common == 0 || _this._path(leaf)[common - 1] == toPath[common - 1]; };
+        var exitedLeaves = leaves.filter(inside);
+        var enteredLeaves = this._entered(toPath, common);
+        var active = leaves.filter(function (leaf) { return !inside(leaf); });
+        active.splice.apply(active, [exitedLeaves.length > 0 ? leaves.indexOf(exitedLeaves[0]) : active.length, 0].concat(enteredLeaves));
+        var target = active.join(FiniteStateMachine.REGION_SEPARATOR);
+        // states are exited innermost first and entered outermost first, in the order of their regions
+        var below = function (states) {
+            var result = new Array();
+            states.forEach(function (leaf) {
+                _this._path(leaf).slice(common).forEach(function (state) {
+                    if (result.indexOf(state) == -1) {
+                        result.push(state);
+                    }
+                });
+            });
+            return result;
+        };
+        var exited = below(exitedLeaves).reverse();
+        var entered = below(enteredLeaves);
+        var transition = {
+            from: from,
+            to: target,
+            data: data ? data : null,
+            contextBefore: this._copyContext(),
+            contextAfter: FiniteStateMachine._clone(context)
+        };
+        if (status !== undefined) {
+            transition.status = status;
+        }
+        transition.exited = exited;
+        transition.entered = entered;
+        var transitionActions = this._def.transitionActions.get(origin);
+        // resolve every action before running any of them
+        var exit = new Array();
+        var enter = new Array();
+        var trans = this._resolve(actions.concat(transitionActions !== undefined ? transitionActions.get(to) || [] : []));
+        exited.forEach(function (state) { exit = exit.concat(_this._resolve(_this._def.exitActions.get(state))); });
+        entered.forEach(function (state) { enter = enter.concat(_this._resolve(_this._def.entryActions.get(state))); });
+        this._disarm(exited);
+        exit.forEach(function (action) { action(transition, input); });
+        trans.forEach(function (action) { action(transition, input); });
+        this._curState = target;
+        this._context = FiniteStateMachine._clone(context);
+        enter.forEach(function (action) { action(transition, input); });
+        this._arm(entered);
+        this._subject.next(transition);
+        this._publish();
+        if (this._def.finalStates && this._leaves().every(function (state) { return _this._def.finalStates.hasOwnProperty(state); })) {
+            // output is computed by the last final state entered that has output
+            var withOutput = enteredLeaves.filter(function (state) { return _this._def.outputs.has(state); });
+            this._done = true;
+            this._output = withOutput.length > 0
+                ? this._def.outputs.get(withOutput[withOutput.length - 1])(data ? data : input, this._copyContext())
+                : undefined;
+            this._subject.next({
+                from: this._curState,
+                to: this._curState,
+                data: this._output,
+                status: FiniteStateMachine.DONE,
+                contextBefore: this._copyContext(),
+                contextAfter: this._copyContext()
+            });
+            this._disarm();
+            this._subject.complete();
+        }
+    };
+    /**
+     * Begin processing an input, which may end before any transition is selected
+     *
+     * @param input Input data
+     *
+     * @param {string} initialState Optional initial state
+     *
+     * @returns {IStateOutput | null} Output with a status if processing ends because the machine is done or rejected, or
+     * the input is not a symbol in the alphabet (strict mode); otherwise, null
+     */
+    FiniteStateMachine.prototype._begin = function (input, initialState) {
+        if (this._done) {
+            return {
+                to: this._curState,
+                data: input,
+                status: FiniteStateMachine.TERMINATED
+            };
+        }
+        if (initialState !== undefined && initialState != '') {
+            this._curState = this._enter(initialState);
+            this._rearm();
+            this._publish();
+        }
+        // there is no way out of a trap state other than an explicit initial state or clearing the machine
+        if (this.isRejected) {
+            this._subject.next({
+                from: this._curState,
+                to: this._curState,
+                data: null,
+                status: FiniteStateMachine.REJECTED,
+                contextBefore: this._copyContext(),
+                contextAfter: this._copyContext()
+            });
+            return {
+                to: this._curState,
+                data: input,
+                status: FiniteStateMachine.REJECTED
+            };
+        }
+        if (this._def.strict) {
+            var symbol = FiniteStateMachine._symbolOf(this._def, input);
+            if (symbol == null || this._def.alphabet == null || this._def.alphabet.indexOf(symbol) == -1) {
+                if (this._def.errorState != null) {
+                    this._transition(this._def.errorState, null, input, [], this._context, FiniteStateMachine.INVALID_SYMBOL);
+                }
+                else {
+                    this._subject.next({
+                        from: this._curState,
+                        to: this._curState,
+                        data: null,
+                        status: FiniteStateMachine.INVALID_SYMBOL,
+                        contextBefore: this._copyContext(),
+                        contextAfter: this._copyContext()
+                    });
+                }
+                return {
+                    to: this._curState,
+                    data: input,
+                    status: FiniteStateMachine.INVALID_SYMBOL
+                };
+            }
+        }
+        return null;
+    };
+    /**
+     * Apply the output of a selected transition
+     *
+     * @param {ISelectedTransition} selected Selected transition
+     *
+     * @param {IStateOutput} toState Output of the transition function
+     *
+     * @param input Input data
+     *
+     * @returns {IStateOutput} Output of the transition
+     */
+    FiniteStateMachine.prototype._apply = function (selected, toState, input) {
+        // a list of states is only meaningful to a nondeterministic machine
+        if (Object.prototype.toString.call(toState.to) == '[object Array]') {
+            throw new Error('[FSM] The transition from state ' + selected.source + ' returned a list of states, which requires a NondeterministicMachine');
+        }
+        var actions = toState.actions !== undefined && toState.actions != null
+            ? selected.actions.concat(toState.actions)
+            : selected.actions;
+        // context updates replace properties of the current context
+        var context = toState.context !== undefined && toState.context != null
+            ? Object.assign({}, this._context, toState.context)
+            : this._context;
+        // transition to that state and notify observers
+        this._transition(toState.to, toState.data, input, actions, context, undefined, selected.source);
+        return { to: this._curState, data: toState.data ? toState.data : input };
+    };
+    /**
+     * Process the next queued input to {nextAsync()}, if any
+     */
+    FiniteStateMachine.prototype._dequeue = function () {
+        var _this = this;
+        this._pending = null;
+        var item = this._queue.shift();
+        if (item === undefined) {
+            return;
+        }
+        var pending = { item: item, subscription: null, cancelled: false, applied: false };
+        this._pending = pending;
+        // the input is recorded when it is processed, unless the transition fails, is cancelled or the journal restarts
+        var journal = this._journal;
+        var before = journal != null ? this._capture() : null;
+        var entry = {
+            input: FiniteStateMachine._clone(item.input),
+            from: this._curState,
+            to: this._curState,
+            timestamp: this._scheduler.now(),
+            async: true
+        };
+        if (item.initialState !== undefined && item.initialState != '') {
+            entry.initialState = item.initialState;
+        }
+        // the pending transition ends at most once; a cancelled transition has already ended
+        var end = function (settle) {
+            if (!pending.cancelled) {
+                pending.cancelled = true;
+                settle();
+                _this._dequeue();
+            }
+        };
+        var fail = function (error) { return end(function () {
+            _this._interrupted(pending);
+            item.reject(error);
+        }); };
+        var done = function (result) { return end(function () {
+            if (journal != null && _this._journal === journal) {
+                _this._record(entry, result, before);
+            }
+            item.resolve(result);
+        }); };
+        var selected;
+        try {
+            var status_1 = this._begin(item.input, item.initialState);
+            if (status_1 != null) {
+                done(status_1);
+                return;
+            }
+            selected = this._select(item.input);
+        }
+        catch (e) {
+            fail(e);
+            return;
+        }
+        // selected transitions (one per parallel region) resolve in order and are applied together once all of them have
+        // resolved, so a transition that fails or is cancelled leaves the machine (and its observers) as they were
+        var outputs = new Array();
+        var apply = function () {
+            var output = null;
+            try {
+                selected.forEach(function (transition, i) {
+                    var toState = outputs[i];
+                    // an earlier transition (in another region) or a timed transition may have exited the source or completed
+                    // the machine
+                    if (toState !== undefined && toState != null && !_this._done && _this._isActive(transition.source)) {
+                        var applied = _this._apply(transition, toState, item.input);
+                        output = output || applied;
+                        pending.applied = true;
+                    }
+                });
+            }
+            catch (e) {
+                fail(e);
+                return;
+            }
+            if (output != null) {
+                output.to = _this._curState;
+            }
+            done(output);
+        };
+        var step = function (i) {
+            // a timed transition may have exited a source (or completed the machine) while an earlier transition was in flight
+            while (i < selected.length && (_this._done || !_this._isActive(selected[i].source))) {
+                i++;
+            }
+            if (i >= selected.length) {
+                apply();
+                return;
+            }
+            var transition = selected[i];
+            var resolved = function (toState) {
+                if (!pending.cancelled) {
+                    outputs[i] = toState;
+                    step(i + 1);
+                }
+            };
+            var result;
+            try {
+                result = transition.transition(item.input, _this._curState, _this._copyContext());
+            }
+            catch (e) {
+                fail(e);
+                return;
+            }
+            if (result != null && typeof result.subscribe == 'function' && typeof result.then != 'function') {
+                // only the first value is the output
+                var settled_1 = false;
+                var subscription_1 = null;
+                subscription_1 = result.subscribe(function (toState) {
+                    if (!settled_1) {
+                        settled_1 = true;
+                        if (subscription_1 != null) {
+                            subscription_1.unsubscribe();
+                        }
+                        resolved(toState);
+                    }
+                }, function (error) {
+                    settled_1 = true;
+                    fail(error);
+                }, function () {
+                    if (!settled_1) {
+                        settled_1 = true;
+                        resolved(null);
+                    }
+                });
+                // a synchronous Observable may already have settled (and a later transition may be in flight)
+                if (settled_1) {
+                    subscription_1.unsubscribe();
+                }
+                else {
+                    pending.subscription = subscription_1;
+                }
+            }
+            else if (result != null && typeof result.then == 'function') {
+                result.then(function (toState) { resolved(toState); }, function (error) { fail(error); });
+            }
+            else {
+                resolved(result);
+            }
+        };
+        step(0);
+    };
+    /**
+     * Subscribe an observer to (a filtered view of) the transitions of this machine
+     *
+     * @param {Observable<IStateTransition>} transitions Transitions to observe
+     *
+     * @param {transitionObserver} observer Observer or function
+     *
+     * @returns {Subscription | null} The subscription, which is removed from this machine when it is unsubscribed, or null
+     * if there is no observer
+     */
+    FiniteStateMachine.prototype._observe = function (transitions, observer) {
+        var _this = this;
+        if (observer === undefined || observer == null) {
+            return null;
+        }
+        var subscription = transitions.subscribe(observer);
+        this._subscriptions.push(subscription);
+        subscription.add(function () {
+            var index = _this._subscriptions.indexOf(subscription);
+            if (index != -1) {
+                _this._subscriptions.splice(index, 1);
+            }
+        });
+        return subscription;
+    };
+    /**
+     * Throw an Error if the definition of this machine is frozen
+     */
+    FiniteStateMachine.prototype._assertMutable = function () {
+        if (Object.isFrozen(this._def)) {
+            throw new Error('[FSM] The definition of this machine is frozen and may not be altered');
+        }
+    };
+    /**
+     * Emit the current state to observers of {state$} if it has changed
+     */
+    FiniteStateMachine.prototype._publish = function () {
+        if (this._state.getValue() != this._curState) {
+            this._state.next(this._curState);
+        }
+    };
+    /**
+     * Arm the timed transitions of states that are entered
+     *
+     * @param {Array<string>} states Names of the states
+     */
+    FiniteStateMachine.prototype._arm = function (states) {
+        var _this = this;
+        states.forEach(function (state) {
+            var after = _this._def.delayed.get(state);
+            if (after === undefined || (_this._def.rejectionStates && _this._def.rejectionStates.hasOwnProperty(state))) {
+                return;
+            }
+            after.forEach(function (delayed, index) { _this._schedule(state, index, delayed.ms); });
+        });
+    };
+    /**
+     * Schedule a timed transition
+     *
+     * @param {string} state Name of the state that defines the transition
+     *
+     * @param {number} index Index of the transition among the timed transitions of the state
+     *
+     * @param {number} ms Delay in milliseconds
+     */
+    FiniteStateMachine.prototype._schedule = function (state, index, ms) {
+        var _this = this;
+        var timers = this._timers.get(state) || new Array();
+        timers.push({
+            index: index,
+            due: this._scheduler.now() + ms,
+            subscription: this._scheduler.schedule(function () { _this._timeout(state, index); }, ms)
+        });
+        this._timers.set(state, timers);
+    };
+    /**
+     * Cancel the timed transitions of states that are exited
+     *
+     * @param {Array<string>} states Names of the states (default is every state with armed transitions)
+     */
+    FiniteStateMachine.prototype._disarm = function (states) {
+        var _this = this;
+        var names = new Array();
+        if (states !== undefined) {
+            states.forEach(function (state) { names.push(state); });
+        }
+        else {
+            this._timers.forEach(function (timers, state) { names.push(state); });
+        }
+        names.forEach(function (state) {
+            var timers = _this._timers.get(state);
+            if (timers !== undefined) {
+                _this._timers.delete(state);
+                timers.forEach(function (timer) { timer.subscription.unsubscribe(); });
+            }
+        });
+    };
+    /**
+     * Cancel every armed timed transition and arm those of every active state, after the current state is assigned
+     * other than by a transition
+     */
+    FiniteStateMachine.prototype._rearm = function () {
+        var _this = this;
+        this._disarm();
+        if (this._curState == FiniteStateMachine.NO_STATE || this._done) {
+            return;
+        }
+        var active = new Array();
+        this._leaves().forEach(function (leaf) {
+            _this._path(leaf).forEach(function (state) {
+                if (active.indexOf(state) == -1) {
+                    active.push(state);
+                }
+            });
+        });
+        this._arm(active.filter(function (state) { return _this._def.states.has(state); }));
+    };
+    /**
+     * Take a timed transition that has fired and record it in the journal.  There is no caller to throw to, so an Error
+     * (i.e. from an action) is emitted by {error$}.
+     *
+     * @param {string} state Name of the state that defines the transition
+     *
+     * @param {number} index Index of the transition among the timed transitions of the state
+     */
+    FiniteStateMachine.prototype._timeout = function (state, index) {
+        try {
+            if (this._journal == null) {
+                this._fire(state, index);
+                return;
+            }
+            var before_1 = this._capture();
+            var entry = { timer: { state: state, index: index }, from: this._curState, to: this._curState, timestamp: this._scheduler.now() };
+            var output = this._fire(state, index);
+            if (output != null) {
+                this._record(entry, output, before_1);
+            }
+        }
+        catch (e) {
+            this._errors.next(e);
+        }
+    };
+    /**
+     * Take a timed transition
+     *
+     * @param {string} state Name of the state that defines the transition
+     *
+     * @param {number} index Index of the transition among the timed transitions of the state
+     *
+     * @returns {IStateOutput | null} Output of the transition or null if the state is not active (or the machine is done)
+     */
+    FiniteStateMachine.prototype._fire = function (state, index) {
+        var delayed = this._def.delayed.get(state)[index];
+        if (this._done || !this._isActive(state)) {
+            return null;
+        }
+        var data = FiniteStateMachine._clone(delayed.data);
+        this._transition(delayed.to, data, undefined, [], this._context, undefined, state);
+        return { to: this._curState, data: data };
+    };
+    /**
+     * Restart the journal after an asynchronous transition fails or is cancelled once the transitions of some parallel
+     * regions have been applied (i.e. an action of a later region threw), since the journal can not reproduce that outcome
+     *
+     * @param {IPendingTransition} pending Transition that failed or was cancelled
+     */
+    FiniteStateMachine.prototype._interrupted = function (pending) {
+        if (pending.applied && this._journal != null) {
+            this._startJournal();
+        }
+    };
+    /**
+     * Output for a cancelled input
+     *
+     * @param {IQueuedInput} item Input to {nextAsync()}
+     *
+     * @returns {IStateOutput}
+     */
+    FiniteStateMachine.prototype._cancelled = function (item) {
+        return {
+            to: this._curState,
+            data: item.input,
+            status: FiniteStateMachine.CANCELLED
+        };
+    };
+    /**
+     * Access whether or not the output of a transition function is asynchronous
+     *
+     * @param {any} output Output of a transition function
+     *
+     * @returns {boolean} True if the output is a Promise or Observable
+     */
+    FiniteStateMachine._isAsync = function (output) {
+        return output != null && (typeof output.then == 'function' || typeof output.subscribe == 'function');
+    };
+    /**
+     * Restart a machine that is done with a new subject, since observers of the prior subject have been completed
+     */
+    FiniteStateMachine.prototype._restart = function () {
+        if (this._done) {
+            this._subscriptions.length = 0;
+            this._subject = new Subject_1.Subject();
+        }
+        this._done = false;
+        this._output = undefined;
+    };
+    /**
+     * Compile the output of a final state that is defined in data
+     *
+     * @param {string | Object} output Expression or Object whose property values are expressions
+     *
+     * @param {string} state Name of the final state
+     *
+     * @returns {finalOutput}
+     */
+    FiniteStateMachine.prototype._compileOutput = function (output, state) {
+        var scope = function (data, context) { return ({ data: data, state: state, context: context }); };
+        if (typeof output == 'string') {
+            var expr_1 = new Expression_1.Expression(output, FiniteStateMachine.SCOPE);
+            return function (data, context) { return expr_1.evaluate(scope(data, context)); };
+        }
+        var exprs = {};
+        Object.keys(output).forEach(function (key) { exprs[key] = new Expression_1.Expression(output[key], FiniteStateMachine.SCOPE); });
+        return function (data, context) {
+            var result = {};
+            Object.keys(exprs).forEach(function (key) { result[key] = exprs[key].evaluate(scope(data, context)); });
+            return result;
+        };
+    };
+    /**
+     * Access whether or not the output of a final state in data is a valid expression or Object whose property values are
+     * valid expressions
+     *
+     * @param {any} output Output of a final state
+     *
+     * @returns {boolean}
+     */
+    FiniteStateMachine._isOutput = function (output) {
+        if (output == null || (typeof output != 'string' && Object.prototype.toString.call(output) != '[object Object]')) {
+            return false;
+        }
+        var sources = typeof output == 'string' ? [output] : Object.keys(output).map(function (key) { return output[key]; });
+        return sources.every(function (source) { return typeof source == 'string' && (new Expression_1.Expression(source, FiniteStateMachine.SCOPE)).isValid; });
+    };
+    /**
+     * Copy the current context for use by a transition function, guard, output or notification, none of which may alter
+     * the machine's context
+     *
+     * @returns {Object} Deep copy of the context (as it would be serialized)
+     */
+    FiniteStateMachine.prototype._copyContext = function () {
+        return FiniteStateMachine._clone(this._context);
+    };
+    /**
+     * Resolve a list of actions into functions
+     *
+     * @param {Array<stateAction | string>} actions Actions as functions or names in the action registry
+     *
+     * @returns {Array<stateAction>} An Error is thrown if an action name is not defined
+     */
+    FiniteStateMachine.prototype._resolve = function (actions) {
+        var _this = this;
+        if (actions === undefined || actions == null) {
+            return [];
+        }
+        return actions.map(function (action) {
+            if (typeof action != 'string') {
+                return action;
+            }
+            if (!_this._def.actions.has(action)) {
+                throw new Error('[FSM] Undefined action: ' + action);
+            }
+            return _this._def.actions.get(action);
+        });
+    };
+    /**
+     * Collect the states in an Object definition, including child states, in the order they are defined
+     *
+     * @param {any} states States in an Object definition
+     *
+     * @param {string | null} parent Path of the parent of the states (null for top-level states)
+     *
+     * @returns {Array<IStateEntry>} Each state is followed by its descendants.  The path of a state that has no valid name
+     * is null.
+     */
+    FiniteStateMachine._collect = function (states, parent) {
+        var entries = new Array();
+        if (Object.prototype.toString.call(states) != '[object Array]') {
+            return entries;
+        }
+        states.forEach(function (state) {
+            var named = state !== undefined && state != null && typeof state == 'object' &&
+                typeof state['name'] == 'string' && state['name'] != '';
+            var path = named ? (parent != null ? parent + FiniteStateMachine.PATH_SEPARATOR + state['name'] : state['name']) : null;
+            entries.push({ state: state, path: path, parent: parent });
+            if (path != null) {
+                entries = entries.concat(FiniteStateMachine._collect(state['states'], path));
+            }
+        });
+        return entries;
+    };
+    /**
+     * Convert an action, action name, or list of either to a list
+     *
+     * @param {actionList} action
+     *
+     * @returns {Array<stateAction | string>}
+     */
+    FiniteStateMachine._toActions = function (action) {
+        return Object.prototype.toString.call(action) == '[object Array]' ? action.slice() : [action];
+    };
+    /**
+     * Check a declarative transition table for structural errors and invalid expressions
+     *
+     * @param {ITransitionTable} table Transition table
+     *
+     * @param {Map<string, guardFunction>} guards Named guards available to the table or null if the names of guards are
+     * not known, in which case any guard that is a plain identifier is presumed to name a guard
+     *
+     * @returns {Array<IDecisionTreeAction>} Every error in the table; the 'node' property is the offending row, if any
+     */
+    FiniteStateMachine._tableErrors = function (table, guards) {
+        var errors = new Array();
+        if (table === undefined || table == null || Object.prototype.toString.call(table.transitions) != '[object Array]') {
+            errors.push({ success: false, action: FiniteStateMachine.INVALID_DATA });
+            return errors;
+        }
+        var isGuard = function (name) {
+            return guards != null ? guards.has(name) : /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) && FiniteStateMachine.SCOPE.indexOf(name) == -1;
+        };
+        table.transitions.forEach(function (row) {
+            if (row === undefined || row == null || row.on === null || row.to === undefined ||
+                (row.data !== undefined && row.output !== undefined)) {
+                errors.push({ success: false, action: FiniteStateMachine.INVALID_DATA, node: row });
+                return;
+            }
+            var sources = new Array();
+            if (row.guard !== undefined && !isGuard(row.guard)) {
+                sources.push(row.guard);
+            }
+            if (row.output !== undefined && row.output != null) {
+                if (typeof row.output == 'string') {
+                    sources.push(row.output);
+                }
+                else {
+                    Object.keys(row.output).forEach(function (key) { sources.push(row.output[key]); });
+                }
+            }
+            if (row.context !== undefined) {
+                if (Object.prototype.toString.call(row.context) != '[object Object]') {
+                    errors.push({ success: false, action: FiniteStateMachine.INVALID_DATA, node: row });
+                    return;
+                }
+                Object.keys(row.context).forEach(function (key) { sources.push(row.context[key]); });
+            }
+            if (sources.some(function (source) { return typeof source != 'string' || !(new Expression_1.Expression(source, FiniteStateMachine.SCOPE)).isValid; })) {
+                errors.push({ success: false, action: FiniteStateMachine.INVALID_EXPRESSION, node: row });
+            }
+        });
+        return errors;
+    };
+    /**
+     * Compile a declarative transition table into a transition function (without evaluating any code)
+     *
+     * @param {ITransitionTable} table Transition table (presumed to be valid)
+     *
+     * @returns {transFunction}
+     */
+    FiniteStateMachine.prototype._compileTable = function (table) {
+        // the function belongs to this definition, which may be shared with (and outlive its use by) this machine
+        var def = this._def;
+        // parse expressions once; a guard name refers to a guard in this machine before it is considered an expression
+        var rows = table.transitions.map(function (row) {
+            var guard = null;
+            var output = null;
+            var context = null;
+            var scope = function (data, state, context) { return ({ data: data, state: state, context: context }); };
+            // an Object whose property values are expressions
+            var evaluator = function (source) {
+                var exprs = {};
+                Object.keys(source).forEach(function (key) { exprs[key] = new Expression_1.Expression(source[key], FiniteStateMachine.SCOPE); });
+                return function (data, state, context) {
+                    var result = {};
+                    Object.keys(exprs).forEach(function (key) { result[key] = exprs[key].evaluate(scope(data, state, context)); });
+                    return result;
+                };
+            };
+            if (row.guard !== undefined) {
+                if (def.guards.has(row.guard)) {
+                    guard = def.guards.get(row.guard);
+                }
+                else {
+                    var expr_2 = new Expression_1.Expression(row.guard, FiniteStateMachine.SCOPE);
+                    guard = function (data, state, context) { return !!expr_2.evaluate(scope(data, state, context)); };
+                }
+            }
+            if (typeof row.output == 'string') {
+                var expr_3 = new Expression_1.Expression(row.output, FiniteStateMachine.SCOPE);
+                output = function (data, state, context) { return expr_3.evaluate(scope(data, state, context)); };
+            }
+            else if (row.output !== undefined && row.output != null) {
+                output = evaluator(row.output);
+            }
+            if (row.context !== undefined && row.context != null) {
+                context = evaluator(row.context);
+            }
+            return {
+                on: row.on === undefined ? null : (Object.prototype.toString.call(row.on) == '[object Array]' ? row.on : [row.on]),
+                to: row.to,
+                data: row.data,
+                guard: guard,
+                output: output,
+                context: context,
+                actions: row.action !== undefined ? FiniteStateMachine._toActions(row.action) : null
+            };
+        });
+        return function (data, state, context) {
+            var symbol = FiniteStateMachine._symbolOf(def, data);
+            var n = rows.length;
+            var i;
+            var row;
+            for (i = 0; i < n; ++i) {
+                row = rows[i];
+                if ((row.on == null || (symbol != null && row.on.indexOf(symbol) != -1)) && (row.guard == null || row.guard(data, state, context))) {
+                    var result = { to: row.to };
+                    if (row.output != null) {
+                        result.data = row.output(data, state, context);
+                    }
+                    else if (row.data !== undefined) {
+                        result.data = JSON.parse(JSON.stringify(row.data));
+                    }
+                    if (row.context != null) {
+                        result.context = row.context(data, state, context);
+                    }
+                    if (row.actions != null) {
+                        result.actions = row.actions;
+                    }
+                    return result;
+                }
+            }
+            return table.otherwise !== undefined && table.otherwise != null ? { to: table.otherwise } : null;
+        };
+    };
+    /**
+     * Convert input data to an alphabet symbol for matching against the alphabet or a transition table
+     *
+     * @param {IMachineDefinition} def Definition whose classifier (if any) assigns the symbol
+     *
+     * @param input Input data
+     *
+     * @returns {string | null} The symbol assigned by the classifier, if any.  Otherwise, primitive input is matched by
+     * its string value and there is no symbol for other input.
+     */
+    FiniteStateMachine._symbolOf = function (def, input) {
+        if (def.classifier != null) {
+            var symbol = def.classifier(input);
+            return symbol !== undefined && symbol != null ? String(symbol) : null;
+        }
+        var type = typeof input;
+        return type == 'string' || type == 'number' || type == 'boolean' ? String(input) : null;
     };
     FiniteStateMachine.NO_STATE = '[FSM] NO_STATE';
     FiniteStateMachine.NO_DATA = '[FSM] NO_DATA';
     FiniteStateMachine.VALID = '[FSM] DATA_VALID';
     FiniteStateMachine.MISSING_PROPS = '[FSM] MISSING_PROPS';
     FiniteStateMachine.INVALID_DATA = '[FSM] INVALID_DATA';
+    FiniteStateMachine.REJECTED = '[FSM] REJECTED';
+    FiniteStateMachine.INVALID_SYMBOL = '[FSM] INVALID_SYMBOL';
+    FiniteStateMachine.DONE = '[FSM] DONE';
+    FiniteStateMachine.TERMINATED = '[FSM] TERMINATED';
+    FiniteStateMachine.CANCELLED = '[FSM] CANCELLED';
+    // policies for resolving more than one guarded transition that matches an input
+    FiniteStateMachine.FIRST_MATCH = '[FSM] FIRST_MATCH';
+    FiniteStateMachine.THROW_ON_CONFLICT = '[FSM] THROW_ON_CONFLICT';
+    FiniteStateMachine.INVALID_EXPRESSION = '[FSM] INVALID_EXPRESSION';
+    FiniteStateMachine.INVALID_TRANSITION = '[FSM] INVALID_TRANSITION';
+    FiniteStateMachine.INVALID_TARGET = '[FSM] INVALID_TARGET';
+    FiniteStateMachine.INVALID_INITIAL_STATE = '[FSM] INVALID_INITIAL_STATE';
+    FiniteStateMachine.INVALID_ACTION = '[FSM] INVALID_ACTION';
+    FiniteStateMachine.DUPLICATE_STATE = '[FSM] DUPLICATE_STATE';
+    FiniteStateMachine.INVALID_STATE = '[FSM] INVALID_STATE';
+    FiniteStateMachine.DIVERGED = '[FSM] DIVERGED';
+    // separates the names of states in the path of a child state, i.e. 'checkout.payment.cardEntry'
+    FiniteStateMachine.PATH_SEPARATOR = '.';
+    // separates the active states of parallel regions in a composite state, i.e. 'screen.online,screen.valid'
+    FiniteStateMachine.REGION_SEPARATOR = ',';
+    // policies for acceptance of a machine with more than one active state (in parallel regions)
+    FiniteStateMachine.ALL_REGIONS = '[FSM] ALL_REGIONS';
+    FiniteStateMachine.ANY_REGION = '[FSM] ANY_REGION';
+    // identifiers available to guard, output and context expressions in transition tables
+    FiniteStateMachine.SCOPE = ['data', 'state', 'context'];
     return FiniteStateMachine;
 }());
 exports.FiniteStateMachine = FiniteStateMachine;
@@ -14,9 +14,21 @@
  * limitations under the License.
  */
 
-import { Subject      } from "rxjs/Subject";
-import { Observer     } from "rxjs/Observer";
-import { Subscription } from "rxjs/Subscription";
+import { Subject         } from "rxjs/Subject";
+import { BehaviorSubject } from "rxjs/BehaviorSubject";
+import { Observer        } from "rxjs/Observer";
+import { Observable      } from "rxjs/Observable";
+import { Subscription    } from "rxjs/Subscription";
+import { filter          } from "rxjs/operators/filter";
+import { IScheduler      } from "rxjs/Scheduler";
+import { async           } from "rxjs/scheduler/async";
+
+import { Expression              } from "./Expression";
+import { Regex                   } from "./Regex";
+import { SchemaValidator,
+         ISchemaError            } from "./SchemaValidator";
+import { FSM_DEFINITION_SCHEMA   } from "./FsmDefinitionSchema";
+import { NondeterministicMachine } from "./NondeterministicMachine";
 
 // this is normally part of the Decision Tree library, but has been ripped out to make this distribution standalone
 export interface IDecisionTreeAction
@@ -26,10 +38,14 @@ export interface IDecisionTreeAction
   node?: Object;                    // reference to the data Object in which an error was detected
 
   action: string;                   // action to take
+
+  errors?: Array<IDecisionTreeAction>;  // every error detected when more than one error may be reported
 }
 
 /**
- * A state transition must have a 'from' and 'to' (named) state and may contain optional Object data
+ * A state transition must have a 'from' and 'to' (named) state and may contain optional Object data.  The machine's
+ * extended state (context) before and after the transition is also provided, along with the states that are exited
+ * (innermost first) and entered (outermost first) by a transition.
  */
 export interface IStateTransition
 {
@@ -38,26 +54,431 @@ export interface IStateTransition
   to: string;
 
   data?: Object;
+
+  status?: string;                  // optional status code for a notification that is not an ordinary transition
+
+  contextBefore?: Object;           // context of the machine before the transition
+
+  contextAfter?: Object;            // context of the machine after the transition
+
+  exited?: Array<string>;           // states exited by the transition (not provided for other notifications)
+
+  entered?: Array<string>;          // states entered by the transition (not provided for other notifications)
 }
 
 /**
- * Output from a state transition is the 'to' state and optional data obtained from the transition function
+ * An observer of transitions may be an {Observer} or a function that receives each transition
+ */
+export type transitionObserver = Observer<IStateTransition> | ((transition: IStateTransition) => void);
+
+/**
+ * Output from a state transition is the 'to' state and optional data obtained from the transition function.  The
+ * optional 'context' contains updates to the machine's context; its properties replace those of the current context.
  */
 export interface IStateOutput
 {
   to: string;
 
   data?: any;
+
+  status?: string;                  // optional status code when the machine did not perform an ordinary transition
+
+  context?: Object;                 // optional updates to the machine's context
+
+  actions?: Array<string>;          // optional names of (registered) actions to run on this transition
+}
+
+/**
+ * An action is a side effect of a state change.  It is called with the transition (as sent to observers) and the
+ * input that caused the transition.
+ */
+export interface stateAction
+{
+  (transition: IStateTransition, input?: any): void;
+}
+
+/**
+ * Actions may be provided as functions or as the names of actions added to a machine with {addAction()}
+ */
+export type actionList = stateAction | string | Array<stateAction | string>;
+
+/**
+ * The output of a machine that reaches a final state is computed from the data of the last transition (the output
+ * data of the transition function or, if none, the input) and the machine's context
+ */
+export interface finalOutput
+{
+  (data: any, context?: Object): any;
+}
+
+/**
+ * Options that may be applied to a state when it is added to a machine.  An acceptance state indicates acceptance of
+ * some criteria after processing input.  A rejection (trap) state may never be exited through {next()}.  Entering a
+ * final state completes the machine, with optional output.  Entry and
+ * exit actions are run when the machine enters or exits the state.  A state with a 'parent' is a child of that
+ * (compound) state and is identified by its path, i.e. 'checkout.payment'.  The 'initial' child of a compound state is
+ * entered whenever the compound state is entered (by default, the first child added).  The children of a 'parallel'
+ * state are regions that are all active whenever the parallel state is active.  Timed ('after') transitions are armed
+ * whenever the state is entered and cancelled when it is exited; they are not armed for a rejection state.
+ */
+export interface IStateOptions
+{
+  acceptance?: boolean;
+
+  rejection?: boolean;
+
+  onEnter?: actionList;
+
+  onExit?: actionList;
+
+  parent?: string;
+
+  initial?: string;
+
+  parallel?: boolean;
+
+  final?: boolean;
+
+  output?: finalOutput;
+
+  after?: IDelayedTransition | Array<IDelayedTransition>;
+}
+
+/**
+ * A timed transition to the state 'to' that is taken 'ms' milliseconds after its state is entered, unless the state
+ * is exited first.  The optional 'data' is the data of the transition.
+ */
+export interface IDelayedTransition
+{
+  ms: number;
+
+  to: string;
+
+  data?: any;
 }
 
 /**
  * The transition function is Mealy-style, that is a transition to a new state is based on prior state and
  * input data.  Since state is optional in this interface, pass the state name as data and a Moore-style
- * machine can be implemented.
+ * machine can be implemented.  The function also receives a copy of the machine's context (extended state).
  */
 export interface transFunction
 {
-  (data: any, state?: string): IStateOutput;
+  (data: any, state?: string, context?: Object): IStateOutput;
+}
+
+/**
+ * An asynchronous transition function resolves the next transition later, i.e. after a service call.  It may also
+ * return its output synchronously.  Asynchronous transitions are processed by {nextAsync()}.  The first value emitted
+ * by an Observable is the output; an Observable that completes without a value declines to transition.
+ */
+export interface asyncTransFunction
+{
+  (data: any, state?: string, context?: Object): IStateOutput | Promise<IStateOutput> | Observable<IStateOutput>;
+}
+
+/**
+ * A classifier maps (possibly non-primitive) input data to a symbol in the machine's alphabet
+ */
+export interface symbolClassifier
+{
+  (data: any): string | null;
+}
+
+/**
+ * A guard is a named predicate that may be referenced by rows in a declarative transition table
+ */
+export interface guardFunction
+{
+  (data: any, state?: string, context?: Object): boolean;
+}
+
+/**
+ * Options for one of (possibly) many transitions from a state.  The transition is selected when the input symbol
+ * matches 'on' (or any symbol in 'on'; a transition without 'on' matches any input) and the optional guard is
+ * satisfied.  Transitions from a state are evaluated in order of decreasing priority (default 0), and in the order
+ * they were added for equal priority.
+ */
+export interface ITransitionOptions
+{
+  on?: string | Array<string>;
+
+  guard?: guardFunction;
+
+  priority?: number;
+
+  action?: actionList;
+}
+
+// one of many (guarded) transitions from a state
+interface IGuardedTransition
+{
+  on: Array<string> | null;
+
+  guard: guardFunction | null;
+
+  priority: number;
+
+  transition: transFunction;
+
+  actions: Array<stateAction | string>;
+}
+
+// a transition function selected for input along with the actions that accompany it and the state that defines it
+interface ISelectedTransition
+{
+  transition: transFunction;
+
+  actions: Array<stateAction | string>;
+
+  source: string;
+}
+
+// an input to {nextAsync()} that waits for prior inputs to be processed
+interface IQueuedInput
+{
+  input: any;
+
+  initialState: string | undefined;
+
+  resolve: (output: IStateOutput | null) => void;
+
+  reject: (error: any) => void;
+}
+
+// an asynchronous transition in flight, which may be cancelled
+interface IPendingTransition
+{
+  item: IQueuedInput;
+
+  subscription: Subscription | null;
+
+  cancelled: boolean;
+
+  applied: boolean;
+}
+
+// a timed transition (by index among the timed transitions of its state) that is armed, with its due time
+interface IArmedTimer
+{
+  index: number;
+
+  due: number;
+
+  subscription: Subscription;
+}
+
+// the definition of a machine, which is frozen once it is compiled or shared with an instance
+interface IMachineDefinition
+{
+  states: Set<string>;                                              // state names (paths for child states)
+  parents: Map<string, string>;                                     // parent of each child state
+  initial: Map<string, string>;                                     // initial child of each compound state
+  parallel: Set<string>;                                            // states whose children are parallel regions
+  regionAcceptance: string;                                         // acceptance policy for parallel regions
+  transitions: Map<string, transFunction>;                          // collection of state transition functions
+  tables: Map<string, ITransitionTable>;                            // declarative source of transitions defined by table
+  sources: Map<string, string>;                                     // function-body source of transitions defined in data
+  guards: Map<string, guardFunction>;                               // named guards that may be referenced by tables
+
+  // (possibly) many guarded transitions from a state, in evaluation order, and the policy for resolving conflicts
+  guarded: Map<string, Array<IGuardedTransition>>;
+  conflictPolicy: string;
+
+  // side effects of state changes; actions may be functions or names in the action registry
+  actions: Map<string, stateAction>;
+  entryActions: Map<string, Array<stateAction | string>>;
+  exitActions: Map<string, Array<stateAction | string>>;
+  transitionActions: Map<string, Map<string, Array<stateAction | string>>>;
+
+  // optional hash of acceptance states; there are entire classes of machines for which this concept is not
+  // relevant, so this structure is created JIT
+  acceptanceStates: Object;
+
+  // optional hash of rejection (trap) states, also created JIT; the machine may never transition out of such a state
+  rejectionStates: Object;
+
+  // optional hash of final states, also created JIT, and the output of each (with its source, if defined in data)
+  finalStates: Object;
+  outputs: Map<string, finalOutput>;
+  outputSources: Map<string, string | Object>;
+
+  // timed transitions of each state
+  delayed: Map<string, Array<IDelayedTransition>>;
+
+  // these are relevant to machines defined with external Object data
+  initialState: string;
+  initialData: Object;
+  alphabet: Array<string>;
+
+  // optional enforcement of the alphabet in next()
+  strict: boolean;
+  errorState: string | null;
+  classifier: symbolClassifier | null;
+}
+
+// a state in an Object definition along with its path and the path of its parent (null for a top-level state)
+interface IStateEntry
+{
+  state: Object;
+
+  path: string | null;
+
+  parent: string | null;
+}
+
+// deterministic transition graph of the reachable states of a machine over its alphabet
+interface IDeterministicGraph
+{
+  initial: string;
+
+  states: Array<string>;
+
+  next: (state: string, symbol: string) => string;
+
+  accepts: (state: string) => boolean;
+}
+
+/**
+ * A serializable snapshot of the runtime state of a machine, which may be restored to a machine built from the same
+ * definition.  'isAcceptance' and 'isRejected' are provided for information and are not restored (they follow from the
+ * state).  Each armed timed transition is identified by its state and its index among the timed transitions of that
+ * state, along with the time remaining (ms) when the snapshot was taken.  The transition history ('history') is the
+ * journal of the machine, if it has any entries.
+ */
+export interface IMachineSnapshot
+{
+  name: string;
+
+  state: string;
+
+  context: Object;
+
+  isAcceptance: boolean;
+
+  isRejected: boolean;
+
+  done: boolean;
+
+  output?: any;
+
+  timers: Array<{state: string, index: number, remaining: number}>;
+
+  history?: IJournal;
+}
+
+/**
+ * One entry of a transition journal: an input to {next()} or {nextAsync()} (with the optional initial state, and
+ * 'async' set for the latter) or a timed transition that fired (identified by its state and its index among the timed
+ * transitions of that state), the states before and after, the output data and status, and the time (of the machine's
+ * scheduler) at which it was processed.
+ */
+export interface IJournalEntry
+{
+  input?: any;
+
+  initialState?: string;
+
+  async?: boolean;
+
+  timer?: {state: string, index: number};
+
+  from: string;
+
+  to: string;
+
+  data?: any;
+
+  status?: string;
+
+  timestamp: number;
+}
+
+/**
+ * A serializable journal of the transitions of a machine since the snapshot 'initial'
+ */
+export interface IJournal
+{
+  name: string;
+
+  initial: IMachineSnapshot;
+
+  entries: Array<IJournalEntry>;
+}
+
+/**
+ * Static analysis of a machine over its alphabet (see {FiniteStateMachine.analyze()}).  'transitions' is the explicit
+ * transition graph between (leaf) states; 'on' is null for a timed transition.  Each (state, symbol) pair without a
+ * defined outcome is 'missing', one with more than one matching guarded transition (of equal priority) is
+ * 'nondeterministic', and one whose outcome can not be determined (an asynchronous transition or one that throws) is
+ * 'opaque'.
+ */
+export interface IAnalysis
+{
+  initial: Array<string>;
+
+  transitions: Array<{from: string, on: string | null, to: string}>;
+
+  unreachable: Array<string>;
+
+  dead: Array<string>;
+
+  missing: Array<{state: string, on: string}>;
+
+  nondeterministic: Array<{state: string, on: string}>;
+
+  opaque: Array<{state: string, on: string}>;
+
+  acceptanceReachable: boolean;
+}
+
+/**
+ * A minimized machine (see {FiniteStateMachine.minimize()}) and the 'mapping' from each original state (without
+ * children) to the state into which it was merged (null for a state that is not reachable)
+ */
+export interface IMinimization
+{
+  machine: FiniteStateMachine;
+
+  mapping: Object;
+}
+
+/**
+ * One row of a declarative transition table.  The row is selected when the input symbol matches 'on' (or any symbol in
+ * 'on') and the optional guard is satisfied.  A row without 'on' matches any input, including non-primitive data.  The
+ * guard is the name of a guard added to the machine or an {Expression} in 'data', 'state' and 'context'.  Output data
+ * is constant ('data'), computed by {Expression} ('output' as a single expression or an Object whose property values
+ * are expressions), or the input if neither is provided.  The optional 'context' is an Object whose property values
+ * are expressions that compute updates to the machine's context.  The optional 'action' names actions (added to the
+ * machine) that are run when the row is selected.
+ */
+export interface ITransitionRow
+{
+  on?: string | Array<string>;
+
+  to: string;
+
+  data?: any;
+
+  guard?: string;
+
+  output?: string | Object;
+
+  context?: Object;
+
+  action?: string | Array<string>;
+}
+
+/**
+ * A declarative transition table is an alternative to a transition function.  Rows are tested in order and the
+ * optional 'otherwise' state is the target when no row matches.  Without an 'otherwise' state, an unmatched input
+ * causes no transition.
+ */
+export interface ITransitionTable
+{
+  transitions: Array<ITransitionRow>;
+
+  otherwise?: string;
 }
 
 
@@ -85,397 +506,4413 @@ export interface transFunction
  */
 export class FiniteStateMachine
 {
-  public static NO_STATE: string      = '[FSM] NO_STATE';
-  public static NO_DATA: string       = '[FSM] NO_DATA';
-  public static VALID: string         = '[FSM] DATA_VALID';
-  public static MISSING_PROPS: string = '[FSM] MISSING_PROPS';
-  public static INVALID_DATA: string  = '[FSM] INVALID_DATA';
+  public static NO_STATE: string       = '[FSM] NO_STATE';
+  public static NO_DATA: string        = '[FSM] NO_DATA';
+  public static VALID: string          = '[FSM] DATA_VALID';
+  public static MISSING_PROPS: string  = '[FSM] MISSING_PROPS';
+  public static INVALID_DATA: string   = '[FSM] INVALID_DATA';
+  public static REJECTED: string       = '[FSM] REJECTED';
+  public static INVALID_SYMBOL: string = '[FSM] INVALID_SYMBOL';
+  public static DONE: string           = '[FSM] DONE';
+  public static TERMINATED: string     = '[FSM] TERMINATED';
+  public static CANCELLED: string      = '[FSM] CANCELLED';
+
+  // policies for resolving more than one guarded transition that matches an input
+  public static FIRST_MATCH: string       = '[FSM] FIRST_MATCH';
+  public static THROW_ON_CONFLICT: string = '[FSM] THROW_ON_CONFLICT';
+
+  public static INVALID_EXPRESSION: string    = '[FSM] INVALID_EXPRESSION';
+  public static INVALID_TRANSITION: string    = '[FSM] INVALID_TRANSITION';
+  public static INVALID_TARGET: string        = '[FSM] INVALID_TARGET';
+  public static INVALID_INITIAL_STATE: string = '[FSM] INVALID_INITIAL_STATE';
+  public static INVALID_ACTION: string        = '[FSM] INVALID_ACTION';
+  public static DUPLICATE_STATE: string       = '[FSM] DUPLICATE_STATE';
+  public static INVALID_STATE: string         = '[FSM] INVALID_STATE';
+  public static DIVERGED: string              = '[FSM] DIVERGED';
+
+  // separates the names of states in the path of a child state, i.e. 'checkout.payment.cardEntry'
+  public static PATH_SEPARATOR: string = '.';
+
+  // separates the active states of parallel regions in a composite state, i.e. 'screen.online,screen.valid'
+  public static REGION_SEPARATOR: string = ',';
+
+  // policies for acceptance of a machine with more than one active state (in parallel regions)
+  public static ALL_REGIONS: string = '[FSM] ALL_REGIONS';
+  public static ANY_REGION: string  = '[FSM] ANY_REGION';
+
+  // identifiers available to guard, output and context expressions in transition tables
+  protected static SCOPE: Array<string> = ['data', 'state', 'context'];
+
+  public name: string;                                  // an optional name given to this FSM
+  protected _curState: string;                          // name (path) of the current state
+
+  // states, transitions and everything else that defines this machine, which is frozen and shared by instances of a
+  // compiled definition
+  protected _def: IMachineDefinition;
+
+  protected _subject: Subject<IStateTransition>;
+  protected _subscriptions: Array<Subscription>;
+
+  // current state for observers of {state$} and subscriptions to input streams added with {connect()}
+  protected _state: BehaviorSubject<string>;
+  protected _connections: Array<Subscription>;
+
+  // errors for observers of {error$}, which have no caller to throw to
+  protected _errors: Subject<any>;
+
+  // the machine is done once it reaches a final state; there are no further transitions until it is reset
+  protected _done: boolean;
+  protected _output: any;
+
+  // inputs to {nextAsync()} are processed in order, one transition at a time
+  protected _queue: Array<IQueuedInput>;
+  protected _pending: IPendingTransition | null;
+
+  // timed transitions that are armed for active states
+  protected _timers: Map<string, Array<IArmedTimer>>;
+  protected _scheduler: IScheduler;
+
+  // optional journal, with a snapshot before each entry and after the last (null for entries restored from a
+  // snapshot, other than the first); entries from the cursor on may be redone
+  protected _journal: Array<IJournalEntry> | null;
+  protected _snapshots: Array<IMachineSnapshot>;
+  protected _cursor: number;
+
+  // extended state, initialized from initial data; a new Object is created whenever the context is updated
+  protected _context: Object;
+
+  constructor()
+  {
+    this.name           = '';
+    this._curState      = FiniteStateMachine.NO_STATE;
+    this._def           = FiniteStateMachine._emptyDefinition();
+
+    this._subject       = new Subject<IStateTransition>();
+    this._subscriptions = new Array<Subscription>();
+    this._state         = new BehaviorSubject<string>(this._curState);
+    this._connections   = new Array<Subscription>();
+    this._errors        = new Subject<any>();
+
+    this._done          = false;
+    this._output        = undefined;
+
+    this._queue   = new Array<IQueuedInput>();
+    this._pending = null;
+
+    this._timers    = new Map<string, Array<IArmedTimer>>();
+    this._scheduler = async;
+
+    this._journal   = null;
+    this._snapshots = new Array<IMachineSnapshot>();
+    this._cursor    = 0;
+
+    this._context = {};
+  }
+
+  /**
+   * Create a new FSM
+   *
+   * @param {Object} data Object description of this machine
+   *
+   * @param {string} name Machine name
+   *
+   * @param {Object} guards Optional hash of named guards referenced by declarative transition tables in the data
+   *
+   * @param {Object} actions Optional hash of named actions referenced in the data
+   *
+   * @returns {FiniteStateMachine | null} A null return indicates invalid data
+   */
+  public static create(data: Object, name?: string, guards?: Object, actions?: Object): FiniteStateMachine | null
+  {
+    if (data !== undefined && data != null)
+    {
+      let machine: FiniteStateMachine = new FiniteStateMachine();
+
+      if (guards !== undefined && guards != null)
+      {
+        Object.keys(guards).forEach( (key: string) => {machine.addGuard(key, <guardFunction> guards[key])} );
+      }
+
+      if (actions !== undefined && actions != null)
+      {
+        Object.keys(actions).forEach( (key: string) => {machine.addAction(key, <stateAction> actions[key])} );
+      }
+
+      let result: IDecisionTreeAction = machine.fromJson(data);
+
+      if (result.success)
+      {
+        machine.name = name !== undefined ? name : '';
+        return machine;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Compile an {Object} definition of a machine into a frozen definition that may be shared by any number of lightweight
+   * machines (see {createInstance()}), so the definition is validated and its transitions compiled only once
+   *
+   * @param {Object} data Object description of the machine
+   *
+   * @param {string} name Machine name
+   *
+   * @param {Object} guards Optional hash of named guards referenced by declarative transition tables in the data
+   *
+   * @param {Object} actions Optional hash of named actions referenced in the data
+   *
+   * @returns {FiniteStateMachine | null} A machine whose definition is frozen; a null return indicates invalid data
+   */
+  public static compile(data: Object, name?: string, guards?: Object, actions?: Object): FiniteStateMachine | null
+  {
+    const machine: FiniteStateMachine | null = FiniteStateMachine.create(data, name, guards, actions);
+
+    if (machine != null) {
+      FiniteStateMachine._freeze(machine._def);
+    }
+
+    return machine;
+  }
+
+  /**
+   * Create a minimal deterministic machine whose acceptance states are those in which the input matches a regular
+   * expression (see {Regex} for the syntax)
+   *
+   * @param {string} pattern Regular expression
+   *
+   * @param {Array<string>} alphabet Optional token alphabet, whose tokens may be whole strings (the default alphabet is
+   * the set of characters in the pattern)
+   *
+   * @returns {FiniteStateMachine | null} Machine named for the pattern, with states S0 (the initial state), S1, ...
+   * each defined by a transition table over the alphabet.  The last state is a rejection state, from which no input can
+   * match; every other state transitions to it ('otherwise') on an input outside the alphabet.  A null return
+   * indicates that the pattern could not be parsed.
+   */
+  public static fromRegex(pattern: string, alphabet?: Array<string>): FiniteStateMachine | null
+  {
+    const regex: Regex = new Regex(pattern, alphabet);
+
+    if (!regex.isValid) {
+      return null;
+    }
+
+    const machine: FiniteStateMachine     = FiniteStateMachine.create(regex.toDefinition(), regex.source);
+    const minimized: IMinimization | null = machine.minimize();
+    const minimal: FiniteStateMachine     = minimized != null ? minimized.machine : machine;
+
+    const data: Object        = minimal.toJson();
+    const dead: Array<string> = minimal.analyze().dead;
+    const names: Object       = {};
+
+    // states are numbered in order, followed by the state (if any) from which no input can match
+    const states: Array<Object> = (< Array<Object> > data['states']).filter( (state: Object): boolean => dead.indexOf(state['name']) == -1 )
+      .concat( (< Array<Object> > data['states']).filter( (state: Object): boolean => dead.indexOf(state['name']) != -1 ) );
+
+    states.forEach( (state: Object, i: number) => {names[state['name']] = 'S' + i} );
+
+    data['states'] = states;
+
+    states.forEach( (state: Object) =>
+    {
+      if (dead.indexOf(state['name']) != -1)
+      {
+        state['isRejection'] = true;
+        delete state['transitions'];
+      }
+      else
+      {
+        (< Array<ITransitionRow> > state['transitions']).forEach( (row: ITransitionRow) => {row.to = names[row.to]} );
+      }
+
+      state['name'] = names[state['name']];
+    });
+
+    // input outside the alphabet can never match, so every other state leads to the rejection state on such input
+    if (dead.length == 0) {
+      states.push({name: 'S' + states.length, isAcceptance: false, isRejection: true});
+    }
+
+    const rejection: string = states[states.length - 1]['name'];
+
+    states.forEach( (state: Object) => {
+      if (state['isRejection'] !== true) {
+        state['otherwise'] = rejection;
+      }
+    });
+
+    data['initialState'] = names[data['initialState']];
+
+    return FiniteStateMachine.create(data, regex.source);
+  }
+
+  /**
+   * Create the product of two machines, which runs both machines on the same input.  Each machine must be deterministic
+   * over its alphabet (see {minimize()}) and the alphabets must be compatible, i.e. contain the same symbols.
+   *
+   * @param {FiniteStateMachine} a First machine
+   *
+   * @param {FiniteStateMachine} b Second machine
+   *
+   * @param {Function} accepts Function of the acceptance of each machine (a, b) that returns true if the product accepts
+   *
+   * @param {string} name Optional name of the product
+   *
+   * @returns {FiniteStateMachine | null} Machine whose states are the reachable pairs of states of the two machines,
+   * named S0 (the initial state), S1, ... and each defined by a transition table over the alphabet of the first machine.
+   * A null return indicates that a machine is not deterministic or the alphabets are not compatible.
+   */
+  public static product(a: FiniteStateMachine, b: FiniteStateMachine, accepts: (a: boolean, b: boolean) => boolean,
+                        name?: string): FiniteStateMachine | null
+  {
+    const first: IDeterministicGraph | null  = a._deterministic();
+    const second: IDeterministicGraph | null = b._deterministic();
+
+    if (first == null || second == null || !FiniteStateMachine._compatible(a, b)) {
+      return null;
+    }
+
+    return FiniteStateMachine._combine<Array<string>>(
+      a,
+      b,
+      [first.initial, second.initial],
+      (pair: Array<string>, symbol: string): Array<string> => [first.next(pair[0], symbol), second.next(pair[1], symbol)],
+      (pair: Array<string>): boolean => accepts(first.accepts(pair[0]), second.accepts(pair[1])),
+      name
+    );
+  }
+
+  /**
+   * Create a machine that accepts when both machines accept the same input (see {product()})
+   *
+   * @param {FiniteStateMachine} a First machine
+   *
+   * @param {FiniteStateMachine} b Second machine
+   *
+   * @param {string} name Optional name of the result
+   *
+   * @returns {FiniteStateMachine | null}
+   */
+  public static intersection(a: FiniteStateMachine, b: FiniteStateMachine, name?: string): FiniteStateMachine | null
+  {
+    return FiniteStateMachine.product(a, b, (x: boolean, y: boolean): boolean => x && y, name);
+  }
+
+  /**
+   * Create a machine that accepts when either machine accepts the same input (see {product()})
+   *
+   * @param {FiniteStateMachine} a First machine
+   *
+   * @param {FiniteStateMachine} b Second machine
+   *
+   * @param {string} name Optional name of the result
+   *
+   * @returns {FiniteStateMachine | null}
+   */
+  public static union(a: FiniteStateMachine, b: FiniteStateMachine, name?: string): FiniteStateMachine | null
+  {
+    return FiniteStateMachine.product(a, b, (x: boolean, y: boolean): boolean => x || y, name);
+  }
+
+  /**
+   * Create a machine that accepts exactly when a machine does not accept the same input.  The machine is completed
+   * against its alphabet; every symbol for which a state has no transition (including every symbol in a rejection or
+   * final state) becomes an explicit transition to the same state, since the machine remains in that state.
+   *
+   * @param {FiniteStateMachine} a Machine, which must be deterministic over its alphabet (see {minimize()})
+   *
+   * @param {string} name Optional name of the result
+   *
+   * @returns {FiniteStateMachine | null} Machine with the reachable states of the original machine, named S0 (the
+   * initial state), S1, ... and each defined by a transition table over the alphabet.  A null return indicates that the
+   * machine is not deterministic.
+   */
+  public static complement(a: FiniteStateMachine, name?: string): FiniteStateMachine | null
+  {
+    const graph: IDeterministicGraph | null = a._deterministic();
+
+    if (graph == null) {
+      return null;
+    }
+
+    return FiniteStateMachine._combine<string>(a, a, graph.initial, graph.next, (state: string): boolean => !graph.accepts(state), name);
+  }
+
+  /**
+   * Create a machine that accepts input that may be split into input accepted by one machine followed by input accepted
+   * by a second machine (see {product()} for requirements)
+   *
+   * @param {FiniteStateMachine} a First machine
+   *
+   * @param {FiniteStateMachine} b Second machine
+   *
+   * @param {string} name Optional name of the result
+   *
+   * @returns {FiniteStateMachine | null} Machine whose states are the reachable combinations of a state of the first
+   * machine and a set of states of the second machine, named S0 (the initial state), S1, ...  A null return indicates
+   * that a machine is not deterministic or the alphabets are not compatible.
+   */
+  public static concatenation(a: FiniteStateMachine, b: FiniteStateMachine, name?: string): FiniteStateMachine | null
+  {
+    const first: IDeterministicGraph | null  = a._deterministic();
+    const second: IDeterministicGraph | null = b._deterministic();
+
+    if (first == null || second == null || !FiniteStateMachine._compatible(a, b)) {
+      return null;
+    }
+
+    // the second machine starts each time the first machine accepts
+    const start: Function = (state: string, states: Array<string>): {a: string, b: Array<string>} => ({
+      a: state,
+      b: FiniteStateMachine._ordered(first.accepts(state) ? states.concat(second.initial) : states, second.states)
+    });
+
+    return FiniteStateMachine._combine<{a: string, b: Array<string>}>(
+      a,
+      b,
+      start(first.initial, []),
+      (current: {a: string, b: Array<string>}, symbol: string): {a: string, b: Array<string>} =>
+        start(first.next(current.a, symbol), current.b.map( (state: string): string => second.next(state, symbol) )),
+      (current: {a: string, b: Array<string>}): boolean => current.b.some(second.accepts),
+      name
+    );
+  }
+
+  /**
+   * Create a machine that accepts input that may be split into any number (including zero) of inputs accepted by a
+   * machine (Kleene star)
+   *
+   * @param {FiniteStateMachine} a Machine, which must be deterministic over its alphabet (see {minimize()})
+   *
+   * @param {string} name Optional name of the result
+   *
+   * @returns {FiniteStateMachine | null} Machine whose states are the reachable sets of states of the original machine,
+   * named S0 (the initial state, which accepts), S1, ...  A null return indicates that the machine is not deterministic.
+   */
+  public static star(a: FiniteStateMachine, name?: string): FiniteStateMachine | null
+  {
+    const graph: IDeterministicGraph | null = a._deterministic();
+
+    if (graph == null) {
+      return null;
+    }
+
+    // the machine restarts each time it accepts; the initial state is distinct since it accepts empty input
+    return FiniteStateMachine._combine<{initial: boolean, states: Array<string>}>(
+      a,
+      a,
+      {initial: true, states: [graph.initial]},
+      (current: {initial: boolean, states: Array<string>}, symbol: string): {initial: boolean, states: Array<string>} =>
+      {
+        const states: Array<string> = current.states.map( (state: string): string => graph.next(state, symbol) );
+
+        return {
+          initial: false,
+          states: FiniteStateMachine._ordered(states.some(graph.accepts) ? states.concat(graph.initial) : states, graph.states)
+        };
+      },
+      (current: {initial: boolean, states: Array<string>}): boolean => current.initial || current.states.some(graph.accepts),
+      name
+    );
+  }
+
+  /**
+   * Validate an {Object} definition of a machine without building the machine.  The data is checked against the
+   * definition schema (schema/fsm-definition.schema.json) and, if it conforms, is structurally validated as in
+   * {fromJson()}.
+   *
+   * @param {Object} data Data definition of a machine
+   *
+   * @returns {IDecisionTreeAction} Result of validation with the same action codes and 'errors' as {fromJson()}.  A
+   * schema violation has an action of {MISSING_PROPS} (missing top-level property), {NO_STATE} (empty state list) or
+   * {INVALID_DATA} with the Object that contains the violation as 'node'.  Since guards are not known, any guard that is
+   * a plain identifier is presumed to name a guard.  Action names are not checked.
+   *
+   * @param {boolean} nondeterministic True if the definition is validated as a nondeterministic definition (see
+   * {fromJson()}) even if no transition has more than one target or epsilon targets
+   */
+  public static validateDefinition(data: Object, nondeterministic: boolean = false): IDecisionTreeAction
+  {
+    let errors: Array<IDecisionTreeAction>;
+
+    if (data === undefined || data == null)
+    {
+      errors = [{success: false, action: FiniteStateMachine.NO_DATA}];
+    }
+    else
+    {
+      const validator: SchemaValidator = new SchemaValidator(FSM_DEFINITION_SCHEMA);
+
+      errors = validator.validate(data).map( (error: ISchemaError): IDecisionTreeAction =>
+      {
+        const segments: Array<string> = error.path.split('/').slice(1);
+
+        if (error.keyword == 'required' && segments.length == 1) {
+          return {success: false, action: FiniteStateMachine.MISSING_PROPS, node: data};
+        }
+
+        if (error.keyword == 'minItems' && error.path == '/states') {
+          return {success: false, action: FiniteStateMachine.NO_STATE, node: error.node};
+        }
+
+        // a primitive value is reported by the Object or Array that contains it
+        let node: any = error.node;
+        if (node == null || typeof node != 'object')
+        {
+          node = data;
+          segments.slice(0, -1).forEach( (key: string) => {node = node != null ? node[key] : node} );
+        }
+
+        return {success: false, action: FiniteStateMachine.INVALID_DATA, node: node};
+      });
+
+      if (errors.length == 0) {
+        errors = FiniteStateMachine._definitionErrors(data, null, null, nondeterministic);
+      }
+    }
+
+    return errors.length == 0 ? {success: true, action: FiniteStateMachine.VALID} : {
+      success: false,
+      action: errors[0].action,
+      node: errors[0].node,
+      errors: errors
+    };
+  }
+
+  /**
+   * Access whether or not the definition of this machine is frozen, in which case it may be shared with other machines
+   * and any attempt to alter it throws an Error
+   *
+   * @returns {boolean}
+   */
+  public get isFrozen(): boolean
+  {
+    return Object.isFrozen(this._def);
+  }
+
+  /**
+   * Access the number of states defined for this machine
+   *
+   * @returns {number}
+   */
+  public get numStates(): number
+  {
+    return this._def.states.size;
+  }
+
+  /**
+   * Access the number of state transitions defined for this machine
+   *
+   * @returns {number}
+   */
+  public get numTransitions(): number
+  {
+    let count: number = this._def.transitions.size;
+
+    this._def.guarded.forEach( (transitions: Array<IGuardedTransition>) => {count += transitions.length} );
+
+    return count;
+  }
+
+  /**
+   * Access the current state of this machine as an Observable.  Each observer receives the current state when it
+   * subscribes and each state that the machine subsequently enters, i.e. the semantics of a BehaviorSubject.
+   * A transition that leaves the current state unchanged (i.e. a self-transition) is not emitted.
+   *
+   * @returns {Observable<string>} Current state (composite when parallel regions are active)
+   */
+  public get state$(): Observable<string>
+  {
+    return this._state.asObservable();
+  }
+
+  /**
+   * Access errors that have no caller to throw to as an Observable, i.e. an Error thrown while a timed transition is
+   * taken or an error of a stream connected without an error handler (see {connect()}).  Such an error does not affect
+   * observers of transitions, which continue to be notified.
+   *
+   * @returns {Observable<any>} Errors, which never error or complete
+   */
+  public get error$(): Observable<any>
+  {
+    return this._errors.asObservable();
+  }
+
+  /**
+   * Access the policy for resolving more than one guarded transition that matches an input
+   *
+   * @returns {string} {FIRST_MATCH} or {THROW_ON_CONFLICT}
+   */
+  public get conflictPolicy(): string
+  {
+    return this._def.conflictPolicy;
+  }
+
+  /**
+   * Assign the policy for resolving more than one guarded transition that matches an input.  With {FIRST_MATCH} (the
+   * default), the first matching transition in evaluation order is taken.  With {THROW_ON_CONFLICT}, {next()} throws an
+   * Error if more than one transition of the highest matching priority matches the input.
+   *
+   * @param {string} policy {FIRST_MATCH} or {THROW_ON_CONFLICT}; any other value is ignored
+   */
+  public set conflictPolicy(policy: string)
+  {
+    this._assertMutable();
+
+    if (policy == FiniteStateMachine.FIRST_MATCH || policy == FiniteStateMachine.THROW_ON_CONFLICT) {
+      this._def.conflictPolicy = policy;
+    }
+  }
+
+  /**
+   * Access the current state of this machine
+   *
+   * @returns {string} The current state is never a compound state; the path of a child state includes the names of
+   * its ancestors, i.e. 'checkout.payment.cardEntry'.  When parallel regions are active, the current state is
+   * composite; it contains the active state of each region, separated by {REGION_SEPARATOR}.
+   */
+  public get currentState(): string
+  {
+    return this._curState;
+  }
+
+  /**
+   * Access the active states of this machine
+   *
+   * @returns {Array<string>} The active state of each parallel region (the current state if there are no parallel
+   * regions)
+   */
+  public get activeStates(): Array<string>
+  {
+    return this._leaves();
+  }
+
+  /**
+   * Access the policy for acceptance of a machine with more than one active state (in parallel regions)
+   *
+   * @returns {string} {ALL_REGIONS} or {ANY_REGION}
+   */
+  public get regionAcceptance(): string
+  {
+    return this._def.regionAcceptance;
+  }
+
+  /**
+   * Assign the policy for acceptance of a machine with more than one active state.  With {ALL_REGIONS} (the default),
+   * the machine is in an acceptance state if every active state is an acceptance state.  With {ANY_REGION}, any active
+   * acceptance state suffices.
+   *
+   * @param {string} policy {ALL_REGIONS} or {ANY_REGION}; any other value is ignored
+   */
+  public set regionAcceptance(policy: string)
+  {
+    this._assertMutable();
+
+    if (policy == FiniteStateMachine.ALL_REGIONS || policy == FiniteStateMachine.ANY_REGION) {
+      this._def.regionAcceptance = policy;
+    }
+  }
+
+  /**
+   * Access the named states in this machine in the order they were defined
+   *
+   * @returns {IterableIterator<string>} Child states are identified by path
+   */
+  public get states(): IterableIterator<string>
+  {
+    return this._def.states.keys();
+  }
+
+  /**
+   * Access the initial state of this machine
+   *
+   * @returns {string} This is ONLY relevant for a machine defined by {Object} data
+   */
+  public get initialState(): string
+  {
+    return this._def.initialState;
+  }
+
+  /**
+   * Access initial data associated with the definition of this machine
+   *
+   * @returns {Object} This is ONLY relevant for a machine defined by {Object} data
+   */
+  public get initialData(): Object | null
+  {
+    return this._def.initialData ? JSON.parse(JSON.stringify(this._def.initialData)) : null;
+  }
+
+  /**
+   * Assign initial data to this machine, which also resets the machine's context
+   *
+   * @param {Object | null} data Initial data (a copy is stored)
+   */
+  public set initialData(data: Object | null)
+  {
+    this._assertMutable();
+
+    this._def.initialData = data !== undefined && data != null ? JSON.parse(JSON.stringify(data)) : null;
+    this._context         = this.initialData || {};
+  }
+
+  /**
+   * Access the context (extended state) of this machine
+   *
+   * @returns {Object} A copy of the current context, which is initialized from initial data
+   */
+  public get context(): Object
+  {
+    return JSON.parse(JSON.stringify(this._context));
+  }
+
+  /**
+   * Access whether or not this machine is currently in an acceptance state
+   *
+   * @returns {boolean}
+   */
+  public get isAcceptance(): boolean
+  {
+    if (!this._def.acceptanceStates) {
+      return false;
+    }
+
+    const accepts: (state: string) => boolean = (state: string): boolean => this._def.acceptanceStates.hasOwnProperty(state);
+
+    return this._def.regionAcceptance == FiniteStateMachine.ANY_REGION ? this._leaves().some(accepts) : this._leaves().every(accepts);
+  }
+
+  /**
+   * Access whether or not this machine is currently in a rejection state
+   *
+   * @returns {boolean} True if every active state (in parallel regions) is a rejection state
+   */
+  public get isRejected(): boolean
+  {
+    return this._def.rejectionStates ? this._leaves().every( (state: string): boolean => this._def.rejectionStates.hasOwnProperty(state) ) : false;
+  }
+
+  /**
+   * Access whether or not this machine is done, i.e. it has reached a final state
+   *
+   * @returns {boolean} True if every active state (in parallel regions) is a final state; the machine makes no further
+   * transitions until it is reset
+   */
+  public get isDone(): boolean
+  {
+    return this._done;
+  }
+
+  /**
+   * Access the output of this machine
+   *
+   * @returns {any} Output computed when the machine reached a final state (undefined if the machine is not done or the
+   * final state has no output)
+   */
+  public get output(): any
+  {
+    return this._output;
+  }
+
+  /**
+   * Access whether or not an asynchronous transition is in flight
+   *
+   * @returns {boolean}
+   */
+  public get isPending(): boolean
+  {
+    return this._pending != null;
+  }
+
+  /**
+   * Access the alphabet defined for this machine.
+   *
+   * @returns {Array<string> | null} This is normally defined in {Object} data
+   */
+  public get alphabet(): Array<string> | null
+  {
+    return this._def.alphabet ? this._def.alphabet.slice() : null;
+  }
+
+  /**
+   * Assign the alphabet for this machine, i.e. for a machine whose states are created in code
+   *
+   * @param {Array<string> | null} symbols Alphabet symbols
+   */
+  public set alphabet(symbols: Array<string> | null)
+  {
+    this._assertMutable();
+
+    this._def.alphabet = symbols !== undefined && symbols != null ? symbols.slice() : null;
+  }
+
+  /**
+   * Access the scheduler of timed transitions
+   *
+   * @returns {IScheduler}
+   */
+  public get scheduler(): IScheduler
+  {
+    return this._scheduler;
+  }
+
+  /**
+   * Assign the scheduler of timed transitions, i.e. a virtual-time scheduler for tests.  The default is the RxJS async
+   * scheduler.  Timed transitions that are armed are re-armed with the new scheduler.
+   *
+   * @param {IScheduler} scheduler Scheduler (null for the default)
+   */
+  public set scheduler(scheduler: IScheduler)
+  {
+    this._scheduler = scheduler !== undefined && scheduler != null ? scheduler : async;
+
+    if (this._timers.size > 0) {
+      this._rearm();
+    }
+  }
+
+  /**
+   * Access whether or not this machine keeps a journal of its transitions
+   *
+   * @returns {boolean}
+   */
+  public get journaling(): boolean
+  {
+    return this._journal != null;
+  }
+
+  /**
+   * Enable or disable the journal.  Enabling the journal starts a new journal from the current state; disabling it
+   * discards the journal.  The journal is restarted whenever the machine is reset, restored (from a snapshot without
+   * history) or loaded from data.
+   *
+   * @param {boolean} enabled True to keep a journal
+   */
+  public set journaling(enabled: boolean)
+  {
+    if (enabled) {
+      this._startJournal();
+    }
+    else {
+      this._journal = null;
+      this._snapshots.length = 0;
+      this._cursor = 0;
+    }
+  }
+
+  /**
+   * Access whether or not the alphabet is enforced by {next()}
+   *
+   * @returns {boolean}
+   */
+  public get strict(): boolean
+  {
+    return this._def.strict;
+  }
+
+  /**
+   * Access the state to which {next()} transitions on an input that is not in the alphabet (strict mode only)
+   *
+   * @returns {string | null} null if the machine remains in its current state on such input
+   */
+  public get errorState(): string | null
+  {
+    return this._def.errorState;
+  }
+
+  /**
+   * Access the classifier that maps input data to an alphabet symbol
+   *
+   * @returns {symbolClassifier | null}
+   */
+  public get classifier(): symbolClassifier | null
+  {
+    return this._def.classifier;
+  }
+
+  /**
+   * Assign a classifier that maps input data to an alphabet symbol.  The classifier is used to enforce the alphabet
+   * and to match input against the rows of transition tables.  Transition functions always receive the input data.
+   * Without a classifier, primitive input is the symbol given by its string value and there is no symbol for other input.
+   *
+   * @param {symbolClassifier | null} classifier
+   */
+  public set classifier(classifier: symbolClassifier | null)
+  {
+    this._assertMutable();
+
+    this._def.classifier = classifier !== undefined ? classifier : null;
+  }
+
+  /**
+   * Enable or disable strict (alphabet-enforcing) mode.  In strict mode, an input that does not classify to a symbol in
+   * the alphabet is rejected by {next()} without calling a transition function.
+   *
+   * @param {boolean} strict True to enforce the alphabet
+   *
+   * @param {string} errorState Optional state to which the machine transitions on an input that is not in the
+   * alphabet; otherwise, the machine remains in its current state
+   *
+   * @returns {boolean} False if the error state is not defined for this machine, in which case nothing is changed
+   */
+  public setStrict(strict: boolean, errorState?: string): boolean
+  {
+    this._assertMutable();
+
+    if (errorState !== undefined && errorState != null && !this._def.states.has(errorState)) {
+      return false;
+    }
+
+    this._def.strict     = strict === true;
+    this._def.errorState = errorState !== undefined ? errorState : null;
+
+    return true;
+  }
+
+  /**
+   * Initialize this machine from {Object} data
+   *
+   * @param {Object} data Data definition of this machine (must include 'name', 'alphabet', and 'states' properties).
+   * Each state defines its transition either as a function body in the 'transition' property or as a declarative
+   * table ({ITransitionTable}) in the 'transitions' and optional 'otherwise' properties.  A table is never evaluated
+   * as code; named guards it references must be added with {addGuard()} before calling this method and any other
+   * guard or output is parsed as an {Expression}.  A state may name entry and exit actions ('onEnter' and 'onExit')
+   * and a table row may name transition actions ('action').  Named actions must be added with {addAction()} before
+   * calling this method.  The optional 'initialData' is the initial context of the machine.  A compound state
+   * contains child states in a nested 'states' array and may name its 'initial' child, or be marked 'parallel', in
+   * which case its children are parallel regions.  A child state is identified by its path in transition targets,
+   * 'initialState' and 'errorState'.  The optional 'regionAcceptance' ('all' or 'any') is the acceptance policy for
+   * parallel regions.  A final state ('isFinal') may compute the machine's output with an {Expression} in 'data',
+   * 'state' and 'context' or an Object whose property values are expressions ('output').  A property that is not part
+   * of the definition format (see {FSM_DEFINITION_SCHEMA}) is INVALID_DATA.
+   * <br/>
+   * <br/>
+   * A definition is nondeterministic if a table row or function body targets a literal list of states ('to') or a
+   * state lists states that are entered without consuming input ('epsilon').  Its states have only a name,
+   * 'isAcceptance', a transition and 'epsilon', and it must have an initial state.  At the top level, it may have
+   * 'initialData' but not 'strict', 'errorState' or 'regionAcceptance' (INVALID_DATA).  It is loaded as the equivalent
+   * deterministic machine, whose states are named for subsets of its states (see
+   * {NondeterministicMachine.determinize()}).  A function body that computes a list of states, rather than listing it
+   * literally, can not be detected; the list is an Error when the transition is taken.
+   *
+   * @returns {IDecisionTreeAction} Result of data definition.  The 'success' property will be true and the 'action'
+   * property will be 'VALID' for valid machine data.  The entire definition is validated before the machine is
+   * altered, so the machine is either fully loaded or unchanged.  On failure, 'errors' contains every error that was
+   * detected, each with a specific action code and the failing 'node'.  The 'action' and 'node' properties of the
+   * result are those of the first error.  A successful load replaces any existing states and transitions and sets the
+   * name of this machine from 'name'; guards and subscribers are retained.
+   */
+  public fromJson(data: Object): IDecisionTreeAction
+  {
+    this._assertMutable();
+
+    // the entire definition is validated before this machine is altered
+    const errors: Array<IDecisionTreeAction> = FiniteStateMachine._definitionErrors(data, this._def.guards, this._def.actions);
+
+    if (errors.length > 0)
+    {
+      return {
+        success: false,
+        action: errors[0].action,
+        node: errors[0].node,
+        errors: errors
+      };
+    }
+
+    if (FiniteStateMachine._isNondeterministic(data))
+    {
+      const nfa: NondeterministicMachine = new NondeterministicMachine();
+      const loaded: IDecisionTreeAction  = nfa.fromJson(data);
+
+      if (!loaded.success) {
+        return loaded;
+      }
+
+      // the initial context is not part of the nondeterministic machine
+      const deterministic: Object = nfa.determinize().toJson();
+
+      if (data.hasOwnProperty('initialData')) {
+        deterministic['initialData'] = data['initialData'];
+      }
+
+      return this.fromJson(deterministic);
+    }
+
+    this._clearDefinition();
+
+    this.name              = data['name'];
+    this._def.alphabet     = (< Array<string> > data['alphabet']).slice();
+    this._def.initialState = data.hasOwnProperty('initialState') ? data['initialState'] : FiniteStateMachine.NO_STATE;
+
+    if (data.hasOwnProperty('initialData')) {
+      this.initialData = data['initialData'];
+    }
+
+    this._def.strict     = data['strict'] === true;
+    this._def.errorState = data.hasOwnProperty('errorState') ? data['errorState'] : null;
+
+    this._def.regionAcceptance = data['regionAcceptance'] == 'any' ? FiniteStateMachine.ANY_REGION : FiniteStateMachine.ALL_REGIONS;
+
+    // parents are always added before their children
+    FiniteStateMachine._collect(data['states'], null).forEach( (entry: IStateEntry) =>
+    {
+      const state: Object = entry.state;
+      const name: string  = entry.path;
+
+      this.addState(<string> state['name'], {
+        acceptance: <boolean> state['isAcceptance'],
+        rejection: state['isRejection'] === true,
+        onEnter: <actionList> state['onEnter'],
+        onExit: <actionList> state['onExit'],
+        parent: entry.parent != null ? entry.parent : undefined,
+        initial: <string> state['initial'],
+        parallel: state['parallel'] === true,
+        final: state['isFinal'] === true,
+        after: <Array<IDelayedTransition>> state['after']
+      });
+
+      if (state.hasOwnProperty('output'))
+      {
+        this._def.outputs.set(name, this._compileOutput(state['output'], name));
+        this._def.outputSources.set(name, JSON.parse(JSON.stringify(state['output'])));
+      }
+
+      if (state.hasOwnProperty('transition'))
+      {
+        this.addTransition(name, <transFunction> new Function('data', 'state', 'context', state['transition']));
+        this._def.sources.set(name, <string> state['transition']);
+      }
+      else if (state.hasOwnProperty('transitions'))
+      {
+        this.addTransitionTable(name, {
+          transitions: <Array<ITransitionRow>> state['transitions'],
+          otherwise: <string> state['otherwise']
+        });
+      }
+    });
+
+    this._curState = this._enter(this._def.initialState);
+    this._rearm();
+    this._publish();
+
+    if (this._journal != null) {
+      this._startJournal();
+    }
+
+    return {
+      success: true,
+      action: FiniteStateMachine.VALID
+    };
+  }
+
+  /**
+   * Export this machine as {Object} data in the same format accepted by {fromJson()}
+   *
+   * @returns {Object} Machine definition.  The transition for each state is exported as the original function body if it
+   * was defined in data or as a declarative table if one is available.  A transition defined by a function in code
+   * (an opaque closure) can not be exported; such a state has no transition and its 'opaque' property is true.  Data
+   * that contains an opaque state is not accepted by {fromJson()}.  Named guards and actions are exported by name and
+   * must be added to the machine that imports the data.  Actions defined by functions in code are not exported.
+   * Child states are exported in the 'states' array of their parent.  The output of a final state that is computed by a
+   * function in code is also opaque.  Timed transitions are exported in the 'after' property of their state.
+   */
+  public toJson(): Object
+  {
+    const states: Array<Object> = new Array<Object>();
+    const nodes: Map<string, Object> = new Map<string, Object>();
+
+    this._def.states.forEach( (name: string) =>
+    {
+      const parent: string = this._def.parents.get(name);
+
+      const state: Object = {
+        name: parent !== undefined ? name.substr(parent.length + 1) : name,
+        isAcceptance: this._def.acceptanceStates ? this._def.acceptanceStates.hasOwnProperty(name) : false
+      };
+
+      nodes.set(name, state);
+
+      if (this._def.parallel.has(name)) {
+        state['parallel'] = true;
+      }
+
+      if (this._def.rejectionStates && this._def.rejectionStates.hasOwnProperty(name)) {
+        state['isRejection'] = true;
+      }
+
+      const isFinal: boolean = !!this._def.finalStates && this._def.finalStates.hasOwnProperty(name);
+
+      if (isFinal)
+      {
+        state['isFinal'] = true;
+
+        if (this._def.outputSources.has(name)) {
+          state['output'] = JSON.parse(JSON.stringify(this._def.outputSources.get(name)));
+        }
+        else if (this._def.outputs.has(name)) {
+          state['opaque'] = true;
+        }
+      }
+
+      // only named actions can be exported
+      const named: Function = (actions: Array<stateAction | string>): Array<string> => {
+        return actions !== undefined ? <Array<string>> actions.filter( (action: any): boolean => typeof action == 'string' ) : [];
+      };
+
+      if (named(this._def.entryActions.get(name)).length > 0) {
+        state['onEnter'] = named(this._def.entryActions.get(name));
+      }
+
+      if (named(this._def.exitActions.get(name)).length > 0) {
+        state['onExit'] = named(this._def.exitActions.get(name));
+      }
+
+      if (this._def.delayed.has(name))
+      {
+        const after: Array<IDelayedTransition> = JSON.parse(JSON.stringify(this._def.delayed.get(name)));
+        state['after'] = after.length == 1 ? after[0] : after;
+      }
+
+      if (this._def.guarded.has(name))
+      {
+        // guarded transitions are always defined in code
+        state['opaque'] = true;
+      }
+      else if (this._def.tables.has(name))
+      {
+        const table: ITransitionTable = JSON.parse(JSON.stringify(this._def.tables.get(name)));
+
+        state['transitions'] = table.transitions;
+
+        if (table.otherwise !== undefined && table.otherwise != null) {
+          state['otherwise'] = table.otherwise;
+        }
+      }
+      else if (this._def.sources.has(name))
+      {
+        state['transition'] = this._def.sources.get(name);
+      }
+      else if (this._def.transitions.has(name))
+      {
+        state['opaque'] = true;
+      }
+      else if (!state['isRejection'] && !isFinal && parent === undefined && !this._def.initial.has(name) && !this._def.delayed.has(name))
+      {
+        // there is never a transition out of this state
+        state['transition'] = '';
+      }
+
+      if (parent === undefined)
+      {
+        states.push(state);
+      }
+      else
+      {
+        const parentState: Object = nodes.get(parent);
+
+        // the first child is the default initial state
+        if (!parentState.hasOwnProperty('states'))
+        {
+          parentState['states'] = new Array<Object>();
+
+          if (this._def.initial.get(parent) != name) {
+            parentState['initial'] = this._def.initial.get(parent).substr(parent.length + 1);
+          }
+        }
+
+        parentState['states'].push(state);
+      }
+    });
+
+    const data: Object = {
+      name: this.name,
+      alphabet: this._def.alphabet ? this._def.alphabet.slice() : [],
+      states: states
+    };
+
+    if (this._def.initialState != FiniteStateMachine.NO_STATE) {
+      data['initialState'] = this._def.initialState;
+    }
+
+    if (this._def.initialData) {
+      data['initialData'] = JSON.parse(JSON.stringify(this._def.initialData));
+    }
+
+    if (this._def.strict) {
+      data['strict'] = true;
+    }
+
+    if (this._def.errorState != null) {
+      data['errorState'] = this._def.errorState;
+    }
+
+    if (this._def.regionAcceptance == FiniteStateMachine.ANY_REGION) {
+      data['regionAcceptance'] = 'any';
+    }
+
+    return data;
+  }
+
+  /**
+   * Add a named state to this machine
+   *
+   * @param {string} stateName State name
+   *
+   * @param {boolean | IStateOptions} options True if this is an acceptance state for the machine or an {IStateOptions}
+   * Object that may also mark the state as a rejection (trap) state or a final state (with optional output) and provide
+   * entry and exit actions (which replace any prior entry or exit actions for the state).  A child state is added with
+   * the path of an existing 'parent' state; its name may not contain a period.  The child is subsequently identified by
+   * its path, i.e. 'parent.child'.  No state name may contain a comma.  Timed transitions in the 'after' option replace
+   * any prior timed transitions of the state; each target is a state name (path) that should be added to the machine.
+   */
+  public addState(stateName: string, options: boolean | IStateOptions=false): void
+  {
+    this._assertMutable();
+
+    if (stateName !== undefined && stateName != '' && stateName.indexOf(FiniteStateMachine.REGION_SEPARATOR) == -1)
+    {
+      const opts: IStateOptions = typeof options === 'boolean' ? {acceptance: options} : (options || {});
+
+      if (opts.parent !== undefined && opts.parent != null)
+      {
+        if (!this._def.states.has(opts.parent) || stateName.indexOf(FiniteStateMachine.PATH_SEPARATOR) != -1) {
+          return;
+        }
+
+        const parent: string = opts.parent;
+        stateName            = parent + FiniteStateMachine.PATH_SEPARATOR + stateName;
+
+        this._def.parents.set(stateName, parent);
+
+        if (!this._def.initial.has(parent)) {
+          this._def.initial.set(parent, stateName);
+        }
+      }
+
+      this._def.states.add(stateName);
+
+      if (opts.initial !== undefined && opts.initial != null) {
+        this._def.initial.set(stateName, stateName + FiniteStateMachine.PATH_SEPARATOR + opts.initial);
+      }
+
+      if (opts.parallel) {
+        this._def.parallel.add(stateName);
+      }
+
+      if (opts.acceptance)
+      {
+        this._def.acceptanceStates            = this._def.acceptanceStates || {};
+        this._def.acceptanceStates[stateName] = true;
+      }
+
+      if (opts.rejection)
+      {
+        this._def.rejectionStates            = this._def.rejectionStates || {};
+        this._def.rejectionStates[stateName] = true;
+      }
+
+      if (opts.final)
+      {
+        this._def.finalStates            = this._def.finalStates || {};
+        this._def.finalStates[stateName] = true;
+      }
+
+      if (opts.output !== undefined && opts.output != null)
+      {
+        this._def.outputs.set(stateName, opts.output);
+        this._def.outputSources.delete(stateName);
+      }
+
+      if (opts.onEnter !== undefined && opts.onEnter != null) {
+        this._def.entryActions.set(stateName, FiniteStateMachine._toActions(opts.onEnter));
+      }
+
+      if (opts.onExit !== undefined && opts.onExit != null) {
+        this._def.exitActions.set(stateName, FiniteStateMachine._toActions(opts.onExit));
+      }
+
+      if (opts.after !== undefined && opts.after != null)
+      {
+        const after: Array<IDelayedTransition> = Object.prototype.toString.call(opts.after) == '[object Array]'
+          ? < Array<IDelayedTransition> > opts.after
+          : [<IDelayedTransition> opts.after];
+
+        // timed transitions (and their data) are copied, since the definition may be frozen and shared
+        this._def.delayed.set(stateName, after.map( (delayed: IDelayedTransition): IDelayedTransition => {
+          const copy: IDelayedTransition = {ms: delayed.ms, to: delayed.to};
+
+          if (delayed.data !== undefined) {
+            copy.data = FiniteStateMachine._clone(delayed.data);
+          }
+
+          return copy;
+        }));
+      }
+    }
+  }
+
+  /**
+   * Add a transition from a named state to this machine
+   *
+   * @param {string} from Name of the 'from' state
+   *
+   * @param {transFunction | asyncTransFunction} to Function that computes the next transition state and any associated
+   * data (asynchronous transitions are processed only by {nextAsync()})
+   *
+   * @param {ITransitionOptions} options Optional symbol(s), guard and priority.  Any number of transitions with options
+   * may be added from a state.  They are evaluated before the (single) transition without options, which is taken
+   * only when no transition with options matches the input.
+   *
+   * @returns {boolean} True if the addition was successful.  Repeat 'from' names are not allowed (for a transition
+   * without options) and will result in an error.
+   */
+  public addTransition(from: string, transition: transFunction | asyncTransFunction, options?: ITransitionOptions): boolean
+  {
+    this._assertMutable();
+
+    const to: transFunction = <transFunction> transition;
+
+    // does the from state exist?
+    const hasFrom: boolean = this._def.states.has(from);
+
+    if (!hasFrom || to === undefined || to == null) {
+      return false;
+    }
+
+    if (options !== undefined && options != null)
+    {
+      const on: any = options.on;
+
+      const guarded: IGuardedTransition = {
+        on: on === undefined || on == null ? null : (Object.prototype.toString.call(on) == '[object Array]' ? on.slice() : [on]),
+        guard: options.guard !== undefined ? options.guard : null,
+        priority: options.priority !== undefined ? options.priority : 0,
+        transition: to,
+        actions: options.action !== undefined && options.action != null ? FiniteStateMachine._toActions(options.action) : []
+      };
+
+      const transitions: Array<IGuardedTransition> = this._def.guarded.get(from) || new Array<IGuardedTransition>();
+
+      // maintain evaluation order; equal priorities are evaluated in the order they are added
+      let i: number = transitions.length;
+      while (i > 0 && transitions[i-1].priority < guarded.priority) {
+        i--;
+      }
+
+      transitions.splice(i, 0, guarded);
+      this._def.guarded.set(from, transitions);
+
+      return true;
+    }
+
+    // has a transition already been defined?
+    if (this._def.transitions.has(from)) {
+      return false;
+    }
+
+    // add the transition
+    this._def.transitions.set(from, to);
+    return true;
+  }
+
+  /**
+   * Add a transition from a named state that is defined by a declarative table instead of a function
+   *
+   * @param {string} from Name of the 'from' state
+   *
+   * @param {ITransitionTable} table Transition rows and optional 'otherwise' state
+   *
+   * @returns {boolean} True if the addition was successful.  The same restrictions as {addTransition()} apply and
+   * every row must contain a 'to' property.  A guard that is not the name of a guard already added to this
+   * machine and any output must be a valid {Expression}.
+   */
+  public addTransitionTable(from: string, table: ITransitionTable): boolean
+  {
+    this._assertMutable();
+
+    if (FiniteStateMachine._tableErrors(table, this._def.guards).length > 0) {
+      return false;
+    }
+
+    // retain a copy of the table for export; the table data is never evaluated as code
+    const source: ITransitionTable = JSON.parse(JSON.stringify(table));
+
+    if (!this.addTransition(from, this._compileTable(source))) {
+      return false;
+    }
+
+    this._def.tables.set(from, source);
+    return true;
+  }
+
+  /**
+   * Add a named guard that may be referenced by rows in a declarative transition table
+   *
+   * @param {string} name Guard name
+   *
+   * @param {guardFunction} guard Predicate that is evaluated on input data and current state
+   */
+  public addGuard(name: string, guard: guardFunction): void
+  {
+    this._assertMutable();
+
+    if (name !== undefined && name != '' && guard !== undefined && guard != null) {
+      this._def.guards.set(name, guard);
+    }
+  }
+
+  /**
+   * Add a named action that may be referenced by states and transitions in code or in data
+   *
+   * @param {string} name Action name
+   *
+   * @param {stateAction} action Action
+   */
+  public addAction(name: string, action: stateAction): void
+  {
+    this._assertMutable();
+
+    if (name !== undefined && name != '' && action !== undefined && action != null) {
+      this._def.actions.set(name, action);
+    }
+  }
+
+  /**
+   * Add actions that are run on every transition between two named states, regardless of how the transition is defined
+   *
+   * @param {string} from Name of the 'from' state, which is the state that defines the transition (that may be an
+   * ancestor of the current state)
+   *
+   * @param {string} to Name of the 'to' state (which may be the same as 'from' for a self-transition) as returned by the
+   * transition
+   *
+   * @param {actionList} action Action(s) to add
+   *
+   * @returns {boolean} True if the addition was successful; both states must exist
+   */
+  public addTransitionAction(from: string, to: string, action: actionList): boolean
+  {
+    this._assertMutable();
+
+    if (!this._def.states.has(from) || !this._def.states.has(to) || action === undefined || action == null) {
+      return false;
+    }
+
+    const targets: Map<string, Array<stateAction | string>> = this._def.transitionActions.get(from) || new Map<string, Array<stateAction | string>>();
+    const actions: Array<stateAction | string>              = targets.get(to) || new Array<stateAction | string>();
+
+    targets.set(to, actions.concat(FiniteStateMachine._toActions(action)));
+    this._def.transitionActions.set(from, targets);
+
+    return true;
+  }
+
+  /**
+   * Add a subscriber to observe state transitions
+   *
+   * @param {Observer<IStateTransition>} observer
+   *
+   * @returns {Subscription | null} Unsubscribe to remove the subscriber without altering the machine (null if there is
+   * no observer)
+   */
+  public addSubscriber(observer: Observer <IStateTransition>): Subscription | null
+  {
+    return this._observe(this._subject, observer);
+  }
+
+  /**
+   * Observe transitions that enter a state
+   *
+   * @param {string} state State name (path), which may be a compound state
+   *
+   * @param {transitionObserver} observer Observer or function
+   *
+   * @returns {Subscription | null} Unsubscribe to remove the observer (null if there is no observer)
+   */
+  public onEnter(state: string, observer: transitionObserver): Subscription | null
+  {
+    return this._observe(this._subject.pipe( filter( (transition: IStateTransition): boolean =>
+      transition.entered !== undefined && transition.entered.indexOf(state) != -1
+    )), observer);
+  }
+
+  /**
+   * Observe transitions that exit a state
+   *
+   * @param {string} state State name (path), which may be a compound state
+   *
+   * @param {transitionObserver} observer Observer or function
+   *
+   * @returns {Subscription | null} Unsubscribe to remove the observer (null if there is no observer)
+   */
+  public onExit(state: string, observer: transitionObserver): Subscription | null
+  {
+    return this._observe(this._subject.pipe( filter( (transition: IStateTransition): boolean =>
+      transition.exited !== undefined && transition.exited.indexOf(state) != -1
+    )), observer);
+  }
+
+  /**
+   * Observe transitions that exit one state and enter another (which may be the same state)
+   *
+   * @param {string} from Name (path) of the state that is exited
+   *
+   * @param {string} to Name (path) of the state that is entered
+   *
+   * @param {transitionObserver} observer Observer or function
+   *
+   * @returns {Subscription | null} Unsubscribe to remove the observer (null if there is no observer)
+   */
+  public onTransition(from: string, to: string, observer: transitionObserver): Subscription | null
+  {
+    return this._observe(this._subject.pipe( filter( (transition: IStateTransition): boolean =>
+      transition.exited !== undefined && transition.exited.indexOf(from) != -1 && transition.entered.indexOf(to) != -1
+    )), observer);
+  }
+
+  /**
+   * Observe transitions after which the machine is in acceptance (see {isAcceptance})
+   *
+   * @param {transitionObserver} observer Observer or function
+   *
+   * @returns {Subscription | null} Unsubscribe to remove the observer (null if there is no observer)
+   */
+  public onAccept(observer: transitionObserver): Subscription | null
+  {
+    return this._observe(this._subject.pipe( filter( (transition: IStateTransition): boolean =>
+      transition.entered !== undefined && this.isAcceptance
+    )), observer);
+  }
+
+  /**
+   * Observe rejection, i.e. transitions after which the machine is rejected (see {isRejected}) and notifications of
+   * input to a rejected machine (status {REJECTED})
+   *
+   * @param {transitionObserver} observer Observer or function
+   *
+   * @returns {Subscription | null} Unsubscribe to remove the observer (null if there is no observer)
+   */
+  public onReject(observer: transitionObserver): Subscription | null
+  {
+    return this._observe(this._subject.pipe( filter( (transition: IStateTransition): boolean =>
+      transition.status != FiniteStateMachine.DONE && this.isRejected
+    )), observer);
+  }
+
+  /**
+   * Drive this machine from an input stream; each value is sent to {next()}
+   *
+   * @param {Observable<any>} input$ Input stream
+   *
+   * @param {(error: any) => void} onError Optional handler for an error of the stream, which is otherwise emitted by
+   * {error$}
+   *
+   * @returns {Subscription} Unsubscribe to disconnect the stream.  An Error thrown by {next()} disconnects the stream
+   * and is rethrown.  An error of the stream disconnects only that stream and does not affect the machine or its
+   * observers; neither does completion of the stream.  Every connected stream is disconnected by {clear()}.
+   */
+  public connect(input$: Observable<any>, onError?: (error: any) => void): Subscription
+  {
+    const subscription: Subscription = input$.subscribe(
+      (input: any) => {this.next(input)},
+      (e: any)     => {onError ? onError(e) : this._errors.next(e)},
+      ()           => {}
+    );
+
+    if (!subscription.closed)
+    {
+      this._connections.push(subscription);
+
+      subscription.add( () => {
+        const index: number = this._connections.indexOf(subscription);
+
+        if (index != -1) {
+          this._connections.splice(index, 1);
+        }
+      });
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Transition to the next state based on current state and input data
+   *
+   * @param input Input data or may be a prior state name for a Moore-style machine
+   *
+   * @param {string} initialState The initial state to use for the machine
+   *
+   * @returns {IStateOutput | null} If the machine is in a rejection state, the transition function is not called, the
+   * machine remains in that state, and the output 'status' is {REJECTED}.  Observers are notified with the same status.
+   * In strict mode, an input that is not in the alphabet is handled the same way with a status of {INVALID_SYMBOL},
+   * except that the machine transitions to the error state if one is defined.  A null return indicates that no
+   * transition is defined for the current state and input.  An Error is thrown if more than one guarded transition
+   * matches the input and the conflict policy is {THROW_ON_CONFLICT}.
+   * <br/>
+   * <br/>
+   * A transition runs the exit actions of the 'from' state, then the transition actions (those of a guarded transition
+   * or table row, those named in the transition function output, and those added with {addTransitionAction()}), then
+   * the entry actions of the 'to' state, after which observers are notified.  The machine is in the 'to' state when
+   * entry actions are run.  A self-transition exits and re-enters its state.  An Error is thrown, before any action is
+   * run, if an action name is not defined.
+   * <br/>
+   * <br/>
+   * Transition functions and guards receive a copy of the machine's context.  Context updates in the output of a
+   * transition function are applied when the machine transitions, before entry actions are run.
+   * <br/>
+   * <br/>
+   * Transitions of the current state are evaluated first, followed by those of its ancestors (innermost first), so a
+   * transition defined on a compound state applies to all of its descendants.  Entering a compound state enters its
+   * initial child.  A transition exits every state from the current state up to (but not including) the nearest
+   * common ancestor of the state that defines the transition and the 'to' state, and then enters every state from
+   * there down to the new current state.
+   * <br/>
+   * <br/>
+   * Every parallel region receives the input.  The transitions of a parallel state are evaluated only when no region
+   * takes a transition, and a region whose active state is a rejection state takes no transition.  Transitions are
+   * taken in the order of the regions, each with a notification to observers, and a transition that exits a region
+   * pre-empts any transition of that region.  The output data is that of the first transition.  The machine is
+   * rejected only if every active state is a rejection state.
+   * <br/>
+   * <br/>
+   * When every active state is a final state, the machine is done.  Observers receive a notification with status
+   * {DONE} and the machine's output as data, after which the subject completes.  Thereafter, this method returns the
+   * current state with status {TERMINATED} (and the input as data) until the machine is reset.
+   * <br/>
+   * <br/>
+   * Timed transitions of a state are armed (with the machine's scheduler) when the state is entered and cancelled when
+   * it is exited.  A timed transition that fires is taken from its state like any other transition and observers are
+   * notified in the same way.  Its input (passed to actions) is undefined.  Since a timed transition has no caller, an
+   * Error it throws (i.e. from an action) is emitted by {error$}; observers of transitions are unaffected.
+   */
+  public next(input: any, initialState?: string): IStateOutput | null
+  {
+    if (this._pending != null) {
+      throw new Error('[FSM] next() may not be called while an asynchronous transition is pending');
+    }
+
+    if (this._journal == null) {
+      return this._next(input, initialState);
+    }
+
+    const before: IMachineSnapshot = this._capture();
+    const from: string             = this._curState;
+
+    // the input is recorded before a transition function has a chance to alter it
+    const entry: IJournalEntry = {input: FiniteStateMachine._clone(input), from: from, to: from, timestamp: this._scheduler.now()};
+
+    if (initialState !== undefined && initialState != '') {
+      entry.initialState = initialState;
+    }
+
+    const output: IStateOutput | null = this._next(input, initialState);
+
+    this._record(entry, output, before);
+
+    return output;
+  }
+
+  /**
+   * Process an input to {next()}
+   *
+   * @param input Input data
+   *
+   * @param {string} initialState Optional initial state
+   *
+   * @returns {IStateOutput | null}
+   */
+  protected _next(input: any, initialState?: string): IStateOutput | null
+  {
+    const status: IStateOutput | null = this._begin(input, initialState);
+    if (status != null) {
+      return status;
+    }
+
+    let output: IStateOutput | null = null;
+
+    this._select(input).forEach( (selected: ISelectedTransition) =>
+    {
+      // an earlier transition (in another region) may have exited the state that defines this transition or completed
+      // the machine
+      if (this._done || !this._isActive(selected.source)) {
+        return;
+      }
+
+      const toState: any = selected.transition(input, this._curState, this._copyContext());
+
+      if (FiniteStateMachine._isAsync(toState)) {
+        throw new Error('[FSM] An asynchronous transition from state ' + selected.source + ' requires nextAsync()');
+      }
+
+      // a transition function (or table) may decline to transition on this input
+      if (toState !== undefined && toState != null)
+      {
+        const applied: IStateOutput = this._apply(selected, <IStateOutput> toState, input);
+        output = output || applied;
+      }
+    });
+
+    if (output != null) {
+      output.to = this._curState;
+    }
+
+    return output;
+  }
+
+  /**
+   * Send the machine input that may cause asynchronous transitions
+   *
+   * @param input Input data
+   *
+   * @param {string} initialState Optional initial state to force the machine into before processing the input
+   *
+   * @returns {Promise<IStateOutput | null>} Resolves with the same output as {next()} once the input is processed,
+   * or with status {CANCELLED} if the transition is cancelled.  The Promise is rejected if the transition fails.  The
+   * transitions of parallel regions resolve in order, and each receives the state and context from before the input.
+   * They are applied (and observers notified) together once every one of them has resolved, so a failed or cancelled
+   * transition leaves every region as it was.  Input that arrives while a transition is in flight is queued and
+   * processed in order.
+   */
+  public nextAsync(input: any, initialState?: string): Promise<IStateOutput | null>
+  {
+    return new Promise<IStateOutput | null>( (resolve: (output: IStateOutput | null) => void, reject: (error: any) => void) =>
+    {
+      this._queue.push({input: input, initialState: initialState, resolve: resolve, reject: reject});
+
+      if (this._pending == null) {
+        this._dequeue();
+      }
+    });
+  }
+
+  /**
+   * Cancel the asynchronous transition in flight, which is not applied (nor are the transitions of any parallel regions
+   * that have resolved for the same input)
+   *
+   * @param {boolean} all True if queued inputs are also cancelled
+   *
+   * @returns {boolean} True if there was a transition to cancel.  The Promise of each cancelled input resolves with
+   * status {CANCELLED}.
+   */
+  public cancel(all: boolean = false): boolean
+  {
+    const pending: IPendingTransition | null = this._pending;
+
+    if (all)
+    {
+      const queue: Array<IQueuedInput> = this._queue.splice(0, this._queue.length);
+
+      queue.forEach( (item: IQueuedInput) => {item.resolve(this._cancelled(item))} );
+    }
+
+    if (pending == null) {
+      return false;
+    }
+
+    pending.cancelled = true;
+
+    if (pending.subscription != null) {
+      pending.subscription.unsubscribe();
+    }
+
+    this._interrupted(pending);
+    pending.item.resolve(this._cancelled(pending.item));
+
+    this._dequeue();
+
+    return true;
+  }
+
+  /**
+   * Reset this machine to its initial state and restore the context from initial data.  States, transitions and
+   * subscribers are unaffected, unless the machine is done, in which case subscribers have been completed and a new
+   * subject is created.
+   */
+  public reset(): void
+  {
+    this._restart();
+
+    this._curState = this._enter(this._def.initialState);
+    this._context  = this.initialData || {};
+
+    this._rearm();
+    this._publish();
+
+    if (this._journal != null) {
+      this._startJournal();
+    }
+  }
+
+  /**
+   * Analyze this machine by evaluating the transitions of each state over the alphabet.  Every state without children
+   * is analyzed (compound states are never the current state).  Each symbol is the input to the transitions of the
+   * state and its ancestors, innermost first, which receive a copy of the context from initial data.  Transition
+   * functions should be pure, since they are called without altering the machine.  Rejection and final states have no
+   * transitions.  Entering a compound state enters its initial (or every parallel) descendant.
+   *
+   * @param {string} initialState Optional state from which reachability is evaluated (default is the initial state)
+   *
+   * @returns {IAnalysis} The explicit transition graph; states that are not reachable from the initial state
+   * ('unreachable'); states from which no acceptance state is reachable ('dead'); (state, symbol) pairs that are
+   * missing a transition, nondeterministic or opaque; and whether or not any acceptance state is reachable.  Without an
+   * initial state, every state is unreachable.
+   */
+  public analyze(initialState?: string): IAnalysis
+  {
+    const start: string           = initialState !== undefined && initialState != '' ? initialState : this._def.initialState;
+    const alphabet: Array<string> = this._def.alphabet || [];
+    const flag: Function          = (states: Object, state: string): boolean => !!states && states.hasOwnProperty(state);
+
+    const leaves: Array<string> = new Array<string>();
+    this._def.states.forEach( (state: string) => {
+      if (this._children(state).length == 0) {
+        leaves.push(state);
+      }
+    });
+
+    const analysis: IAnalysis = {
+      initial: start != FiniteStateMachine.NO_STATE && this._def.states.has(start) ? this._enter(start).split(FiniteStateMachine.REGION_SEPARATOR) : [],
+      transitions: new Array<{from: string, on: string | null, to: string}>(),
+      unreachable: new Array<string>(),
+      dead: new Array<string>(),
+      missing: new Array<{state: string, on: string}>(),
+      nondeterministic: new Array<{state: string, on: string}>(),
+      opaque: new Array<{state: string, on: string}>(),
+      acceptanceReachable: false
+    };
+
+    // an edge to each state that is entered with the target
+    const edges: Function = (from: string, on: string | null, to: string): void => {
+      const entered: Array<string> = this._def.states.has(to) ? this._entered(this._path(to), 0) : [to];
+      entered.forEach( (state: string) => {analysis.transitions.push({from: from, on: on, to: state})} );
+    };
+
+    leaves.forEach( (leaf: string) =>
+    {
+      if (flag(this._def.rejectionStates, leaf) || flag(this._def.finalStates, leaf)) {
+        return;
+      }
+
+      const path: Array<string> = this._path(leaf).reverse();
+
+      path.forEach( (state: string) => {
+        (this._def.delayed.get(state) || []).forEach( (delayed: IDelayedTransition) => {edges(leaf, null, delayed.to)} );
+      });
+
+      alphabet.forEach( (symbol: string) =>
+      {
+        let output: any = null;
+
+        try
+        {
+          const key: string | null = FiniteStateMachine._symbolOf(this._def, symbol);
+          let transition: transFunction | null = null;
+
+          // the innermost state with a matching transition defines the outcome
+          path.some( (state: string): boolean =>
+          {
+            const matches: Array<IGuardedTransition> = (this._def.guarded.get(state) || []).filter( (t: IGuardedTransition): boolean =>
+              (t.on == null || (key != null && t.on.indexOf(key) != -1)) && (t.guard == null || t.guard(symbol, leaf, this.initialData || {}))
+            );
+
+            if (matches.length > 0)
+            {
+              if (matches.length > 1 && matches[1].priority == matches[0].priority) {
+                analysis.nondeterministic.push({state: leaf, on: symbol});
+              }
+
+              transition = matches[0].transition;
+              return true;
+            }
+
+            transition = this._def.transitions.has(state) ? this._def.transitions.get(state) : null;
+
+            return transition != null;
+          });
+
+          output = transition != null ? transition(symbol, leaf, this.initialData || {}) : null;
+        }
+        catch (e)
+        {
+          analysis.opaque.push({state: leaf, on: symbol});
+          return;
+        }
+
+        if (FiniteStateMachine._isAsync(output)) {
+          analysis.opaque.push({state: leaf, on: symbol});
+        }
+        else if (output === undefined || output == null) {
+          analysis.missing.push({state: leaf, on: symbol});
+        }
+        else {
+          edges(leaf, symbol, (<IStateOutput> output).to);
+        }
+      });
+    });
+
+    // states reachable by following edges forward (or backward) from a set of states
+    const closure: Function = (from: Array<string>, forward: boolean): Array<string> => {
+      const reached: Array<string> = from.slice();
+
+      for (let i: number = 0; i < reached.length; ++i)
+      {
+        analysis.transitions.forEach( (edge: {from: string, on: string | null, to: string}) => {
+          const next: string = forward ? (edge.from == reached[i] ? edge.to : null) : (edge.to == reached[i] ? edge.from : null);
+
+          if (next != null && reached.indexOf(next) == -1) {
+            reached.push(next);
+          }
+        });
+      }
+
+      return reached;
+    };
+
+    const reachable: Array<string> = closure(analysis.initial, true);
+    const live: Array<string>      = closure(leaves.filter( (leaf: string): boolean => flag(this._def.acceptanceStates, leaf) ), false);
+
+    analysis.unreachable         = leaves.filter( (leaf: string): boolean => reachable.indexOf(leaf) == -1 );
+    analysis.dead                = leaves.filter( (leaf: string): boolean => live.indexOf(leaf) == -1 );
+    analysis.acceptanceReachable = reachable.some( (state: string): boolean => flag(this._def.acceptanceStates, state) );
+
+    return analysis;
+  }
+
+  /**
+   * Minimize this machine (Hopcroft's algorithm), starting from the partition of states by acceptance.  The transition
+   * graph is that of {analyze()}.  An input with no transition leaves the machine in its state, as does any input to a
+   * rejection or final state.  States that are not reachable from the initial state are removed.
+   *
+   * @param {string} initialState Optional initial state (path); the default is the initial state of the machine
+   *
+   * @returns {IMinimization | null} A new machine with the fewest states that accepts the same sequences of symbols,
+   * and the mapping of original states to merged states.  Each merged state is named for the first of its original
+   * states (in the order they were added, with a path separator replaced by an underscore) and is defined by a
+   * transition table.  The minimized machine has the name, alphabet and classifier of this machine; actions, context,
+   * data and other properties of states are not retained.  A null return indicates that this machine has no alphabet
+   * or initial state, or that its transition graph is not deterministic (there are parallel regions, timed transitions,
+   * or nondeterministic or opaque transitions).
+   */
+  public minimize(initialState?: string): IMinimization | null
+  {
+    const graph: IDeterministicGraph | null = this._deterministic(initialState);
+
+    if (graph == null) {
+      return null;
+    }
+
+    const alphabet: Array<string> = this._def.alphabet;
+    const states: Array<string>   = graph.states;
+    const next: Function          = graph.next;
+    const accepts: Function       = graph.accepts;
+    const mapping: Object         = {};
+
+    this._def.states.forEach( (state: string) => {
+      if (this._children(state).length == 0) {
+        mapping[state] = null;
+      }
+    });
+
+    // blocks are never altered once created, so a block in the work list is identified by reference
+    let partition: Array<Array<string>> = [
+      states.filter( (state: string): boolean => accepts(state) ),
+      states.filter( (state: string): boolean => !accepts(state) )
+    ].filter( (block: Array<string>): boolean => block.length > 0 );
+
+    const work: Array<Array<string>> = partition.slice();
+
+    while (work.length > 0)
+    {
+      const splitter: Array<string> = work.pop();
+
+      alphabet.forEach( (symbol: string) =>
+      {
+        const refined: Array<Array<string>> = new Array<Array<string>>();
+
+        partition.forEach( (block: Array<string>) =>
+        {
+          const inside: Array<string>  = block.filter( (state: string): boolean => splitter.indexOf(next(state, symbol)) != -1 );
+          const outside: Array<string> = block.filter( (state: string): boolean => splitter.indexOf(next(state, symbol)) == -1 );
+
+          if (inside.length == 0 || outside.length == 0)
+          {
+            refined.push(block);
+            return;
+          }
+
+          refined.push(inside, outside);
+
+          const index: number = work.indexOf(block);
+
+          if (index != -1) {
+            work.splice(index, 1, inside, outside);
+          }
+          else {
+            work.push(inside.length <= outside.length ? inside : outside);
+          }
+        });
+
+        partition = refined;
+      });
+    }
+
+    // each block is named for its first state
+    partition.sort( (a: Array<string>, b: Array<string>): number => states.indexOf(a[0]) - states.indexOf(b[0]) );
+
+    const names: Array<string> = new Array<string>();
+
+    partition.forEach( (block: Array<string>) =>
+    {
+      let name: string = block[0].split(FiniteStateMachine.PATH_SEPARATOR).join('_');
+
+      if (names.indexOf(name) != -1) {
+        name += '_' + names.length;
+      }
+
+      names.push(name);
+      block.forEach( (state: string) => {mapping[state] = name} );
+    });
+
+    const data: Object = {
+      name: this.name,
+      alphabet: alphabet.slice(),
+      initialState: mapping[graph.initial],
+      states: partition.map( (block: Array<string>, i: number): Object =>
+      {
+        // symbols with the same target share a row
+        const rows: Array<ITransitionRow> = new Array<ITransitionRow>();
+
+        alphabet.forEach( (symbol: string) =>
+        {
+          const to: string          = mapping[next(block[0], symbol)];
+          const row: ITransitionRow = rows.filter( (r: ITransitionRow): boolean => r.to == to )[0];
+
+          if (row !== undefined) {
+            (<Array<string>> row.on).push(symbol);
+          }
+          else {
+            rows.push({on: [symbol], to: to});
+          }
+        });
+
+        return {name: names[i], isAcceptance: accepts(block[0]), transitions: rows};
+      })
+    };
+
+    const machine: FiniteStateMachine = FiniteStateMachine.create(data, this.name);
+    machine.classifier = this._def.classifier;
+
+    return {machine: machine, mapping: mapping};
+  }
+
+  /**
+   * Create a lightweight machine that shares the definition of this machine, which is frozen if it is not already
+   *
+   * @returns {FiniteStateMachine} A machine, with a frozen definition, in the initial state with a context from initial
+   * data.  Its current state, context, subscribers, timed transitions, scheduler and journal are its own.
+   */
+  public createInstance(): FiniteStateMachine
+  {
+    const machine: FiniteStateMachine = new FiniteStateMachine();
+
+    machine.name = this.name;
+    machine._def = FiniteStateMachine._freeze(this._def);
+
+    machine.reset();
+
+    return machine;
+  }
+
+  /**
+   * Capture the runtime state of this machine
+   *
+   * @returns {IMachineSnapshot} Serializable snapshot of the current state, a deep copy of the context, completion,
+   * armed timed transitions and the transition history, i.e. the journal (see {getJournal()}) if it has any entries.
+   * Asynchronous transitions in flight and queued inputs are not captured.
+   */
+  public getSnapshot(): IMachineSnapshot
+  {
+    const snapshot: IMachineSnapshot = this._capture();
+
+    if (this._journal != null && this._cursor > 0) {
+      snapshot.history = this.getJournal();
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Capture the runtime state of this machine without its history, i.e. for the journal itself
+   *
+   * @returns {IMachineSnapshot}
+   */
+  protected _capture(): IMachineSnapshot
+  {
+    const now: number = this._scheduler.now();
+    const timers: Array<{state: string, index: number, remaining: number}> = new Array<{state: string, index: number, remaining: number}>();
+
+    this._timers.forEach( (armed: Array<IArmedTimer>, state: string) => {
+      armed.forEach( (timer: IArmedTimer) => {timers.push({state: state, index: timer.index, remaining: Math.max(0, timer.due - now)})} );
+    });
+
+    const snapshot: IMachineSnapshot = {
+      name: this.name,
+      state: this._curState,
+      context: FiniteStateMachine._clone(this._context),
+      isAcceptance: this.isAcceptance,
+      isRejected: this.isRejected,
+      done: this._done,
+      timers: timers
+    };
+
+    if (this._done && this._output !== undefined) {
+      snapshot.output = FiniteStateMachine._clone(this._output);
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Restore the runtime state of this machine from a snapshot taken of a machine built from the same definition
+   *
+   * @param {IMachineSnapshot} snapshot Snapshot (possibly after serialization)
+   *
+   * @returns {IDecisionTreeAction} The snapshot is validated before the machine is altered.  On failure, the action is
+   * {NO_DATA}, {INVALID_DATA} for a malformed snapshot or {INVALID_STATE} if a state (or timed transition) of the
+   * snapshot does not exist in this machine, and 'node' is the failing value.  On success, asynchronous transitions
+   * (in flight and queued) are cancelled, the state, context and completion of the machine are restored, and timed
+   * transitions are re-armed with the time that remained.  Observers of {state$} receive the restored state, but no
+   * transition is notified.  Restoring a machine that is done completes its subject (see {reset()}).  The history of
+   * the snapshot, if any, becomes the journal of this machine (which enables journaling); only its first entry can be
+   * undone, since the states between its entries are not part of the snapshot.  Otherwise, the journal restarts.
+   */
+  public restore(snapshot: IMachineSnapshot): IDecisionTreeAction
+  {
+    const failure: Function = (action: string, node: any): IDecisionTreeAction => ({success: false, action: action, node: node});
+    const isObject: Function = (value: any): boolean => Object.prototype.toString.call(value) == '[object Object]';
+
+    if (snapshot === undefined || snapshot == null) {
+      return failure(FiniteStateMachine.NO_DATA, snapshot);
+    }
+
+    if (!isObject(snapshot) || typeof snapshot.state != 'string' || !isObject(snapshot.context) ||
+        typeof snapshot.done != 'boolean' || Object.prototype.toString.call(snapshot.timers) != '[object Array]') {
+      return failure(FiniteStateMachine.INVALID_DATA, snapshot);
+    }
+
+    const history: IJournal = snapshot.history;
+
+    if (history !== undefined && (!isObject(history) || !isObject(history.initial) ||
+        Object.prototype.toString.call(history.entries) != '[object Array]')) {
+      return failure(FiniteStateMachine.INVALID_DATA, history);
+    }
+
+    // every active state must be a state of this machine with no children
+    const leaves: Array<string> = snapshot.state.split(FiniteStateMachine.REGION_SEPARATOR);
+
+    if (snapshot.state != FiniteStateMachine.NO_STATE)
+    {
+      const invalid: Array<string> = leaves.filter( (leaf: string): boolean =>
+        !this._def.states.has(leaf) || this._children(leaf).length > 0 || leaves.indexOf(leaf) != leaves.lastIndexOf(leaf)
+      );
+
+      if (invalid.length > 0) {
+        return failure(FiniteStateMachine.INVALID_STATE, invalid[0]);
+      }
+    }
+
+    // timed transitions must belong to an active state
+    let error: IDecisionTreeAction | null = null;
+
+    snapshot.timers.some( (timer: any): boolean =>
+    {
+      if (!isObject(timer) || typeof timer.remaining != 'number' || !isFinite(timer.remaining) || timer.remaining < 0)
+      {
+        error = failure(FiniteStateMachine.INVALID_DATA, timer);
+      }
+      else
+      {
+        const after: Array<IDelayedTransition> = this._def.delayed.get(timer.state);
+        const active: boolean = snapshot.state != FiniteStateMachine.NO_STATE &&
+          leaves.some( (leaf: string): boolean => this._path(leaf).indexOf(timer.state) != -1 );
+
+        if (!active || after === undefined || after[timer.index] === undefined) {
+          error = failure(FiniteStateMachine.INVALID_STATE, timer);
+        }
+      }
+
+      return error != null;
+    });
+
+    if (error != null) {
+      return error;
+    }
+
+    this._restore(snapshot);
+
+    if (history !== undefined && history.entries.length > 0) {
+      this._resumeJournal(history);
+    }
+    else if (this._journal != null) {
+      this._startJournal();
+    }
+
+    return {
+      success: true,
+      action: FiniteStateMachine.VALID
+    };
+  }
+
+  /**
+   * Access the journal of this machine
+   *
+   * @returns {IJournal | null} Serializable copy of the journal (null if journaling is disabled).  Entries that have been
+   * undone are not included.
+   */
+  public getJournal(): IJournal | null
+  {
+    if (this._journal == null) {
+      return null;
+    }
+
+    return JSON.parse(JSON.stringify({
+      name: this.name,
+      initial: this._snapshots[0],
+      entries: this._journal.slice(0, this._cursor)
+    }));
+  }
+
+  /**
+   * Replay a journal, i.e. one exported from another machine built from the same definition
+   *
+   * @param {IJournal} journal Journal
+   *
+   * @returns {IDecisionTreeAction} This machine is restored to the initial snapshot of the journal and each entry is
+   * replayed in order (inputs are sent to {next()} and timed transitions are taken when they are reached).  Replay stops
+   * at the first entry whose states, output data or status differ from those of the journal, in which case the action is
+   * {DIVERGED} and the node is an Object with the 'index' of that entry, the 'expected' entry, and the 'actual' entry.
+   * An invalid journal or initial snapshot is reported as by {restore()}.  Inputs that were sent to {nextAsync()} are
+   * also sent to {next()}, which throws if a transition is asynchronous (see {replayAsync()}).
+   */
+  public replay(journal: IJournal): IDecisionTreeAction
+  {
+    const restored: IDecisionTreeAction = this._replayable(journal);
+    if (!restored.success) {
+      return restored;
+    }
+
+    let diverged: IDecisionTreeAction = null;
+
+    journal.entries.some( (expected: IJournalEntry, index: number): boolean =>
+    {
+      diverged = this._replayEntry(expected, index);
+
+      return diverged != null;
+    });
+
+    return diverged || {success: true, action: FiniteStateMachine.VALID};
+  }
+
+  /**
+   * Replay a journal that may contain asynchronous transitions
+   *
+   * @param {IJournal} journal Journal
+   *
+   * @returns {Promise<IDecisionTreeAction>} Resolves with the same result as {replay()}, except that inputs that were
+   * sent to {nextAsync()} are sent to {nextAsync()} and each is processed before the next entry is replayed.  The Promise
+   * is rejected if a transition fails.
+   */
+  public replayAsync(journal: IJournal): Promise<IDecisionTreeAction>
+  {
+    const restored: IDecisionTreeAction = this._replayable(journal);
+    if (!restored.success) {
+      return Promise.resolve(restored);
+    }
+
+    const step: Function = (index: number): Promise<IDecisionTreeAction> =>
+    {
+      if (index >= journal.entries.length) {
+        return Promise.resolve({success: true, action: FiniteStateMachine.VALID});
+      }
+
+      const expected: IJournalEntry = journal.entries[index];
+
+      if (expected.async !== true)
+      {
+        const diverged: IDecisionTreeAction = this._replayEntry(expected, index);
+
+        return diverged != null ? Promise.resolve(diverged) : step(index + 1);
+      }
+
+      // nextAsync() records the input if this machine is journaling
+      const actual: IJournalEntry = {from: this._curState, to: this._curState, timestamp: this._scheduler.now(), async: true};
+
+      return this.nextAsync(FiniteStateMachine._clone(expected.input), expected.initialState).then( (output: IStateOutput | null): any =>
+      {
+        FiniteStateMachine._outcome(actual, output, this._curState);
+
+        const diverged: IDecisionTreeAction = FiniteStateMachine._diverged(index, expected, actual);
+
+        return diverged != null ? diverged : step(index + 1);
+      });
+    };
+
+    return step(0);
+  }
+
+  /**
+   * Step backward through the journal, restoring the machine to its state before the last journal entry
+   *
+   * @returns {boolean} True if there was an entry to undo (false if journaling is disabled, or the entry was restored
+   * from the history of a snapshot and is not the first).  As with {restore()}, asynchronous transitions are cancelled
+   * and timed transitions are re-armed with the time that remained.
+   */
+  public undo(): boolean
+  {
+    if (this._journal == null || this._cursor == 0 || this._snapshots[this._cursor - 1] == null) {
+      return false;
+    }
+
+    this._cursor--;
+    this._restore(this._snapshots[this._cursor]);
+
+    return true;
+  }
+
+  /**
+   * Step forward through the journal, restoring the machine to its state after the next entry that was undone.  Any new
+   * entry discards the entries that could be redone.
+   *
+   * @returns {boolean} True if there was an entry to redo
+   */
+  public redo(): boolean
+  {
+    if (this._journal == null || this._cursor >= this._journal.length) {
+      return false;
+    }
+
+    this._cursor++;
+    this._restore(this._snapshots[this._cursor]);
+
+    return true;
+  }
+
+  /**
+   * Restore the runtime state of this machine from a valid snapshot
+   *
+   * @param {IMachineSnapshot} snapshot Snapshot
+   */
+  protected _restore(snapshot: IMachineSnapshot): void
+  {
+    this.cancel(true);
+    this._disarm();
+    this._restart();
+
+    this._curState = snapshot.state;
+    this._context  = JSON.parse(JSON.stringify(snapshot.context));
+
+    if (snapshot.done)
+    {
+      this._done   = true;
+      this._output = snapshot.output !== undefined ? JSON.parse(JSON.stringify(snapshot.output)) : undefined;
+
+      this._subject.complete();
+    }
+    else
+    {
+      snapshot.timers.forEach( (timer: {state: string, index: number, remaining: number}) => {
+        this._schedule(timer.state, timer.index, timer.remaining);
+      });
+    }
+
+    this._publish();
+  }
+
+  /**
+   * Validate a journal to replay and restore this machine to its initial snapshot
+   *
+   * @param {IJournal} journal Journal
+   *
+   * @returns {IDecisionTreeAction}
+   */
+  protected _replayable(journal: IJournal): IDecisionTreeAction
+  {
+    if (journal === undefined || journal == null) {
+      return {success: false, action: FiniteStateMachine.NO_DATA, node: journal};
+    }
+
+    if (Object.prototype.toString.call(journal.entries) != '[object Array]') {
+      return {success: false, action: FiniteStateMachine.INVALID_DATA, node: journal};
+    }
+
+    return this.restore(journal.initial);
+  }
+
+  /**
+   * Replay one journal entry with {next()} or by taking its timed transition
+   *
+   * @param {IJournalEntry} expected Entry
+   *
+   * @param {number} index Index of the entry in the journal
+   *
+   * @returns {IDecisionTreeAction | null} {DIVERGED} result or null if the outcome is that of the entry
+   */
+  protected _replayEntry(expected: IJournalEntry, index: number): IDecisionTreeAction | null
+  {
+    const before: IMachineSnapshot = this._journal != null ? this._capture() : null;
+    const actual: IJournalEntry    = {from: this._curState, to: this._curState, timestamp: this._scheduler.now()};
+    let output: IStateOutput | null = null;
+
+    if (expected.timer !== undefined)
+    {
+      const after: Array<IDelayedTransition> = this._def.delayed.get(expected.timer.state);
+
+      actual.timer = expected.timer;
+
+      if (after !== undefined && after[expected.timer.index] !== undefined) {
+        output = this._fire(expected.timer.state, expected.timer.index);
+      }
+    }
+    else
+    {
+      actual.input = FiniteStateMachine._clone(expected.input);
+
+      if (expected.initialState !== undefined) {
+        actual.initialState = expected.initialState;
+      }
+
+      if (expected.async !== undefined) {
+        actual.async = expected.async;
+      }
+
+      // the journal's input is not altered by the transition function
+      output = this._next(FiniteStateMachine._clone(expected.input), expected.initialState);
+    }
+
+    if (this._journal != null) {
+      this._record(actual, output, before);
+    }
+    else {
+      FiniteStateMachine._outcome(actual, output, this._curState);
+    }
+
+    return FiniteStateMachine._diverged(index, expected, actual);
+  }
+
+  /**
+   * Compare the outcome (states, output data and status) of a replayed journal entry with that of the journal
+   *
+   * @param {number} index Index of the entry in the journal
+   *
+   * @param {IJournalEntry} expected Entry of the journal
+   *
+   * @param {IJournalEntry} actual Replayed entry
+   *
+   * @returns {IDecisionTreeAction | null} {DIVERGED} result or null if the outcomes are the same
+   */
+  protected static _diverged(index: number, expected: IJournalEntry, actual: IJournalEntry): IDecisionTreeAction | null
+  {
+    const outcome: Function = (entry: IJournalEntry): string => JSON.stringify([entry.from, entry.to, entry.data, entry.status]);
+
+    if (outcome(actual) == outcome(expected)) {
+      return null;
+    }
+
+    return {
+      success: false,
+      action: FiniteStateMachine.DIVERGED,
+      node: {index: index, expected: expected, actual: actual}
+    };
+  }
+
+  /**
+   * Start a new journal from the current state of this machine
+   */
+  protected _startJournal(): void
+  {
+    this._journal   = new Array<IJournalEntry>();
+    this._snapshots = [this._capture()];
+    this._cursor    = 0;
+  }
+
+  /**
+   * Continue the history of a snapshot as the journal of this machine, which is in the state after its last entry
+   *
+   * @param {IJournal} history History of a snapshot, with at least one entry
+   */
+  protected _resumeJournal(history: IJournal): void
+  {
+    this._journal   = FiniteStateMachine._clone(history.entries);
+    this._snapshots = this._journal.map( (): IMachineSnapshot => null );
+    this._cursor    = this._journal.length;
+
+    this._snapshots[0] = FiniteStateMachine._clone(history.initial);
+    this._snapshots.push(this._capture());
+  }
+
+  /**
+   * Record an entry in the journal, which discards any entries that could be redone
+   *
+   * @param {IJournalEntry} entry Entry, with the input (or timer) and the state before the transition
+   *
+   * @param {IStateOutput | null} output Output of the transition (null if there was no transition)
+   *
+   * @param {IMachineSnapshot} before Snapshot of the machine before the transition
+   */
+  protected _record(entry: IJournalEntry, output: IStateOutput | null, before: IMachineSnapshot): void
+  {
+    FiniteStateMachine._outcome(entry, output, this._curState);
+
+    this._journal.splice(this._cursor);
+    this._snapshots.splice(this._cursor);
+
+    this._journal.push(entry);
+    this._snapshots.push(before, this._capture());
+
+    this._cursor++;
+  }
+
+  /**
+   * Complete a journal entry with the outcome of a transition
+   *
+   * @param {IJournalEntry} entry Entry
+   *
+   * @param {IStateOutput | null} output Output of the transition (null if there was no transition)
+   *
+   * @param {string} to State after the transition
+   */
+  protected static _outcome(entry: IJournalEntry, output: IStateOutput | null, to: string): void
+  {
+    entry.to = to;
+
+    if (output != null)
+    {
+      if (output.data !== undefined) {
+        entry.data = FiniteStateMachine._clone(output.data);
+      }
+
+      if (output.status !== undefined) {
+        entry.status = output.status;
+      }
+    }
+  }
+
+  /**
+   * Copy a value as it would be serialized
+   *
+   * @param value Value
+   *
+   * @returns {any} Copy of the value (undefined is not altered)
+   */
+  protected static _clone(value: any): any
+  {
+    return value !== undefined ? JSON.parse(JSON.stringify(value)) : undefined;
+  }
+
+  /**
+   * Access the deterministic transition graph of this machine over its alphabet, as evaluated by {analyze()}.  An input
+   * with no transition leaves the machine in its state, as does any input to a rejection or final state.
+   *
+   * @param {string} initialState Optional initial state (path); the default is the initial state of the machine
+   *
+   * @returns {IDeterministicGraph | null} The graph of states (without children) that are reachable from the initial
+   * state, in the order they were added.  A null return indicates that there is no alphabet or initial state, or that
+   * there are parallel regions, timed transitions, or nondeterministic or opaque transitions.
+   */
+  protected _deterministic(initialState?: string): IDeterministicGraph | null
+  {
+    const analysis: IAnalysis = this.analyze(initialState);
+
+    if (this._def.alphabet == null || this._def.alphabet.length == 0 || analysis.initial.length != 1 ||
+        analysis.nondeterministic.length > 0 || analysis.opaque.length > 0) {
+      return null;
+    }
+
+    const delta: Map<string, Object> = new Map<string, Object>();
+    let deterministic: boolean       = true;
+
+    analysis.transitions.forEach( (edge: {from: string, on: string | null, to: string}) =>
+    {
+      const row: Object = delta.get(edge.from) || {};
+
+      deterministic = deterministic && edge.on != null && (!row.hasOwnProperty(edge.on) || row[edge.on] == edge.to);
+      row[edge.on]  = edge.to;
+
+      delta.set(edge.from, row);
+    });
+
+    if (!deterministic) {
+      return null;
+    }
+
+    const states: Array<string> = new Array<string>();
+
+    this._def.states.forEach( (state: string) => {
+      if (this._children(state).length == 0 && analysis.unreachable.indexOf(state) == -1) {
+        states.push(state);
+      }
+    });
+
+    return {
+      initial: analysis.initial[0],
+      states: states,
+      next: (state: string, symbol: string): string => {
+        const row: Object = delta.get(state);
+        return row !== undefined && row.hasOwnProperty(symbol) ? row[symbol] : state;
+      },
+      accepts: (state: string): boolean => !!this._def.acceptanceStates && this._def.acceptanceStates.hasOwnProperty(state)
+    };
+  }
+
+  /**
+   * Access whether or not two machines have compatible alphabets
+   *
+   * @param {FiniteStateMachine} a First machine
+   *
+   * @param {FiniteStateMachine} b Second machine
+   *
+   * @returns {boolean} True if both alphabets contain the same symbols (in any order)
+   */
+  protected static _compatible(a: FiniteStateMachine, b: FiniteStateMachine): boolean
+  {
+    const contains: Function = (x: Array<string>, y: Array<string>): boolean =>
+      y.every( (symbol: string): boolean => x.indexOf(symbol) != -1 );
+
+    return a._def.alphabet != null && b._def.alphabet != null && contains(a._def.alphabet, b._def.alphabet) && contains(b._def.alphabet, a._def.alphabet);
+  }
+
+  /**
+   * Order a set of states
+   *
+   * @param {Array<string>} states States, which may contain duplicates
+   *
+   * @param {Array<string>} order Every state, in order
+   *
+   * @returns {Array<string>} The distinct states in order
+   */
+  protected static _ordered(states: Array<string>, order: Array<string>): Array<string>
+  {
+    return order.filter( (state: string): boolean => states.indexOf(state) != -1 );
+  }
+
+  /**
+   * Build a machine by exploring the states that are reachable from an initial state over the alphabet of a machine
+   *
+   * @param {FiniteStateMachine} a Machine whose alphabet (and classifier) is used
+   *
+   * @param {FiniteStateMachine} b Second machine; its classifier must be the same as that of the first machine for the
+   * classifier to be used
+   *
+   * @param {T} initial Initial state, which is any value that may be serialized
+   *
+   * @param {Function} next Function of a state and a symbol that returns the next state
+   *
+   * @param {Function} accepts Function of a state that returns true if it is an acceptance state
+   *
+   * @param {string} name Optional machine name
+   *
+   * @returns {FiniteStateMachine} Machine with states S0 (the initial state), S1, ... in the order they are reached, each
+   * defined by a transition table over the alphabet
+   */
+  protected static _combine<T>(a: FiniteStateMachine, b: FiniteStateMachine, initial: T, next: (state: T, symbol: string) => T,
+                               accepts: (state: T) => boolean, name?: string): FiniteStateMachine
+  {
+    const alphabet: Array<string> = a._def.alphabet;
+    const reached: Array<T>       = [initial];
+    const keys: Array<string>     = [JSON.stringify(initial)];
+    const states: Array<Object>   = new Array<Object>();
+
+    // states are added as they are reached, so the work list is the remainder of the list of states
+    for (let i: number = 0; i < reached.length; ++i)
+    {
+      const rows: Array<ITransitionRow> = new Array<ITransitionRow>();
+
+      alphabet.forEach( (symbol: string) =>
+      {
+        const target: T   = next(reached[i], symbol);
+        const key: string = JSON.stringify(target);
+        let index: number = keys.indexOf(key);
+
+        if (index == -1)
+        {
+          index = reached.length;
+
+          reached.push(target);
+          keys.push(key);
+        }
+
+        // symbols with the same target share a row
+        const to: string          = 'S' + index;
+        const row: ITransitionRow = rows.filter( (r: ITransitionRow): boolean => r.to == to )[0];
+
+        if (row !== undefined) {
+          (< Array<string> > row.on).push(symbol);
+        }
+        else {
+          rows.push({on: [symbol], to: to});
+        }
+      });
+
+      states.push({name: 'S' + i, isAcceptance: accepts(reached[i]), transitions: rows});
+    }
+
+    const machine: FiniteStateMachine = FiniteStateMachine.create({
+      name: name !== undefined ? name : '',
+      alphabet: alphabet.slice(),
+      initialState: 'S0',
+      states: states
+    }, name);
+
+    machine.classifier = a._def.classifier === b._def.classifier ? a._def.classifier : null;
+
+    return machine;
+  }
+
+  /**
+   * Clear this machine and prepare for new data
+   *
+   * @returns {nothing} The only machine parameter that remains unaltered is the name.  The machine is set to the
+   * {NO_STATE} state.  A machine with a frozen definition no longer shares that definition (which is unaltered) and
+   * may be defined again.
+   */
+  public clear(): void
+  {
+    // a frozen definition is shared with other machines, so it is replaced rather than cleared
+    if (this.isFrozen) {
+      this._def = FiniteStateMachine._emptyDefinition();
+    }
+
+    this._clearDefinition();
+    this._def.guards.clear();
+
+    this._def.classifier     = null;
+    this._def.conflictPolicy = FiniteStateMachine.FIRST_MATCH;
+    this._scheduler          = async;
+
+    this._def.actions.clear();
+
+    this._connections.slice().forEach( (sub: Subscription) => {sub.unsubscribe()} );
+    this._subscriptions.slice().forEach( (sub: Subscription) => {sub.unsubscribe()} );
+
+    this._subscriptions.length = 0;
+    this._subject              = new Subject<IStateTransition>();
+
+    this.journaling = false;
+  }
+
+  /**
+   * Freeze a definition along with every Map, Set, array and Object it contains, so that a definition shared by machines
+   * can not be altered through any of them
+   *
+   * @param value Definition (or a value within it)
+   *
+   * @returns {any} The value, which is frozen
+   */
+  protected static _freeze(value: any): any
+  {
+    if (value == null || typeof value != 'object' || Object.isFrozen(value)) {
+      return value;
+    }
+
+    if (value instanceof Map || value instanceof Set)
+    {
+      const immutable: Function = (): void => {throw new Error('[FSM] The definition of this machine is frozen and may not be altered')};
+
+      ['set', 'add', 'delete', 'clear'].forEach( (method: string) => {
+        if (typeof value[method] == 'function') {
+          value[method] = immutable;
+        }
+      });
+
+      Object.freeze(value);
+
+      (<Map<any, any>> value).forEach( (item: any, key: any) => {
+        FiniteStateMachine._freeze(key);
+        FiniteStateMachine._freeze(item);
+      });
+
+      return value;
+    }
+
+    Object.freeze(value);
+    Object.keys(value).forEach( (key: string) => {FiniteStateMachine._freeze(value[key])} );
+
+    return value;
+  }
+
+  /**
+   * Create an empty definition
+   *
+   * @returns {IMachineDefinition} Definition of a machine without states
+   */
+  protected static _emptyDefinition(): IMachineDefinition
+  {
+    return {
+      states: new Set<string>(),
+      parents: new Map<string, string>(),
+      initial: new Map<string, string>(),
+      parallel: new Set<string>(),
+      regionAcceptance: FiniteStateMachine.ALL_REGIONS,
+      transitions: new Map<string, transFunction>(),
+      tables: new Map<string, ITransitionTable>(),
+      sources: new Map<string, string>(),
+      guards: new Map<string, guardFunction>(),
+      guarded: new Map<string, Array<IGuardedTransition>>(),
+      conflictPolicy: FiniteStateMachine.FIRST_MATCH,
+      actions: new Map<string, stateAction>(),
+      entryActions: new Map<string, Array<stateAction | string>>(),
+      exitActions: new Map<string, Array<stateAction | string>>(),
+      transitionActions: new Map<string, Map<string, Array<stateAction | string>>>(),
+      acceptanceStates: null,
+      rejectionStates: null,
+      finalStates: null,
+      outputs: new Map<string, finalOutput>(),
+      outputSources: new Map<string, string | Object>(),
+      delayed: new Map<string, Array<IDelayedTransition>>(),
+      initialState: FiniteStateMachine.NO_STATE,
+      initialData: null,
+      alphabet: null,
+      strict: false,
+      errorState: null,
+      classifier: null
+    };
+  }
+
+  /**
+   * Clear the states and transitions of this machine along with any information that accompanies a data definition
+   */
+  protected _clearDefinition(): void
+  {
+    this._restart();
+
+    this._def.states.clear();
+    this._def.parents.clear();
+    this._def.initial.clear();
+    this._def.parallel.clear();
+    this._def.transitions.clear();
+    this._def.guarded.clear();
+    this._def.tables.clear();
+    this._def.sources.clear();
+    this._def.entryActions.clear();
+    this._def.exitActions.clear();
+    this._def.transitionActions.clear();
+    this._def.delayed.clear();
+    this._def.outputs.clear();
+    this._def.outputSources.clear();
+
+    this._disarm();
+
+    this._curState             = FiniteStateMachine.NO_STATE;
+    this._def.acceptanceStates = null;
+    this._def.rejectionStates  = null;
+    this._def.finalStates      = null;
+    this._def.initialState     = FiniteStateMachine.NO_STATE;
+    this._def.initialData      = null;
+    this._def.alphabet         = null;
+    this._context              = {};
+    this._def.strict           = false;
+    this._def.errorState       = null;
+    this._def.regionAcceptance = FiniteStateMachine.ALL_REGIONS;
+
+    this._publish();
+  }
+
+  /**
+   * Validate an entire {Object} definition of a machine
+   *
+   * @param {Object} data Data definition of a machine
+   *
+   * @param {Map<string, guardFunction>} guards Named guards available to transition tables or null if the names of
+   * guards are not known, in which case any guard that is a plain identifier is presumed to name a guard
+   *
+   * @param {Map<string, stateAction>} actions Named actions or null if the names of actions are not known (and can not
+   * be checked)
+   *
+   * @param {boolean} nondeterministic True if the definition is validated as nondeterministic whether or not it has
+   * lists of targets or epsilon targets
+   *
+   * @returns {Array<IDecisionTreeAction>} Every error detected in the definition (empty for a valid definition)
+   */
+  protected static _definitionErrors(data: Object, guards: Map<string, guardFunction> | null,
+                                     actions: Map<string, stateAction> | null, nondeterministic: boolean = false): Array<IDecisionTreeAction>
+  {
+    const errors: Array<IDecisionTreeAction> = new Array<IDecisionTreeAction>();
+    const isArray: Function                  = (value: any): boolean => Object.prototype.toString.call(value) == '[object Array]';
+    const isNfa: boolean                     = nondeterministic || FiniteStateMachine._isNondeterministic(data);
+
+    if (data === undefined || data == null)
+    {
+      errors.push({success: false, action: FiniteStateMachine.NO_DATA});
+      return errors;
+    }
+
+    // required properties
+    ['name', 'alphabet', 'states'].forEach( (prop: string) => {
+      if (!data.hasOwnProperty(prop)) {
+        errors.push({success: false, action: FiniteStateMachine.MISSING_PROPS, node: data});
+      }
+    });
+
+    // properties are those of the schema, so the definitions accepted here are those accepted by {validateDefinition()}
+    const isUnknown: Function = (value: Object, definition: string | null): boolean => {
+      const props: Object = definition == null ? FSM_DEFINITION_SCHEMA['properties'] : FSM_DEFINITION_SCHEMA['definitions'][definition]['properties'];
+
+      return Object.keys(value).some( (prop: string): boolean => !props.hasOwnProperty(prop) );
+    };
+
+    if (isUnknown(data, null)) {
+      errors.push({success: false, action: FiniteStateMachine.INVALID_DATA, node: data});
+    }
+
+    if (data.hasOwnProperty('alphabet'))
+    {
+      const alphabet: any = data['alphabet'];
+
+      if (!isArray(alphabet) || (< Array<any> > alphabet).some( (symbol: any): boolean => typeof symbol != 'string' )) {
+        errors.push({success: false, action: FiniteStateMachine.INVALID_DATA, node: alphabet});
+      }
+    }
+
+    // valid state names (paths) must be known in advance to check transition targets
+    const states: Array<IStateEntry> = FiniteStateMachine._collect(data['states'], null);
+    const names: Array<string>       = new Array<string>();
+
+    if (data.hasOwnProperty('states'))
+    {
+      if (!isArray(data['states'])) {
+        errors.push({success: false, action: FiniteStateMachine.INVALID_DATA, node: data['states']});
+      }
+      else if (states.length == 0) {
+        errors.push({success: false, action: FiniteStateMachine.NO_STATE, node: data['states']});
+      }
+    }
+
+    states.forEach( (entry: IStateEntry) =>
+    {
+      if (entry.path != null)
+      {
+        if (names.indexOf(entry.path) != -1) {
+          errors.push({success: false, action: FiniteStateMachine.DUPLICATE_STATE, node: entry.state});
+        }
+        else {
+          names.push(entry.path);
+        }
+      }
+    });
+
+    const isState: Function  = (name: any): boolean => typeof name == 'string' && names.indexOf(name) != -1;
+    const isStates: Function = (to: any): boolean => (isArray(to) ? < Array<any> > to : [to]).every( (name: any): boolean => isState(name) );
+
+    // a list of action names must contain names that are known, if possible
+    const isActionList: Function = (list: any): boolean => {
+      const items: Array<any> = Object.prototype.toString.call(list) == '[object Array]' ? list : [list];
+
+      return items.every( (name: any): boolean => typeof name == 'string' && (actions == null || actions.has(name)) );
+    };
+
+    states.forEach( (entry: IStateEntry) =>
+    {
+      const state: Object = entry.state;
+
+      if (entry.path == null || state['name'].indexOf(FiniteStateMachine.PATH_SEPARATOR) != -1 ||
+          state['name'].indexOf(FiniteStateMachine.REGION_SEPARATOR) != -1 || typeof state['isAcceptance'] != 'boolean' ||
+          isUnknown(state, 'node'))
+      {
+        errors.push({success: false, action: FiniteStateMachine.INVALID_DATA, node: state});
+        return;
+      }
+
+      // a nondeterministic state has no children, actions, timed transitions or output
+      if (isNfa && Object.keys(state).some( (prop: string): boolean => ['name', 'isAcceptance', 'transition', 'transitions', 'epsilon'].indexOf(prop) == -1 ))
+      {
+        errors.push({success: false, action: FiniteStateMachine.INVALID_DATA, node: state});
+        return;
+      }
+
+      // child states are listed in a non-empty array; the initial child must be one of them
+      const isCompound: boolean = state.hasOwnProperty('states');
+
+      // the regions of a parallel state are all entered, so there is no initial region
+      const isParallel: boolean = state.hasOwnProperty('parallel') && state['parallel'] !== false;
+
+      if ((isCompound && (!isArray(state['states']) || state['states'].length == 0)) ||
+          (isParallel && (state['parallel'] !== true || !isCompound || state.hasOwnProperty('initial'))))
+      {
+        errors.push({success: false, action: FiniteStateMachine.INVALID_DATA, node: state});
+        return;
+      }
+
+      if (state.hasOwnProperty('initial') &&
+         (!isCompound || !isState(entry.path + FiniteStateMachine.PATH_SEPARATOR + state['initial']))) {
+        errors.push({success: false, action: FiniteStateMachine.INVALID_INITIAL_STATE, node: state});
+      }
+
+      // a transition may be defined by function body or declarative table, but not both; a rejection state is never
+      // exited, so it need not define a transition.  Compound and child states may rely on the transitions of their
+      // ancestors.
+      const hasFunction: boolean = state.hasOwnProperty('transition');
+      const hasTable: boolean    = state.hasOwnProperty('transitions');
+      const inherits: boolean    = isCompound || entry.parent != null;
+      const isFinal: boolean     = state['isFinal'] === true;
+      const hasAfter: boolean    = state.hasOwnProperty('after');
+      const hasEpsilon: boolean  = state.hasOwnProperty('epsilon');
+
+      if ((hasFunction && hasTable) || !(hasFunction || hasTable || inherits || isFinal || hasAfter || hasEpsilon || state['isRejection'] === true))
+      {
+        errors.push({success: false, action: FiniteStateMachine.INVALID_DATA, node: state});
+        return;
+      }
+
+      // only a final state has output, which is computed by expression(s)
+      if ((state.hasOwnProperty('isFinal') && typeof state['isFinal'] != 'boolean') || (state.hasOwnProperty('output') && !isFinal))
+      {
+        errors.push({success: false, action: FiniteStateMachine.INVALID_DATA, node: state});
+        return;
+      }
+
+      if (state.hasOwnProperty('output') && !FiniteStateMachine._isOutput(state['output'])) {
+        errors.push({success: false, action: FiniteStateMachine.INVALID_EXPRESSION, node: state});
+      }
+
+      if (hasAfter)
+      {
+        const after: Array<any> = isArray(state['after']) ? state['after'] : [state['after']];
+
+        after.forEach( (delayed: any) => {
+          if (Object.prototype.toString.call(delayed) != '[object Object]' || typeof delayed['ms'] != 'number' ||
+              !isFinite(delayed['ms']) || delayed['ms'] < 0 || isUnknown(delayed, 'delayed')) {
+            errors.push({success: false, action: FiniteStateMachine.INVALID_DATA, node: delayed});
+          }
+          else if (!isState(delayed['to'])) {
+            errors.push({success: false, action: FiniteStateMachine.INVALID_TARGET, node: delayed});
+          }
+        });
+      }
+
+      if (hasEpsilon && !isStates(state['epsilon'])) {
+        errors.push({success: false, action: FiniteStateMachine.INVALID_TARGET, node: state});
+      }
+
+      if ((state.hasOwnProperty('onEnter') && !isActionList(state['onEnter'])) ||
+          (state.hasOwnProperty('onExit') && !isActionList(state['onExit']))) {
+        errors.push({success: false, action: FiniteStateMachine.INVALID_ACTION, node: state});
+      }
+
+      if (hasFunction)
+      {
+        const body: any = state['transition'];
+
+        try
+        {
+          if (typeof body != 'string') {
+            throw new Error('transition must be a function body');
+          }
+
+          new Function('data', 'state', 'context', body);
+        }
+        catch (e)
+        {
+          errors.push({success: false, action: FiniteStateMachine.INVALID_TRANSITION, node: state});
+          return;
+        }
+
+        // only literal targets, i.e. {to: 'S2'} or {to: ['S2', 'S3']} (nondeterministic), can be checked in a function
+        // body
+        const target: RegExp  = /\bto\s*:\s*(['"])([^'"\\]*)\1/g;
+        const targets: RegExp = /\bto\s*:\s*\[([^\]]*)\]/g;
+        const name: RegExp    = /(['"])([^'"\\]*)\1/g;
+        let names: Array<string> = new Array<string>();
+        let match: RegExpExecArray;
+
+        while ((match = target.exec(body)) != null) {
+          names.push(match[2]);
+        }
+
+        while ((match = targets.exec(body)) != null) {
+          names = names.concat((match[1].match(name) || []).map( (quoted: string): string => quoted.slice(1, -1) ));
+        }
+
+        if (!names.every( (to: string): boolean => isState(to) )) {
+          errors.push({success: false, action: FiniteStateMachine.INVALID_TARGET, node: state});
+        }
+      }
+      else if (hasTable)
+      {
+        const table: ITransitionTable = {
+          transitions: <Array<ITransitionRow>> state['transitions'],
+          otherwise: <string> state['otherwise']
+        };
+
+        const tableErrors: Array<IDecisionTreeAction> = FiniteStateMachine._tableErrors(table, guards);
+
+        tableErrors.forEach( (error: IDecisionTreeAction) => {
+          error.node = error.node || state;
+          errors.push(error);
+        });
+
+        if (tableErrors.length == 0)
+        {
+          table.transitions.forEach( (row: ITransitionRow) => {
+            // a nondeterministic row has only input symbols and one or more targets
+            if (isUnknown(row, 'row') || (isNfa && Object.keys(row).some( (prop: string): boolean => prop != 'on' && prop != 'to' ))) {
+              errors.push({success: false, action: FiniteStateMachine.INVALID_DATA, node: row});
+            }
+            else if (!isStates(row.to)) {
+              errors.push({success: false, action: FiniteStateMachine.INVALID_TARGET, node: row});
+            }
+
+            if (row.action !== undefined && !isActionList(row.action)) {
+              errors.push({success: false, action: FiniteStateMachine.INVALID_ACTION, node: row});
+            }
+          });
+
+          if (table.otherwise !== undefined && table.otherwise != null && !isState(table.otherwise)) {
+            errors.push({success: false, action: FiniteStateMachine.INVALID_TARGET, node: state});
+          }
+        }
+      }
+    });
+
+    if (data.hasOwnProperty('initialState') && !isState(data['initialState'])) {
+      errors.push({success: false, action: FiniteStateMachine.INVALID_INITIAL_STATE, node: data['initialState']});
+    }
+
+    if (data.hasOwnProperty('initialData') && Object.prototype.toString.call(data['initialData']) != '[object Object]') {
+      errors.push({success: false, action: FiniteStateMachine.INVALID_DATA, node: data['initialData']});
+    }
+
+    if (data.hasOwnProperty('strict') && typeof data['strict'] != 'boolean') {
+      errors.push({success: false, action: FiniteStateMachine.INVALID_DATA, node: data['strict']});
+    }
+
+    if (data.hasOwnProperty('errorState') && !isState(data['errorState'])) {
+      errors.push({success: false, action: FiniteStateMachine.INVALID_TARGET, node: data['errorState']});
+    }
+
+    if (data.hasOwnProperty('regionAcceptance') && data['regionAcceptance'] != 'all' && data['regionAcceptance'] != 'any') {
+      errors.push({success: false, action: FiniteStateMachine.INVALID_DATA, node: data['regionAcceptance']});
+    }
+
+    // subset construction begins with the initial state of a nondeterministic definition
+    if (isNfa)
+    {
+      if (Object.keys(data).some( (prop: string): boolean => ['name', 'alphabet', 'initialState', 'initialData', 'states'].indexOf(prop) == -1 )) {
+        errors.push({success: false, action: FiniteStateMachine.INVALID_DATA, node: data});
+      }
+
+      if (!data.hasOwnProperty('initialState')) {
+        errors.push({success: false, action: FiniteStateMachine.INVALID_INITIAL_STATE, node: data});
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Access whether or not an {Object} definition of a machine is nondeterministic
+   *
+   * @param {Object} data Data definition of a machine
+   *
+   * @returns {boolean} True if a table row or a function body targets a literal list of states (i.e. {to: ['S1', 'S2']})
+   * or a state has epsilon targets
+   */
+  protected static _isNondeterministic(data: Object): boolean
+  {
+    if (data === undefined || data == null) {
+      return false;
+    }
+
+    return FiniteStateMachine._collect(data['states'], null).some( (entry: IStateEntry): boolean =>
+    {
+      const state: any = entry.state;
+
+      if (entry.path == null) {
+        return false;
+      }
+
+      if (state.hasOwnProperty('epsilon') || (typeof state['transition'] == 'string' && /\bto\s*:\s*\[/.test(state['transition']))) {
+        return true;
+      }
+
+      return Object.prototype.toString.call(state['transitions']) == '[object Array]' &&
+        (< Array<any> > state['transitions']).some( (row: any): boolean => row != null && Object.prototype.toString.call(row['to']) == '[object Array]' );
+    });
+  }
+
+  /**
+   * Select the transition function to apply to input in the current state
+   *
+   * @param input Input data
+   *
+   * @returns {Array<ISelectedTransition>} For each parallel region (or the current state, if there are none), the first
+   * guarded transition that matches the input or the transition without options of the active state or, failing that,
+   * of its nearest ancestor that has a transition for the input.  The array is empty if there is no such transition.
+   */
+  protected _select(input: any): Array<ISelectedTransition>
+  {
+    const leaves: Array<string> = this._leaves();
+    const tops: Array<string>   = new Array<string>();
+
+    leaves.forEach( (leaf: string) => {
+      const top: string = this._path(leaf)[0];
+
+      if (tops.indexOf(top) == -1) {
+        tops.push(top);
+      }
+    });
+
+    let selected: Array<ISelectedTransition> = new Array<ISelectedTransition>();
+
+    tops.forEach( (top: string) => {selected = selected.concat(this._selectWithin(top, leaves, input).selected)} );
+
+    return selected;
+  }
+
+  /**
+   * Select transitions to apply to input within an active state, innermost first
+   *
+   * @param {string} state Name of an active state
+   *
+   * @param {Array<string>} leaves Active states of the machine
+   *
+   * @param input Input data
+   *
+   * @returns {Object} Transitions selected within the state ('selected') and whether or not a rejection state within the
+   * state prevents its ancestors from transitioning ('blocked')
+   */
+  protected _selectWithin(state: string, leaves: Array<string>, input: any): {selected: Array<ISelectedTransition>, blocked: boolean}
+  {
+    const children: Array<string> = new Array<string>();
+
+    leaves.forEach( (leaf: string) => {
+      const path: Array<string> = this._path(leaf);
+      const i: number           = path.indexOf(state);
+
+      if (i != -1 && i < path.length - 1 && children.indexOf(path[i + 1]) == -1) {
+        children.push(path[i + 1]);
+      }
+    });
+
+    const result: {selected: Array<ISelectedTransition>, blocked: boolean} = {
+      selected: new Array<ISelectedTransition>(),
+      blocked: children.length == 0 && !!this._def.rejectionStates && this._def.rejectionStates.hasOwnProperty(state)
+    };
+
+    children.forEach( (child: string) => {
+      const inner: {selected: Array<ISelectedTransition>, blocked: boolean} = this._selectWithin(child, leaves, input);
+
+      result.selected = result.selected.concat(inner.selected);
+      result.blocked  = result.blocked || inner.blocked;
+    });
+
+    if (result.selected.length == 0 && !result.blocked)
+    {
+      const selected: ISelectedTransition | null = this._selectFrom(state, input);
+
+      if (selected != null) {
+        result.selected.push(selected);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Select the transition function of a single state to apply to input in the current state
+   *
+   * @param {string} state Name of a state that is the current state or one of its ancestors
+   *
+   * @param input Input data
+   *
+   * @returns {ISelectedTransition | null}
+   */
+  protected _selectFrom(state: string, input: any): ISelectedTransition | null
+  {
+    const transitions: Array<IGuardedTransition> = this._def.guarded.get(state);
+
+    if (transitions !== undefined)
+    {
+      const symbol: string | null = FiniteStateMachine._symbolOf(this._def, input);
+      const n: number             = transitions.length;
+      let selected: IGuardedTransition = null;
+      let i: number;
+      let t: IGuardedTransition;
+
+      for (i = 0; i < n; ++i)
+      {
+        t = transitions[i];
+
+        // transitions are in priority order, so there can be no conflict with a lower-priority transition
+        if (selected != null && t.priority < selected.priority) {
+          break;
+        }
+
+        if ((t.on == null || (symbol != null && t.on.indexOf(symbol) != -1)) && (t.guard == null || t.guard(input, this._curState, this._copyContext())))
+        {
+          if (selected == null)
+          {
+            selected = t;
+
+            if (this._def.conflictPolicy == FiniteStateMachine.FIRST_MATCH) {
+              break;
+            }
+          }
+          else
+          {
+            throw new Error('[FSM] More than one transition from state ' + state + ' matches input ' + symbol);
+          }
+        }
+      }
+
+      if (selected != null) {
+        return {transition: selected.transition, actions: selected.actions, source: state};
+      }
+    }
+
+    return this._def.transitions.has(state) ? {transition: this._def.transitions.get(state), actions: [], source: state} : null;
+  }
+
+  /**
+   * Access the path from the top-level ancestor of a state to the state
+   *
+   * @param {string} state State name
+   *
+   * @returns {Array<string>} Names of the ancestors of the state, outermost first, followed by the state
+   */
+  protected _path(state: string): Array<string>
+  {
+    const path: Array<string> = [state];
+
+    while (this._def.parents.has(path[0])) {
+      path.unshift(this._def.parents.get(path[0]));
+    }
+
+    return path;
+  }
+
+  /**
+   * Access the children of a state
+   *
+   * @param {string} state State name
+   *
+   * @returns {Array<string>} Paths of the children of the state in the order they were added
+   */
+  protected _children(state: string): Array<string>
+  {
+    const children: Array<string> = new Array<string>();
+
+    this._def.parents.forEach( (parent: string, child: string) => {
+      if (parent == state) {
+        children.push(child);
+      }
+    });
+
+    return children;
+  }
+
+  /**
+   * Access the active states of this machine
+   *
+   * @returns {Array<string>} Active state of each parallel region, in the order the regions were added
+   */
+  protected _leaves(): Array<string>
+  {
+    return this._curState.split(FiniteStateMachine.REGION_SEPARATOR);
+  }
+
+  /**
+   * Access whether or not a state is active, i.e. it is an active state or an ancestor of an active state
+   *
+   * @param {string} state State name
+   *
+   * @returns {boolean}
+   */
+  protected _isActive(state: string): boolean
+  {
+    return this._leaves().some( (leaf: string): boolean => this._path(leaf).indexOf(state) != -1 );
+  }
+
+  /**
+   * Access the current state of the machine after a state is entered from outside of its top-level ancestor
+   *
+   * @param {string} state State name
+   *
+   * @returns {string} The state (or its initial descendant if it is a compound state), with the initial state of each
+   * other parallel region that is entered
+   */
+  protected _enter(state: string): string
+  {
+    return this._entered(this._path(state), 0).join(FiniteStateMachine.REGION_SEPARATOR);
+  }
+
+  /**
+   * Access the active states that result from entering a state
+   *
+   * @param {Array<string>} path Path to the state
+   *
+   * @param {number} depth Index in the path of the outermost state that is entered
+   *
+   * @returns {Array<string>} States that are active after entering the state; each sibling region of a parallel
+   * ancestor is entered in its initial state
+   */
+  protected _entered(path: Array<string>, depth: number): Array<string>
+  {
+    const state: string = path[depth];
+
+    if (depth == path.length - 1)
+    {
+      if (this._def.parallel.has(state))
+      {
+        let leaves: Array<string> = new Array<string>();
+        this._children(state).forEach( (region: string) => {leaves = leaves.concat(this._entered([region], 0))} );
+
+        return leaves;
+      }
+
+      return this._def.initial.has(state) && this._def.states.has(this._def.initial.get(state)) ? this._entered([this._def.initial.get(state)], 0) : [state];
+    }
+
+    if (this._def.parallel.has(state))
+    {
+      let leaves: Array<string> = new Array<string>();
+
+      this._children(state).forEach( (region: string) => {
+        leaves = leaves.concat(region == path[depth + 1] ? this._entered(path, depth + 1) : this._entered([region], 0));
+      });
+
+      return leaves;
+    }
+
+    return this._entered(path, depth + 1);
+  }
+
+  /**
+   * Transition from the current state to another state, run actions in order (exit, transition, entry), and notify
+   * observers
+   *
+   * @param {string} to Name of the 'to' state
+   *
+   * @param data Output data from the transition
+   *
+   * @param input Input that caused the transition
+   *
+   * @param {Array<stateAction | string>} actions Transition actions
+   *
+   * @param {Object} context Context of the machine after the transition
+   *
+   * @param {string} status Optional status code of the notification
+   *
+   * @param {string} source State that defines the transition (default is the current state)
+   */
+  protected _transition(to: string, data: any, input: any, actions: Array<stateAction | string>, context: Object,
+                        status?: string, source?: string): void
+  {
+    const from: string   = this._curState;
+    const origin: string = source !== undefined ? source : from;
+
+    // states below the nearest common ancestor of the source and target are exited and entered; a transition to the
+    // source itself, or to an ancestor or descendant of the source, exits and re-enters the source.  Without a source,
+    // every active state is exited.
+    const sourcePath: Array<string> = source !== undefined ? this._path(source) : [];
+    const toPath: Array<string>     = this._path(to);
+    let common: number              = 0;
+
+    while (common < sourcePath.length - 1 && common < toPath.length - 1 && sourcePath[common] == toPath[common]) {
+      common++;
+    }
+
+    // active states outside of the common ancestor (in other parallel regions) are unaffected
+    const leaves: Array<string>             = this._leaves();
+    const inside: (leaf: string) => boolean = (leaf: string): boolean => common == 0 || this._path(leaf)[common - 1] == toPath[common - 1];
+    const exitedLeaves: Array<string>       = leaves.filter(inside);
+    const enteredLeaves: Array<string>      = this._entered(toPath, common);
+    const active: Array<string>             = leaves.filter( (leaf: string): boolean => !inside(leaf) );
+
+    active.splice.apply(active, (< Array<any> > [exitedLeaves.length > 0 ? leaves.indexOf(exitedLeaves[0]) : active.length, 0]).concat(enteredLeaves));
+
+    const target: string = active.join(FiniteStateMachine.REGION_SEPARATOR);
+
+    // states are exited innermost first and entered outermost first, in the order of their regions
+    const below: Function = (states: Array<string>): Array<string> => {
+      const result: Array<string> = new Array<string>();
+
+      states.forEach( (leaf: string) => {
+        this._path(leaf).slice(common).forEach( (state: string) => {
+          if (result.indexOf(state) == -1) {
+            result.push(state);
+          }
+        });
+      });
+
+      return result;
+    };
+
+    const exited: Array<string>  = below(exitedLeaves).reverse();
+    const entered: Array<string> = below(enteredLeaves);
+
+    const transition: IStateTransition = {
+      from: from,
+      to: target,
+      data: data ? data : null,
+      contextBefore: this._copyContext(),
+      contextAfter: FiniteStateMachine._clone(context)
+    };
+
+    if (status !== undefined) {
+      transition.status = status;
+    }
+
+    transition.exited  = exited;
+    transition.entered = entered;
+
+    const transitionActions: Map<string, Array<stateAction | string>> = this._def.transitionActions.get(origin);
+
+    // resolve every action before running any of them
+    let exit: Array<stateAction>    = new Array<stateAction>();
+    let enter: Array<stateAction>   = new Array<stateAction>();
+    const trans: Array<stateAction> = this._resolve(actions.concat(transitionActions !== undefined ? transitionActions.get(to) || [] : []));
+
+    exited.forEach( (state: string) => {exit = exit.concat(this._resolve(this._def.exitActions.get(state)))} );
+    entered.forEach( (state: string) => {enter = enter.concat(this._resolve(this._def.entryActions.get(state)))} );
+
+    this._disarm(exited);
+
+    exit.forEach( (action: stateAction) => {action(transition, input)} );
+    trans.forEach( (action: stateAction) => {action(transition, input)} );
+
+    this._curState = target;
+    this._context  = FiniteStateMachine._clone(context);
+
+    enter.forEach( (action: stateAction) => {action(transition, input)} );
+
+    this._arm(entered);
+
+    this._subject.next(transition);
+    this._publish();
+
+    if (this._def.finalStates && this._leaves().every( (state: string): boolean => this._def.finalStates.hasOwnProperty(state) ))
+    {
+      // output is computed by the last final state entered that has output
+      const withOutput: Array<string> = enteredLeaves.filter( (state: string): boolean => this._def.outputs.has(state) );
+
+      this._done   = true;
+      this._output = withOutput.length > 0
+        ? this._def.outputs.get(withOutput[withOutput.length - 1])(data ? data : input, this._copyContext())
+        : undefined;
+
+      this._subject.next( {
+        from: this._curState,
+        to: this._curState,
+        data: this._output,
+        status: FiniteStateMachine.DONE,
+        contextBefore: this._copyContext(),
+        contextAfter: this._copyContext()
+      });
+
+      this._disarm();
+      this._subject.complete();
+    }
+  }
+
+  /**
+   * Begin processing an input, which may end before any transition is selected
+   *
+   * @param input Input data
+   *
+   * @param {string} initialState Optional initial state
+   *
+   * @returns {IStateOutput | null} Output with a status if processing ends because the machine is done or rejected, or
+   * the input is not a symbol in the alphabet (strict mode); otherwise, null
+   */
+  protected _begin(input: any, initialState?: string): IStateOutput | null
+  {
+    if (this._done)
+    {
+      return {
+        to: this._curState,
+        data: input,
+        status: FiniteStateMachine.TERMINATED
+      };
+    }
+
+    if (initialState !== undefined && initialState != '')
+    {
+      this._curState = this._enter(initialState);
+      this._rearm();
+      this._publish();
+    }
+
+    // there is no way out of a trap state other than an explicit initial state or clearing the machine
+    if (this.isRejected)
+    {
+      this._subject.next( {
+        from: this._curState,
+        to: this._curState,
+        data: null,
+        status: FiniteStateMachine.REJECTED,
+        contextBefore: this._copyContext(),
+        contextAfter: this._copyContext()
+      });
+
+      return {
+        to: this._curState,
+        data: input,
+        status: FiniteStateMachine.REJECTED
+      }
+    }
+
+    if (this._def.strict)
+    {
+      const symbol: string | null = FiniteStateMachine._symbolOf(this._def, input);
+
+      if (symbol == null || this._def.alphabet == null || this._def.alphabet.indexOf(symbol) == -1)
+      {
+        if (this._def.errorState != null)
+        {
+          this._transition(this._def.errorState, null, input, [], this._context, FiniteStateMachine.INVALID_SYMBOL);
+        }
+        else
+        {
+          this._subject.next( {
+            from: this._curState,
+            to: this._curState,
+            data: null,
+            status: FiniteStateMachine.INVALID_SYMBOL,
+            contextBefore: this._copyContext(),
+            contextAfter: this._copyContext()
+          });
+        }
+
+        return {
+          to: this._curState,
+          data: input,
+          status: FiniteStateMachine.INVALID_SYMBOL
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply the output of a selected transition
+   *
+   * @param {ISelectedTransition} selected Selected transition
+   *
+   * @param {IStateOutput} toState Output of the transition function
+   *
+   * @param input Input data
+   *
+   * @returns {IStateOutput} Output of the transition
+   */
+  protected _apply(selected: ISelectedTransition, toState: IStateOutput, input: any): IStateOutput
+  {
+    // a list of states is only meaningful to a nondeterministic machine
+    if (Object.prototype.toString.call(toState.to) == '[object Array]') {
+      throw new Error('[FSM] The transition from state ' + selected.source + ' returned a list of states, which requires a NondeterministicMachine');
+    }
+
+    const actions: Array<stateAction | string> = toState.actions !== undefined && toState.actions != null
+      ? selected.actions.concat(toState.actions)
+      : selected.actions;
+
+    // context updates replace properties of the current context
+    const context: Object = toState.context !== undefined && toState.context != null
+      ? Object.assign({}, this._context, toState.context)
+      : this._context;
+
+    // transition to that state and notify observers
+    this._transition(toState.to, toState.data, input, actions, context, undefined, selected.source);
+
+    return {to: this._curState, data: toState.data ? toState.data : input};
+  }
+
+  /**
+   * Process the next queued input to {nextAsync()}, if any
+   */
+  protected _dequeue(): void
+  {
+    this._pending = null;
+
+    const item: IQueuedInput = this._queue.shift();
+    if (item === undefined) {
+      return;
+    }
+
+    const pending: IPendingTransition = {item: item, subscription: null, cancelled: false, applied: false};
+    this._pending = pending;
+
+    // the input is recorded when it is processed, unless the transition fails, is cancelled or the journal restarts
+    const journal: Array<IJournalEntry> | null = this._journal;
+    const before: IMachineSnapshot             = journal != null ? this._capture() : null;
+    const entry: IJournalEntry                 = {
+      input: FiniteStateMachine._clone(item.input),
+      from: this._curState,
+      to: this._curState,
+      timestamp: this._scheduler.now(),
+      async: true
+    };
+
+    if (item.initialState !== undefined && item.initialState != '') {
+      entry.initialState = item.initialState;
+    }
+
+    // the pending transition ends at most once; a cancelled transition has already ended
+    const end: Function = (settle: Function): void => {
+      if (!pending.cancelled)
+      {
+        pending.cancelled = true;
+        settle();
+        this._dequeue();
+      }
+    };
+
+    const fail: Function = (error: any): void => end( () => {
+      this._interrupted(pending);
+      item.reject(error);
+    });
+
+    const done: Function = (result: IStateOutput | null): void => end( () => {
+      if (journal != null && this._journal === journal) {
+        this._record(entry, result, before);
+      }
+
+      item.resolve(result);
+    });
+
+    let selected: Array<ISelectedTransition>;
+
+    try
+    {
+      const status: IStateOutput | null = this._begin(item.input, item.initialState);
+      if (status != null)
+      {
+        done(status);
+        return;
+      }
+
+      selected = this._select(item.input);
+    }
+    catch (e)
+    {
+      fail(e);
+      return;
+    }
+
+    // selected transitions (one per parallel region) resolve in order and are applied together once all of them have
+    // resolved, so a transition that fails or is cancelled leaves the machine (and its observers) as they were
+    const outputs: Array<IStateOutput> = new Array<IStateOutput>();
+
+    const apply: Function = (): void =>
+    {
+      let output: IStateOutput | null = null;
+
+      try
+      {
+        selected.forEach( (transition: ISelectedTransition, i: number) =>
+        {
+          const toState: IStateOutput = outputs[i];
+
+          // an earlier transition (in another region) or a timed transition may have exited the source or completed
+          // the machine
+          if (toState !== undefined && toState != null && !this._done && this._isActive(transition.source))
+          {
+            const applied: IStateOutput = this._apply(transition, toState, item.input);
+            output          = output || applied;
+            pending.applied = true;
+          }
+        });
+      }
+      catch (e)
+      {
+        fail(e);
+        return;
+      }
+
+      if (output != null) {
+        output.to = this._curState;
+      }
+
+      done(output);
+    };
+
+    const step: Function = (i: number): void =>
+    {
+      // a timed transition may have exited a source (or completed the machine) while an earlier transition was in flight
+      while (i < selected.length && (this._done || !this._isActive(selected[i].source))) {
+        i++;
+      }
+
+      if (i >= selected.length)
+      {
+        apply();
+        return;
+      }
+
+      const transition: ISelectedTransition = selected[i];
+
+      const resolved: Function = (toState: IStateOutput): void => {
+        if (!pending.cancelled)
+        {
+          outputs[i] = toState;
+          step(i + 1);
+        }
+      };
+
+      let result: any;
+
+      try
+      {
+        result = transition.transition(item.input, this._curState, this._copyContext());
+      }
+      catch (e)
+      {
+        fail(e);
+        return;
+      }
+
+      if (result != null && typeof result.subscribe == 'function' && typeof result.then != 'function')
+      {
+        // only the first value is the output
+        let settled: boolean            = false;
+        let subscription: Subscription = null;
+
+        subscription = (<Observable<IStateOutput>> result).subscribe(
+          (toState: IStateOutput) => {
+            if (!settled)
+            {
+              settled = true;
+
+              if (subscription != null) {
+                subscription.unsubscribe();
+              }
+
+              resolved(toState);
+            }
+          },
+          (error: any) => {
+            settled = true;
+            fail(error);
+          },
+          () => {
+            if (!settled)
+            {
+              settled = true;
+              resolved(null);
+            }
+          }
+        );
+
+        // a synchronous Observable may already have settled (and a later transition may be in flight)
+        if (settled) {
+          subscription.unsubscribe();
+        }
+        else {
+          pending.subscription = subscription;
+        }
+      }
+      else if (result != null && typeof result.then == 'function')
+      {
+        (<Promise<IStateOutput>> result).then( (toState: IStateOutput) => {resolved(toState)}, (error: any) => {fail(error)} );
+      }
+      else
+      {
+        resolved(result);
+      }
+    };
+
+    step(0);
+  }
+
+  /**
+   * Subscribe an observer to (a filtered view of) the transitions of this machine
+   *
+   * @param {Observable<IStateTransition>} transitions Transitions to observe
+   *
+   * @param {transitionObserver} observer Observer or function
+   *
+   * @returns {Subscription | null} The subscription, which is removed from this machine when it is unsubscribed, or null
+   * if there is no observer
+   */
+  protected _observe(transitions: Observable<IStateTransition>, observer: transitionObserver): Subscription | null
+  {
+    if (observer === undefined || observer == null) {
+      return null;
+    }
+
+    const subscription: Subscription = transitions.subscribe(<any> observer);
+
+    this._subscriptions.push(subscription);
+
+    subscription.add( () => {
+      const index: number = this._subscriptions.indexOf(subscription);
+
+      if (index != -1) {
+        this._subscriptions.splice(index, 1);
+      }
+    });
+
+    return subscription;
+  }
+
+  /**
+   * Throw an Error if the definition of this machine is frozen
+   */
+  protected _assertMutable(): void
+  {
+    if (Object.isFrozen(this._def)) {
+      throw new Error('[FSM] The definition of this machine is frozen and may not be altered');
+    }
+  }
+
+  /**
+   * Emit the current state to observers of {state$} if it has changed
+   */
+  protected _publish(): void
+  {
+    if (this._state.getValue() != this._curState) {
+      this._state.next(this._curState);
+    }
+  }
+
+  /**
+   * Arm the timed transitions of states that are entered
+   *
+   * @param {Array<string>} states Names of the states
+   */
+  protected _arm(states: Array<string>): void
+  {
+    states.forEach( (state: string) =>
+    {
+      const after: Array<IDelayedTransition> = this._def.delayed.get(state);
+
+      if (after === undefined || (this._def.rejectionStates && this._def.rejectionStates.hasOwnProperty(state))) {
+        return;
+      }
+
+      after.forEach( (delayed: IDelayedTransition, index: number) => {this._schedule(state, index, delayed.ms)} );
+    });
+  }
+
+  /**
+   * Schedule a timed transition
+   *
+   * @param {string} state Name of the state that defines the transition
+   *
+   * @param {number} index Index of the transition among the timed transitions of the state
+   *
+   * @param {number} ms Delay in milliseconds
+   */
+  protected _schedule(state: string, index: number, ms: number): void
+  {
+    const timers: Array<IArmedTimer>  = this._timers.get(state) || new Array<IArmedTimer>();
+
+    timers.push({
+      index: index,
+      due: this._scheduler.now() + ms,
+      subscription: this._scheduler.schedule( () => {this._timeout(state, index)}, ms )
+    });
+
+    this._timers.set(state, timers);
+  }
+
+  /**
+   * Cancel the timed transitions of states that are exited
+   *
+   * @param {Array<string>} states Names of the states (default is every state with armed transitions)
+   */
+  protected _disarm(states?: Array<string>): void
+  {
+    const names: Array<string> = new Array<string>();
 
-  public name: string;                                  // an optional name given to this FSM
-  protected _curState: string;                          // name of the current state
+    if (states !== undefined) {
+      states.forEach( (state: string) => {names.push(state)} );
+    }
+    else {
+      this._timers.forEach( (timers: Array<IArmedTimer>, state: string) => {names.push(state)} );
+    }
 
-  protected _states: Set<string>;                       // collection of state names
-  protected _transitions: Map<string, transFunction>;   // collection of state transition functions
+    names.forEach( (state: string) =>
+    {
+      const timers: Array<IArmedTimer> = this._timers.get(state);
 
-  protected _subject: Subject<IStateTransition>;
-  protected _subscriptions: Array<Subscription>;
+      if (timers !== undefined)
+      {
+        this._timers.delete(state);
+        timers.forEach( (timer: IArmedTimer) => {timer.subscription.unsubscribe()} );
+      }
+    });
+  }
 
-  // optional hash of acceptance states; there are entire classes of machines for which this concept is not
-  // relevant, so this structure is created JIT
-  protected _acceptanceStates: Object;
+  /**
+   * Cancel every armed timed transition and arm those of every active state, after the current state is assigned
+   * other than by a transition
+   */
+  protected _rearm(): void
+  {
+    this._disarm();
 
-  // TODO - add rejection states
+    if (this._curState == FiniteStateMachine.NO_STATE || this._done) {
+      return;
+    }
 
-  // these are relevant to machines defined with external Object data
-  protected _initialState: string;
-  protected _initialData: Object;
-  protected _alphabet: Array<string>;
+    const active: Array<string> = new Array<string>();
 
-  constructor()
-  {
-    this.name           = '';
-    this._curState      = FiniteStateMachine.NO_STATE;
-    this._states        = new Set<string>();
-    this._transitions   = new Map<string, transFunction>();
-    this._subject       = new Subject<IStateTransition>();
-    this._subscriptions = new Array<Subscription>();
+    this._leaves().forEach( (leaf: string) => {
+      this._path(leaf).forEach( (state: string) => {
+        if (active.indexOf(state) == -1) {
+          active.push(state);
+        }
+      });
+    });
 
-    this._initialState = FiniteStateMachine.NO_STATE;
-    this._initialData  = null;
-    this._alphabet     = null;
+    this._arm(active.filter( (state: string): boolean => this._def.states.has(state) ));
   }
 
   /**
-   * Create a new FSM
-   *
-   * @param {Object} data Object description of this machine
+   * Take a timed transition that has fired and record it in the journal.  There is no caller to throw to, so an Error
+   * (i.e. from an action) is emitted by {error$}.
    *
-   * @param {string} name Machine name
+   * @param {string} state Name of the state that defines the transition
    *
-   * @returns {FiniteStateMachine | null} A null return indicates invalid data
+   * @param {number} index Index of the transition among the timed transitions of the state
    */
-  public static create(data: Object, name?: string): FiniteStateMachine | null
+  protected _timeout(state: string, index: number): void
   {
-    if (data !== undefined && data != null)
+    try
     {
-      let machine: FiniteStateMachine = new FiniteStateMachine();
-      let result: IDecisionTreeAction = machine.fromJson(data);
-
-      if (result.success)
+      if (this._journal == null)
       {
-        machine.name = name !== undefined ? name : '';
-        return machine;
+        this._fire(state, index);
+        return;
       }
-    }
 
-    return null;
+      const before: IMachineSnapshot = this._capture();
+      const entry: IJournalEntry     = {timer: {state: state, index: index}, from: this._curState, to: this._curState, timestamp: this._scheduler.now()};
+
+      const output: IStateOutput | null = this._fire(state, index);
+
+      if (output != null) {
+        this._record(entry, output, before);
+      }
+    }
+    catch (e)
+    {
+      this._errors.next(e);
+    }
   }
 
   /**
-   * Access the number of states defined for this machine
+   * Take a timed transition
    *
-   * @returns {number}
+   * @param {string} state Name of the state that defines the transition
+   *
+   * @param {number} index Index of the transition among the timed transitions of the state
+   *
+   * @returns {IStateOutput | null} Output of the transition or null if the state is not active (or the machine is done)
    */
-  public get numStates(): number
+  protected _fire(state: string, index: number): IStateOutput | null
   {
-    return this._states.size;
+    const delayed: IDelayedTransition = this._def.delayed.get(state)[index];
+
+    if (this._done || !this._isActive(state)) {
+      return null;
+    }
+
+    const data: any = FiniteStateMachine._clone(delayed.data);
+
+    this._transition(delayed.to, data, undefined, [], this._context, undefined, state);
+
+    return {to: this._curState, data: data};
   }
 
   /**
-   * Access the number of state transitions defined for this machine
+   * Restart the journal after an asynchronous transition fails or is cancelled once the transitions of some parallel
+   * regions have been applied (i.e. an action of a later region threw), since the journal can not reproduce that outcome
    *
-   * @returns {number}
+   * @param {IPendingTransition} pending Transition that failed or was cancelled
    */
-  public get numTransitions(): number
+  protected _interrupted(pending: IPendingTransition): void
   {
-    return this._transitions.size;
+    if (pending.applied && this._journal != null) {
+      this._startJournal();
+    }
   }
 
   /**
-   * Access the current state of this machine
+   * Output for a cancelled input
+   *
+   * @param {IQueuedInput} item Input to {nextAsync()}
    *
-   * @returns {string}
+   * @returns {IStateOutput}
    */
-  public get currentState(): string
+  protected _cancelled(item: IQueuedInput): IStateOutput
   {
-    return this._curState;
+    return {
+      to: this._curState,
+      data: item.input,
+      status: FiniteStateMachine.CANCELLED
+    };
   }
 
   /**
-   * Access the named states in this machine in the order they were defined
+   * Access whether or not the output of a transition function is asynchronous
+   *
+   * @param {any} output Output of a transition function
    *
-   * @returns {IterableIterator<string>}
+   * @returns {boolean} True if the output is a Promise or Observable
    */
-  public get states(): IterableIterator<string>
+  protected static _isAsync(output: any): boolean
   {
-    return this._states.keys();
+    return output != null && (typeof output.then == 'function' || typeof output.subscribe == 'function');
   }
 
   /**
-   * Access the initial state of this machine
-   *
-   * @returns {string} This is ONLY relevant for a machine defined by {Object} data
+   * Restart a machine that is done with a new subject, since observers of the prior subject have been completed
    */
-  public get initialState(): string
+  protected _restart(): void
   {
-    return this._initialState;
+    if (this._done)
+    {
+      this._subscriptions.length = 0;
+      this._subject              = new Subject<IStateTransition>();
+    }
+
+    this._done   = false;
+    this._output = undefined;
   }
 
   /**
-   * Access initial data associated with the definition of this machine
+   * Compile the output of a final state that is defined in data
    *
-   * @returns {Object} This is ONLY relevant for a machine defined by {Object} data
+   * @param {string | Object} output Expression or Object whose property values are expressions
+   *
+   * @param {string} state Name of the final state
+   *
+   * @returns {finalOutput}
    */
-  public get initialData(): Object | null
+  protected _compileOutput(output: string | Object, state: string): finalOutput
   {
-    return this._initialData ? JSON.parse(JSON.stringify(this._initialData)) : null;
+    const scope: Function = (data: any, context: Object): Object => ({data: data, state: state, context: context});
+
+    if (typeof output == 'string')
+    {
+      const expr: Expression = new Expression(output, FiniteStateMachine.SCOPE);
+      return (data: any, context?: Object): any => expr.evaluate(scope(data, context));
+    }
+
+    const exprs: Object = {};
+    Object.keys(output).forEach( (key: string) => {exprs[key] = new Expression(output[key], FiniteStateMachine.SCOPE)} );
+
+    return (data: any, context?: Object): any => {
+      const result: Object = {};
+      Object.keys(exprs).forEach( (key: string) => {result[key] = exprs[key].evaluate(scope(data, context))} );
+
+      return result;
+    };
   }
 
   /**
-   * Access whether or not this machine is currently in an acceptance state
+   * Access whether or not the output of a final state in data is a valid expression or Object whose property values are
+   * valid expressions
+   *
+   * @param {any} output Output of a final state
    *
    * @returns {boolean}
    */
-  public get isAcceptance(): boolean
+  protected static _isOutput(output: any): boolean
   {
-    return this._acceptanceStates ? this._acceptanceStates.hasOwnProperty(this._curState) : false;
+    if (output == null || (typeof output != 'string' && Object.prototype.toString.call(output) != '[object Object]')) {
+      return false;
+    }
+
+    const sources: Array<any> = typeof output == 'string' ? [output] : Object.keys(output).map( (key: string): any => output[key] );
+
+    return sources.every( (source: any): boolean => typeof source == 'string' && (new Expression(source, FiniteStateMachine.SCOPE)).isValid );
   }
 
   /**
-   * Access the alphabet defined for this machine.
+   * Copy the current context for use by a transition function, guard, output or notification, none of which may alter
+   * the machine's context
    *
-   * @returns {Array<string> | null} This is ONLY relevant for a machine defined by {Object} data
+   * @returns {Object} Deep copy of the context (as it would be serialized)
    */
-  public get alphabet(): Array<string> | null
+  protected _copyContext(): Object
   {
-    return this._alphabet.slice();
+    return FiniteStateMachine._clone(this._context);
   }
 
   /**
-   * Initialize this machine from {Object} data
+   * Resolve a list of actions into functions
    *
-   * @param {Object} data Data definition of this machine (must include 'name', 'alphabet', and 'states' properties
+   * @param {Array<stateAction | string>} actions Actions as functions or names in the action registry
    *
-   * @returns {IDecisionTreeAction} Result of data definition.  The 'success' property will be true and the 'action'
-   * property will be 'VALID' for valid machine data
+   * @returns {Array<stateAction>} An Error is thrown if an action name is not defined
    */
-  public fromJson(data: Object): IDecisionTreeAction
+  protected _resolve(actions: Array<stateAction | string> | undefined): Array<stateAction>
   {
-    if (data === undefined || data == null)
-    {
-      return {
-        success: false,
-        action: FiniteStateMachine.NO_DATA
-      }
+    if (actions === undefined || actions == null) {
+      return [];
     }
 
-    // test required states
-    if (!data.hasOwnProperty('name') || !data.hasOwnProperty('alphabet') || !data.hasOwnProperty('states'))
+    return actions.map( (action: stateAction | string): stateAction =>
     {
-      return {
-        success: false,
-        action: FiniteStateMachine.MISSING_PROPS
+      if (typeof action != 'string') {
+        return <stateAction> action;
       }
-    }
 
-    let tmp: any = data['alphabet'];
-
-    if (Object.prototype.toString.call(tmp) == '[object Array]')
-    {
-      // good to go
-      this._alphabet = (< Array<string> > data['alphabet'] ).slice();
-    }
-    else
-    {
-      return {
-        success: false,
-        action: FiniteStateMachine.INVALID_DATA
+      if (!this._def.actions.has(<string> action)) {
+        throw new Error('[FSM] Undefined action: ' + action);
       }
-    }
 
-    tmp = data['states'];
-    let states: Array<Object>;
+      return this._def.actions.get(<string> action);
+    });
+  }
 
-    if (Object.prototype.toString.call(tmp) == '[object Array]')
-    {
-      states = < Array<string> > data['states'];
+  /**
+   * Collect the states in an Object definition, including child states, in the order they are defined
+   *
+   * @param {any} states States in an Object definition
+   *
+   * @param {string | null} parent Path of the parent of the states (null for top-level states)
+   *
+   * @returns {Array<IStateEntry>} Each state is followed by its descendants.  The path of a state that has no valid name
+   * is null.
+   */
+  protected static _collect(states: any, parent: string | null): Array<IStateEntry>
+  {
+    let entries: Array<IStateEntry> = new Array<IStateEntry>();
 
-      if (states.length == 0)
-      {
-        return {
-          success: false,
-          action: FiniteStateMachine.NO_STATE
-        }
-      }
-    }
-    else
-    {
-      return {
-        success: false,
-        action: FiniteStateMachine.INVALID_DATA
-      }
+    if (Object.prototype.toString.call(states) != '[object Array]') {
+      return entries;
     }
 
-    this.name          = data['name'];
-    this._initialState = data.hasOwnProperty('initialState') ? data['initialState'] : FiniteStateMachine.NO_STATE;
-    this._curState     = this._initialState;
-
-    // process the states
-    const n: number = states.length;
-    let i: number;
-    let state: Object;
-
-    for (i = 0; i < n; ++i)
+    (< Array<any> > states).forEach( (state: any) =>
     {
-      state = states[i];
-
-      // TODO - work over error handling and apply transition function variable-check
-      if (state.hasOwnProperty('name') && state.hasOwnProperty('isAcceptance') && state.hasOwnProperty('transition'))
-      {
-        let name: string  = <string> state['name'];
-        let fcn: Function = new Function('data', 'state', state['transition']);
+      const named: boolean = state !== undefined && state != null && typeof state == 'object' &&
+                             typeof state['name'] == 'string' && state['name'] != '';
 
-        // TODO insert fcn-check here ...
+      const path: string | null = named ? (parent != null ? parent + FiniteStateMachine.PATH_SEPARATOR + state['name'] : state['name']) : null;
 
-        this.addState(name, <boolean> state['isAcceptance']);
-        this.addTransition(name, <transFunction> fcn);
-      }
-      else
-      {
-        return {
-          success: false,
-          action: FiniteStateMachine.INVALID_DATA,
-          node: state
-        }
-      }
-    }
+      entries.push({state: state, path: path, parent: parent});
 
-    // any initial data provided?
-    if (data.hasOwnProperty('initialData'))
-    {
-      let tmp: any = data['initialData'];
-      if (tmp !== undefined && Object.prototype.toString.call(tmp) == '[object Object]')
-      {
-        this._initialData = JSON.parse(JSON.stringify(<Object> tmp));
-      }
-      else
-      {
-        return {
-          success: false,
-          action: FiniteStateMachine.INVALID_DATA,
-          node: tmp
-        }
+      if (path != null) {
+        entries = entries.concat(FiniteStateMachine._collect(state['states'], path));
       }
-    }
+    });
 
-    return {
-      success: true,
-      action: FiniteStateMachine.VALID
-    };
+    return entries;
   }
 
   /**
-   * Add a named state to this machine
+   * Convert an action, action name, or list of either to a list
    *
-   * @param {string} stateName State name
+   * @param {actionList} action
    *
-   * @param {boolean} acceptance True if this is an acceptance state for the machine
+   * @returns {Array<stateAction | string>}
    */
-  public addState(stateName: string, acceptance: boolean=false): void
+  protected static _toActions(action: actionList): Array<stateAction | string>
   {
-    if (stateName !== undefined && stateName != '')
-    {
-      this._states.add(stateName);
-
-      if (acceptance)
-      {
-        this._acceptanceStates            = this._acceptanceStates || {};
-        this._acceptanceStates[stateName] = true;
-      }
-    }
+    return Object.prototype.toString.call(action) == '[object Array]' ? (< Array<stateAction | string> > action).slice() : [<stateAction | string> action];
   }
 
   /**
-   * Add a transition from a named state to this machine
+   * Check a declarative transition table for structural errors and invalid expressions
    *
-   * @param {string} from Name of the 'from' state
+   * @param {ITransitionTable} table Transition table
    *
-   * @param {transFunction} to Function that computes the next transition state and any associated data
+   * @param {Map<string, guardFunction>} guards Named guards available to the table or null if the names of guards are
+   * not known, in which case any guard that is a plain identifier is presumed to name a guard
    *
-   * @returns {boolean} True if the addition was successful.  Repeat 'from' names are not allowed and will result
-   * in an error.
+   * @returns {Array<IDecisionTreeAction>} Every error in the table; the 'node' property is the offending row, if any
    */
-  public addTransition(from: string, to: transFunction): boolean
+  protected static _tableErrors(table: ITransitionTable, guards: Map<string, guardFunction> | null): Array<IDecisionTreeAction>
   {
-    // does the from state exist?
-    const hasFrom: boolean = this._states.has(from);
+    const errors: Array<IDecisionTreeAction> = new Array<IDecisionTreeAction>();
 
-    if (!hasFrom) {
-      return false;
+    if (table === undefined || table == null || Object.prototype.toString.call(table.transitions) != '[object Array]')
+    {
+      errors.push({success: false, action: FiniteStateMachine.INVALID_DATA});
+      return errors;
     }
 
-    // has a transition already been defined?
-    if (this._transitions.has(from)) {
-      return false;
-    }
+    const isGuard: Function = (name: string): boolean => {
+      return guards != null ? guards.has(name) : /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) && FiniteStateMachine.SCOPE.indexOf(name) == -1;
+    };
 
-    // add the transition
-    this._transitions.set(from, to);
-    return true;
-  }
+    table.transitions.forEach( (row: ITransitionRow) =>
+    {
+      if (row === undefined || row == null || row.on === null || row.to === undefined ||
+         (row.data !== undefined && row.output !== undefined))
+      {
+        errors.push({success: false, action: FiniteStateMachine.INVALID_DATA, node: row});
+        return;
+      }
 
-  /**
-   * Add a subscriber to observe state transitions
-   *
-   * @param {Observer<IStateTransition>} observer
-   *
-   * @returns {nothing}
-   */
-  public addSubscriber(observer: Observer <IStateTransition>): void
-  {
-    if (observer !== undefined && observer != null) {
-      this._subscriptions.push( this._subject.subscribe(observer) );
-    }
+      const sources: Array<string> = new Array<string>();
+
+      if (row.guard !== undefined && !isGuard(row.guard)) {
+        sources.push(row.guard);
+      }
+
+      if (row.output !== undefined && row.output != null)
+      {
+        if (typeof row.output == 'string') {
+          sources.push(<string> row.output);
+        }
+        else {
+          Object.keys(row.output).forEach( (key: string) => {sources.push(row.output[key])} );
+        }
+      }
+
+      if (row.context !== undefined)
+      {
+        if (Object.prototype.toString.call(row.context) != '[object Object]')
+        {
+          errors.push({success: false, action: FiniteStateMachine.INVALID_DATA, node: row});
+          return;
+        }
+
+        Object.keys(row.context).forEach( (key: string) => {sources.push(row.context[key])} );
+      }
+
+      if (sources.some( (source: string): boolean => typeof source != 'string' || !(new Expression(source, FiniteStateMachine.SCOPE)).isValid )) {
+        errors.push({success: false, action: FiniteStateMachine.INVALID_EXPRESSION, node: row});
+      }
+    });
+
+    return errors;
   }
 
   /**
-   * Transition to the next state based on current state and input data
-   *
-   * @param input Input data or may be a prior state name for a Moore-style machine
+   * Compile a declarative transition table into a transition function (without evaluating any code)
    *
-   * @param {string} initialState The initial state to use for the machine
+   * @param {ITransitionTable} table Transition table (presumed to be valid)
    *
-   * @returns {IStateOutput | null}
+   * @returns {transFunction}
    */
-  public next(input: any, initialState?: string): IStateOutput | null
+  protected _compileTable(table: ITransitionTable): transFunction
   {
-    if (initialState !== undefined && initialState != '') {
-      this._curState = initialState;
-    }
+    // the function belongs to this definition, which may be shared with (and outlive its use by) this machine
+    const def: IMachineDefinition = this._def;
 
-    const transFcn: transFunction = this._transitions.get(this._curState);
-    if (transFcn !== undefined)
-    {
-      const toState: IStateOutput = transFcn(input, this._curState);
+    // parse expressions once; a guard name refers to a guard in this machine before it is considered an expression
+    const rows: Array<any> = table.transitions.map( (row: ITransitionRow): any => {
+      let guard: guardFunction | null = null;
+      let output: Function | null     = null;
+      let context: Function | null    = null;
 
-      // transition to that state and notify observers
-      this._subject.next( {
-        from: this._curState,
-        to: toState.to,
-        data: toState.data ? toState.data : null
-      });
+      const scope: Function = (data: any, state: string, context: Object): Object => ({data: data, state: state, context: context});
+
+      // an Object whose property values are expressions
+      const evaluator: Function = (source: Object): Function => {
+        const exprs: Object = {};
+        Object.keys(source).forEach( (key: string) => {exprs[key] = new Expression(source[key], FiniteStateMachine.SCOPE)} );
+
+        return (data: any, state: string, context: Object): Object => {
+          const result: Object = {};
+          Object.keys(exprs).forEach( (key: string) => {result[key] = exprs[key].evaluate(scope(data, state, context))} );
+
+          return result;
+        };
+      };
+
+      if (row.guard !== undefined)
+      {
+        if (def.guards.has(row.guard))
+        {
+          guard = def.guards.get(row.guard);
+        }
+        else
+        {
+          const expr: Expression = new Expression(row.guard, FiniteStateMachine.SCOPE);
+          guard = (data: any, state?: string, context?: Object): boolean => !!expr.evaluate(scope(data, state, context));
+        }
+      }
 
-      this._curState = toState.to;
+      if (typeof row.output == 'string')
+      {
+        const expr: Expression = new Expression(<string> row.output, FiniteStateMachine.SCOPE);
+        output = (data: any, state?: string, context?: Object): any => expr.evaluate(scope(data, state, context));
+      }
+      else if (row.output !== undefined && row.output != null)
+      {
+        output = evaluator(row.output);
+      }
+
+      if (row.context !== undefined && row.context != null) {
+        context = evaluator(row.context);
+      }
 
       return {
-        to: this._curState,
-        data: toState.data ? toState.data : input
+        on: row.on === undefined ? null : (Object.prototype.toString.call(row.on) == '[object Array]' ? row.on : [row.on]),
+        to: row.to,
+        data: row.data,
+        guard: guard,
+        output: output,
+        context: context,
+        actions: row.action !== undefined ? FiniteStateMachine._toActions(row.action) : null
+      };
+    });
+
+    return (data: any, state?: string, context?: Object): IStateOutput =>
+    {
+      const symbol: string | null = FiniteStateMachine._symbolOf(def, data);
+      const n: number             = rows.length;
+      let i: number;
+      let row: any;
+
+      for (i = 0; i < n; ++i)
+      {
+        row = rows[i];
+
+        if ((row.on == null || (symbol != null && row.on.indexOf(symbol) != -1)) && (row.guard == null || row.guard(data, state, context)))
+        {
+          const result: IStateOutput = {to: row.to};
+
+          if (row.output != null) {
+            result.data = row.output(data, state, context);
+          }
+          else if (row.data !== undefined) {
+            result.data = JSON.parse(JSON.stringify(row.data));
+          }
+
+          if (row.context != null) {
+            result.context = row.context(data, state, context);
+          }
+
+          if (row.actions != null) {
+            result.actions = row.actions;
+          }
+
+          return result;
+        }
       }
-    }
 
-    return null;
+      return table.otherwise !== undefined && table.otherwise != null ? {to: table.otherwise} : null;
+    };
   }
 
   /**
-   * Clear this machine and prepare for new data
+   * Convert input data to an alphabet symbol for matching against the alphabet or a transition table
    *
-   * @returns {nothing} The only machine parameter that remains unaltered is the name.  The machine is set to the
-   * {NO_STATE} state.
+   * @param {IMachineDefinition} def Definition whose classifier (if any) assigns the symbol
+   *
+   * @param input Input data
+   *
+   * @returns {string | null} The symbol assigned by the classifier, if any.  Otherwise, primitive input is matched by
+   * its string value and there is no symbol for other input.
    */
-  public clear(): void
+  protected static _symbolOf(def: IMachineDefinition, input: any): string | null
   {
-    this._states.clear();
-    this._transitions.clear();
-
-    this._subscriptions.forEach( (sub: Subscription) => {sub.unsubscribe()} );
+    if (def.classifier != null)
+    {
+      const symbol: any = def.classifier(input);
+      return symbol !== undefined && symbol != null ? String(symbol) : null;
+    }
 
-    this._subscriptions.length = 0;
-    this._subject              = new Subject<IStateTransition>();
-    this._curState             = FiniteStateMachine.NO_STATE;
+    const type: string = typeof input;
 
-    this._acceptanceStates = null;
-    this._initialState     = FiniteStateMachine.NO_STATE;
-    this._initialData      = null;
-    this._alphabet         = null;
+    return type == 'string' || type == 'number' || type == 'boolean' ? String(input) : null;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,234 @@
+"use strict";
+/**
+ * Copyright 2018 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * JSON Schema (draft-07) for the {Object} definition of a machine accepted by {FiniteStateMachine.fromJson()}.  This is
+ * the source of schema/fsm-definition.schema.json, which is written by 'gulp schema'.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+exports.FSM_DEFINITION_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Finite State Machine definition',
+    description: 'Object definition of a machine accepted by FiniteStateMachine.fromJson()',
+    type: 'object',
+    required: ['name', 'alphabet', 'states'],
+    properties: {
+        name: {
+            type: 'string'
+        },
+        alphabet: {
+            type: 'array',
+            items: { type: 'string' }
+        },
+        initialState: {
+            type: 'string'
+        },
+        initialData: {
+            description: 'Initial context of the machine',
+            type: 'object'
+        },
+        strict: {
+            description: 'True if next() enforces the alphabet',
+            type: 'boolean'
+        },
+        errorState: {
+            description: 'State to which next() transitions on input that is not in the alphabet (strict mode only)',
+            type: 'string'
+        },
+        regionAcceptance: {
+            description: 'Acceptance policy for parallel regions; every (all) or any active state must be an acceptance state',
+            enum: ['all', 'any']
+        },
+        states: {
+            type: 'array',
+            minItems: 1,
+            items: { $ref: '#/definitions/state' }
+        }
+    },
+    additionalProperties: false,
+    definitions: {
+        state: {
+            description: 'Top-level state; a state that is not compound must define its transitions unless it is a rejection or final state or has timed or epsilon transitions',
+            allOf: [{ $ref: '#/definitions/node' }],
+            anyOf: [
+                { required: ['transition'] },
+                { required: ['transitions'] },
+                { required: ['epsilon'] },
+                { required: ['states'] },
+                { required: ['after'] },
+                { required: ['isRejection'], properties: { isRejection: { const: true } } },
+                { required: ['isFinal'], properties: { isFinal: { const: true } } }
+            ]
+        },
+        node: {
+            description: 'State, which may contain child states that inherit its transitions',
+            type: 'object',
+            required: ['name', 'isAcceptance'],
+            properties: {
+                name: {
+                    description: 'State name, which may not contain a period or comma; the path of a child state is parent.child',
+                    type: 'string',
+                    minLength: 1,
+                    pattern: '^[^.,]+$'
+                },
+                isAcceptance: {
+                    type: 'boolean'
+                },
+                isRejection: {
+                    type: 'boolean'
+                },
+                isFinal: {
+                    description: 'True if entering the state completes the machine',
+                    type: 'boolean'
+                },
+                output: {
+                    description: 'Output of a final state; an expression or Object whose property values are expressions in data, state and context',
+                    anyOf: [
+                        { type: 'string' },
+                        { type: 'object', additionalProperties: { type: 'string' } }
+                    ]
+                },
+                transition: {
+                    description: 'Transition function body with arguments data, state and context',
+                    type: 'string'
+                },
+                transitions: {
+                    description: 'Declarative transition table',
+                    type: 'array',
+                    items: { $ref: '#/definitions/row' }
+                },
+                otherwise: {
+                    description: 'Target state (path) when no row of the transition table matches',
+                    type: 'string'
+                },
+                onEnter: {
+                    description: 'Names of actions run when the state is entered',
+                    $ref: '#/definitions/actions'
+                },
+                onExit: {
+                    description: 'Names of actions run when the state is exited',
+                    $ref: '#/definitions/actions'
+                },
+                states: {
+                    description: 'Child states',
+                    type: 'array',
+                    minItems: 1,
+                    items: { $ref: '#/definitions/node' }
+                },
+                initial: {
+                    description: 'Name of the initial child state (default is the first child)',
+                    type: 'string'
+                },
+                parallel: {
+                    description: 'True if the child states are parallel regions, which are all active when the state is active',
+                    type: 'boolean'
+                },
+                after: {
+                    description: 'Timed transitions, which are armed when the state is entered and cancelled when it is exited',
+                    anyOf: [
+                        { $ref: '#/definitions/delayed' },
+                        { type: 'array', minItems: 1, items: { $ref: '#/definitions/delayed' } }
+                    ]
+                },
+                epsilon: {
+                    description: 'States (paths) entered without consuming input; only in a nondeterministic definition',
+                    $ref: '#/definitions/targets'
+                }
+            },
+            additionalProperties: false,
+            dependencies: {
+                otherwise: ['transitions'],
+                initial: ['states'],
+                parallel: ['states'],
+                output: ['isFinal']
+            },
+            not: { required: ['transition', 'transitions'] }
+        },
+        row: {
+            type: 'object',
+            required: ['to'],
+            properties: {
+                on: {
+                    anyOf: [
+                        { type: 'string' },
+                        { type: 'array', items: { type: 'string' } }
+                    ]
+                },
+                to: {
+                    description: 'Target state (path), or a list of target states in a nondeterministic definition',
+                    $ref: '#/definitions/targets'
+                },
+                data: {},
+                guard: {
+                    description: 'Name of a guard added to the machine or an expression in data, state and context',
+                    type: 'string'
+                },
+                output: {
+                    description: 'Expression or Object whose property values are expressions in data, state and context',
+                    anyOf: [
+                        { type: 'string' },
+                        { type: 'object', additionalProperties: { type: 'string' } }
+                    ]
+                },
+                context: {
+                    description: 'Object whose property values are expressions that compute updates to the context',
+                    type: 'object',
+                    additionalProperties: { type: 'string' }
+                },
+                action: {
+                    description: 'Names of actions run when the row is selected',
+                    $ref: '#/definitions/actions'
+                }
+            },
+            additionalProperties: false,
+            not: { required: ['data', 'output'] }
+        },
+        delayed: {
+            description: 'Transition to a state (path) that is taken a number of milliseconds after the state is entered',
+            type: 'object',
+            required: ['ms', 'to'],
+            properties: {
+                ms: {
+                    type: 'number',
+                    minimum: 0
+                },
+                to: {
+                    type: 'string'
+                },
+                data: {}
+            },
+            additionalProperties: false
+        },
+        targets: {
+            description: 'Name (path) of a state or list of names',
+            anyOf: [
+                { type: 'string' },
+                { type: 'array', items: { type: 'string' } }
+            ]
+        },
+        actions: {
+            description: 'Name or names of actions added to the machine',
+            anyOf: [
+                { type: 'string' },
+                { type: 'array', items: { type: 'string' } }
+            ]
+        }
+    }
+};
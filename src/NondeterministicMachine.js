@@ -0,0 +1,440 @@
+"use strict";
+/**
+ * Copyright 2018 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+var FiniteStateMachine_1 = require("./FiniteStateMachine");
+/**
+ * A nondeterministic Finite State Machine (NFA), in which a transition may lead to a set of states and epsilon
+ * transitions are taken without consuming input.  The machine runs directly by tracking the set of active states, or
+ * may be converted to a deterministic {FiniteStateMachine} by {determinize()}.  It may be defined in code or by
+ * {Object} data in the same top-level format as a {FiniteStateMachine}, i.e.
+ * <br/>
+ * <br/>
+ * {name: 'NFA', alphabet: ['a', 'b'], initialState: 'S1', states: [{name: 'S1', isAcceptance: false,
+ * transitions: [{on: 'a', to: ['S1', 'S2']}], epsilon: 'S3'}, ...]}
+ * <br/>
+ * <br/>
+ * Each state has a name, an 'isAcceptance' flag, and a transition (function body with arguments data and state that
+ * returns {to: string | Array<string>}), a transition table or epsilon targets.  States do not have children, and the
+ * initial state is required.  The same data is accepted by {FiniteStateMachine.fromJson()}, which loads the equivalent
+ * deterministic machine with the optional 'initialData' as its context (this machine has no context).
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+var NondeterministicMachine = (function () {
+    function NondeterministicMachine() {
+        this.name = '';
+        this.clear();
+    }
+    /**
+     * Create a new nondeterministic machine
+     *
+     * @param {Object} data Object description of the machine
+     *
+     * @param {string} name Machine name
+     *
+     * @returns {NondeterministicMachine | null} A null return indicates invalid data
+     */
+    NondeterministicMachine.create = function (data, name) {
+        var machine = new NondeterministicMachine();
+        if (machine.fromJson(data).success) {
+            machine.name = name !== undefined ? name : '';
+            return machine;
+        }
+        return null;
+    };
+    Object.defineProperty(NondeterministicMachine.prototype, "numStates", {
+        /**
+         * Access the number of states defined for this machine
+         *
+         * @returns {number}
+         */
+        get: function () {
+            return this._states.size;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NondeterministicMachine.prototype, "states", {
+        /**
+         * Access the states of this machine
+         *
+         * @returns {IterableIterator<string>}
+         */
+        get: function () {
+            return this._states.keys();
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NondeterministicMachine.prototype, "initialState", {
+        /**
+         * Access the initial state of this machine
+         *
+         * @returns {string} This is ONLY relevant for a machine defined by {Object} data
+         */
+        get: function () {
+            return this._initialState;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NondeterministicMachine.prototype, "alphabet", {
+        /**
+         * Access the alphabet of this machine
+         *
+         * @returns {Array<string> | null} Copy of the alphabet or null if none is defined
+         */
+        get: function () {
+            return this._alphabet != null ? this._alphabet.slice() : null;
+        },
+        /**
+         * Assign the alphabet of this machine, which is required by {determinize()}
+         *
+         * @param {Array<string> | null} alphabet Input symbols
+         */
+        set: function (alphabet) {
+            this._alphabet = alphabet != null ? alphabet.slice() : null;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NondeterministicMachine.prototype, "currentStates", {
+        /**
+         * Access the active states of this machine
+         *
+         * @returns {Array<string>} Active states, in the order they were added to the machine (empty before the machine starts
+         * or when no state is active)
+         */
+        get: function () {
+            return this._current != null ? this._current.slice() : [];
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NondeterministicMachine.prototype, "isAcceptance", {
+        /**
+         * Access whether or not this machine accepts the input so far
+         *
+         * @returns {boolean} True if any active state is an acceptance state
+         */
+        get: function () {
+            var _this = this;
+            return this.currentStates.some(function (state) { return _this._acceptanceStates.hasOwnProperty(state); });
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(NondeterministicMachine.prototype, "isRejected", {
+        /**
+         * Access whether or not this machine has rejected the input so far
+         *
+         * @returns {boolean} True if the machine has started and no state is active, so no further input can be accepted
+         */
+        get: function () {
+            return this._current != null && this._current.length == 0;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Initialize this machine from {Object} data
+     *
+     * @param {Object} data Machine definition (see class description), which is validated as a nondeterministic
+     * definition by {FiniteStateMachine.validateDefinition()}
+     *
+     * @returns {IDecisionTreeAction} The 'success' property is true if the definition is valid, in which case the machine
+     * is initialized in the epsilon closure of its initial state.  Otherwise, 'action' and 'node' describe the first error
+     * and 'errors' lists every error; the machine is not altered.
+     */
+    NondeterministicMachine.prototype.fromJson = function (data) {
+        var _this = this;
+        var result = FiniteStateMachine_1.FiniteStateMachine.validateDefinition(data, true);
+        if (!result.success) {
+            return result;
+        }
+        this.clear();
+        this.name = data['name'];
+        this._alphabet = data['alphabet'].slice();
+        var states = data['states'];
+        states.forEach(function (state) { _this.addState(state['name'], state['isAcceptance']); });
+        states.forEach(function (state) {
+            if (state.hasOwnProperty('transition')) {
+                _this.addTransition(state['name'], new Function('data', 'state', state['transition']));
+            }
+            if (state.hasOwnProperty('transitions')) {
+                _this.addTransitionTable(state['name'], state['transitions']);
+            }
+            if (state.hasOwnProperty('epsilon')) {
+                _this.addEpsilon(state['name'], state['epsilon']);
+            }
+        });
+        this._initialState = data['initialState'];
+        this.reset();
+        return result;
+    };
+    /**
+     * Add a named state to this machine
+     *
+     * @param {string} stateName State name
+     *
+     * @param {boolean} acceptance True if this is an acceptance state
+     *
+     * @returns {boolean} True if the state was added; the name must be non-empty and not already defined
+     */
+    NondeterministicMachine.prototype.addState = function (stateName, acceptance) {
+        if (stateName === undefined || stateName == null || stateName == '' || this._states.has(stateName)) {
+            return false;
+        }
+        this._states.add(stateName);
+        if (acceptance === true) {
+            this._acceptanceStates[stateName] = true;
+        }
+        return true;
+    };
+    /**
+     * Add a transition from a named state.  Any number of transitions may be added from a state; the targets of every
+     * transition are combined.
+     *
+     * @param {string} from Name of the 'from' state
+     *
+     * @param {nondeterministicTransFunction} transition Function that computes the state or set of states to which the
+     * machine transitions on an input (null or an empty set for no transition)
+     *
+     * @returns {boolean} True if the transition was added
+     */
+    NondeterministicMachine.prototype.addTransition = function (from, transition) {
+        if (!this._states.has(from) || typeof transition != 'function') {
+            return false;
+        }
+        if (!this._transitions.has(from)) {
+            this._transitions.set(from, new Array());
+        }
+        this._transitions.get(from).push(transition);
+        return true;
+    };
+    /**
+     * Add a transition table from a named state
+     *
+     * @param {string} from Name of the 'from' state
+     *
+     * @param {Array<INondeterministicRow>} rows Rows of the table; every matching row contributes its target state(s)
+     *
+     * @returns {boolean} True if the table was added; every target must be a defined state
+     */
+    NondeterministicMachine.prototype.addTransitionTable = function (from, rows) {
+        var _this = this;
+        if (!this._states.has(from) || !rows.every(function (row) { return _this._isStateList(row.to); })) {
+            return false;
+        }
+        var table = rows.map(function (row) { return ({
+            on: row.on !== undefined ? NondeterministicMachine._list(row.on) : undefined,
+            to: NondeterministicMachine._list(row.to)
+        }); });
+        return this.addTransition(from, function (data) {
+            var to = new Array();
+            table.forEach(function (row) {
+                if (row.on === undefined || row.on.indexOf(data) != -1) {
+                    to.push.apply(to, row.to);
+                }
+            });
+            return { to: to };
+        });
+    };
+    /**
+     * Add epsilon transitions from a named state, which are taken without consuming input
+     *
+     * @param {string} from Name of the 'from' state
+     *
+     * @param {string | Array<string>} to Target state or states
+     *
+     * @returns {boolean} True if the transitions were added; every target must be a defined state
+     */
+    NondeterministicMachine.prototype.addEpsilon = function (from, to) {
+        if (!this._states.has(from) || !this._isStateList(to)) {
+            return false;
+        }
+        var targets = this._epsilon.get(from) || new Array();
+        NondeterministicMachine._list(to).forEach(function (state) {
+            if (targets.indexOf(state) == -1) {
+                targets.push(state);
+            }
+        });
+        this._epsilon.set(from, targets);
+        return true;
+    };
+    /**
+     * Transition to the next set of states, which is the epsilon closure of every target of a transition from an active
+     * state on the input
+     *
+     * @param {any} input Input data (usually a symbol of the alphabet)
+     *
+     * @param {string} initialState Optional initial state, which is used only when the machine has not started (if there
+     * is no initial state in data)
+     *
+     * @returns {Array<string> | null} Active states after the transition (in the order they were added to the machine),
+     * which is empty when no state remains active.  A null return indicates that the machine has no initial state.
+     */
+    NondeterministicMachine.prototype.next = function (input, initialState) {
+        if (this._current == null) {
+            var start = initialState !== undefined && initialState != '' ? initialState : this._initialState;
+            if (!this._states.has(start)) {
+                return null;
+            }
+            this._current = this._closure([start]);
+        }
+        this._current = this._closure(this._step(this._current, input));
+        return this._current.slice();
+    };
+    /**
+     * Reset this machine to the epsilon closure of its initial state (or the state before it starts, if there is no
+     * initial state)
+     */
+    NondeterministicMachine.prototype.reset = function () {
+        this._current = this._states.has(this._initialState) ? this._closure([this._initialState]) : null;
+    };
+    /**
+     * Convert this machine to a deterministic {FiniteStateMachine} by subset construction, starting from the epsilon
+     * closure of the initial state.  Each transition function is called with each symbol of the alphabet, so transition
+     * functions should be pure.
+     *
+     * @param {string} initialState Optional initial state (default is the initial state of this machine)
+     *
+     * @returns {FiniteStateMachine | null} Machine whose states are the reachable subsets of states of this machine.
+     * Each is named for the states in the subset, in the order they were added, i.e. '{S1|S2}', is an acceptance state
+     * if any state in the subset is an acceptance state, and is defined by a transition table over the alphabet.  The
+     * empty subset, '{}', is a rejection state.  The machine has the name and alphabet of this machine.  A null return
+     * indicates that there is no alphabet or initial state.
+     */
+    NondeterministicMachine.prototype.determinize = function (initialState) {
+        var _this = this;
+        var start = initialState !== undefined && initialState != '' ? initialState : this._initialState;
+        if (this._alphabet == null || !this._states.has(start)) {
+            return null;
+        }
+        var alphabet = this._alphabet;
+        var subsets = [this._closure([start])];
+        var names = [NondeterministicMachine._subsetName(subsets[0])];
+        var states = new Array();
+        var _loop_1 = function (i) {
+            var subset = subsets[i];
+            if (subset.length == 0) {
+                states.push({ name: names[i], isAcceptance: false, isRejection: true });
+                return "continue";
+            }
+            // symbols with the same target share a row
+            var rows = new Array();
+            alphabet.forEach(function (symbol) {
+                var target = _this._closure(_this._step(subset, symbol));
+                var to = NondeterministicMachine._subsetName(target);
+                var row = rows.filter(function (r) { return r.to == to; })[0];
+                if (names.indexOf(to) == -1) {
+                    subsets.push(target);
+                    names.push(to);
+                }
+                if (row !== undefined) {
+                    row.on.push(symbol);
+                }
+                else {
+                    rows.push({ on: [symbol], to: to });
+                }
+            });
+            states.push({
+                name: names[i],
+                isAcceptance: subset.some(function (state) { return _this._acceptanceStates.hasOwnProperty(state); }),
+                transitions: rows
+            });
+        };
+        // subsets are added as they are reached, so the work list is the remainder of the list of subsets
+        for (var i = 0; i < subsets.length; ++i) {
+            _loop_1(i);
+        }
+        return FiniteStateMachine_1.FiniteStateMachine.create({
+            name: this.name,
+            alphabet: alphabet.slice(),
+            initialState: names[0],
+            states: states
+        }, this.name);
+    };
+    /**
+     * Clear this machine and prepare for new data
+     */
+    NondeterministicMachine.prototype.clear = function () {
+        this._states = new Set();
+        this._acceptanceStates = {};
+        this._transitions = new Map();
+        this._epsilon = new Map();
+        this._initialState = FiniteStateMachine_1.FiniteStateMachine.NO_STATE;
+        this._alphabet = null;
+        this._current = null;
+    };
+    // targets of every transition from a set of states on an input
+    NondeterministicMachine.prototype._step = function (states, input) {
+        var _this = this;
+        var targets = new Array();
+        states.forEach(function (state) {
+            (_this._transitions.get(state) || []).forEach(function (transition) {
+                var output = transition(input, state);
+                if (output === undefined || output == null) {
+                    return;
+                }
+                NondeterministicMachine._list(output.to).forEach(function (to) {
+                    if (!_this._states.has(to)) {
+                        throw new Error('[FSM] Transition from state ' + state + ' to undefined state ' + to);
+                    }
+                    targets.push(to);
+                });
+            });
+        });
+        return targets;
+    };
+    // epsilon closure of a set of states, in the order the states were added to the machine
+    NondeterministicMachine.prototype._closure = function (states) {
+        var reached = new Set();
+        var stack = states.slice();
+        while (stack.length > 0) {
+            var state = stack.pop();
+            if (!reached.has(state)) {
+                reached.add(state);
+                stack.push.apply(stack, this._epsilon.get(state) || []);
+            }
+        }
+        var closure = new Array();
+        this._states.forEach(function (state) {
+            if (reached.has(state)) {
+                closure.push(state);
+            }
+        });
+        return closure;
+    };
+    NondeterministicMachine.prototype._isStateList = function (states) {
+        var _this = this;
+        return (typeof states == 'string' || Object.prototype.toString.call(states) == '[object Array]') &&
+            NondeterministicMachine._list(states).every(function (state) { return typeof state == 'string' && _this._states.has(state); });
+    };
+    NondeterministicMachine._list = function (value) {
+        return typeof value == 'string' ? [value] : value.slice();
+    };
+    NondeterministicMachine._subsetName = function (states) {
+        return '{' + states.join(NondeterministicMachine.SUBSET_SEPARATOR) + '}';
+    };
+    // separates the states that name a subset in a deterministic machine, i.e. '{S1|S2}'
+    NondeterministicMachine.SUBSET_SEPARATOR = '|';
+    return NondeterministicMachine;
+}());
+exports.NondeterministicMachine = NondeterministicMachine;
@@ -0,0 +1,546 @@
+/**
+ * Copyright 2018 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { FiniteStateMachine,
+         IDecisionTreeAction,
+         ITransitionRow      } from "./FiniteStateMachine";
+
+/**
+ * The output of a nondeterministic transition is a state or set of states (an empty set is no transition)
+ */
+export interface INondeterministicOutput
+{
+  to: string | Array<string>;
+}
+
+export type nondeterministicTransFunction = (data: any, state: string) => INondeterministicOutput | null;
+
+/**
+ * One row of a nondeterministic transition table.  The row matches when the input symbol matches 'on' (or any symbol
+ * in 'on'); a row without 'on' matches any input.  Every matching row contributes its target state(s).
+ */
+export interface INondeterministicRow
+{
+  on?: string | Array<string>;
+
+  to: string | Array<string>;
+}
+
+/**
+ * A nondeterministic Finite State Machine (NFA), in which a transition may lead to a set of states and epsilon
+ * transitions are taken without consuming input.  The machine runs directly by tracking the set of active states, or
+ * may be converted to a deterministic {FiniteStateMachine} by {determinize()}.  It may be defined in code or by
+ * {Object} data in the same top-level format as a {FiniteStateMachine}, i.e.
+ * <br/>
+ * <br/>
+ * {name: 'NFA', alphabet: ['a', 'b'], initialState: 'S1', states: [{name: 'S1', isAcceptance: false,
+ * transitions: [{on: 'a', to: ['S1', 'S2']}], epsilon: 'S3'}, ...]}
+ * <br/>
+ * <br/>
+ * Each state has a name, an 'isAcceptance' flag, and a transition (function body with arguments data and state that
+ * returns {to: string | Array<string>}), a transition table or epsilon targets.  States do not have children, and the
+ * initial state is required.  The same data is accepted by {FiniteStateMachine.fromJson()}, which loads the equivalent
+ * deterministic machine with the optional 'initialData' as its context (this machine has no context).
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+export class NondeterministicMachine
+{
+  // separates the states that name a subset in a deterministic machine, i.e. '{S1|S2}'
+  public static SUBSET_SEPARATOR: string = '|';
+
+  public name: string;                                                       // an optional name given to this machine
+
+  protected _states: Set<string>;                                            // state names, in the order added
+  protected _acceptanceStates: Object;                                       // hash of acceptance states
+  protected _transitions: Map<string, Array<nondeterministicTransFunction>>; // transitions from each state
+  protected _epsilon: Map<string, Array<string>>;                            // epsilon targets of each state
+  protected _initialState: string;                                           // initial state (from data)
+  protected _alphabet: Array<string> | null;                                 // optional alphabet
+  protected _current: Array<string> | null;                                  // active states (null before it starts)
+
+  constructor()
+  {
+    this.name = '';
+
+    this.clear();
+  }
+
+  /**
+   * Create a new nondeterministic machine
+   *
+   * @param {Object} data Object description of the machine
+   *
+   * @param {string} name Machine name
+   *
+   * @returns {NondeterministicMachine | null} A null return indicates invalid data
+   */
+  public static create(data: Object, name?: string): NondeterministicMachine | null
+  {
+    const machine: NondeterministicMachine = new NondeterministicMachine();
+
+    if (machine.fromJson(data).success)
+    {
+      machine.name = name !== undefined ? name : '';
+      return machine;
+    }
+
+    return null;
+  }
+
+  /**
+   * Access the number of states defined for this machine
+   *
+   * @returns {number}
+   */
+  public get numStates(): number
+  {
+    return this._states.size;
+  }
+
+  /**
+   * Access the states of this machine
+   *
+   * @returns {IterableIterator<string>}
+   */
+  public get states(): IterableIterator<string>
+  {
+    return this._states.keys();
+  }
+
+  /**
+   * Access the initial state of this machine
+   *
+   * @returns {string} This is ONLY relevant for a machine defined by {Object} data
+   */
+  public get initialState(): string
+  {
+    return this._initialState;
+  }
+
+  /**
+   * Access the alphabet of this machine
+   *
+   * @returns {Array<string> | null} Copy of the alphabet or null if none is defined
+   */
+  public get alphabet(): Array<string> | null
+  {
+    return this._alphabet != null ? this._alphabet.slice() : null;
+  }
+
+  /**
+   * Assign the alphabet of this machine, which is required by {determinize()}
+   *
+   * @param {Array<string> | null} alphabet Input symbols
+   */
+  public set alphabet(alphabet: Array<string> | null)
+  {
+    this._alphabet = alphabet != null ? alphabet.slice() : null;
+  }
+
+  /**
+   * Access the active states of this machine
+   *
+   * @returns {Array<string>} Active states, in the order they were added to the machine (empty before the machine starts
+   * or when no state is active)
+   */
+  public get currentStates(): Array<string>
+  {
+    return this._current != null ? this._current.slice() : [];
+  }
+
+  /**
+   * Access whether or not this machine accepts the input so far
+   *
+   * @returns {boolean} True if any active state is an acceptance state
+   */
+  public get isAcceptance(): boolean
+  {
+    return this.currentStates.some( (state: string): boolean => this._acceptanceStates.hasOwnProperty(state) );
+  }
+
+  /**
+   * Access whether or not this machine has rejected the input so far
+   *
+   * @returns {boolean} True if the machine has started and no state is active, so no further input can be accepted
+   */
+  public get isRejected(): boolean
+  {
+    return this._current != null && this._current.length == 0;
+  }
+
+  /**
+   * Initialize this machine from {Object} data
+   *
+   * @param {Object} data Machine definition (see class description), which is validated as a nondeterministic
+   * definition by {FiniteStateMachine.validateDefinition()}
+   *
+   * @returns {IDecisionTreeAction} The 'success' property is true if the definition is valid, in which case the machine
+   * is initialized in the epsilon closure of its initial state.  Otherwise, 'action' and 'node' describe the first error
+   * and 'errors' lists every error; the machine is not altered.
+   */
+  public fromJson(data: Object): IDecisionTreeAction
+  {
+    const result: IDecisionTreeAction = FiniteStateMachine.validateDefinition(data, true);
+
+    if (!result.success) {
+      return result;
+    }
+
+    this.clear();
+
+    this.name      = data['name'];
+    this._alphabet = (< Array<string> > data['alphabet']).slice();
+
+    const states: Array<Object> = data['states'];
+
+    states.forEach( (state: Object) => {this.addState(state['name'], state['isAcceptance'])} );
+
+    states.forEach( (state: Object) =>
+    {
+      if (state.hasOwnProperty('transition')) {
+        this.addTransition(state['name'], <nondeterministicTransFunction> new Function('data', 'state', state['transition']));
+      }
+
+      if (state.hasOwnProperty('transitions')) {
+        this.addTransitionTable(state['name'], state['transitions']);
+      }
+
+      if (state.hasOwnProperty('epsilon')) {
+        this.addEpsilon(state['name'], state['epsilon']);
+      }
+    });
+
+    this._initialState = data['initialState'];
+    this.reset();
+
+    return result;
+  }
+
+  /**
+   * Add a named state to this machine
+   *
+   * @param {string} stateName State name
+   *
+   * @param {boolean} acceptance True if this is an acceptance state
+   *
+   * @returns {boolean} True if the state was added; the name must be non-empty and not already defined
+   */
+  public addState(stateName: string, acceptance?: boolean): boolean
+  {
+    if (stateName === undefined || stateName == null || stateName == '' || this._states.has(stateName)) {
+      return false;
+    }
+
+    this._states.add(stateName);
+
+    if (acceptance === true) {
+      this._acceptanceStates[stateName] = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Add a transition from a named state.  Any number of transitions may be added from a state; the targets of every
+   * transition are combined.
+   *
+   * @param {string} from Name of the 'from' state
+   *
+   * @param {nondeterministicTransFunction} transition Function that computes the state or set of states to which the
+   * machine transitions on an input (null or an empty set for no transition)
+   *
+   * @returns {boolean} True if the transition was added
+   */
+  public addTransition(from: string, transition: nondeterministicTransFunction): boolean
+  {
+    if (!this._states.has(from) || typeof transition != 'function') {
+      return false;
+    }
+
+    if (!this._transitions.has(from)) {
+      this._transitions.set(from, new Array<nondeterministicTransFunction>());
+    }
+
+    this._transitions.get(from).push(transition);
+
+    return true;
+  }
+
+  /**
+   * Add a transition table from a named state
+   *
+   * @param {string} from Name of the 'from' state
+   *
+   * @param {Array<INondeterministicRow>} rows Rows of the table; every matching row contributes its target state(s)
+   *
+   * @returns {boolean} True if the table was added; every target must be a defined state
+   */
+  public addTransitionTable(from: string, rows: Array<INondeterministicRow>): boolean
+  {
+    if (!this._states.has(from) || !rows.every( (row: INondeterministicRow): boolean => this._isStateList(row.to) )) {
+      return false;
+    }
+
+    const table: Array<INondeterministicRow> = rows.map( (row: INondeterministicRow): INondeterministicRow => ({
+      on: row.on !== undefined ? NondeterministicMachine._list(row.on) : undefined,
+      to: NondeterministicMachine._list(row.to)
+    }));
+
+    return this.addTransition(from, (data: any): INondeterministicOutput => {
+      const to: Array<string> = new Array<string>();
+
+      table.forEach( (row: INondeterministicRow) => {
+        if (row.on === undefined || (< Array<string> > row.on).indexOf(data) != -1) {
+          to.push.apply(to, row.to);
+        }
+      });
+
+      return {to: to};
+    });
+  }
+
+  /**
+   * Add epsilon transitions from a named state, which are taken without consuming input
+   *
+   * @param {string} from Name of the 'from' state
+   *
+   * @param {string | Array<string>} to Target state or states
+   *
+   * @returns {boolean} True if the transitions were added; every target must be a defined state
+   */
+  public addEpsilon(from: string, to: string | Array<string>): boolean
+  {
+    if (!this._states.has(from) || !this._isStateList(to)) {
+      return false;
+    }
+
+    const targets: Array<string> = this._epsilon.get(from) || new Array<string>();
+
+    NondeterministicMachine._list(to).forEach( (state: string) => {
+      if (targets.indexOf(state) == -1) {
+        targets.push(state);
+      }
+    });
+
+    this._epsilon.set(from, targets);
+
+    return true;
+  }
+
+  /**
+   * Transition to the next set of states, which is the epsilon closure of every target of a transition from an active
+   * state on the input
+   *
+   * @param {any} input Input data (usually a symbol of the alphabet)
+   *
+   * @param {string} initialState Optional initial state, which is used only when the machine has not started (if there
+   * is no initial state in data)
+   *
+   * @returns {Array<string> | null} Active states after the transition (in the order they were added to the machine),
+   * which is empty when no state remains active.  A null return indicates that the machine has no initial state.
+   */
+  public next(input: any, initialState?: string): Array<string> | null
+  {
+    if (this._current == null)
+    {
+      const start: string = initialState !== undefined && initialState != '' ? initialState : this._initialState;
+
+      if (!this._states.has(start)) {
+        return null;
+      }
+
+      this._current = this._closure([start]);
+    }
+
+    this._current = this._closure(this._step(this._current, input));
+
+    return this._current.slice();
+  }
+
+  /**
+   * Reset this machine to the epsilon closure of its initial state (or the state before it starts, if there is no
+   * initial state)
+   */
+  public reset(): void
+  {
+    this._current = this._states.has(this._initialState) ? this._closure([this._initialState]) : null;
+  }
+
+  /**
+   * Convert this machine to a deterministic {FiniteStateMachine} by subset construction, starting from the epsilon
+   * closure of the initial state.  Each transition function is called with each symbol of the alphabet, so transition
+   * functions should be pure.
+   *
+   * @param {string} initialState Optional initial state (default is the initial state of this machine)
+   *
+   * @returns {FiniteStateMachine | null} Machine whose states are the reachable subsets of states of this machine.
+   * Each is named for the states in the subset, in the order they were added, i.e. '{S1|S2}', is an acceptance state
+   * if any state in the subset is an acceptance state, and is defined by a transition table over the alphabet.  The
+   * empty subset, '{}', is a rejection state.  The machine has the name and alphabet of this machine.  A null return
+   * indicates that there is no alphabet or initial state.
+   */
+  public determinize(initialState?: string): FiniteStateMachine | null
+  {
+    const start: string = initialState !== undefined && initialState != '' ? initialState : this._initialState;
+
+    if (this._alphabet == null || !this._states.has(start)) {
+      return null;
+    }
+
+    const alphabet: Array<string>       = this._alphabet;
+    const subsets: Array<Array<string>> = [this._closure([start])];
+    const names: Array<string>          = [NondeterministicMachine._subsetName(subsets[0])];
+    const states: Array<Object>         = new Array<Object>();
+
+    // subsets are added as they are reached, so the work list is the remainder of the list of subsets
+    for (let i: number = 0; i < subsets.length; ++i)
+    {
+      const subset: Array<string> = subsets[i];
+
+      if (subset.length == 0)
+      {
+        states.push({name: names[i], isAcceptance: false, isRejection: true});
+        continue;
+      }
+
+      // symbols with the same target share a row
+      const rows: Array<ITransitionRow> = new Array<ITransitionRow>();
+
+      alphabet.forEach( (symbol: string) =>
+      {
+        const target: Array<string> = this._closure(this._step(subset, symbol));
+        const to: string            = NondeterministicMachine._subsetName(target);
+        const row: ITransitionRow   = rows.filter( (r: ITransitionRow): boolean => r.to == to )[0];
+
+        if (names.indexOf(to) == -1)
+        {
+          subsets.push(target);
+          names.push(to);
+        }
+
+        if (row !== undefined) {
+          (< Array<string> > row.on).push(symbol);
+        }
+        else {
+          rows.push({on: [symbol], to: to});
+        }
+      });
+
+      states.push({
+        name: names[i],
+        isAcceptance: subset.some( (state: string): boolean => this._acceptanceStates.hasOwnProperty(state) ),
+        transitions: rows
+      });
+    }
+
+    return FiniteStateMachine.create({
+      name: this.name,
+      alphabet: alphabet.slice(),
+      initialState: names[0],
+      states: states
+    }, this.name);
+  }
+
+  /**
+   * Clear this machine and prepare for new data
+   */
+  public clear(): void
+  {
+    this._states           = new Set<string>();
+    this._acceptanceStates = {};
+    this._transitions      = new Map<string, Array<nondeterministicTransFunction>>();
+    this._epsilon          = new Map<string, Array<string>>();
+    this._initialState     = FiniteStateMachine.NO_STATE;
+    this._alphabet         = null;
+    this._current          = null;
+  }
+
+  // targets of every transition from a set of states on an input
+  protected _step(states: Array<string>, input: any): Array<string>
+  {
+    const targets: Array<string> = new Array<string>();
+
+    states.forEach( (state: string) =>
+    {
+      (this._transitions.get(state) || []).forEach( (transition: nondeterministicTransFunction) =>
+      {
+        const output: INondeterministicOutput | null = transition(input, state);
+
+        if (output === undefined || output == null) {
+          return;
+        }
+
+        NondeterministicMachine._list(output.to).forEach( (to: string) =>
+        {
+          if (!this._states.has(to)) {
+            throw new Error('[FSM] Transition from state ' + state + ' to undefined state ' + to);
+          }
+
+          targets.push(to);
+        });
+      });
+    });
+
+    return targets;
+  }
+
+  // epsilon closure of a set of states, in the order the states were added to the machine
+  protected _closure(states: Array<string>): Array<string>
+  {
+    const reached: Set<string> = new Set<string>();
+    const stack: Array<string> = states.slice();
+
+    while (stack.length > 0)
+    {
+      const state: string = stack.pop();
+
+      if (!reached.has(state))
+      {
+        reached.add(state);
+        stack.push.apply(stack, this._epsilon.get(state) || []);
+      }
+    }
+
+    const closure: Array<string> = new Array<string>();
+
+    this._states.forEach( (state: string) => {
+      if (reached.has(state)) {
+        closure.push(state);
+      }
+    });
+
+    return closure;
+  }
+
+  protected _isStateList(states: any): boolean
+  {
+    return (typeof states == 'string' || Object.prototype.toString.call(states) == '[object Array]') &&
+      NondeterministicMachine._list(states).every( (state: any): boolean => typeof state == 'string' && this._states.has(state) );
+  }
+
+  protected static _list(value: string | Array<string>): Array<string>
+  {
+    return typeof value == 'string' ? [value] : (< Array<string> > value).slice();
+  }
+
+  protected static _subsetName(states: Array<string>): string
+  {
+    return '{' + states.join(NondeterministicMachine.SUBSET_SEPARATOR) + '}';
+  }
+}
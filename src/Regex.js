@@ -0,0 +1,452 @@
+"use strict";
+/**
+ * Copyright 2018 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * A regular expression over a token alphabet, which is parsed into an AST and compiled into the {Object} definition of
+ * a deterministic machine (see {FiniteStateMachine.fromRegex()}).
+ * <br/>
+ * <br/>
+ * The syntax supports concatenation, alternation (|), Kleene star (*) and plus (+), optional (?), grouping with
+ * parentheses, any symbol (.) and character classes, i.e. [abc], [a-z] or [^abc].  A metacharacter is matched
+ * literally when escaped with a backslash.  Without an alphabet, every (non-meta) character of the pattern is a symbol
+ * and the alphabet is the set of symbols in the pattern.  With an alphabet, symbols are tokens that may be whole
+ * strings; the longest token that matches at each point of the pattern is taken (metacharacters in a token must be
+ * escaped), and whitespace that does not begin a token is ignored.  A range in a class is between single characters and
+ * includes every single-character symbol of the alphabet in the range.  Any symbol and a negated class are relative to
+ * the alphabet.
+ * <br/>
+ * <br/>
+ * Example: (if|id)+[0-9]?
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+var Regex = (function () {
+    /**
+     * Construct and parse a new regular expression
+     *
+     * @param {string} source Pattern source
+     *
+     * @param {Array<string>} alphabet Optional token alphabet
+     */
+    function Regex(source, alphabet) {
+        this._source = source !== undefined && source != null ? String(source) : '';
+        this._tokens = alphabet !== undefined && alphabet != null;
+        this._alphabet = this._tokens ? alphabet.filter(function (token, i) { return token != '' && alphabet.indexOf(token) == i; }) : [];
+        this._ast = null;
+        this._error = '';
+        this._position = -1;
+        this._parse();
+    }
+    Object.defineProperty(Regex.prototype, "source", {
+        /**
+         * Access the pattern source
+         *
+         * @returns {string}
+         */
+        get: function () {
+            return this._source;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(Regex.prototype, "alphabet", {
+        /**
+         * Access the alphabet of the pattern
+         *
+         * @returns {Array<string>} Copy of the alphabet provided to the constructor or the symbols in the pattern, in the
+         * order they first appear
+         */
+        get: function () {
+            return this._alphabet.slice();
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(Regex.prototype, "isValid", {
+        /**
+         * Access whether or not the pattern was successfully parsed
+         *
+         * @returns {boolean}
+         */
+        get: function () {
+            return this._ast != null;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(Regex.prototype, "error", {
+        /**
+         * Access a description of the parse error, if any
+         *
+         * @returns {string} Empty string if the pattern is valid
+         */
+        get: function () {
+            return this._error;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(Regex.prototype, "position", {
+        /**
+         * Access the position in the source at which a parse error was detected
+         *
+         * @returns {number} -1 if the pattern is valid
+         */
+        get: function () {
+            return this._position;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(Regex.prototype, "ast", {
+        /**
+         * Access the root of the pattern AST
+         *
+         * @returns {IRegexNode | null} null if the pattern is not valid
+         */
+        get: function () {
+            return this._ast;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Compile the pattern into the {Object} definition of a deterministic machine whose acceptance states are those in
+     * which the input matches the pattern.  Each state is a set of positions in the pattern (followpos construction).
+     *
+     * @param {string} name Optional machine name (default is the pattern source)
+     *
+     * @returns {Object | null} Definition in the format accepted by {FiniteStateMachine.fromJson()}, with states S0 (the
+     * initial state), S1, ... each defined by a transition table over the alphabet.  The definition is not necessarily
+     * minimal.  A null return indicates that the pattern is not valid.
+     */
+    Regex.prototype.toDefinition = function (name) {
+        if (this._ast == null) {
+            return null;
+        }
+        var positions = new Array();
+        var follow = new Array();
+        var root = this._positions(this._ast, positions, follow);
+        // the end marker follows the last positions of the pattern
+        var end = positions.length;
+        root.last.forEach(function (p) { Regex._union(follow[p], [end]); });
+        var start = Regex._union(root.first.slice(), root.nullable ? [end] : []);
+        var subsets = [start];
+        var keys = [start.join(',')];
+        var states = new Array();
+        var _loop_1 = function (i) {
+            var subset = subsets[i];
+            var rows = new Array();
+            this_1._alphabet.forEach(function (symbol) {
+                var target = new Array();
+                subset.forEach(function (p) {
+                    if (p != end && positions[p].indexOf(symbol) != -1) {
+                        Regex._union(target, follow[p]);
+                    }
+                });
+                var key = target.join(',');
+                var index = keys.indexOf(key);
+                if (index == -1) {
+                    index = subsets.length;
+                    subsets.push(target);
+                    keys.push(key);
+                }
+                // symbols with the same target share a row
+                var to = 'S' + index;
+                var row = rows.filter(function (r) { return r['to'] == to; })[0];
+                if (row !== undefined) {
+                    row['on'].push(symbol);
+                }
+                else {
+                    rows.push({ on: [symbol], to: to });
+                }
+            });
+            states.push({ name: 'S' + i, isAcceptance: subset.indexOf(end) != -1, transitions: rows });
+        };
+        var this_1 = this;
+        // subsets are added as they are reached, so the work list is the remainder of the list of subsets
+        for (var i = 0; i < subsets.length; ++i) {
+            _loop_1(i);
+        }
+        return {
+            name: name !== undefined ? name : this._source,
+            alphabet: this._alphabet.slice(),
+            initialState: 'S0',
+            states: states
+        };
+    };
+    // nullable, first and last positions of a subexpression; symbol nodes are numbered in order and follow positions are
+    // accumulated for each
+    Regex.prototype._positions = function (node, positions, follow) {
+        switch (node.type) {
+            case Regex.SYMBOL:
+                positions.push(node.symbols);
+                follow.push(new Array());
+                return { nullable: false, first: [positions.length - 1], last: [positions.length - 1] };
+            case Regex.EMPTY:
+                return { nullable: true, first: [], last: [] };
+            case Regex.UNION:
+                {
+                    var left = this._positions(node.left, positions, follow);
+                    var right = this._positions(node.right, positions, follow);
+                    return {
+                        nullable: left.nullable || right.nullable,
+                        first: Regex._union(left.first, right.first),
+                        last: Regex._union(left.last, right.last)
+                    };
+                }
+            case Regex.CONCAT:
+                {
+                    var left = this._positions(node.left, positions, follow);
+                    var right_1 = this._positions(node.right, positions, follow);
+                    left.last.forEach(function (p) { Regex._union(follow[p], right_1.first); });
+                    return {
+                        nullable: left.nullable && right_1.nullable,
+                        first: left.nullable ? Regex._union(left.first.slice(), right_1.first) : left.first,
+                        last: right_1.nullable ? Regex._union(left.last.slice(), right_1.last) : right_1.last
+                    };
+                }
+            default:
+                {
+                    // repetition
+                    var argument_1 = this._positions(node.argument, positions, follow);
+                    if (node.type != Regex.OPTIONAL) {
+                        argument_1.last.forEach(function (p) { Regex._union(follow[p], argument_1.first); });
+                    }
+                    return {
+                        nullable: node.type == Regex.PLUS ? argument_1.nullable : true,
+                        first: argument_1.first,
+                        last: argument_1.last
+                    };
+                }
+        }
+    };
+    // add the items of one sorted list of positions to another (in place)
+    Regex._union = function (to, from) {
+        from.forEach(function (p) {
+            if (to.indexOf(p) == -1) {
+                to.push(p);
+            }
+        });
+        return to.sort(function (a, b) { return a - b; });
+    };
+    Regex.prototype._parse = function () {
+        var _this = this;
+        try {
+            this._index = 0;
+            this._negated = new Array();
+            var root = this._alternation();
+            if (this._index < this._source.length) {
+                this._fail('Unexpected character: ' + this._source.charAt(this._index), this._index);
+            }
+            // any symbol and negated classes match every other symbol of the alphabet
+            this._negated.forEach(function (node) {
+                node.symbols = _this._alphabet.filter(function (symbol) { return node.symbols.indexOf(symbol) == -1; });
+            });
+            this._ast = root;
+        }
+        catch (e) {
+            // errors are reported through the error and position accessors
+            if (this._error == '') {
+                this._error = String(e);
+            }
+        }
+        this._negated = null;
+    };
+    Regex.prototype._fail = function (message, position) {
+        this._error = message;
+        this._position = position;
+        throw new Error(message);
+    };
+    // next character of the source, after any whitespace that is ignored
+    Regex.prototype._peek = function () {
+        if (this._tokens) {
+            while (this._index < this._source.length && /\s/.test(this._source.charAt(this._index)) && this._match(Regex.META) == null) {
+                this._index++;
+            }
+        }
+        return this._source.charAt(this._index);
+    };
+    Regex.prototype._alternation = function () {
+        var node = this._concatenation();
+        while (this._peek() == '|') {
+            this._index++;
+            node = { type: Regex.UNION, left: node, right: this._concatenation() };
+        }
+        return node;
+    };
+    Regex.prototype._concatenation = function () {
+        var node = null;
+        while (this._index < this._source.length && this._peek() != '|' && this._peek() != ')' && this._peek() != '') {
+            var item = this._repetition();
+            node = node == null ? item : { type: Regex.CONCAT, left: node, right: item };
+        }
+        return node != null ? node : { type: Regex.EMPTY };
+    };
+    Regex.prototype._repetition = function () {
+        var node = this._atom();
+        var ch = this._peek();
+        while (ch == '*' || ch == '+' || ch == '?') {
+            this._index++;
+            node = { type: ch == '*' ? Regex.STAR : (ch == '+' ? Regex.PLUS : Regex.OPTIONAL), argument: node };
+            ch = this._peek();
+        }
+        return node;
+    };
+    Regex.prototype._atom = function () {
+        var position = this._index;
+        var ch = this._peek();
+        switch (ch) {
+            case '(':
+                {
+                    this._index++;
+                    var node = this._alternation();
+                    if (this._peek() != ')') {
+                        this._fail('Expected ) to close the group at ' + position, this._index);
+                    }
+                    this._index++;
+                    return node;
+                }
+            case '[':
+                return this._class();
+            case '.':
+                {
+                    this._index++;
+                    var node = { type: Regex.SYMBOL, symbols: [] };
+                    this._negated.push(node);
+                    return node;
+                }
+            case '*':
+            case '+':
+            case '?':
+                this._fail('Nothing to repeat: ' + ch, position);
+                break;
+            case ']':
+                this._fail('Unexpected character: ' + ch, position);
+                break;
+        }
+        return { type: Regex.SYMBOL, symbols: [this._add(this._symbol(Regex.META))] };
+    };
+    Regex.prototype._class = function () {
+        var start = this._index++;
+        var symbols = new Array();
+        var negated = this._source.charAt(this._index) == '^';
+        if (negated) {
+            this._index++;
+        }
+        while (this._source.charAt(this._index) != ']') {
+            if (this._index >= this._source.length) {
+                this._fail('Unterminated class at ' + start, start);
+            }
+            var position = this._index;
+            var low = this._symbol(Regex.CLASS_META);
+            if (this._source.charAt(this._index) == '-' && this._source.charAt(this._index + 1) != ']') {
+                this._index++;
+                var high = this._symbol(Regex.CLASS_META);
+                if (low.length != 1 || high.length != 1 || low > high) {
+                    this._fail('Invalid range: ' + low + '-' + high, position);
+                }
+                this._range(low, high).forEach(function (symbol) {
+                    if (symbols.indexOf(symbol) == -1) {
+                        symbols.push(symbol);
+                    }
+                });
+            }
+            else if (symbols.indexOf(low) == -1) {
+                symbols.push(this._add(low));
+            }
+        }
+        this._index++;
+        var node = { type: Regex.SYMBOL, symbols: symbols };
+        if (negated) {
+            this._negated.push(node);
+        }
+        return node;
+    };
+    // single-character symbols in a range, in the order of the alphabet or (for an inferred alphabet) of the characters
+    Regex.prototype._range = function (low, high) {
+        if (this._tokens) {
+            return this._alphabet.filter(function (token) { return token.length == 1 && token >= low && token <= high; });
+        }
+        var symbols = new Array();
+        for (var code = low.charCodeAt(0); code <= high.charCodeAt(0); ++code) {
+            symbols.push(this._add(String.fromCharCode(code)));
+        }
+        return symbols;
+    };
+    // read a (literal) symbol from the source; a symbol is added to an inferred alphabet only when it is used
+    Regex.prototype._symbol = function (meta) {
+        var position = this._index;
+        if (this._tokens) {
+            var token = this._match(meta);
+            if (token == null) {
+                this._fail('Unknown symbol at ' + position, position);
+            }
+            this._index += Regex._escape(token, meta).length;
+            return token;
+        }
+        var ch = this._source.charAt(this._index);
+        if (ch == '\\') {
+            if (this._index + 1 >= this._source.length) {
+                this._fail('Incomplete escape at ' + position, position);
+            }
+            ch = this._source.charAt(++this._index);
+        }
+        else if (meta.indexOf(ch) != -1) {
+            this._fail('Unexpected character: ' + ch, position);
+        }
+        this._index++;
+        return ch;
+    };
+    // longest token of the alphabet (with metacharacters escaped) at the current position
+    Regex.prototype._match = function (meta) {
+        var _this = this;
+        var match = null;
+        this._alphabet.forEach(function (token) {
+            var escaped = Regex._escape(token, meta);
+            if (_this._source.substr(_this._index, escaped.length) == escaped && (match == null || escaped.length > Regex._escape(match, meta).length)) {
+                match = token;
+            }
+        });
+        return match;
+    };
+    // add a symbol to an inferred alphabet
+    Regex.prototype._add = function (symbol) {
+        if (this._alphabet.indexOf(symbol) == -1) {
+            this._alphabet.push(symbol);
+        }
+        return symbol;
+    };
+    Regex._escape = function (token, meta) {
+        return token.split('').map(function (ch) { return meta.indexOf(ch) != -1 ? '\\' + ch : ch; }).join('');
+    };
+    // node types
+    Regex.SYMBOL = 'Symbol';
+    Regex.EMPTY = 'Empty';
+    Regex.CONCAT = 'Concat';
+    Regex.UNION = 'Union';
+    Regex.STAR = 'Star';
+    Regex.PLUS = 'Plus';
+    Regex.OPTIONAL = 'Optional';
+    // metacharacters outside and inside a class
+    Regex.META = '|*+?()[].\\';
+    Regex.CLASS_META = ']-^\\';
+    return Regex;
+}());
+exports.Regex = Regex;
@@ -0,0 +1,601 @@
+/**
+ * Copyright 2018 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A node in the abstract syntax tree of a parsed regular expression
+ */
+export interface IRegexNode
+{
+  type: string;                     // one of the node types defined as static constants in {Regex}
+
+  symbols?: Array<string>;          // symbols matched by a symbol node (a single symbol, class or any symbol)
+
+  left?: IRegexNode;                // concatenation or alternation
+
+  right?: IRegexNode;
+
+  argument?: IRegexNode;            // operand of a repetition
+}
+
+/**
+ * Properties of a subexpression used to construct a deterministic machine from the positions (symbol nodes) of the AST
+ */
+interface IRegexPositions
+{
+  nullable: boolean;
+
+  first: Array<number>;
+
+  last: Array<number>;
+}
+
+/**
+ * A regular expression over a token alphabet, which is parsed into an AST and compiled into the {Object} definition of
+ * a deterministic machine (see {FiniteStateMachine.fromRegex()}).
+ * <br/>
+ * <br/>
+ * The syntax supports concatenation, alternation (|), Kleene star (*) and plus (+), optional (?), grouping with
+ * parentheses, any symbol (.) and character classes, i.e. [abc], [a-z] or [^abc].  A metacharacter is matched
+ * literally when escaped with a backslash.  Without an alphabet, every (non-meta) character of the pattern is a symbol
+ * and the alphabet is the set of symbols in the pattern.  With an alphabet, symbols are tokens that may be whole
+ * strings; the longest token that matches at each point of the pattern is taken (metacharacters in a token must be
+ * escaped), and whitespace that does not begin a token is ignored.  A range in a class is between single characters and
+ * includes every single-character symbol of the alphabet in the range.  Any symbol and a negated class are relative to
+ * the alphabet.
+ * <br/>
+ * <br/>
+ * Example: (if|id)+[0-9]?
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+export class Regex
+{
+  // node types
+  public static SYMBOL: string   = 'Symbol';
+  public static EMPTY: string    = 'Empty';
+  public static CONCAT: string   = 'Concat';
+  public static UNION: string    = 'Union';
+  public static STAR: string     = 'Star';
+  public static PLUS: string     = 'Plus';
+  public static OPTIONAL: string = 'Optional';
+
+  // metacharacters outside and inside a class
+  protected static META: string       = '|*+?()[].\\';
+  protected static CLASS_META: string = ']-^\\';
+
+  protected _source: string;                  // pattern source
+  protected _alphabet: Array<string>;         // token alphabet (provided or inferred from the pattern)
+  protected _tokens: boolean;                 // true if the alphabet was provided
+  protected _ast: IRegexNode | null;          // root of the AST (null if the pattern could not be parsed)
+  protected _error: string;                   // description of a parse error
+  protected _position: number;                // position in the source at which a parse error was detected
+
+  // parser state
+  protected _index: number;
+  protected _negated: Array<IRegexNode>;      // nodes whose symbols are resolved against the alphabet after parsing
+
+  /**
+   * Construct and parse a new regular expression
+   *
+   * @param {string} source Pattern source
+   *
+   * @param {Array<string>} alphabet Optional token alphabet
+   */
+  constructor(source: string, alphabet?: Array<string>)
+  {
+    this._source   = source !== undefined && source != null ? String(source) : '';
+    this._tokens   = alphabet !== undefined && alphabet != null;
+    this._alphabet = this._tokens ? alphabet.filter( (token: string, i: number): boolean => token != '' && alphabet.indexOf(token) == i ) : [];
+    this._ast      = null;
+    this._error    = '';
+    this._position = -1;
+
+    this._parse();
+  }
+
+  /**
+   * Access the pattern source
+   *
+   * @returns {string}
+   */
+  public get source(): string
+  {
+    return this._source;
+  }
+
+  /**
+   * Access the alphabet of the pattern
+   *
+   * @returns {Array<string>} Copy of the alphabet provided to the constructor or the symbols in the pattern, in the
+   * order they first appear
+   */
+  public get alphabet(): Array<string>
+  {
+    return this._alphabet.slice();
+  }
+
+  /**
+   * Access whether or not the pattern was successfully parsed
+   *
+   * @returns {boolean}
+   */
+  public get isValid(): boolean
+  {
+    return this._ast != null;
+  }
+
+  /**
+   * Access a description of the parse error, if any
+   *
+   * @returns {string} Empty string if the pattern is valid
+   */
+  public get error(): string
+  {
+    return this._error;
+  }
+
+  /**
+   * Access the position in the source at which a parse error was detected
+   *
+   * @returns {number} -1 if the pattern is valid
+   */
+  public get position(): number
+  {
+    return this._position;
+  }
+
+  /**
+   * Access the root of the pattern AST
+   *
+   * @returns {IRegexNode | null} null if the pattern is not valid
+   */
+  public get ast(): IRegexNode | null
+  {
+    return this._ast;
+  }
+
+  /**
+   * Compile the pattern into the {Object} definition of a deterministic machine whose acceptance states are those in
+   * which the input matches the pattern.  Each state is a set of positions in the pattern (followpos construction).
+   *
+   * @param {string} name Optional machine name (default is the pattern source)
+   *
+   * @returns {Object | null} Definition in the format accepted by {FiniteStateMachine.fromJson()}, with states S0 (the
+   * initial state), S1, ... each defined by a transition table over the alphabet.  The definition is not necessarily
+   * minimal.  A null return indicates that the pattern is not valid.
+   */
+  public toDefinition(name?: string): Object | null
+  {
+    if (this._ast == null) {
+      return null;
+    }
+
+    const positions: Array<Array<string>> = new Array<Array<string>>();
+    const follow: Array<Array<number>>    = new Array<Array<number>>();
+    const root: IRegexPositions           = this._positions(this._ast, positions, follow);
+
+    // the end marker follows the last positions of the pattern
+    const end: number = positions.length;
+
+    root.last.forEach( (p: number) => {Regex._union(follow[p], [end])} );
+
+    const start: Array<number>          = Regex._union(root.first.slice(), root.nullable ? [end] : []);
+    const subsets: Array<Array<number>> = [start];
+    const keys: Array<string>           = [start.join(',')];
+    const states: Array<Object>         = new Array<Object>();
+
+    // subsets are added as they are reached, so the work list is the remainder of the list of subsets
+    for (let i: number = 0; i < subsets.length; ++i)
+    {
+      const subset: Array<number> = subsets[i];
+      const rows: Array<Object>   = new Array<Object>();
+
+      this._alphabet.forEach( (symbol: string) =>
+      {
+        const target: Array<number> = new Array<number>();
+
+        subset.forEach( (p: number) => {
+          if (p != end && positions[p].indexOf(symbol) != -1) {
+            Regex._union(target, follow[p]);
+          }
+        });
+
+        const key: string = target.join(',');
+        let index: number = keys.indexOf(key);
+
+        if (index == -1)
+        {
+          index = subsets.length;
+
+          subsets.push(target);
+          keys.push(key);
+        }
+
+        // symbols with the same target share a row
+        const to: string  = 'S' + index;
+        const row: Object = rows.filter( (r: Object): boolean => r['to'] == to )[0];
+
+        if (row !== undefined) {
+          (< Array<string> > row['on']).push(symbol);
+        }
+        else {
+          rows.push({on: [symbol], to: to});
+        }
+      });
+
+      states.push({name: 'S' + i, isAcceptance: subset.indexOf(end) != -1, transitions: rows});
+    }
+
+    return {
+      name: name !== undefined ? name : this._source,
+      alphabet: this._alphabet.slice(),
+      initialState: 'S0',
+      states: states
+    };
+  }
+
+  // nullable, first and last positions of a subexpression; symbol nodes are numbered in order and follow positions are
+  // accumulated for each
+  protected _positions(node: IRegexNode, positions: Array<Array<string>>, follow: Array<Array<number>>): IRegexPositions
+  {
+    switch (node.type)
+    {
+      case Regex.SYMBOL:
+        positions.push(node.symbols);
+        follow.push(new Array<number>());
+
+        return {nullable: false, first: [positions.length - 1], last: [positions.length - 1]};
+
+      case Regex.EMPTY:
+        return {nullable: true, first: [], last: []};
+
+      case Regex.UNION:
+      {
+        const left: IRegexPositions  = this._positions(node.left, positions, follow);
+        const right: IRegexPositions = this._positions(node.right, positions, follow);
+
+        return {
+          nullable: left.nullable || right.nullable,
+          first: Regex._union(left.first, right.first),
+          last: Regex._union(left.last, right.last)
+        };
+      }
+
+      case Regex.CONCAT:
+      {
+        const left: IRegexPositions  = this._positions(node.left, positions, follow);
+        const right: IRegexPositions = this._positions(node.right, positions, follow);
+
+        left.last.forEach( (p: number) => {Regex._union(follow[p], right.first)} );
+
+        return {
+          nullable: left.nullable && right.nullable,
+          first: left.nullable ? Regex._union(left.first.slice(), right.first) : left.first,
+          last: right.nullable ? Regex._union(left.last.slice(), right.last) : right.last
+        };
+      }
+
+      default:
+      {
+        // repetition
+        const argument: IRegexPositions = this._positions(node.argument, positions, follow);
+
+        if (node.type != Regex.OPTIONAL) {
+          argument.last.forEach( (p: number) => {Regex._union(follow[p], argument.first)} );
+        }
+
+        return {
+          nullable: node.type == Regex.PLUS ? argument.nullable : true,
+          first: argument.first,
+          last: argument.last
+        };
+      }
+    }
+  }
+
+  // add the items of one sorted list of positions to another (in place)
+  protected static _union(to: Array<number>, from: Array<number>): Array<number>
+  {
+    from.forEach( (p: number) => {
+      if (to.indexOf(p) == -1) {
+        to.push(p);
+      }
+    });
+
+    return to.sort( (a: number, b: number): number => a - b );
+  }
+
+  protected _parse(): void
+  {
+    try
+    {
+      this._index   = 0;
+      this._negated = new Array<IRegexNode>();
+
+      const root: IRegexNode = this._alternation();
+
+      if (this._index < this._source.length) {
+        this._fail('Unexpected character: ' + this._source.charAt(this._index), this._index);
+      }
+
+      // any symbol and negated classes match every other symbol of the alphabet
+      this._negated.forEach( (node: IRegexNode) => {
+        node.symbols = this._alphabet.filter( (symbol: string): boolean => node.symbols.indexOf(symbol) == -1 );
+      });
+
+      this._ast = root;
+    }
+    catch (e)
+    {
+      // errors are reported through the error and position accessors
+      if (this._error == '') {
+        this._error = String(e);
+      }
+    }
+
+    this._negated = null;
+  }
+
+  protected _fail(message: string, position: number): void
+  {
+    this._error    = message;
+    this._position = position;
+
+    throw new Error(message);
+  }
+
+  // next character of the source, after any whitespace that is ignored
+  protected _peek(): string
+  {
+    if (this._tokens)
+    {
+      while (this._index < this._source.length && /\s/.test(this._source.charAt(this._index)) && this._match(Regex.META) == null) {
+        this._index++;
+      }
+    }
+
+    return this._source.charAt(this._index);
+  }
+
+  protected _alternation(): IRegexNode
+  {
+    let node: IRegexNode = this._concatenation();
+
+    while (this._peek() == '|')
+    {
+      this._index++;
+      node = {type: Regex.UNION, left: node, right: this._concatenation()};
+    }
+
+    return node;
+  }
+
+  protected _concatenation(): IRegexNode
+  {
+    let node: IRegexNode | null = null;
+
+    while (this._index < this._source.length && this._peek() != '|' && this._peek() != ')' && this._peek() != '')
+    {
+      const item: IRegexNode = this._repetition();
+
+      node = node == null ? item : {type: Regex.CONCAT, left: node, right: item};
+    }
+
+    return node != null ? node : {type: Regex.EMPTY};
+  }
+
+  protected _repetition(): IRegexNode
+  {
+    let node: IRegexNode = this._atom();
+    let ch: string       = this._peek();
+
+    while (ch == '*' || ch == '+' || ch == '?')
+    {
+      this._index++;
+
+      node = {type: ch == '*' ? Regex.STAR : (ch == '+' ? Regex.PLUS : Regex.OPTIONAL), argument: node};
+      ch   = this._peek();
+    }
+
+    return node;
+  }
+
+  protected _atom(): IRegexNode
+  {
+    const position: number = this._index;
+    const ch: string       = this._peek();
+
+    switch (ch)
+    {
+      case '(':
+      {
+        this._index++;
+
+        const node: IRegexNode = this._alternation();
+
+        if (this._peek() != ')') {
+          this._fail('Expected ) to close the group at ' + position, this._index);
+        }
+
+        this._index++;
+        return node;
+      }
+
+      case '[':
+        return this._class();
+
+      case '.':
+      {
+        this._index++;
+
+        const node: IRegexNode = {type: Regex.SYMBOL, symbols: []};
+        this._negated.push(node);
+
+        return node;
+      }
+
+      case '*':
+      case '+':
+      case '?':
+        this._fail('Nothing to repeat: ' + ch, position);
+        break;
+
+      case ']':
+        this._fail('Unexpected character: ' + ch, position);
+        break;
+    }
+
+    return {type: Regex.SYMBOL, symbols: [this._add(this._symbol(Regex.META))]};
+  }
+
+  protected _class(): IRegexNode
+  {
+    const start: number           = this._index++;
+    const symbols: Array<string>  = new Array<string>();
+    const negated: boolean        = this._source.charAt(this._index) == '^';
+
+    if (negated) {
+      this._index++;
+    }
+
+    while (this._source.charAt(this._index) != ']')
+    {
+      if (this._index >= this._source.length) {
+        this._fail('Unterminated class at ' + start, start);
+      }
+
+      const position: number = this._index;
+      const low: string      = this._symbol(Regex.CLASS_META);
+
+      if (this._source.charAt(this._index) == '-' && this._source.charAt(this._index + 1) != ']')
+      {
+        this._index++;
+
+        const high: string = this._symbol(Regex.CLASS_META);
+
+        if (low.length != 1 || high.length != 1 || low > high) {
+          this._fail('Invalid range: ' + low + '-' + high, position);
+        }
+
+        this._range(low, high).forEach( (symbol: string) => {
+          if (symbols.indexOf(symbol) == -1) {
+            symbols.push(symbol);
+          }
+        });
+      }
+      else if (symbols.indexOf(low) == -1)
+      {
+        symbols.push(this._add(low));
+      }
+    }
+
+    this._index++;
+
+    const node: IRegexNode = {type: Regex.SYMBOL, symbols: symbols};
+
+    if (negated) {
+      this._negated.push(node);
+    }
+
+    return node;
+  }
+
+  // single-character symbols in a range, in the order of the alphabet or (for an inferred alphabet) of the characters
+  protected _range(low: string, high: string): Array<string>
+  {
+    if (this._tokens) {
+      return this._alphabet.filter( (token: string): boolean => token.length == 1 && token >= low && token <= high );
+    }
+
+    const symbols: Array<string> = new Array<string>();
+
+    for (let code: number = low.charCodeAt(0); code <= high.charCodeAt(0); ++code) {
+      symbols.push(this._add(String.fromCharCode(code)));
+    }
+
+    return symbols;
+  }
+
+  // read a (literal) symbol from the source; a symbol is added to an inferred alphabet only when it is used
+  protected _symbol(meta: string): string
+  {
+    const position: number = this._index;
+
+    if (this._tokens)
+    {
+      const token: string | null = this._match(meta);
+
+      if (token == null) {
+        this._fail('Unknown symbol at ' + position, position);
+      }
+
+      this._index += Regex._escape(token, meta).length;
+      return token;
+    }
+
+    let ch: string = this._source.charAt(this._index);
+
+    if (ch == '\\')
+    {
+      if (this._index + 1 >= this._source.length) {
+        this._fail('Incomplete escape at ' + position, position);
+      }
+
+      ch = this._source.charAt(++this._index);
+    }
+    else if (meta.indexOf(ch) != -1)
+    {
+      this._fail('Unexpected character: ' + ch, position);
+    }
+
+    this._index++;
+    return ch;
+  }
+
+  // longest token of the alphabet (with metacharacters escaped) at the current position
+  protected _match(meta: string): string | null
+  {
+    let match: string | null = null;
+
+    this._alphabet.forEach( (token: string) =>
+    {
+      const escaped: string = Regex._escape(token, meta);
+
+      if (this._source.substr(this._index, escaped.length) == escaped && (match == null || escaped.length > Regex._escape(match, meta).length)) {
+        match = token;
+      }
+    });
+
+    return match;
+  }
+
+  // add a symbol to an inferred alphabet
+  protected _add(symbol: string): string
+  {
+    if (this._alphabet.indexOf(symbol) == -1) {
+      this._alphabet.push(symbol);
+    }
+
+    return symbol;
+  }
+
+  protected static _escape(token: string, meta: string): string
+  {
+    return token.split('').map( (ch: string): string => meta.indexOf(ch) != -1 ? '\\' + ch : ch ).join('');
+  }
+}
@@ -0,0 +1,72 @@
+"use strict";
+/**
+ * Copyright 2018 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+var Observable_1 = require("rxjs/Observable");
+var FiniteStateMachine_1 = require("./FiniteStateMachine");
+/**
+ * Pipeable RxJS operator that runs a machine on each value of the source, i.e. input$.pipe(runMachine(definition)).
+ * The definition is compiled once, and each subscription creates its own machine that shares the compiled definition,
+ * so the resulting Observable is cold.
+ *
+ * @param {Object} definition Object definition of the machine, in the format accepted by {FiniteStateMachine.fromJson()}
+ *
+ * @param {Object} guards Optional hash of named guards referenced by the definition
+ *
+ * @param {Object} actions Optional hash of named actions referenced by the definition
+ *
+ * @returns {OperatorFunction<any, IStateOutput>} The output of {next()} for each input value; nothing is emitted when
+ * no transition is defined for an input.  The result completes when the source completes or the machine is done (after
+ * the output of the transition that completes the machine).  An invalid definition or an Error thrown by {next()} is
+ * an error notification.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+function runMachine(definition, guards, actions) {
+    var compiled = FiniteStateMachine_1.FiniteStateMachine.compile(definition, undefined, guards, actions);
+    return function (source) { return new Observable_1.Observable(function (observer) {
+        if (compiled == null) {
+            // validation reports the error, except for the names of guards and actions that were not provided
+            var result = FiniteStateMachine_1.FiniteStateMachine.validateDefinition(definition);
+            observer.error(new Error('[FSM] Invalid machine definition' + (result.success ? '' : ': ' + result.action)));
+            return;
+        }
+        var machine = compiled.createInstance();
+        var subscription = source.subscribe(function (input) {
+            var output;
+            try {
+                output = machine.next(input);
+            }
+            catch (e) {
+                observer.error(e);
+                return;
+            }
+            if (output != null) {
+                observer.next(output);
+            }
+            if (machine.isDone) {
+                observer.complete();
+            }
+        }, function (error) { observer.error(error); }, function () { observer.complete(); });
+        return function () {
+            subscription.unsubscribe();
+            machine.clear();
+        };
+    }); };
+}
+exports.runMachine = runMachine;
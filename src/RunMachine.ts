@@ -0,0 +1,95 @@
+/**
+ * Copyright 2018 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { Observable       } from "rxjs/Observable";
+import { Observer         } from "rxjs/Observer";
+import { Subscription     } from "rxjs/Subscription";
+import { OperatorFunction } from "rxjs/interfaces";
+
+import { FiniteStateMachine,
+         IDecisionTreeAction,
+         IStateOutput        } from "./FiniteStateMachine";
+
+/**
+ * Pipeable RxJS operator that runs a machine on each value of the source, i.e. input$.pipe(runMachine(definition)).
+ * The definition is compiled once, and each subscription creates its own machine that shares the compiled definition,
+ * so the resulting Observable is cold.
+ *
+ * @param {Object} definition Object definition of the machine, in the format accepted by {FiniteStateMachine.fromJson()}
+ *
+ * @param {Object} guards Optional hash of named guards referenced by the definition
+ *
+ * @param {Object} actions Optional hash of named actions referenced by the definition
+ *
+ * @returns {OperatorFunction<any, IStateOutput>} The output of {next()} for each input value; nothing is emitted when
+ * no transition is defined for an input.  The result completes when the source completes or the machine is done (after
+ * the output of the transition that completes the machine).  An invalid definition or an Error thrown by {next()} is
+ * an error notification.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+export function runMachine(definition: Object, guards?: Object, actions?: Object): OperatorFunction<any, IStateOutput>
+{
+  const compiled: FiniteStateMachine | null = FiniteStateMachine.compile(definition, undefined, guards, actions);
+
+  return (source: Observable<any>): Observable<IStateOutput> => new Observable<IStateOutput>( (observer: Observer<IStateOutput>) =>
+  {
+    if (compiled == null)
+    {
+      // validation reports the error, except for the names of guards and actions that were not provided
+      const result: IDecisionTreeAction = FiniteStateMachine.validateDefinition(definition);
+
+      observer.error(new Error('[FSM] Invalid machine definition' + (result.success ? '' : ': ' + result.action)));
+      return;
+    }
+
+    const machine: FiniteStateMachine = compiled.createInstance();
+
+    const subscription: Subscription = source.subscribe(
+      (input: any) =>
+      {
+        let output: IStateOutput | null;
+
+        try
+        {
+          output = machine.next(input);
+        }
+        catch (e)
+        {
+          observer.error(e);
+          return;
+        }
+
+        if (output != null) {
+          observer.next(output);
+        }
+
+        if (machine.isDone) {
+          observer.complete();
+        }
+      },
+      (error: any) => {observer.error(error)},
+      () => {observer.complete()}
+    );
+
+    return () => {
+      subscription.unsubscribe();
+      machine.clear();
+    };
+  });
+}
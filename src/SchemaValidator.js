@@ -0,0 +1,170 @@
+"use strict";
+/**
+ * Copyright 2018 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * A minimal JSON Schema (draft-07) validator that supports the subset of keywords used by the machine definition
+ * schema, so this distribution remains standalone.  Supported keywords are type, required, properties,
+ * additionalProperties, items, minItems, minLength, pattern, minimum, enum, const, allOf, anyOf, oneOf, not, dependencies
+ * (array form) and local $ref ('#/definitions/...').  All other keywords are ignored.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+var SchemaValidator = (function () {
+    /**
+     * Construct a new validator
+     *
+     * @param {Object} schema JSON Schema
+     */
+    function SchemaValidator(schema) {
+        this._schema = schema;
+    }
+    /**
+     * Validate data against the schema
+     *
+     * @param data Data to validate
+     *
+     * @returns {Array<ISchemaError>} Every error detected in the data (empty for valid data)
+     */
+    SchemaValidator.prototype.validate = function (data) {
+        var errors = new Array();
+        this._validate(this._schema, data, '', errors);
+        return errors;
+    };
+    SchemaValidator.prototype._validate = function (schema, data, path, errors) {
+        var _this = this;
+        if (schema.hasOwnProperty('$ref')) {
+            this._validate(this._resolve(schema['$ref']), data, path, errors);
+            return;
+        }
+        if (schema.hasOwnProperty('type') && !SchemaValidator._isType(data, schema['type'])) {
+            // nothing else can be meaningfully checked
+            errors.push({ path: path, keyword: 'type', node: data });
+            return;
+        }
+        if (schema.hasOwnProperty('const') && JSON.stringify(data) != JSON.stringify(schema['const'])) {
+            errors.push({ path: path, keyword: 'const', node: data });
+        }
+        if (schema.hasOwnProperty('enum') &&
+            !schema['enum'].some(function (value) { return JSON.stringify(value) == JSON.stringify(data); })) {
+            errors.push({ path: path, keyword: 'enum', node: data });
+        }
+        if (typeof data == 'string' && schema.hasOwnProperty('minLength') && data.length < schema['minLength']) {
+            errors.push({ path: path, keyword: 'minLength', node: data });
+        }
+        if (typeof data == 'string' && schema.hasOwnProperty('pattern') && !(new RegExp(schema['pattern'])).test(data)) {
+            errors.push({ path: path, keyword: 'pattern', node: data });
+        }
+        if (typeof data == 'number' && schema.hasOwnProperty('minimum') && data < schema['minimum']) {
+            errors.push({ path: path, keyword: 'minimum', node: data });
+        }
+        if (SchemaValidator._isType(data, 'array')) {
+            this._validateArray(schema, data, path, errors);
+        }
+        if (SchemaValidator._isType(data, 'object')) {
+            this._validateObject(schema, data, path, errors);
+        }
+        if (schema.hasOwnProperty('allOf')) {
+            schema['allOf'].forEach(function (subschema) { _this._validate(subschema, data, path, errors); });
+        }
+        if (schema.hasOwnProperty('anyOf') && this._matches(schema['anyOf'], data) == 0) {
+            errors.push({ path: path, keyword: 'anyOf', node: data });
+        }
+        if (schema.hasOwnProperty('oneOf') && this._matches(schema['oneOf'], data) != 1) {
+            errors.push({ path: path, keyword: 'oneOf', node: data });
+        }
+        if (schema.hasOwnProperty('not') && this._matches([schema['not']], data) == 1) {
+            errors.push({ path: path, keyword: 'not', node: data });
+        }
+    };
+    SchemaValidator.prototype._validateArray = function (schema, data, path, errors) {
+        var _this = this;
+        if (schema.hasOwnProperty('minItems') && data.length < schema['minItems']) {
+            errors.push({ path: path, keyword: 'minItems', node: data });
+        }
+        if (schema.hasOwnProperty('items')) {
+            data.forEach(function (item, i) { _this._validate(schema['items'], item, path + '/' + i, errors); });
+        }
+    };
+    SchemaValidator.prototype._validateObject = function (schema, data, path, errors) {
+        var _this = this;
+        var properties = schema['properties'] || {};
+        if (schema.hasOwnProperty('required')) {
+            schema['required'].forEach(function (prop) {
+                if (!data.hasOwnProperty(prop)) {
+                    errors.push({ path: path + '/' + prop, keyword: 'required', node: data });
+                }
+            });
+        }
+        if (schema.hasOwnProperty('dependencies')) {
+            var dependencies_1 = schema['dependencies'];
+            Object.keys(dependencies_1).forEach(function (prop) {
+                if (data.hasOwnProperty(prop) && dependencies_1[prop].some(function (dep) { return !data.hasOwnProperty(dep); })) {
+                    errors.push({ path: path + '/' + prop, keyword: 'dependencies', node: data });
+                }
+            });
+        }
+        Object.keys(data).forEach(function (prop) {
+            if (properties.hasOwnProperty(prop)) {
+                _this._validate(properties[prop], data[prop], path + '/' + prop, errors);
+            }
+            else if (schema.hasOwnProperty('additionalProperties')) {
+                var additional = schema['additionalProperties'];
+                if (additional === false) {
+                    errors.push({ path: path + '/' + prop, keyword: 'additionalProperties', node: data });
+                }
+                else if (typeof additional == 'object') {
+                    _this._validate(additional, data[prop], path + '/' + prop, errors);
+                }
+            }
+        });
+    };
+    // number of schemas in a collection that match the data
+    SchemaValidator.prototype._matches = function (schemas, data) {
+        var _this = this;
+        return schemas.filter(function (schema) {
+            var errors = new Array();
+            _this._validate(schema, data, '', errors);
+            return errors.length == 0;
+        }).length;
+    };
+    SchemaValidator.prototype._resolve = function (ref) {
+        var schema = this._schema;
+        ref.replace(/^#\/?/, '').split('/').forEach(function (key) {
+            schema = key != '' && schema ? schema[key] : schema;
+        });
+        return schema || {};
+    };
+    SchemaValidator._isType = function (data, type) {
+        if (typeof type != 'string') {
+            return type.some(function (t) { return SchemaValidator._isType(data, t); });
+        }
+        switch (type) {
+            case 'object': return Object.prototype.toString.call(data) == '[object Object]';
+            case 'array': return Object.prototype.toString.call(data) == '[object Array]';
+            case 'string': return typeof data == 'string';
+            case 'number': return typeof data == 'number' && isFinite(data);
+            case 'integer': return typeof data == 'number' && isFinite(data) && Math.floor(data) == data;
+            case 'boolean': return typeof data == 'boolean';
+            case 'null': return data === null;
+        }
+        return false;
+    };
+    return SchemaValidator;
+}());
+exports.SchemaValidator = SchemaValidator;
@@ -0,0 +1,226 @@
+/**
+ * Copyright 2018 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * An error detected when validating data against a schema
+ */
+export interface ISchemaError
+{
+  path: string;                     // JSON pointer to the failing value, i.e. '/states/2/name'
+
+  keyword: string;                  // schema keyword that failed, i.e. 'required'
+
+  node: any;                        // the failing value
+}
+
+/**
+ * A minimal JSON Schema (draft-07) validator that supports the subset of keywords used by the machine definition
+ * schema, so this distribution remains standalone.  Supported keywords are type, required, properties,
+ * additionalProperties, items, minItems, minLength, pattern, minimum, enum, const, allOf, anyOf, oneOf, not, dependencies
+ * (array form) and local $ref ('#/definitions/...').  All other keywords are ignored.
+ *
+ * @author Jim Armstrong (www.algorithmist.net)
+ *
+ * @version 1.0
+ */
+export class SchemaValidator
+{
+  protected _schema: Object;      // root schema (for $ref resolution)
+
+  /**
+   * Construct a new validator
+   *
+   * @param {Object} schema JSON Schema
+   */
+  constructor(schema: Object)
+  {
+    this._schema = schema;
+  }
+
+  /**
+   * Validate data against the schema
+   *
+   * @param data Data to validate
+   *
+   * @returns {Array<ISchemaError>} Every error detected in the data (empty for valid data)
+   */
+  public validate(data: any): Array<ISchemaError>
+  {
+    const errors: Array<ISchemaError> = new Array<ISchemaError>();
+
+    this._validate(this._schema, data, '', errors);
+
+    return errors;
+  }
+
+  protected _validate(schema: Object, data: any, path: string, errors: Array<ISchemaError>): void
+  {
+    if (schema.hasOwnProperty('$ref'))
+    {
+      this._validate(this._resolve(schema['$ref']), data, path, errors);
+      return;
+    }
+
+    if (schema.hasOwnProperty('type') && !SchemaValidator._isType(data, schema['type']))
+    {
+      // nothing else can be meaningfully checked
+      errors.push({path: path, keyword: 'type', node: data});
+      return;
+    }
+
+    if (schema.hasOwnProperty('const') && JSON.stringify(data) != JSON.stringify(schema['const'])) {
+      errors.push({path: path, keyword: 'const', node: data});
+    }
+
+    if (schema.hasOwnProperty('enum') &&
+       !(< Array<any> > schema['enum']).some( (value: any): boolean => JSON.stringify(value) == JSON.stringify(data) )) {
+      errors.push({path: path, keyword: 'enum', node: data});
+    }
+
+    if (typeof data == 'string' && schema.hasOwnProperty('minLength') && data.length < schema['minLength']) {
+      errors.push({path: path, keyword: 'minLength', node: data});
+    }
+
+    if (typeof data == 'string' && schema.hasOwnProperty('pattern') && !(new RegExp(schema['pattern'])).test(data)) {
+      errors.push({path: path, keyword: 'pattern', node: data});
+    }
+
+    if (typeof data == 'number' && schema.hasOwnProperty('minimum') && data < schema['minimum']) {
+      errors.push({path: path, keyword: 'minimum', node: data});
+    }
+
+    if (SchemaValidator._isType(data, 'array')) {
+      this._validateArray(schema, < Array<any> > data, path, errors);
+    }
+
+    if (SchemaValidator._isType(data, 'object')) {
+      this._validateObject(schema, data, path, errors);
+    }
+
+    if (schema.hasOwnProperty('allOf')) {
+      (< Array<Object> > schema['allOf']).forEach( (subschema: Object) => {this._validate(subschema, data, path, errors)} );
+    }
+
+    if (schema.hasOwnProperty('anyOf') && this._matches(schema['anyOf'], data) == 0) {
+      errors.push({path: path, keyword: 'anyOf', node: data});
+    }
+
+    if (schema.hasOwnProperty('oneOf') && this._matches(schema['oneOf'], data) != 1) {
+      errors.push({path: path, keyword: 'oneOf', node: data});
+    }
+
+    if (schema.hasOwnProperty('not') && this._matches([schema['not']], data) == 1) {
+      errors.push({path: path, keyword: 'not', node: data});
+    }
+  }
+
+  protected _validateArray(schema: Object, data: Array<any>, path: string, errors: Array<ISchemaError>): void
+  {
+    if (schema.hasOwnProperty('minItems') && data.length < schema['minItems']) {
+      errors.push({path: path, keyword: 'minItems', node: data});
+    }
+
+    if (schema.hasOwnProperty('items')) {
+      data.forEach( (item: any, i: number) => {this._validate(schema['items'], item, path + '/' + i, errors)} );
+    }
+  }
+
+  protected _validateObject(schema: Object, data: Object, path: string, errors: Array<ISchemaError>): void
+  {
+    const properties: Object = schema['properties'] || {};
+
+    if (schema.hasOwnProperty('required'))
+    {
+      (< Array<string> > schema['required']).forEach( (prop: string) => {
+        if (!data.hasOwnProperty(prop)) {
+          errors.push({path: path + '/' + prop, keyword: 'required', node: data});
+        }
+      });
+    }
+
+    if (schema.hasOwnProperty('dependencies'))
+    {
+      const dependencies: Object = schema['dependencies'];
+
+      Object.keys(dependencies).forEach( (prop: string) => {
+        if (data.hasOwnProperty(prop) && (< Array<string> > dependencies[prop]).some( (dep: string): boolean => !data.hasOwnProperty(dep) )) {
+          errors.push({path: path + '/' + prop, keyword: 'dependencies', node: data});
+        }
+      });
+    }
+
+    Object.keys(data).forEach( (prop: string) =>
+    {
+      if (properties.hasOwnProperty(prop))
+      {
+        this._validate(properties[prop], data[prop], path + '/' + prop, errors);
+      }
+      else if (schema.hasOwnProperty('additionalProperties'))
+      {
+        const additional: any = schema['additionalProperties'];
+
+        if (additional === false) {
+          errors.push({path: path + '/' + prop, keyword: 'additionalProperties', node: data});
+        }
+        else if (typeof additional == 'object') {
+          this._validate(additional, data[prop], path + '/' + prop, errors);
+        }
+      }
+    });
+  }
+
+  // number of schemas in a collection that match the data
+  protected _matches(schemas: Array<Object>, data: any): number
+  {
+    return schemas.filter( (schema: Object): boolean => {
+      const errors: Array<ISchemaError> = new Array<ISchemaError>();
+      this._validate(schema, data, '', errors);
+
+      return errors.length == 0;
+    }).length;
+  }
+
+  protected _resolve(ref: string): Object
+  {
+    let schema: any = this._schema;
+
+    ref.replace(/^#\/?/, '').split('/').forEach( (key: string) => {
+      schema = key != '' && schema ? schema[key] : schema;
+    });
+
+    return schema || {};
+  }
+
+  protected static _isType(data: any, type: string | Array<string>): boolean
+  {
+    if (typeof type != 'string') {
+      return (< Array<string> > type).some( (t: string): boolean => SchemaValidator._isType(data, t) );
+    }
+
+    switch (type)
+    {
+      case 'object':  return Object.prototype.toString.call(data) == '[object Object]';
+      case 'array':   return Object.prototype.toString.call(data) == '[object Array]';
+      case 'string':  return typeof data == 'string';
+      case 'number':  return typeof data == 'number' && isFinite(data);
+      case 'integer': return typeof data == 'number' && isFinite(data) && Math.floor(data) == data;
+      case 'boolean': return typeof data == 'boolean';
+      case 'null':    return data === null;
+    }
+
+    return false;
+  }
+}
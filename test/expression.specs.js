@@ -0,0 +1,88 @@
+"use strict";
+/**
+ * Copyright 2018 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+// Guard/output expressions for data-defined machines
+var Expression_1 = require("../src/Expression");
+var Chai = require("chai");
+var expect = Chai.expect;
+// Test Suites
+describe('Expression', function () {
+    var scope = {
+        data: {
+            amount: 30,
+            name: 'abc',
+            items: [1, 2, 3],
+            nested: { flag: true }
+        },
+        state: 'q'
+    };
+    it('parses and evaluates literals', function () {
+        expect(new Expression_1.Expression('1.5').evaluate(scope)).to.equal(1.5);
+        expect(new Expression_1.Expression("'a\\'b'").evaluate(scope)).to.equal("a'b");
+        expect(new Expression_1.Expression('"x"').evaluate(scope)).to.equal('x');
+        expect(new Expression_1.Expression('true').evaluate(scope)).to.be.true;
+        expect(new Expression_1.Expression('null').evaluate(scope)).to.be.null;
+        expect(new Expression_1.Expression('undefined').evaluate(scope)).to.be.undefined;
+    });
+    it('respects operator precedence', function () {
+        expect(new Expression_1.Expression('1 + 2 * 3').evaluate(scope)).to.equal(7);
+        expect(new Expression_1.Expression('(1 + 2) * 3').evaluate(scope)).to.equal(9);
+        expect(new Expression_1.Expression('10 - 4 - 3').evaluate(scope)).to.equal(3);
+        expect(new Expression_1.Expression('-2 * -3 % 4').evaluate(scope)).to.equal(2);
+        expect(new Expression_1.Expression('!false && 1 < 2 || false').evaluate(scope)).to.be.true;
+        expect(new Expression_1.Expression('1 == 1 ? 2 > 3 ? "a" : "b" : "c"').evaluate(scope)).to.equal('b');
+    });
+    it('evaluates guards on data and state', function () {
+        expect(new Expression_1.Expression("data.amount >= 25 && state == 'q'").evaluate(scope)).to.be.true;
+        expect(new Expression_1.Expression("data.amount >= 25 && state == 'd'").evaluate(scope)).to.be.false;
+        expect(new Expression_1.Expression("data['name'].length == 3").evaluate(scope)).to.be.true;
+        expect(new Expression_1.Expression('data.items[1] + data.items.length').evaluate(scope)).to.equal(5);
+        expect(new Expression_1.Expression('data.nested.flag').evaluate(scope)).to.be.true;
+        expect(new Expression_1.Expression('data.missing.flag').evaluate(scope)).to.be.undefined;
+        expect(new Expression_1.Expression('data.amount * 2').evaluate({ data: { amount: 4 } })).to.equal(8);
+    });
+    it('has no access to globals or prototypes', function () {
+        var expr = new Expression_1.Expression('Math.abs(1)');
+        expect(expr.isValid).to.be.false;
+        expect(expr.error).to.contain('Math');
+        expect(expr.position).to.equal(0);
+        expr = new Expression_1.Expression('data.constructor');
+        expect(expr.isValid).to.be.true;
+        expect(expr.evaluate(scope)).to.be.undefined;
+        expect(new Expression_1.Expression("data['__proto__']").evaluate(scope)).to.be.undefined;
+        expect(new Expression_1.Expression('data.name.toString').evaluate(scope)).to.be.undefined;
+        expect(new Expression_1.Expression('data.items.map').evaluate(scope)).to.be.undefined;
+        expect(new Expression_1.Expression('context', ['context']).evaluate({ context: 1 })).to.equal(1);
+    });
+    it('reports parse errors with position', function () {
+        var expr = new Expression_1.Expression('data.amount >= ');
+        expect(expr.isValid).to.be.false;
+        expect(expr.ast).to.be.null;
+        expect(expr.position).to.equal(15);
+        expect(expr.evaluate(scope)).to.be.undefined;
+        expr = new Expression_1.Expression('data.amount # 2');
+        expect(expr.isValid).to.be.false;
+        expect(expr.position).to.equal(12);
+        expr = new Expression_1.Expression("'abc");
+        expect(expr.isValid).to.be.false;
+        expr = new Expression_1.Expression('(1 + 2');
+        expect(expr.isValid).to.be.false;
+        expr = new Expression_1.Expression('1 2');
+        expect(expr.isValid).to.be.false;
+        expect(expr.position).to.equal(2);
+    });
+});
@@ -17,6 +17,8 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 // Finite State Machine
 var FiniteStateMachine_1 = require("../src/FiniteStateMachine");
+var rxjs_1 = require("rxjs");
+var TestScheduler_1 = require("rxjs/testing/TestScheduler");
 var Chai = require("chai");
 var expect = Chai.expect;
 // Test Suites
@@ -742,4 +744,1939 @@ describe('Finite State Machine', function () {
         var machine = FiniteStateMachine_1.FiniteStateMachine.create({});
         expect(machine).to.be.null;
     });
+    it('rejection state is never exited', function () {
+        __machine.clear();
+        __machine.addState('VALID', true);
+        __machine.addState('INVALID', { rejection: true });
+        // a badly written transition function that attempts to leave the trap state
+        __machine.addTransition('VALID', function (data) {
+            return data == 'x' ? { to: 'INVALID' } : { to: 'VALID' };
+        });
+        __machine.addTransition('INVALID', function (data) {
+            return { to: 'VALID' };
+        });
+        var state = __machine.next('a', 'VALID');
+        expect(state.to).to.equal('VALID');
+        expect(state.status).to.be.undefined;
+        expect(__machine.isAcceptance).to.be.true;
+        expect(__machine.isRejected).to.be.false;
+        state = __machine.next('x');
+        expect(state.to).to.equal('INVALID');
+        expect(__machine.isRejected).to.be.true;
+        var statuses = new Array();
+        __machine.addSubscriber({
+            next: function (trans) {
+                statuses.push(trans.status);
+            },
+            error: function () {
+            },
+            complete: function () {
+            }
+        });
+        state = __machine.next('a');
+        expect(state.to).to.equal('INVALID');
+        expect(state.data).to.equal('a');
+        expect(state.status).to.equal(FiniteStateMachine_1.FiniteStateMachine.REJECTED);
+        expect(__machine.currentState).to.equal('INVALID');
+        expect(__machine.isRejected).to.be.true;
+        expect(__machine.isAcceptance).to.be.false;
+        expect(statuses).to.eql([FiniteStateMachine_1.FiniteStateMachine.REJECTED]);
+    });
+    it('data-defined rejection state', function () {
+        __machine.clear();
+        var result = __machine.fromJson({
+            name: 'Digits',
+            initialState: 'D',
+            alphabet: ['0', '1', 'x'],
+            states: [
+                {
+                    name: 'D',
+                    isAcceptance: true,
+                    transition: "return data == '0' || data == '1' ? {to: 'D'} : {to: 'E'}"
+                },
+                {
+                    name: 'E',
+                    isAcceptance: false,
+                    isRejection: true
+                }
+            ]
+        });
+        expect(result.success).to.be.true;
+        expect(__machine.numTransitions).to.equal(1);
+        var str = ['0', '1', 'x', '0', '1'];
+        var state;
+        str.forEach(function (symbol) { state = __machine.next(symbol); });
+        expect(state.to).to.equal('E');
+        expect(state.status).to.equal(FiniteStateMachine_1.FiniteStateMachine.REJECTED);
+        expect(__machine.isRejected).to.be.true;
+    });
+    it('data-defined machine with declarative transition tables', function () {
+        __machine.clear();
+        // the same string test as machine1, but no transition is ever evaluated as code
+        var result = __machine.fromJson({
+            name: 'StringTestTable',
+            initialState: 'S1',
+            alphabet: ['a', 'b', 'c', 'd'],
+            states: [
+                {
+                    name: 'S1',
+                    isAcceptance: false,
+                    transitions: [
+                        { on: 'a', to: 'S2' }
+                    ],
+                    otherwise: 'S1'
+                },
+                {
+                    name: 'S2',
+                    isAcceptance: false,
+                    transitions: [
+                        { on: 'a', to: 'S2' },
+                        { on: 'b', to: 'S1' },
+                        { on: 'c', to: 'S4' }
+                    ],
+                    otherwise: 'S2'
+                },
+                {
+                    name: 'S3',
+                    isAcceptance: false,
+                    transitions: [
+                        { on: 'a', to: 'S1' },
+                        { on: 'b', to: 'S4' }
+                    ],
+                    otherwise: 'S3'
+                },
+                {
+                    name: 'S4',
+                    isAcceptance: true,
+                    transitions: [
+                        { on: 'd', to: 'S3' },
+                        { on: ['a', 'b', 'c'], to: 'S4', data: { repeat: true } }
+                    ]
+                }
+            ]
+        });
+        expect(result.success).to.be.true;
+        expect(__machine.numTransitions).to.equal(4);
+        var str = ['a', 'b', 'a', 'c', 'd', 'a', 'a', 'c'];
+        var state;
+        str.forEach(function (symbol) { state = __machine.next(symbol); });
+        expect(__machine.isAcceptance).to.be.true;
+        expect(state.data).to.equal('c');
+        state = __machine.next('a');
+        expect(state.to).to.equal('S4');
+        expect(state.data.repeat).to.be.true;
+        str = ['a', 'a', 'a', 'a', 'c', 'd'];
+        str.forEach(function (symbol) { state = __machine.next(symbol); });
+        expect(__machine.isAcceptance).to.be.false;
+        // no row matches and there is no 'otherwise' state
+        __machine.next('c', 'S4');
+        expect(__machine.next('x')).to.be.null;
+        expect(__machine.currentState).to.equal('S4');
+    });
+    it('transition tables with named guards', function () {
+        __machine.clear();
+        var table = {
+            transitions: [
+                { on: 'coin', to: 'PAID', guard: 'sufficient' },
+                { on: 'coin', to: 'WAIT' }
+            ]
+        };
+        __machine.addState('WAIT');
+        __machine.addState('PAID', true);
+        // guards must be defined before they are referenced
+        expect(__machine.addTransitionTable('WAIT', table)).to.be.false;
+        var count = 0;
+        __machine.addGuard('sufficient', function (data) { return ++count >= 3; });
+        expect(__machine.addTransitionTable('WAIT', table)).to.be.true;
+        expect(__machine.addTransitionTable('WAIT', table)).to.be.false;
+        expect(__machine.addTransitionTable('PAID', { transitions: [{ on: 'coin' }] })).to.be.false;
+        expect(__machine.next('coin', 'WAIT').to).to.equal('WAIT');
+        expect(__machine.next('coin').to).to.equal('WAIT');
+        expect(__machine.next('coin').to).to.equal('PAID');
+        expect(__machine.isAcceptance).to.be.true;
+        // factory with guards
+        var machine = FiniteStateMachine_1.FiniteStateMachine.create({
+            name: 'Guarded',
+            initialState: 'A',
+            alphabet: ['1', '2'],
+            states: [
+                { name: 'A', isAcceptance: false, transitions: [{ on: ['1', '2'], to: 'B', guard: 'odd' }], otherwise: 'A' },
+                { name: 'B', isAcceptance: true, transitions: [] }
+            ]
+        }, 'Guarded', { odd: function (data) { return data % 2 == 1; } });
+        expect(machine).to.not.be.null;
+        expect(machine.next(2).to).to.equal('A');
+        expect(machine.next(1).to).to.equal('B');
+        expect(machine.isAcceptance).to.be.true;
+        expect(FiniteStateMachine_1.FiniteStateMachine.create({
+            name: 'Unguarded',
+            alphabet: ['1'],
+            states: [
+                { name: 'A', isAcceptance: false, transitions: [{ on: '1', to: 'A', guard: 'odd' }] }
+            ]
+        })).to.be.null;
+    });
+    it('data-defined machine with expression guards and outputs', function () {
+        __machine.clear();
+        var result = __machine.fromJson({
+            name: 'Parking',
+            initialState: 'q',
+            alphabet: [],
+            states: [
+                {
+                    name: 'q',
+                    isAcceptance: false,
+                    transitions: [
+                        { guard: "data.amount >= 25 && state == 'q'", to: 'c', output: { change: 'data.amount - 25', from: 'state' } },
+                        { to: 'q', output: '25 - data.amount' }
+                    ]
+                },
+                {
+                    name: 'c',
+                    isAcceptance: true,
+                    transitions: []
+                }
+            ]
+        });
+        expect(result.success).to.be.true;
+        var state = __machine.next({ amount: 10 });
+        expect(state.to).to.equal('q');
+        expect(state.data).to.equal(15);
+        state = __machine.next({ amount: 30 });
+        expect(state.to).to.equal('c');
+        expect(state.data.change).to.equal(5);
+        expect(state.data.from).to.equal('q');
+        expect(__machine.isAcceptance).to.be.true;
+        var badRow = { on: 'a', guard: 'data.amount >', to: 'q' };
+        __machine.clear();
+        result = __machine.fromJson({
+            name: 'Bad',
+            alphabet: ['a'],
+            states: [
+                { name: 'q', isAcceptance: false, transitions: [{ on: 'a', to: 'q' }, badRow] }
+            ]
+        });
+        expect(result.success).to.be.false;
+        expect(result.action).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_EXPRESSION);
+        expect(result.node).to.equal(badRow);
+        // no access to globals
+        result = __machine.fromJson({
+            name: 'Bad',
+            alphabet: ['a'],
+            states: [
+                { name: 'q', isAcceptance: false, transitions: [{ on: 'a', to: 'q', output: { x: 'window.location' } }] }
+            ]
+        });
+        expect(result.success).to.be.false;
+        expect(result.action).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_EXPRESSION);
+    });
+    it('toJson() round-trips with fromJson()', function () {
+        __machine.clear();
+        __machine.fromJson(machine2);
+        var data = __machine.toJson();
+        expect(data).to.eql(machine2);
+        var machine = FiniteStateMachine_1.FiniteStateMachine.create(data);
+        expect(machine).to.not.be.null;
+        var payment = machine.initialData;
+        machine.next(payment, 'q');
+        machine.next(payment, 'q');
+        expect(machine.next(payment, 'q').to).to.equal('c');
+        expect(machine.isAcceptance).to.be.true;
+        // tables and states added after the data definition are retained
+        __machine.clear();
+        __machine.fromJson(machine1);
+        __machine.addState('S5', { rejection: true });
+        __machine.addState('S6', true);
+        __machine.addTransitionTable('S6', { transitions: [{ on: ['a', 'b'], to: 'S6', data: { n: 1 } }], otherwise: 'S5' });
+        data = __machine.toJson();
+        expect(data['name']).to.equal('StringTest');
+        expect(data['initialState']).to.equal('S1');
+        expect(data['alphabet']).to.eql(['a', 'b', 'c', 'd']);
+        expect(data.hasOwnProperty('initialData')).to.be.false;
+        expect(data['states'].length).to.equal(6);
+        expect(data['states'][3]).to.eql(machine1['states'][3]);
+        expect(data['states'][4]).to.eql({ name: 'S5', isAcceptance: false, isRejection: true });
+        expect(data['states'][5]).to.eql({
+            name: 'S6',
+            isAcceptance: true,
+            transitions: [{ on: ['a', 'b'], to: 'S6', data: { n: 1 } }],
+            otherwise: 'S5'
+        });
+        __machine.clear();
+        expect(__machine.fromJson(data).success).to.be.true;
+        expect(__machine.next('c', 'S6').to).to.equal('S5');
+        expect(__machine.isRejected).to.be.true;
+    });
+    it('toJson() reports opaque transitions', function () {
+        __machine.clear();
+        __machine.addState('S1', true);
+        __machine.addState('S2');
+        __machine.addTransition('S1', f1);
+        __machine.addTransition('S2', f2);
+        var data = __machine.toJson();
+        expect(data['states']).to.eql([
+            { name: 'S1', isAcceptance: true, opaque: true },
+            { name: 'S2', isAcceptance: false, opaque: true }
+        ]);
+        expect(FiniteStateMachine_1.FiniteStateMachine.create(data)).to.be.null;
+    });
+    it('fromJson() validates the entire definition and reports every error', function () {
+        __machine.clear();
+        __machine.fromJson(machine1);
+        var dupState = { name: 'S1', isAcceptance: true, transition: "return {to: 'S1'}" };
+        var badBody = { name: 'S3', isAcceptance: false, transition: "return {to: 'S1'" };
+        var badTarget = { name: 'S4', isAcceptance: false, transition: "return data == 'a' ? {to: 'S7'} : {to: 'S1'}" };
+        var badRow = { on: 'a', to: 'S9' };
+        var tableState = { name: 'S5', isAcceptance: false, transitions: [{ on: 'b', to: 'S1' }, badRow], otherwise: 'S0' };
+        var result = __machine.fromJson({
+            name: 'Broken',
+            initialState: 'S0',
+            alphabet: ['a', 'b'],
+            states: [
+                { name: 'S1', isAcceptance: false, transition: "return {to: 'S2'}" },
+                { name: 'S2', isAcceptance: false, transition: "return {to: 'S1'}" },
+                dupState,
+                badBody,
+                badTarget,
+                tableState
+            ]
+        });
+        expect(result.success).to.be.false;
+        expect(result.action).to.equal(FiniteStateMachine_1.FiniteStateMachine.DUPLICATE_STATE);
+        expect(result.node).to.equal(dupState);
+        var errors = result.errors;
+        expect(errors.length).to.equal(6);
+        expect(errors.map(function (error) { return error.action; })).to.eql([
+            FiniteStateMachine_1.FiniteStateMachine.DUPLICATE_STATE,
+            FiniteStateMachine_1.FiniteStateMachine.INVALID_TRANSITION,
+            FiniteStateMachine_1.FiniteStateMachine.INVALID_TARGET,
+            FiniteStateMachine_1.FiniteStateMachine.INVALID_TARGET,
+            FiniteStateMachine_1.FiniteStateMachine.INVALID_TARGET,
+            FiniteStateMachine_1.FiniteStateMachine.INVALID_INITIAL_STATE
+        ]);
+        expect(errors[1].node).to.equal(badBody);
+        expect(errors[2].node).to.equal(badTarget);
+        expect(errors[3].node).to.equal(badRow);
+        expect(errors[4].node).to.equal(tableState);
+        expect(errors[5].node).to.equal('S0');
+        // the machine is unchanged
+        expect(__machine.name).to.equal('StringTest');
+        expect(__machine.numStates).to.equal(4);
+        expect(__machine.currentState).to.equal('S1');
+        expect(__machine.alphabet).to.eql(['a', 'b', 'c', 'd']);
+    });
+    it('fromJson() is atomic', function () {
+        __machine.clear();
+        __machine.fromJson(machine2);
+        // an error late in the definition
+        var result = __machine.fromJson({
+            name: 'Partial',
+            alphabet: ['a'],
+            states: [
+                { name: 'A', isAcceptance: false, transition: "return {to: 'A'}" },
+                { name: 'B', isAcceptance: true, transition: "return {to: 'A'}" }
+            ],
+            initialData: 'none'
+        });
+        expect(result.success).to.be.false;
+        expect(result.action).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_DATA);
+        expect(result.node).to.equal('none');
+        expect(result.errors.length).to.equal(1);
+        expect(__machine.name).to.equal('ChangeMachine');
+        expect(__machine.numStates).to.equal(5);
+        expect(__machine.numTransitions).to.equal(5);
+        expect(__machine.initialData['amt']).to.equal(0.68);
+        // a successful load replaces the prior definition
+        expect(__machine.fromJson(machine1).success).to.be.true;
+        expect(__machine.numStates).to.equal(4);
+        expect(__machine.initialData).to.be.null;
+        expect(__machine.currentState).to.equal('S1');
+    });
+    it('validateDefinition() checks data against the definition schema', function () {
+        expect(FiniteStateMachine_1.FiniteStateMachine.validateDefinition(machine1).success).to.be.true;
+        expect(FiniteStateMachine_1.FiniteStateMachine.validateDefinition(machine2).action).to.equal(FiniteStateMachine_1.FiniteStateMachine.VALID);
+        expect(FiniteStateMachine_1.FiniteStateMachine.validateDefinition(null).action).to.equal(FiniteStateMachine_1.FiniteStateMachine.NO_DATA);
+        // guards are not known, so a plain identifier is presumed to name a guard
+        expect(FiniteStateMachine_1.FiniteStateMachine.validateDefinition({
+            name: 'Guarded',
+            alphabet: ['1'],
+            states: [
+                { name: 'A', isAcceptance: false, transitions: [{ on: '1', to: 'A', guard: 'odd' }, { to: 'A', guard: 'data > 1' }] }
+            ]
+        }).success).to.be.true;
+        var badState = { name: 'S1', isAcceptance: 'no', transition: "return {to: 'S1'}" };
+        var extraState = { name: 'S2', isAcceptance: false, transition: "return {to: 'S1'}", colour: 'red' };
+        var bothState = { name: 'S3', isAcceptance: false, transition: "return {to: 'S1'}", transitions: [] };
+        var result = FiniteStateMachine_1.FiniteStateMachine.validateDefinition({
+            alphabet: ['a', 1],
+            states: [badState, extraState, bothState]
+        });
+        expect(result.success).to.be.false;
+        expect(result.action).to.equal(FiniteStateMachine_1.FiniteStateMachine.MISSING_PROPS);
+        expect(result.errors.map(function (error) { return error.action; })).to.eql([
+            FiniteStateMachine_1.FiniteStateMachine.MISSING_PROPS,
+            FiniteStateMachine_1.FiniteStateMachine.INVALID_DATA,
+            FiniteStateMachine_1.FiniteStateMachine.INVALID_DATA,
+            FiniteStateMachine_1.FiniteStateMachine.INVALID_DATA,
+            FiniteStateMachine_1.FiniteStateMachine.INVALID_DATA
+        ]);
+        expect(result.errors[1].node).to.eql(['a', 1]);
+        expect(result.errors[2].node).to.equal(badState);
+        expect(result.errors[3].node).to.equal(extraState);
+        expect(result.errors[4].node).to.equal(bothState);
+        result = FiniteStateMachine_1.FiniteStateMachine.validateDefinition({ name: 'Empty', alphabet: [], states: [] });
+        expect(result.action).to.equal(FiniteStateMachine_1.FiniteStateMachine.NO_STATE);
+        // structural errors are reported once the data conforms to the schema
+        result = FiniteStateMachine_1.FiniteStateMachine.validateDefinition({
+            name: 'Dup',
+            initialState: 'S2',
+            alphabet: ['a'],
+            states: [
+                { name: 'S1', isAcceptance: false, transition: "return {to: 'S1'}" },
+                { name: 'S1', isAcceptance: false, transition: "return {to: 'S1'}" }
+            ]
+        });
+        expect(result.errors.map(function (error) { return error.action; })).to.eql([
+            FiniteStateMachine_1.FiniteStateMachine.DUPLICATE_STATE,
+            FiniteStateMachine_1.FiniteStateMachine.INVALID_INITIAL_STATE
+        ]);
+    });
+    it('validateDefinition() and fromJson() agree on properties outside the schema', function () {
+        var definitions = [
+            { name: 'Root', alphabet: ['a'], version: 2, states: [{ name: 'S1', isAcceptance: true, transitions: [{ on: 'a', to: 'S1' }] }] },
+            { name: 'Node', alphabet: ['a'], states: [{ name: 'S1', isAcceptance: true, color: 'red', transitions: [{ on: 'a', to: 'S1' }] }] },
+            { name: 'Row', alphabet: ['a'], states: [{ name: 'S1', isAcceptance: true, transitions: [{ on: 'a', to: 'S1', note: 'loop' }] }] },
+            { name: 'Delayed', alphabet: ['a'], states: [
+                    { name: 'S1', isAcceptance: false, after: { ms: 10, to: 'S2', units: 'ms' } },
+                    { name: 'S2', isAcceptance: true, isFinal: true }
+                ] }
+        ];
+        definitions.forEach(function (definition) {
+            var machine = new FiniteStateMachine_1.FiniteStateMachine();
+            expect(FiniteStateMachine_1.FiniteStateMachine.validateDefinition(definition).action).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_DATA);
+            expect(machine.fromJson(definition).action).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_DATA);
+            expect(machine.numStates).to.equal(0);
+        });
+    });
+    it('strict mode enforces the alphabet', function () {
+        __machine.clear();
+        __machine.fromJson(machine1);
+        var statuses = new Array();
+        __machine.addSubscriber({
+            next: function (trans) {
+                statuses.push(trans.status);
+            },
+            error: function () {
+            },
+            complete: function () {
+            }
+        });
+        // not strict, so the transition function handles anything
+        expect(__machine.strict).to.be.false;
+        expect(__machine.next('x').to).to.equal('S1');
+        expect(__machine.setStrict(true)).to.be.true;
+        expect(__machine.next('a').to).to.equal('S2');
+        var state = __machine.next('x');
+        expect(state.to).to.equal('S2');
+        expect(state.data).to.equal('x');
+        expect(state.status).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_SYMBOL);
+        expect(__machine.next({}).status).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_SYMBOL);
+        expect(__machine.currentState).to.equal('S2');
+        expect(statuses).to.eql([undefined, undefined, FiniteStateMachine_1.FiniteStateMachine.INVALID_SYMBOL, FiniteStateMachine_1.FiniteStateMachine.INVALID_SYMBOL]);
+        // route to an error state
+        expect(__machine.setStrict(true, 'S5')).to.be.false;
+        __machine.addState('S5', { rejection: true });
+        expect(__machine.setStrict(true, 'S5')).to.be.true;
+        state = __machine.next('x');
+        expect(state.to).to.equal('S5');
+        expect(state.status).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_SYMBOL);
+        expect(__machine.isRejected).to.be.true;
+        expect(__machine.toJson()['strict']).to.be.true;
+        expect(__machine.toJson()['errorState']).to.equal('S5');
+    });
+    it('classifier maps non-primitive input to alphabet symbols', function () {
+        __machine.clear();
+        __machine.addState('LOCKED');
+        __machine.addState('OPEN', true);
+        __machine.alphabet = ['coin', 'push'];
+        __machine.addTransitionTable('LOCKED', { transitions: [{ on: 'coin', to: 'OPEN' }], otherwise: 'LOCKED' });
+        __machine.addTransitionTable('OPEN', { transitions: [{ on: 'push', to: 'LOCKED' }], otherwise: 'OPEN' });
+        __machine.classifier = function (data) { return data.type; };
+        __machine.setStrict(true);
+        var state = __machine.next({ type: 'coin', value: 25 }, 'LOCKED');
+        expect(state.to).to.equal('OPEN');
+        expect(state.data.value).to.equal(25);
+        state = __machine.next({ type: 'kick' });
+        expect(state.status).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_SYMBOL);
+        expect(__machine.currentState).to.equal('OPEN');
+        expect(__machine.next({ type: 'push' }).to).to.equal('LOCKED');
+        // data-defined strict mode
+        __machine.clear();
+        expect(__machine.classifier).to.be.null;
+        var definition = {
+            name: 'Binary',
+            initialState: 'S1',
+            alphabet: ['0', '1'],
+            strict: true,
+            errorState: 'E',
+            states: [
+                { name: 'S1', isAcceptance: true, transitions: [{ on: '0', to: 'S2' }], otherwise: 'S1' },
+                { name: 'S2', isAcceptance: false, transitions: [{ on: '0', to: 'S1' }], otherwise: 'S2' },
+                { name: 'E', isAcceptance: false, isRejection: true }
+            ]
+        };
+        expect(FiniteStateMachine_1.FiniteStateMachine.validateDefinition(definition).success).to.be.true;
+        expect(__machine.fromJson(definition).success).to.be.true;
+        expect(__machine.strict).to.be.true;
+        expect(__machine.errorState).to.equal('E');
+        [0, 1, 0].forEach(function (bit) { __machine.next(bit); });
+        expect(__machine.isAcceptance).to.be.true;
+        expect(__machine.next(2).to).to.equal('E');
+        expect(__machine.isRejected).to.be.true;
+        definition['errorState'] = 'S3';
+        expect(FiniteStateMachine_1.FiniteStateMachine.validateDefinition(definition).action).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_TARGET);
+    });
+    it('multiple guarded transitions per state', function () {
+        __machine.clear();
+        __machine.addState('S1');
+        __machine.addState('S2');
+        __machine.addState('S3');
+        __machine.addState('S4', true);
+        // machine test #2 without the ternary chains
+        var toS1 = function () { return ({ to: 'S1' }); };
+        var toS2 = function () { return ({ to: 'S2' }); };
+        var toS3 = function () { return ({ to: 'S3' }); };
+        var toS4 = function () { return ({ to: 'S4' }); };
+        expect(__machine.addTransition('S1', toS2, { on: 'a' })).to.be.true;
+        expect(__machine.addTransition('S1', toS1)).to.be.true;
+        expect(__machine.addTransition('S2', toS2, { on: 'a' })).to.be.true;
+        expect(__machine.addTransition('S2', toS1, { on: 'b' })).to.be.true;
+        expect(__machine.addTransition('S2', toS4, { on: 'c' })).to.be.true;
+        expect(__machine.addTransition('S2', toS2)).to.be.true;
+        expect(__machine.addTransition('S3', toS1, { on: 'a' })).to.be.true;
+        expect(__machine.addTransition('S3', toS4, { on: 'b' })).to.be.true;
+        expect(__machine.addTransition('S3', toS3)).to.be.true;
+        expect(__machine.addTransition('S4', toS3, { on: 'd' })).to.be.true;
+        expect(__machine.addTransition('S4', toS4)).to.be.true;
+        // the single-function form still allows only one transition
+        expect(__machine.addTransition('S4', toS4)).to.be.false;
+        expect(__machine.numTransitions).to.equal(11);
+        var str = ['a', 'b', 'a', 'c', 'd', 'a', 'a', 'c'];
+        __machine.next(str[0], 'S1');
+        str.slice(1).forEach(function (symbol) { __machine.next(symbol); });
+        expect(__machine.isAcceptance).to.be.true;
+        str = ['a', 'a', 'a', 'a', 'c', 'd'];
+        __machine.next(str[0], 'S1');
+        str.slice(1).forEach(function (symbol) { __machine.next(symbol); });
+        expect(__machine.isAcceptance).to.be.false;
+        expect(__machine.toJson()['states'][0]['opaque']).to.be.true;
+    });
+    it('guarded transitions are evaluated in priority order with a conflict policy', function () {
+        __machine.clear();
+        __machine.addState('WAIT');
+        __machine.addState('SMALL');
+        __machine.addState('LARGE');
+        __machine.addTransition('WAIT', function () { return ({ to: 'SMALL' }); }, { guard: function (data) { return data > 0; } });
+        __machine.addTransition('WAIT', function () { return ({ to: 'LARGE' }); }, { guard: function (data) { return data > 100; }, priority: 1 });
+        expect(__machine.next(5, 'WAIT').to).to.equal('SMALL');
+        expect(__machine.next(500, 'WAIT').to).to.equal('LARGE');
+        expect(__machine.next(-1, 'WAIT')).to.be.null;
+        expect(__machine.conflictPolicy).to.equal(FiniteStateMachine_1.FiniteStateMachine.FIRST_MATCH);
+        __machine.conflictPolicy = FiniteStateMachine_1.FiniteStateMachine.THROW_ON_CONFLICT;
+        // a lower-priority match is not a conflict
+        expect(__machine.next(500, 'WAIT').to).to.equal('LARGE');
+        __machine.addTransition('WAIT', function () { return ({ to: 'WAIT' }); }, { on: ['1000', '2000'], priority: 1 });
+        expect(function () { return __machine.next(1000, 'WAIT'); }).to.throw(Error);
+        expect(__machine.currentState).to.equal('WAIT');
+        __machine.conflictPolicy = FiniteStateMachine_1.FiniteStateMachine.FIRST_MATCH;
+        expect(__machine.next(1000, 'WAIT').to).to.equal('LARGE');
+    });
+    it('entry, exit and transition actions run in order', function () {
+        __machine.clear();
+        var log = new Array();
+        __machine.addState('IDLE', { onExit: function () { log.push('exit IDLE'); } });
+        __machine.addState('RUN', {
+            onEnter: function (t) { log.push('enter RUN from ' + t.from + ', now ' + __machine.currentState); },
+            onExit: function () { log.push('exit RUN'); }
+        });
+        __machine.addTransition('IDLE', function () { return ({ to: 'RUN' }); }, { on: 'go', action: function () { log.push('go'); } });
+        __machine.addTransition('RUN', function (data) { return ({ to: data == 'stop' ? 'IDLE' : 'RUN' }); });
+        expect(__machine.addTransitionAction('IDLE', 'RUN', function () { log.push('IDLE->RUN'); })).to.be.true;
+        expect(__machine.addTransitionAction('IDLE', 'NONE', function () { log.push('none'); })).to.be.false;
+        __machine.next('go', 'IDLE');
+        expect(log).to.deep.equal(['exit IDLE', 'go', 'IDLE->RUN', 'enter RUN from IDLE, now RUN']);
+        // self-transition exits and re-enters the state
+        log.length = 0;
+        __machine.next('again');
+        expect(log).to.deep.equal(['exit RUN', 'enter RUN from RUN, now RUN']);
+        // no transition, no actions
+        log.length = 0;
+        __machine.next('other', 'IDLE');
+        expect(log.length).to.equal(0);
+    });
+    it('data-defined machine with named actions', function () {
+        __machine.clear();
+        var log = new Array();
+        __machine.addAction('beep', function () { log.push('beep'); });
+        __machine.addAction('lightOn', function () { log.push('light on'); });
+        __machine.addAction('lightOff', function () { log.push('light off'); });
+        var data = {
+            name: 'Lamp',
+            alphabet: ['toggle'],
+            initialState: 'OFF',
+            states: [
+                { name: 'OFF', isAcceptance: true, transitions: [{ on: 'toggle', to: 'ON', action: 'beep' }] },
+                { name: 'ON', isAcceptance: false, onEnter: 'lightOn', onExit: ['lightOff'],
+                    transition: "return {to: 'OFF', actions: ['beep']};" }
+            ]
+        };
+        expect(FiniteStateMachine_1.FiniteStateMachine.validateDefinition(data).success).to.be.true;
+        expect(__machine.fromJson(data).success).to.be.true;
+        __machine.next('toggle');
+        __machine.next('toggle');
+        expect(log).to.deep.equal(['beep', 'light on', 'light off', 'beep']);
+        var json = __machine.toJson();
+        expect(json['states'][1]['onEnter']).to.deep.equal(['lightOn']);
+        expect(json['states'][0]['transitions'][0]['action']).to.equal('beep');
+        // action names must be registered
+        var bad = JSON.parse(JSON.stringify(data));
+        bad['states'][1]['onEnter'] = 'flash';
+        var result = __machine.fromJson(bad);
+        expect(result.success).to.be.false;
+        expect(result.action).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_ACTION);
+        // an unknown name in transition output is an error before any state change
+        __machine.addState('A');
+        __machine.addState('B');
+        __machine.addTransition('A', function () { return ({ to: 'B', actions: ['flash'] }); });
+        expect(function () { return __machine.next('x', 'A'); }).to.throw(Error);
+        expect(__machine.currentState).to.equal('A');
+    });
+    it('machine context is initialized from initial data and updated by transitions', function () {
+        __machine.clear();
+        var data = {
+            name: 'Payment',
+            alphabet: [],
+            initialState: 'paying',
+            initialData: { due: 40, change: 0, coins: 0 },
+            states: [
+                {
+                    name: 'paying',
+                    isAcceptance: false,
+                    transitions: [
+                        { guard: 'data >= context.due', to: 'paid', context: { change: 'data - context.due', due: '0', coins: 'context.coins + 1' } },
+                        { to: 'paying', context: { due: 'context.due - data', coins: 'context.coins + 1' } }
+                    ]
+                },
+                {
+                    name: 'paid',
+                    isAcceptance: true,
+                    transition: "return {to: 'paying', context: {due: data, change: 0, coins: 0}};"
+                }
+            ]
+        };
+        expect(FiniteStateMachine_1.FiniteStateMachine.validateDefinition(data).success).to.be.true;
+        expect(__machine.fromJson(data).success).to.be.true;
+        expect(__machine.context).to.deep.equal({ due: 40, change: 0, coins: 0 });
+        var transitions = new Array();
+        __machine.addSubscriber({
+            next: function (transition) { transitions.push(transition); },
+            error: function () { },
+            complete: function () { }
+        });
+        __machine.next(25);
+        __machine.next(25);
+        expect(__machine.currentState).to.equal('paid');
+        expect(__machine.context).to.deep.equal({ due: 0, change: 10, coins: 2 });
+        expect(transitions[0].contextBefore).to.deep.equal({ due: 40, change: 0, coins: 0 });
+        expect(transitions[0].contextAfter).to.deep.equal({ due: 15, change: 0, coins: 1 });
+        expect(transitions[1].contextBefore).to.deep.equal(transitions[0].contextAfter);
+        __machine.next(30);
+        expect(__machine.context).to.deep.equal({ due: 30, change: 0, coins: 0 });
+        // the context may not be altered outside of a transition
+        __machine.context['due'] = 1;
+        expect(__machine.context['due']).to.equal(30);
+        __machine.reset();
+        expect(__machine.currentState).to.equal('paying');
+        expect(__machine.context).to.deep.equal({ due: 40, change: 0, coins: 0 });
+        // context expressions are validated
+        var bad = JSON.parse(JSON.stringify(data));
+        bad['states'][0]['transitions'][1]['context']['due'] = 'context.due -';
+        expect(__machine.fromJson(bad).action).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_EXPRESSION);
+    });
+    it('transition functions and guards receive the context', function () {
+        __machine.clear();
+        __machine.addState('COUNT');
+        __machine.addState('DONE', true);
+        __machine.initialData = { count: 0 };
+        __machine.addTransition('COUNT', function () { return ({ to: 'DONE' }); }, { guard: function (data, state, context) { return context['count'] == 2; } });
+        __machine.addTransition('COUNT', function (data, state, context) {
+            var count = context['count'];
+            // the machine's context is unaffected
+            context['count'] = -1;
+            return { to: 'COUNT', context: { count: count + 1, last: data } };
+        });
+        __machine.next('a', 'COUNT');
+        expect(__machine.context).to.deep.equal({ count: 1, last: 'a' });
+        __machine.next('b');
+        __machine.next('c');
+        expect(__machine.currentState).to.equal('DONE');
+        expect(__machine.context).to.deep.equal({ count: 2, last: 'b' });
+        __machine.reset();
+        expect(__machine.context).to.deep.equal({ count: 0 });
+    });
+    it('transitions and observers may not alter a nested context', function () {
+        __machine.clear();
+        __machine.addState('S1');
+        __machine.addState('S2', { acceptance: true });
+        __machine.initialData = { items: ['a'], nested: { n: 1 } };
+        __machine.addTransition('S1', function (data, state, context) {
+            context['items'].push('x');
+            context['nested']['n'] = 2;
+            return { to: 'S2', context: { last: data } };
+        }, { guard: function (data, state, context) {
+                context['items'].push('guard');
+                return true;
+            } });
+        __machine.addSubscriber({
+            next: function (transition) {
+                transition.contextBefore['items'].push('before');
+                transition.contextAfter['nested']['n'] = 99;
+            },
+            error: function () { },
+            complete: function () { }
+        });
+        __machine.next('a', 'S1');
+        expect(__machine.currentState).to.equal('S2');
+        expect(__machine.context).to.deep.equal({ items: ['a'], nested: { n: 1 }, last: 'a' });
+    });
+    it('hierarchical states', function () {
+        __machine.clear();
+        var log = new Array();
+        var logger = function (entry) { return function () { log.push(entry); }; };
+        __machine.addState('idle');
+        __machine.addState('checkout', { onEnter: logger('enter checkout'), onExit: logger('exit checkout') });
+        __machine.addState('cart', { parent: 'checkout' });
+        __machine.addState('payment', { parent: 'checkout', initial: 'cardEntry', onExit: logger('exit payment') });
+        __machine.addState('address', { parent: 'checkout.payment' });
+        __machine.addState('cardEntry', { parent: 'checkout.payment', onEnter: logger('enter cardEntry') });
+        __machine.addState('bad.name', { parent: 'checkout' });
+        __machine.addState('orphan', { parent: 'none' });
+        expect(__machine.numStates).to.equal(6);
+        expect(__machine.states.next().value).to.equal('idle');
+        __machine.addTransition('idle', function () { return ({ to: 'checkout' }); }, { on: 'start' });
+        __machine.addTransition('checkout.cart', function () { return ({ to: 'checkout.payment' }); }, { on: 'pay' });
+        __machine.addTransition('checkout', function () { return ({ to: 'idle' }); }, { on: 'cancel' });
+        __machine.addTransition('checkout.payment', function () { return ({ to: 'checkout.payment' }); }, { on: 'retry' });
+        var paths = new Array();
+        __machine.addSubscriber({
+            next: function (transition) { paths.push(transition.from + ' -> ' + transition.to); },
+            error: function () { },
+            complete: function () { }
+        });
+        // entering a compound state enters its initial child
+        __machine.next('start', 'idle');
+        expect(__machine.currentState).to.equal('checkout.cart');
+        __machine.next('pay');
+        expect(__machine.currentState).to.equal('checkout.payment.cardEntry');
+        expect(log).to.deep.equal(['enter checkout', 'enter cardEntry']);
+        // a transition of an ancestor applies to its descendants
+        log.length = 0;
+        __machine.next('retry');
+        expect(__machine.currentState).to.equal('checkout.payment.cardEntry');
+        expect(log).to.deep.equal(['exit payment', 'enter cardEntry']);
+        log.length = 0;
+        __machine.next('cancel');
+        expect(__machine.currentState).to.equal('idle');
+        expect(log).to.deep.equal(['exit payment', 'exit checkout']);
+        expect(paths).to.deep.equal([
+            'idle -> checkout.cart',
+            'checkout.cart -> checkout.payment.cardEntry',
+            'checkout.payment.cardEntry -> checkout.payment.cardEntry',
+            'checkout.payment.cardEntry -> idle'
+        ]);
+        // the innermost transition is preferred
+        __machine.addTransition('checkout.payment.address', function () { return ({ to: 'checkout.payment.cardEntry' }); }, { on: 'cancel' });
+        expect(__machine.next('cancel', 'checkout.payment.address').to).to.equal('checkout.payment.cardEntry');
+        expect(__machine.next('unknown')).to.be.null;
+    });
+    it('data-defined hierarchical states', function () {
+        __machine.clear();
+        var data = {
+            name: 'Workflow',
+            alphabet: ['start', 'next', 'cancel', 'timeout'],
+            initialState: 'idle',
+            states: [
+                { name: 'idle', isAcceptance: true, transitions: [{ on: 'start', to: 'wizard' }] },
+                {
+                    name: 'wizard',
+                    isAcceptance: false,
+                    transitions: [{ on: ['cancel', 'timeout'], to: 'idle' }],
+                    states: [
+                        { name: 'step1', isAcceptance: false, transitions: [{ on: 'next', to: 'wizard.step2' }] },
+                        {
+                            name: 'step2',
+                            isAcceptance: false,
+                            initial: 'review',
+                            states: [
+                                { name: 'edit', isAcceptance: false },
+                                { name: 'review', isAcceptance: false, transitions: [{ on: 'next', to: 'wizard.step2.edit' }] }
+                            ]
+                        }
+                    ]
+                }
+            ]
+        };
+        expect(FiniteStateMachine_1.FiniteStateMachine.validateDefinition(data).success).to.be.true;
+        expect(__machine.fromJson(data).success).to.be.true;
+        expect(__machine.numStates).to.equal(6);
+        __machine.next('start');
+        expect(__machine.currentState).to.equal('wizard.step1');
+        __machine.next('next');
+        expect(__machine.currentState).to.equal('wizard.step2.review');
+        __machine.next('next');
+        expect(__machine.currentState).to.equal('wizard.step2.edit');
+        expect(__machine.next('timeout').to).to.equal('idle');
+        // compound initial state
+        __machine.next('x', 'wizard.step2');
+        expect(__machine.currentState).to.equal('wizard.step2.review');
+        expect(__machine.toJson()).to.deep.equal(data);
+        var bad = JSON.parse(JSON.stringify(data));
+        bad['states'][1]['states'][1]['initial'] = 'none';
+        bad['states'][1]['states'][0]['name'] = 'step.1';
+        var result = __machine.fromJson(bad);
+        expect(result.success).to.be.false;
+        expect(result.errors.map(function (error) { return error.action; })).to.deep.equal([
+            FiniteStateMachine_1.FiniteStateMachine.INVALID_DATA,
+            FiniteStateMachine_1.FiniteStateMachine.INVALID_INITIAL_STATE
+        ]);
+        expect(FiniteStateMachine_1.FiniteStateMachine.validateDefinition(bad).success).to.be.false;
+    });
+    it('parallel regions', function () {
+        __machine.clear();
+        var log = new Array();
+        __machine.addState('off');
+        __machine.addState('screen', { parallel: true, onEnter: function () { log.push('enter screen'); }, onExit: function () { log.push('exit screen'); } });
+        __machine.addState('connection', { parent: 'screen' });
+        __machine.addState('offline', { parent: 'screen.connection' });
+        __machine.addState('online', { parent: 'screen.connection', acceptance: true });
+        __machine.addState('form', { parent: 'screen' });
+        __machine.addState('invalid', { parent: 'screen.form' });
+        __machine.addState('valid', { parent: 'screen.form', acceptance: true, onEnter: function () { log.push('enter valid'); } });
+        __machine.addState('mode', { parent: 'screen', acceptance: true });
+        __machine.addState('bad,name');
+        __machine.addTransition('off', function () { return ({ to: 'screen' }); }, { on: 'open' });
+        __machine.addTransition('screen.connection.offline', function () { return ({ to: 'screen.connection.online' }); }, { on: 'connect' });
+        __machine.addTransition('screen.connection.online', function () { return ({ to: 'screen.connection.offline' }); }, { on: 'disconnect' });
+        __machine.addTransition('screen.form.invalid', function () { return ({ to: 'screen.form.valid' }); }, { on: ['fix', 'connect'] });
+        __machine.addTransition('screen', function () { return ({ to: 'off' }); }, { on: ['close', 'fix'] });
+        var transitions = 0;
+        __machine.addSubscriber({
+            next: function () { transitions++; },
+            error: function () { },
+            complete: function () { }
+        });
+        __machine.next('open', 'off');
+        expect(__machine.currentState).to.equal('screen.connection.offline,screen.form.invalid,screen.mode');
+        expect(__machine.activeStates.length).to.equal(3);
+        expect(__machine.isAcceptance).to.be.false;
+        // every region receives the input
+        var output = __machine.next('connect');
+        expect(output.to).to.equal('screen.connection.online,screen.form.valid,screen.mode');
+        expect(transitions).to.equal(3);
+        expect(log).to.deep.equal(['enter screen', 'enter valid']);
+        expect(__machine.isAcceptance).to.be.true;
+        __machine.next('disconnect');
+        expect(__machine.currentState).to.equal('screen.connection.offline,screen.form.valid,screen.mode');
+        expect(__machine.isAcceptance).to.be.false;
+        expect(__machine.regionAcceptance).to.equal(FiniteStateMachine_1.FiniteStateMachine.ALL_REGIONS);
+        __machine.regionAcceptance = FiniteStateMachine_1.FiniteStateMachine.ANY_REGION;
+        expect(__machine.isAcceptance).to.be.true;
+        // the parallel state transitions only if no region does
+        __machine.next('fix');
+        expect(__machine.currentState).to.equal('off');
+        expect(log[log.length - 1]).to.equal('exit screen');
+        // entering a region state enters the other regions in their initial states
+        __machine.next('x', 'screen.form.valid');
+        expect(__machine.currentState).to.equal('screen.connection.offline,screen.form.valid,screen.mode');
+    });
+    it('data-defined parallel regions', function () {
+        __machine.clear();
+        var data = {
+            name: 'Editor',
+            alphabet: ['edit', 'save', 'error', 'reset'],
+            initialState: 'editor',
+            regionAcceptance: 'any',
+            states: [
+                {
+                    name: 'editor',
+                    isAcceptance: false,
+                    parallel: true,
+                    transitions: [{ on: 'reset', to: 'editor' }],
+                    states: [
+                        {
+                            name: 'mode',
+                            isAcceptance: false,
+                            states: [
+                                { name: 'view', isAcceptance: true, transitions: [{ on: 'edit', to: 'editor.mode.edit' }] },
+                                { name: 'edit', isAcceptance: false, transitions: [{ on: 'save', to: 'editor.mode.view' }] }
+                            ]
+                        },
+                        {
+                            name: 'status',
+                            isAcceptance: false,
+                            states: [
+                                { name: 'ok', isAcceptance: false, transitions: [{ on: 'error', to: 'editor.status.failed' }] },
+                                { name: 'failed', isAcceptance: false, isRejection: true }
+                            ]
+                        }
+                    ]
+                }
+            ]
+        };
+        expect(FiniteStateMachine_1.FiniteStateMachine.validateDefinition(data).success).to.be.true;
+        expect(__machine.fromJson(data).success).to.be.true;
+        expect(__machine.currentState).to.equal('editor.mode.view,editor.status.ok');
+        expect(__machine.isAcceptance).to.be.true;
+        __machine.next('edit');
+        __machine.next('error');
+        expect(__machine.currentState).to.equal('editor.mode.edit,editor.status.failed');
+        expect(__machine.isAcceptance).to.be.false;
+        expect(__machine.isRejected).to.be.false;
+        // a region in a rejection state is frozen, and so are its ancestors
+        __machine.next('save');
+        expect(__machine.currentState).to.equal('editor.mode.view,editor.status.failed');
+        expect(__machine.next('reset')).to.be.null;
+        expect(__machine.toJson()).to.deep.equal(data);
+        var bad = JSON.parse(JSON.stringify(data));
+        bad['states'][0]['initial'] = 'mode';
+        expect(__machine.fromJson(bad).action).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_DATA);
+    });
+    it('final states complete the machine with output', function () {
+        __machine.clear();
+        var data = JSON.parse(JSON.stringify(machine2));
+        data['states'][4] = { name: 'c', isAcceptance: true, isFinal: true, output: { change: 'data.change', quarters: 'data.q' } };
+        expect(FiniteStateMachine_1.FiniteStateMachine.validateDefinition(data).success).to.be.true;
+        expect(__machine.fromJson(data).success).to.be.true;
+        var notifications = new Array();
+        var completed = false;
+        __machine.addSubscriber({
+            next: function (transition) { notifications.push(transition); },
+            error: function () { },
+            complete: function () { completed = true; }
+        });
+        var payment = __machine.initialData;
+        __machine.next(payment, 'q');
+        __machine.next(payment, 'q');
+        expect(__machine.isDone).to.be.false;
+        expect(__machine.output).to.be.undefined;
+        var state = __machine.next(payment, 'q');
+        expect(state.to).to.equal('c');
+        expect(__machine.isDone).to.be.true;
+        expect(__machine.output['quarters']).to.equal(3);
+        expect(Math.abs(__machine.output['change'] - 0.07) < 0.001).to.be.true;
+        var done = notifications[notifications.length - 1];
+        expect(done.status).to.equal(FiniteStateMachine_1.FiniteStateMachine.DONE);
+        expect(done.data).to.deep.equal(__machine.output);
+        expect(completed).to.be.true;
+        // no further transitions
+        var terminated = __machine.next(payment, 'q');
+        expect(terminated.status).to.equal(FiniteStateMachine_1.FiniteStateMachine.TERMINATED);
+        expect(terminated.to).to.equal('c');
+        expect(notifications[notifications.length - 1]).to.equal(done);
+        expect(__machine.toJson()['states'][4]).to.deep.equal(data['states'][4]);
+        // output is only allowed for a final state and must be valid
+        var bad = JSON.parse(JSON.stringify(data));
+        bad['states'][4]['output'] = 'data.change +';
+        expect(__machine.fromJson(bad).action).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_EXPRESSION);
+        delete bad['states'][4]['isFinal'];
+        expect(__machine.fromJson(bad).action).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_DATA);
+    });
+    it('final states in code and reset', function () {
+        __machine.clear();
+        __machine.addState('A');
+        __machine.addState('B', { final: true, output: function (data, context) { return data + context['suffix']; } });
+        __machine.addTransition('A', function (data) { return ({ to: 'B' }); });
+        __machine.initialData = { suffix: '!' };
+        expect(__machine.next('done', 'A').to).to.equal('B');
+        expect(__machine.isDone).to.be.true;
+        expect(__machine.output).to.equal('done!');
+        expect(__machine.toJson()['states'][1]['opaque']).to.be.true;
+        __machine.next('again', 'A');
+        expect(__machine.currentState).to.equal('B');
+        // a machine that is done is restarted by reset() with a new subject
+        var count = 0;
+        __machine.reset();
+        __machine.addSubscriber({
+            next: function () { count++; },
+            error: function () { },
+            complete: function () { }
+        });
+        expect(__machine.isDone).to.be.false;
+        expect(__machine.output).to.be.undefined;
+        __machine.next('again', 'A');
+        expect(__machine.output).to.equal('again!');
+        expect(count).to.equal(2);
+    });
+    it('asynchronous transitions are queued and notify observers after they resolve', function (done) {
+        __machine.clear();
+        var resolvers = new Array();
+        var notifications = new Array();
+        __machine.addState('IDLE');
+        __machine.addState('VALID');
+        __machine.addState('INVALID');
+        // validation lookup resolves later
+        __machine.addTransition('IDLE', function (data) { return new Promise(function (resolve) {
+            resolvers.push(function () { return resolve({ to: data == 'ok' ? 'VALID' : 'INVALID', data: data.toUpperCase() }); });
+        }); });
+        __machine.addTransition('VALID', function (data) { return rxjs_1.Observable.of({ to: 'IDLE' }); });
+        __machine.addTransition('INVALID', function () { return ({ to: 'IDLE' }); });
+        __machine.addSubscriber({
+            next: function (transition) { notifications.push(transition.from + ' -> ' + transition.to); },
+            error: function () { },
+            complete: function () { }
+        });
+        var first = __machine.nextAsync('ok', 'IDLE');
+        var second = __machine.nextAsync('reset');
+        expect(__machine.isPending).to.be.true;
+        expect(notifications.length).to.equal(0);
+        expect(function () { return __machine.next('x'); }).to.throw(Error);
+        first.then(function (output) {
+            expect(output.to).to.equal('VALID');
+            expect(output.data).to.equal('OK');
+            expect(notifications[0]).to.equal('IDLE -> VALID');
+            return second;
+        })
+            .then(function (output) {
+            expect(output.to).to.equal('IDLE');
+            expect(notifications).to.deep.equal(['IDLE -> VALID', 'VALID -> IDLE']);
+            expect(__machine.isPending).to.be.false;
+            // a synchronous transition that returns a Promise requires nextAsync()
+            expect(function () { return __machine.next('bad', 'IDLE'); }).to.throw(Error);
+            expect(__machine.currentState).to.equal('IDLE');
+            done();
+        })
+            .catch(function (error) { return done(error); });
+        resolvers[0]();
+    });
+    it('asynchronous transitions may be cancelled', function (done) {
+        __machine.clear();
+        __machine.addState('IDLE');
+        __machine.addState('BUSY');
+        var lookups = new Array();
+        __machine.addTransition('IDLE', function () {
+            lookups.push(new rxjs_1.Subject());
+            return lookups[lookups.length - 1];
+        });
+        __machine.addTransition('BUSY', function () { return Promise.reject(new Error('lookup failed')); });
+        var first = __machine.nextAsync('a', 'IDLE');
+        var second = __machine.nextAsync('b');
+        var third = __machine.nextAsync('c');
+        expect(lookups[0].observers.length).to.equal(1);
+        expect(__machine.cancel()).to.be.true;
+        expect(lookups[0].observers.length).to.equal(0);
+        // the next input is in flight
+        expect(lookups[1].observers.length).to.equal(1);
+        first.then(function (output) {
+            expect(output.status).to.equal(FiniteStateMachine_1.FiniteStateMachine.CANCELLED);
+            expect(output.to).to.equal('IDLE');
+            lookups[1].next({ to: 'BUSY' });
+            expect(lookups[1].observers.length).to.equal(0);
+            return second;
+        })
+            .then(function (output) {
+            expect(output.to).to.equal('BUSY');
+            return third;
+        })
+            .then(function () { return done(new Error('a failed transition rejects')); }, function (error) {
+            expect(error.message).to.equal('lookup failed');
+            expect(__machine.currentState).to.equal('BUSY');
+            var fourth = __machine.nextAsync('d', 'IDLE');
+            var fifth = __machine.nextAsync('e');
+            expect(__machine.cancel(true)).to.be.true;
+            expect(__machine.cancel()).to.be.false;
+            return Promise.all([fourth, fifth]);
+        })
+            .then(function (outputs) {
+            expect(outputs.map(function (output) { return output.status; })).to.deep.equal([FiniteStateMachine_1.FiniteStateMachine.CANCELLED, FiniteStateMachine_1.FiniteStateMachine.CANCELLED]);
+            done();
+        })
+            .catch(function (error) { return done(error); });
+    });
+    it('a failed or cancelled transition leaves every parallel region as it was', function (done) {
+        __machine.clear();
+        var lookups = new Array();
+        var notifications = new Array();
+        __machine.addState('screen', { parallel: true });
+        __machine.addState('left', { parent: 'screen' });
+        __machine.addState('idle', { parent: 'screen.left' });
+        __machine.addState('busy', { parent: 'screen.left' });
+        __machine.addState('right', { parent: 'screen' });
+        __machine.addState('idle', { parent: 'screen.right' });
+        __machine.addState('busy', { parent: 'screen.right' });
+        __machine.addTransition('screen.left.idle', function () { return ({ to: 'screen.left.busy' }); }, { on: 'go' });
+        __machine.addTransition('screen.right.idle', function () {
+            var lookup = new rxjs_1.Subject();
+            lookups.push(lookup);
+            return lookup;
+        }, { on: 'go' });
+        __machine.addSubscriber({
+            next: function (transition) { notifications.push(transition.from + ' -> ' + transition.to); },
+            error: function () { },
+            complete: function () { }
+        });
+        __machine.journaling = true;
+        // the left region has resolved, but is not applied while the right region is in flight
+        var first = __machine.nextAsync('go', 'screen');
+        expect(__machine.currentState).to.equal('screen.left.idle,screen.right.idle');
+        expect(notifications.length).to.equal(0);
+        expect(__machine.cancel()).to.be.true;
+        first.then(function (output) {
+            expect(output.status).to.equal(FiniteStateMachine_1.FiniteStateMachine.CANCELLED);
+            expect(__machine.currentState).to.equal('screen.left.idle,screen.right.idle');
+            expect(notifications.length).to.equal(0);
+            expect(__machine.getJournal().entries.length).to.equal(0);
+            var second = __machine.nextAsync('go');
+            lookups[1].error(new Error('lookup failed'));
+            return second;
+        })
+            .then(function () { throw new Error('a failed transition rejects'); }, function (error) {
+            expect(error.message).to.equal('lookup failed');
+            expect(__machine.currentState).to.equal('screen.left.idle,screen.right.idle');
+            expect(notifications.length).to.equal(0);
+            // every region transitions once all of them have resolved
+            var third = __machine.nextAsync('go');
+            lookups[2].next({ to: 'screen.right.busy' });
+            return third;
+        })
+            .then(function (output) {
+            expect(output.to).to.equal('screen.left.busy,screen.right.busy');
+            expect(notifications).to.deep.equal([
+                'screen.left.idle,screen.right.idle -> screen.left.busy,screen.right.idle',
+                'screen.left.busy,screen.right.idle -> screen.left.busy,screen.right.busy'
+            ]);
+            var journal = __machine.getJournal();
+            expect(journal.entries.length).to.equal(1);
+            expect(journal.entries[0].to).to.equal('screen.left.busy,screen.right.busy');
+            done();
+        })
+            .catch(function (error) { return done(error); });
+    });
+    it('timed transitions are armed on entry and cancelled on exit', function () {
+        __machine.clear();
+        var scheduler = new TestScheduler_1.TestScheduler(function (actual, expected) { expect(actual).to.deep.equal(expected); });
+        scheduler.maxFrames = Number.POSITIVE_INFINITY; // virtual time is not limited to a single marble diagram
+        __machine.scheduler = scheduler;
+        __machine.addState('idle');
+        __machine.addState('editing', { after: { ms: 300, to: 'idle', data: 'debounced' } });
+        __machine.addState('saved', { after: [{ ms: 100, to: 'idle' }, { ms: 500, to: 'editing' }] });
+        __machine.addTransition('idle', function (data) { return ({ to: data == 'save' ? 'saved' : 'editing' }); });
+        __machine.addTransition('editing', function (data) { return ({ to: data == 'save' ? 'saved' : 'editing' }); });
+        var times = new Array();
+        __machine.addSubscriber({
+            next: function (transition) { times.push(scheduler.now() + ':' + transition.to + ':' + transition.data); },
+            error: function () { },
+            complete: function () { }
+        });
+        // each key re-enters the editing state, which re-arms its timer
+        scheduler.schedule(function () { __machine.next('key', 'idle'); }, 0);
+        scheduler.schedule(function () { __machine.next('key'); }, 200);
+        scheduler.schedule(function () { __machine.next('key'); }, 400);
+        scheduler.flush();
+        expect(times).to.deep.equal(['0:editing:null', '200:editing:null', '400:editing:null', '700:idle:debounced']);
+        expect(__machine.currentState).to.equal('idle');
+        // exiting the state before a timer fires cancels it; only the shorter of two timers fires
+        times.length = 0;
+        scheduler.schedule(function () { __machine.next('key'); }, 100);
+        scheduler.schedule(function () { __machine.next('save'); }, 200);
+        scheduler.flush();
+        expect(times).to.deep.equal(['800:editing:null', '900:saved:null', '1000:idle:null']);
+        // clearing the machine cancels armed timers and restores the default scheduler
+        __machine.next('save');
+        __machine.clear();
+        scheduler.flush();
+        expect(times.length).to.equal(4);
+        expect(__machine.scheduler).to.not.equal(scheduler);
+    });
+    it('data-defined timed transitions', function () {
+        __machine.clear();
+        var scheduler = new TestScheduler_1.TestScheduler(function (actual, expected) { expect(actual).to.deep.equal(expected); });
+        scheduler.maxFrames = Number.POSITIVE_INFINITY; // virtual time is not limited to a single marble diagram
+        __machine.scheduler = scheduler;
+        var data = {
+            name: 'session',
+            alphabet: ['activity', 'logout'],
+            initialState: 'active',
+            states: [
+                { name: 'active', isAcceptance: false, after: { ms: 600, to: 'expired' }, transitions: [
+                        { on: 'activity', to: 'active' },
+                        { on: 'logout', to: 'ended' }
+                    ] },
+                { name: 'expired', isAcceptance: false, after: [{ ms: 200, to: 'ended', data: 'timeout' }] },
+                { name: 'ended', isAcceptance: true, isFinal: true }
+            ]
+        };
+        expect(FiniteStateMachine_1.FiniteStateMachine.validateDefinition(data).success).to.be.true;
+        expect(__machine.fromJson(data).success).to.be.true;
+        var notifications = new Array();
+        __machine.addSubscriber({
+            next: function (transition) { notifications.push(transition); },
+            error: function () { },
+            complete: function () { }
+        });
+        scheduler.schedule(function () { __machine.next('activity'); }, 500);
+        scheduler.flush();
+        expect(notifications.map(function (transition) { return transition.to; })).to.deep.equal(['active', 'expired', 'ended', 'ended']);
+        expect(notifications[2].data).to.equal('timeout');
+        expect(notifications[3].status).to.equal(FiniteStateMachine_1.FiniteStateMachine.DONE);
+        expect(scheduler.now()).to.equal(1300);
+        // reset arms the timer of the initial state
+        __machine.reset();
+        expect(__machine.currentState).to.equal('active');
+        scheduler.flush();
+        expect(__machine.currentState).to.equal('ended');
+        var exported = __machine.toJson();
+        expect(exported['states'][0]['after']).to.deep.equal({ ms: 600, to: 'expired' });
+        expect(exported['states'][1]['after']).to.deep.equal({ ms: 200, to: 'ended', data: 'timeout' });
+        expect(exported['states'][1].hasOwnProperty('transition')).to.be.false;
+        expect(FiniteStateMachine_1.FiniteStateMachine.validateDefinition(exported).success).to.be.true;
+        var bad = JSON.parse(JSON.stringify(data));
+        bad['states'][1]['after'][0]['to'] = 'missing';
+        expect(FiniteStateMachine_1.FiniteStateMachine.validateDefinition(bad).action).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_TARGET);
+        bad['states'][1]['after'] = { ms: -1, to: 'ended' };
+        expect(FiniteStateMachine_1.FiniteStateMachine.validateDefinition(bad).action).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_DATA);
+    });
+    it('an error in a timed transition is emitted by error$ and observers are still notified', function () {
+        __machine.clear();
+        var scheduler = new TestScheduler_1.TestScheduler(function (actual, expected) { expect(actual).to.deep.equal(expected); });
+        scheduler.maxFrames = Number.POSITIVE_INFINITY;
+        __machine.scheduler = scheduler;
+        __machine.addAction('alarm', function () { throw new Error('alarm failed'); });
+        expect(__machine.fromJson({
+            name: 'alarm',
+            alphabet: ['start'],
+            initialState: 'idle',
+            states: [
+                { name: 'idle', isAcceptance: false, transitions: [{ on: 'start', to: 'waiting' }] },
+                { name: 'waiting', isAcceptance: false, after: { ms: 100, to: 'expired' } },
+                { name: 'expired', isAcceptance: false, onEnter: 'alarm', transitions: [] }
+            ]
+        }).success).to.be.true;
+        var errors = new Array();
+        __machine.error$.subscribe(function (error) { errors.push(error.message); });
+        var states = new Array();
+        var observed = new Array();
+        var observer = {
+            next: function (transition) { states.push(transition.to); },
+            error: function (error) { observed.push(error.message); },
+            complete: function () { }
+        };
+        __machine.addSubscriber(observer);
+        __machine.next('start');
+        // the scheduler does not throw
+        expect(function () { return scheduler.flush(); }).to.not.throw();
+        expect(errors).to.deep.equal(['alarm failed']);
+        expect(observed.length).to.equal(0);
+        // observers are notified of later transitions
+        __machine.reset();
+        __machine.next('start');
+        expect(states).to.deep.equal(['waiting', 'waiting']);
+    });
+    it('connect() drives the machine from an input stream', function () {
+        __machine.clear();
+        var data = JSON.parse(JSON.stringify(machine2));
+        data['initialState'] = 'q';
+        expect(__machine.fromJson(data).success).to.be.true;
+        var payment = __machine.initialData;
+        var input$ = new rxjs_1.Subject();
+        var states = new Array();
+        __machine.state$.subscribe(function (state) { states.push(state); });
+        var connection = __machine.connect(input$);
+        input$.next(payment);
+        expect(payment.q).to.equal(1);
+        // disconnected streams no longer drive the machine
+        connection.unsubscribe();
+        input$.next(payment);
+        expect(payment.q).to.equal(1);
+        // an error of a stream disconnects only that stream and is reported to its handler (or error$)
+        var errors = new Array();
+        var observed = new Array();
+        __machine.addSubscriber({ next: function () { }, error: function (error) { observed.push(error); }, complete: function () { } });
+        __machine.error$.subscribe(function (error) { errors.push('error$: ' + error); });
+        var failing = new rxjs_1.Subject();
+        var failed = __machine.connect(failing, function (error) { errors.push('handler: ' + error); });
+        failing.error('error');
+        __machine.connect(rxjs_1.Observable.throw('unhandled'));
+        expect(failed.closed).to.be.true;
+        expect(errors).to.deep.equal(['handler: error', 'error$: unhandled']);
+        expect(observed.length).to.equal(0);
+        // completion of the stream does not affect the machine
+        __machine.connect(rxjs_1.Observable.of(payment, payment));
+        expect(payment.q).to.equal(3);
+        expect(__machine.currentState).to.equal('c');
+        expect(states).to.deep.equal(['q', 'c']);
+        __machine.connect(input$);
+        expect(input$.observers.length).to.equal(1);
+        __machine.clear();
+        expect(input$.observers.length).to.equal(0);
+    });
+    it('state$ emits the current state on subscription and each state change', function () {
+        __machine.clear();
+        __machine.addState('a');
+        __machine.addState('b');
+        __machine.addTransition('a', function (data) { return ({ to: data }); });
+        __machine.addTransition('b', function (data) { return ({ to: data }); });
+        var early = new Array();
+        __machine.state$.subscribe(function (state) { early.push(state); });
+        __machine.next('b', 'a');
+        __machine.next('b');
+        var late = new Array();
+        __machine.state$.subscribe(function (state) { late.push(state); });
+        __machine.next('a');
+        __machine.next('a', 'b');
+        // a self-transition does not change the state
+        expect(early).to.deep.equal([FiniteStateMachine_1.FiniteStateMachine.NO_STATE, 'a', 'b', 'a', 'b', 'a']);
+        expect(late).to.deep.equal(['b', 'a', 'b', 'a']);
+    });
+    it('subscriptions return handles and may be filtered', function () {
+        __machine.clear();
+        __machine.addState('idle');
+        __machine.addState('checkout');
+        __machine.addState('cart', { parent: 'checkout' });
+        __machine.addState('payment', { parent: 'checkout', acceptance: true });
+        __machine.addState('trap', { rejection: true });
+        __machine.addTransition('idle', function () { return ({ to: 'checkout' }); }, { on: 'start' });
+        __machine.addTransition('checkout.cart', function () { return ({ to: 'checkout.payment' }); }, { on: 'pay' });
+        __machine.addTransition('checkout', function () { return ({ to: 'idle' }); }, { on: 'cancel' });
+        __machine.addTransition('checkout', function () { return ({ to: 'trap' }); }, { on: 'fraud' });
+        var log = new Array();
+        var logger = function (entry) { return function (transition) { log.push(entry + ' ' + transition.to); }; };
+        var all = __machine.addSubscriber({
+            next: logger('all'),
+            error: function () { },
+            complete: function () { }
+        });
+        var enter = __machine.onEnter('checkout', logger('enter checkout'));
+        __machine.onExit('checkout.cart', logger('exit cart'));
+        __machine.onTransition('checkout.cart', 'checkout.payment', logger('cart to payment'));
+        __machine.onAccept(logger('accept'));
+        __machine.onReject(logger('reject'));
+        expect(__machine.addSubscriber(null)).to.be.null;
+        __machine.next('start', 'idle');
+        expect(log).to.deep.equal(['all checkout.cart', 'enter checkout checkout.cart']);
+        // a transition between children does not enter their parent
+        log.length = 0;
+        __machine.next('pay');
+        expect(log).to.deep.equal([
+            'all checkout.payment',
+            'exit cart checkout.payment',
+            'cart to payment checkout.payment',
+            'accept checkout.payment'
+        ]);
+        // unsubscribed observers are detached without altering the machine
+        all.unsubscribe();
+        enter.unsubscribe();
+        log.length = 0;
+        __machine.next('cancel');
+        __machine.next('start');
+        __machine.next('pay');
+        expect(log).to.deep.equal(['exit cart checkout.payment', 'cart to payment checkout.payment', 'accept checkout.payment']);
+        expect(__machine.numStates).to.equal(5);
+        log.length = 0;
+        __machine.next('fraud');
+        __machine.next('start');
+        expect(log).to.deep.equal(['reject trap', 'reject trap']);
+    });
+    it('snapshot and restore of runtime state', function () {
+        __machine.clear();
+        var scheduler = new TestScheduler_1.TestScheduler(function (actual, expected) { expect(actual).to.deep.equal(expected); });
+        scheduler.maxFrames = Number.POSITIVE_INFINITY;
+        var data = {
+            name: 'workflow',
+            alphabet: ['next', 'back'],
+            initialState: 'profile',
+            initialData: { steps: 0 },
+            states: [
+                { name: 'profile', isAcceptance: false, transitions: [{ on: 'next', to: 'review', context: { steps: 'context.steps + 1' } }] },
+                { name: 'review', isAcceptance: false, after: { ms: 1000, to: 'expired' }, transitions: [
+                        { on: 'next', to: 'submitted', context: { steps: 'context.steps + 1' } },
+                        { on: 'back', to: 'profile' }
+                    ] },
+                { name: 'expired', isAcceptance: false, isRejection: true },
+                { name: 'submitted', isAcceptance: true, isFinal: true, output: 'context.steps' }
+            ]
+        };
+        __machine.scheduler = scheduler;
+        expect(__machine.fromJson(data).success).to.be.true;
+        // the snapshot is taken before the timed transition fires, and it survives serialization
+        var snapshot;
+        __machine.next('next');
+        scheduler.schedule(function () { snapshot = JSON.parse(JSON.stringify(__machine.getSnapshot())); }, 400);
+        scheduler.flush();
+        expect(__machine.currentState).to.equal('expired');
+        expect(snapshot.name).to.equal('workflow');
+        expect(snapshot.state).to.equal('review');
+        expect(snapshot.context).to.deep.equal({ steps: 1 });
+        expect(snapshot.isAcceptance).to.be.false;
+        expect(snapshot.done).to.be.false;
+        expect(snapshot.timers).to.deep.equal([{ state: 'review', index: 0, remaining: 600 }]);
+        // a new machine from the same definition resumes with the time that remained
+        var machine = new FiniteStateMachine_1.FiniteStateMachine();
+        machine.scheduler = scheduler;
+        expect(machine.fromJson(data).success).to.be.true;
+        var states = new Array();
+        machine.state$.subscribe(function (state) { states.push(state); });
+        expect(machine.restore(snapshot).success).to.be.true;
+        expect(machine.currentState).to.equal('review');
+        expect(machine.context).to.deep.equal({ steps: 1 });
+        var start = scheduler.now();
+        scheduler.flush();
+        expect(scheduler.now() - start).to.equal(600);
+        expect(machine.currentState).to.equal('expired');
+        expect(states).to.deep.equal(['profile', 'review', 'expired']);
+        // completion is restored
+        __machine.reset();
+        __machine.next('next');
+        __machine.next('next');
+        expect(__machine.isDone).to.be.true;
+        expect(machine.restore(__machine.getSnapshot()).success).to.be.true;
+        expect(machine.isDone).to.be.true;
+        expect(machine.output).to.equal(2);
+        expect(machine.next('back').status).to.equal(FiniteStateMachine_1.FiniteStateMachine.TERMINATED);
+        machine.reset();
+        expect(machine.currentState).to.equal('profile');
+        // the snapshot is validated before the machine is altered
+        expect(machine.restore(null).action).to.equal(FiniteStateMachine_1.FiniteStateMachine.NO_DATA);
+        expect(machine.restore({ state: 'review' }).action).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_DATA);
+        var bad = JSON.parse(JSON.stringify(snapshot));
+        bad.state = 'missing';
+        expect(machine.restore(bad).action).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_STATE);
+        bad.state = 'profile';
+        var result = machine.restore(bad);
+        expect(result.action).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_STATE);
+        expect(result.node).to.deep.equal(snapshot.timers[0]);
+        bad.timers[0].remaining = -1;
+        expect(machine.restore(bad).action).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_DATA);
+        expect(machine.currentState).to.equal('profile');
+    });
+    it('snapshots share no nested context with the machine', function () {
+        __machine.clear();
+        expect(__machine.fromJson({
+            name: 'cart',
+            alphabet: ['add'],
+            initialState: 'open',
+            initialData: { cart: { items: ['book'] } },
+            states: [{ name: 'open', isAcceptance: false, transitions: [{ on: 'add', to: 'open' }] }]
+        }).success).to.be.true;
+        var snapshot = __machine.getSnapshot();
+        snapshot.context['cart'].items.push('pen');
+        expect(__machine.context).to.deep.equal({ cart: { items: ['book'] } });
+        expect(__machine.getSnapshot().context).to.deep.equal({ cart: { items: ['book'] } });
+        // nor does a restored machine share the context of its snapshot
+        expect(__machine.restore(snapshot).success).to.be.true;
+        snapshot.context['cart'].items.push('lamp');
+        expect(__machine.context).to.deep.equal({ cart: { items: ['book', 'pen'] } });
+    });
+    it('snapshots hold the journal as history, which restore() continues', function () {
+        var data = {
+            name: 'steps',
+            alphabet: ['next'],
+            initialState: 'one',
+            states: [
+                { name: 'one', isAcceptance: false, transitions: [{ on: 'next', to: 'two' }] },
+                { name: 'two', isAcceptance: false, transitions: [{ on: 'next', to: 'three' }] },
+                { name: 'three', isAcceptance: true, transitions: [{ on: 'next', to: 'one' }] }
+            ]
+        };
+        var source = new FiniteStateMachine_1.FiniteStateMachine();
+        expect(source.fromJson(data).success).to.be.true;
+        // there is no history until the journal has entries
+        source.journaling = true;
+        expect(source.getSnapshot().history).to.be.undefined;
+        source.next('next');
+        source.next('next');
+        var snapshot = JSON.parse(JSON.stringify(source.getSnapshot()));
+        expect(snapshot.history).to.deep.equal(source.getJournal());
+        expect(snapshot.history.entries.map(function (entry) { return entry.to; })).to.deep.equal(['two', 'three']);
+        // a machine without a journal continues the history of the snapshot
+        var machine = new FiniteStateMachine_1.FiniteStateMachine();
+        expect(machine.fromJson(data).success).to.be.true;
+        expect(machine.restore(snapshot).success).to.be.true;
+        expect(machine.journaling).to.be.true;
+        expect(machine.currentState).to.equal('three');
+        expect(machine.getJournal()).to.deep.equal(snapshot.history);
+        machine.next('next');
+        expect(machine.getJournal().entries.map(function (entry) { return entry.to; })).to.deep.equal(['two', 'three', 'one']);
+        // the states between restored entries are unknown, so only new entries (and the first) can be undone
+        expect(machine.undo()).to.be.true;
+        expect(machine.currentState).to.equal('three');
+        expect(machine.undo()).to.be.false;
+        expect(machine.restore(Object.assign({}, snapshot, { history: { entries: [] } })).action).to.equal(FiniteStateMachine_1.FiniteStateMachine.INVALID_DATA);
+    });
+    it('journal records inputs and timed transitions and may be replayed', function () {
+        __machine.clear();
+        var scheduler = new TestScheduler_1.TestScheduler(function (actual, expected) { expect(actual).to.deep.equal(expected); });
+        scheduler.maxFrames = Number.POSITIVE_INFINITY;
+        var data = {
+            name: 'door',
+            alphabet: ['open', 'close', 'lock'],
+            initialState: 'closed',
+            states: [
+                { name: 'closed', isAcceptance: true, transitions: [{ on: 'open', to: 'opened' }, { on: 'lock', to: 'locked', data: 'locked' }] },
+                { name: 'opened', isAcceptance: false, after: { ms: 100, to: 'closed', data: 'auto' }, transitions: [{ on: 'close', to: 'closed' }] },
+                { name: 'locked', isAcceptance: false, transitions: [{ on: 'open', to: 'locked', output: "'still locked'" }] }
+            ]
+        };
+        __machine.scheduler = scheduler;
+        expect(__machine.fromJson(data).success).to.be.true;
+        expect(__machine.journaling).to.be.false;
+        expect(__machine.getJournal()).to.be.null;
+        __machine.journaling = true;
+        scheduler.schedule(function () { __machine.next('open'); }, 10);
+        scheduler.schedule(function () { __machine.next('close'); }, 50);
+        scheduler.schedule(function () { __machine.next('lock'); }, 60);
+        scheduler.schedule(function () { __machine.next('open', 'opened'); }, 70);
+        scheduler.flush();
+        var journal = JSON.parse(JSON.stringify(__machine.getJournal()));
+        expect(journal.name).to.equal('door');
+        expect(journal.initial.state).to.equal('closed');
+        expect(journal.entries).to.deep.equal([
+            { input: 'open', from: 'closed', to: 'opened', data: 'open', timestamp: 10 },
+            { input: 'close', from: 'opened', to: 'closed', data: 'close', timestamp: 50 },
+            { input: 'lock', from: 'closed', to: 'locked', data: 'locked', timestamp: 60 },
+            { input: 'open', initialState: 'opened', from: 'locked', to: 'opened', timestamp: 70 },
+            { timer: { state: 'opened', index: 0 }, from: 'opened', to: 'closed', data: 'auto', timestamp: 170 }
+        ]);
+        // replay into a fresh machine
+        var machine = FiniteStateMachine_1.FiniteStateMachine.create(data);
+        machine.journaling = true;
+        expect(machine.replay(journal).success).to.be.true;
+        expect(machine.currentState).to.equal('closed');
+        expect(machine.getJournal().entries.map(function (entry) { return entry.to; })).to.deep.equal(['opened', 'closed', 'locked', 'opened', 'closed']);
+        // a changed definition diverges from the journal
+        var changed = JSON.parse(JSON.stringify(data));
+        changed['states'][0]['transitions'][1]['to'] = 'opened';
+        var result = FiniteStateMachine_1.FiniteStateMachine.create(changed).replay(journal);
+        expect(result.success).to.be.false;
+        expect(result.action).to.equal(FiniteStateMachine_1.FiniteStateMachine.DIVERGED);
+        expect(result.node['index']).to.equal(2);
+        expect(result.node['actual'].to).to.equal('opened');
+        expect(result.node['expected'].to).to.equal('locked');
+        expect(machine.replay(null).action).to.equal(FiniteStateMachine_1.FiniteStateMachine.NO_DATA);
+    });
+    it('journal records inputs to nextAsync() and replayAsync() replays them', function (done) {
+        var data = {
+            name: 'loader',
+            alphabet: ['load', 'back', 'fail'],
+            initialState: 'idle',
+            initialData: { pages: 0 },
+            states: [
+                { name: 'idle', isAcceptance: false, transition: "if (data == 'fail') { return Promise.reject('offline'); } return Promise.resolve({to: 'loaded', data: 'page', context: {pages: context.pages + 1}});" },
+                { name: 'loaded', isAcceptance: true, transitions: [{ on: 'back', to: 'idle' }] }
+            ]
+        };
+        var machine = new FiniteStateMachine_1.FiniteStateMachine();
+        expect(machine.fromJson(data).success).to.be.true;
+        machine.journaling = true;
+        machine.nextAsync('load').then(function () {
+            machine.next('back');
+            return machine.nextAsync('load');
+        })
+            .then(function () {
+            machine.next('back');
+            // a failed transition is not recorded
+            return machine.nextAsync('fail').then(function () { throw new Error('transition should fail'); }, function () { });
+        })
+            .then(function () {
+            var journal = machine.getJournal();
+            expect(journal.entries.map(function (entry) { return entry.from + ' -> ' + entry.to; })).to.deep.equal([
+                'idle -> loaded',
+                'loaded -> idle',
+                'idle -> loaded',
+                'loaded -> idle'
+            ]);
+            expect(journal.entries[0].async).to.be.true;
+            expect(journal.entries[0].data).to.equal('page');
+            expect(journal.entries[1].async).to.be.undefined;
+            // undo steps through the asynchronous transitions
+            expect(machine.undo()).to.be.true;
+            expect(machine.undo()).to.be.true;
+            expect(machine.currentState).to.equal('idle');
+            expect(machine.context).to.deep.equal({ pages: 1 });
+            expect(machine.redo()).to.be.true;
+            expect(machine.currentState).to.equal('loaded');
+            expect(machine.context).to.deep.equal({ pages: 2 });
+            // replay() sends every input to next(), which does not process asynchronous transitions
+            var copy = new FiniteStateMachine_1.FiniteStateMachine();
+            expect(copy.fromJson(data).success).to.be.true;
+            expect(function () { return copy.replay(journal); }).to.throw(Error);
+            return copy.replayAsync(journal).then(function (result) {
+                expect(result.success).to.be.true;
+                expect(copy.currentState).to.equal('idle');
+                expect(copy.context).to.deep.equal({ pages: 2 });
+            });
+        })
+            .then(function () { return done(); })
+            .catch(function (error) { return done(error); });
+    });
+    it('undo and redo step through the journal', function () {
+        __machine.clear();
+        __machine.addState('a');
+        __machine.addState('b');
+        __machine.addState('c');
+        __machine.addTransition('a', function (data) { return ({ to: data, context: { last: 'a' } }); });
+        __machine.addTransition('b', function (data) { return ({ to: data, context: { last: 'b' } }); });
+        expect(__machine.undo()).to.be.false;
+        __machine.next('a', 'a');
+        __machine.journaling = true;
+        __machine.next('b');
+        __machine.next('c');
+        expect(__machine.redo()).to.be.false;
+        var states = new Array();
+        __machine.state$.subscribe(function (state) { states.push(state); });
+        expect(__machine.undo()).to.be.true;
+        expect(__machine.currentState).to.equal('b');
+        expect(__machine.context).to.deep.equal({ last: 'a' });
+        expect(__machine.undo()).to.be.true;
+        expect(__machine.undo()).to.be.false;
+        expect(__machine.currentState).to.equal('a');
+        expect(__machine.redo()).to.be.true;
+        expect(__machine.currentState).to.equal('b');
+        expect(__machine.getJournal().entries.length).to.equal(1);
+        // a new entry discards entries that could be redone
+        __machine.next('a');
+        expect(__machine.redo()).to.be.false;
+        expect(__machine.getJournal().entries.map(function (entry) { return entry.to; })).to.deep.equal(['b', 'a']);
+        expect(states).to.deep.equal(['c', 'b', 'a', 'b', 'a']);
+        // the journal restarts on reset and is discarded when disabled
+        __machine.reset();
+        expect(__machine.getJournal().entries.length).to.equal(0);
+        __machine.journaling = false;
+        expect(__machine.getJournal()).to.be.null;
+    });
+    it('instances share a frozen definition', function () {
+        __machine.clear();
+        var data = JSON.parse(JSON.stringify(machine2));
+        data['initialState'] = 'q';
+        var definition = FiniteStateMachine_1.FiniteStateMachine.compile(data, 'change');
+        expect(definition.isFrozen).to.be.true;
+        expect(FiniteStateMachine_1.FiniteStateMachine.compile({ name: 'bad' })).to.be.null;
+        var first = definition.createInstance();
+        var second = definition.createInstance();
+        expect(first.isFrozen).to.be.true;
+        expect(first.name).to.equal('change');
+        expect(first.numStates).to.equal(definition.numStates);
+        expect(first.currentState).to.equal('q');
+        // each instance has its own state, context and subscribers
+        var notifications = new Array();
+        first.onEnter('c', function () { notifications.push('first'); });
+        second.onEnter('c', function () { notifications.push('second'); });
+        var payment = first.initialData;
+        payment.amt = 0.25;
+        expect(first.next(payment).to).to.equal('c');
+        expect(first.isAcceptance).to.be.true;
+        expect(second.currentState).to.equal('q');
+        expect(second.isAcceptance).to.be.false;
+        expect(definition.currentState).to.equal('q');
+        expect(notifications).to.deep.equal(['first']);
+        // the definition may not be altered through any machine that shares it
+        expect(function () { return first.addState('x'); }).to.throw(Error);
+        expect(function () { return definition.addTransition('p', function () { return ({ to: 'q' }); }); }).to.throw(Error);
+        expect(function () { return second.fromJson(data); }).to.throw(Error);
+        expect(function () { second.alphabet = []; }).to.throw(Error);
+        // a machine that is cleared no longer shares the definition
+        second.clear();
+        expect(second.isFrozen).to.be.false;
+        expect(second.numStates).to.equal(0);
+        expect(first.numStates).to.equal(5);
+        // any machine may share its definition, which freezes it
+        expect(__machine.fromJson(data).success).to.be.true;
+        expect(__machine.isFrozen).to.be.false;
+        var instance = __machine.createInstance();
+        expect(__machine.isFrozen).to.be.true;
+        expect(instance.toJson()).to.deep.equal(__machine.toJson());
+        __machine.clear();
+        expect(__machine.isFrozen).to.be.false;
+        expect(instance.numStates).to.equal(5);
+    });
+    it('instances keep the compiled definition after the source machine is cleared', function () {
+        var source = new FiniteStateMachine_1.FiniteStateMachine();
+        source.alphabet = ['a'];
+        source.classifier = function (data) { return data.kind; };
+        source.addState('A');
+        source.addState('B', { after: { ms: 100, to: 'A', data: { reason: 'idle' } } });
+        source.addTransitionTable('A', { transitions: [{ on: 'a', to: 'B' }] });
+        var instance = source.createInstance();
+        expect(instance.next({ kind: 'a' }, 'A').to).to.equal('B');
+        // table transitions classify input with the classifier of the definition they belong to
+        source.clear();
+        expect(instance.next({ kind: 'a' }, 'A').to).to.equal('B');
+        // nested structures of a shared definition are frozen as well
+        var def = instance._def;
+        expect(function () { return def.states.add('C'); }).to.throw(Error);
+        expect(function () { return def.tables.delete('A'); }).to.throw(Error);
+        expect(function () { return def.delayed.get('B')[0].data.reason = 'busy'; }).to.throw(Error);
+        expect(instance.numStates).to.equal(2);
+    });
+    it('analysis reports reachability, dead states and missing transitions', function () {
+        __machine.clear();
+        var data = {
+            name: 'analysis',
+            alphabet: ['a', 'b'],
+            initialState: 'S1',
+            states: [
+                { name: 'S1', isAcceptance: false, transitions: [{ on: 'a', to: 'S2' }] },
+                { name: 'S2', isAcceptance: false, transitions: [{ on: 'a', to: 'S3' }, { on: 'b', to: 'S2' }] },
+                { name: 'S3', isAcceptance: true, transitions: [{ on: ['a', 'b'], to: 'S3' }] },
+                { name: 'S4', isAcceptance: false, transitions: [{ on: 'a', to: 'S5' }, { on: 'b', to: 'S4' }] },
+                { name: 'S5', isAcceptance: false, isRejection: true }
+            ]
+        };
+        expect(__machine.fromJson(data).success).to.be.true;
+        var analysis = __machine.analyze();
+        expect(analysis.initial).to.deep.equal(['S1']);
+        expect(analysis.transitions).to.deep.include({ from: 'S2', on: 'a', to: 'S3' });
+        expect(analysis.transitions.length).to.equal(7);
+        expect(analysis.unreachable).to.deep.equal(['S4', 'S5']);
+        expect(analysis.dead).to.deep.equal(['S4', 'S5']);
+        expect(analysis.missing).to.deep.equal([{ state: 'S1', on: 'b' }]);
+        expect(analysis.nondeterministic).to.deep.equal([]);
+        expect(analysis.opaque).to.deep.equal([]);
+        expect(analysis.acceptanceReachable).to.be.true;
+        // reachability from another state
+        var fromS4 = __machine.analyze('S4');
+        expect(fromS4.unreachable).to.deep.equal(['S1', 'S2', 'S3']);
+        expect(fromS4.acceptanceReachable).to.be.false;
+        // the structured result survives serialization
+        expect(JSON.parse(JSON.stringify(analysis))).to.deep.equal(analysis);
+    });
+    it('analysis of hierarchical, guarded, timed and asynchronous transitions', function () {
+        __machine.clear();
+        __machine.alphabet = ['go', 'stop'];
+        __machine.addState('idle');
+        __machine.addState('running');
+        __machine.addState('fast', { parent: 'running' });
+        __machine.addState('slow', { parent: 'running', after: { ms: 100, to: 'idle' } });
+        __machine.addState('done', { acceptance: true, final: true });
+        __machine.addState('remote');
+        __machine.addTransition('idle', function () { return ({ to: 'running' }); }, { on: 'go' });
+        __machine.addTransition('idle', function () { return ({ to: 'remote' }); }, { on: 'go' });
+        __machine.addTransition('idle', function () { return null; });
+        __machine.addTransition('running', function () { return ({ to: 'done' }); }, { on: 'stop' });
+        __machine.addTransition('running.fast', function () { return ({ to: 'running.slow' }); }, { on: 'go' });
+        __machine.addTransition('remote', function () { return Promise.resolve({ to: 'done' }); });
+        var analysis = __machine.analyze('idle');
+        // entering a compound state enters its initial child
+        expect(analysis.transitions).to.deep.include({ from: 'idle', on: 'go', to: 'running.fast' });
+        expect(analysis.transitions).to.deep.include({ from: 'running.slow', on: null, to: 'idle' });
+        expect(analysis.transitions).to.deep.include({ from: 'running.slow', on: 'stop', to: 'done' });
+        expect(analysis.nondeterministic).to.deep.equal([{ state: 'idle', on: 'go' }]);
+        expect(analysis.missing).to.deep.equal([{ state: 'idle', on: 'stop' }, { state: 'running.slow', on: 'go' }]);
+        expect(analysis.opaque).to.deep.equal([{ state: 'remote', on: 'go' }, { state: 'remote', on: 'stop' }]);
+        expect(analysis.unreachable).to.deep.equal(['remote']);
+        expect(analysis.dead).to.deep.equal(['remote']);
+        expect(analysis.acceptanceReachable).to.be.true;
+        // there is no initial state
+        expect(__machine.analyze().unreachable.length).to.equal(5);
+    });
+    it('minimize merges equivalent states', function () {
+        __machine.clear();
+        var rows = function (zero, one) { return [{ on: '0', to: zero }, { on: '1', to: one }]; };
+        var data = {
+            name: 'Textbook',
+            alphabet: ['0', '1'],
+            initialState: 'a',
+            states: [
+                { name: 'a', isAcceptance: false, transitions: rows('b', 'c') },
+                { name: 'b', isAcceptance: false, transitions: rows('a', 'd') },
+                { name: 'c', isAcceptance: true, transitions: rows('e', 'f') },
+                { name: 'd', isAcceptance: true, transitions: rows('e', 'f') },
+                { name: 'e', isAcceptance: true, transitions: rows('e', 'f') },
+                { name: 'f', isAcceptance: false, transitions: [{ on: '1', to: 'f' }] },
+                { name: 'g', isAcceptance: true, transitions: rows('a', 'g') }
+            ]
+        };
+        expect(__machine.fromJson(data).success).to.be.true;
+        var result = __machine.minimize();
+        expect(result.mapping).to.deep.equal({ a: 'a', b: 'a', c: 'c', d: 'c', e: 'c', f: 'f', g: null });
+        var minimized = result.machine;
+        expect(minimized).to.not.equal(__machine);
+        expect(minimized.name).to.equal('Textbook');
+        expect(minimized.numStates).to.equal(3);
+        expect(minimized.initialState).to.equal('a');
+        expect(Array.from(minimized.states)).to.deep.equal(['a', 'c', 'f']);
+        expect(minimized.alphabet).to.deep.equal(['0', '1']);
+        // the same sequences are accepted
+        ['', '0', '1', '01', '0010', '1111', '10', '0101'].forEach(function (word) {
+            __machine.reset();
+            minimized.reset();
+            word.split('').forEach(function (symbol) {
+                __machine.next(symbol);
+                minimized.next(symbol);
+            });
+            expect(minimized.isAcceptance).to.equal(__machine.isAcceptance);
+            expect(minimized.currentState).to.equal(result.mapping[__machine.currentState]);
+        });
+        // the minimized machine is already minimal
+        var again = minimized.minimize();
+        expect(again.machine.numStates).to.equal(3);
+        expect(again.mapping).to.deep.equal({ a: 'a', c: 'c', f: 'f' });
+    });
+    it('minimize requires a deterministic machine with an alphabet', function () {
+        __machine.clear();
+        __machine.addState('S1');
+        __machine.addState('S2', { acceptance: true });
+        __machine.addTransition('S1', function () { return ({ to: 'S2' }); });
+        expect(__machine.minimize('S1')).to.be.null;
+        __machine.alphabet = ['a'];
+        expect(__machine.minimize()).to.be.null;
+        expect(__machine.minimize('S1').machine.numStates).to.equal(2);
+        __machine.addTransition('S2', function () { return ({ to: 'S1' }); }, { on: 'a' });
+        __machine.addTransition('S2', function () { return ({ to: 'S2' }); }, { on: 'a' });
+        expect(__machine.analyze('S1').nondeterministic.length).to.equal(1);
+        expect(__machine.minimize('S1')).to.be.null;
+    });
+    it('fromRegex creates a minimal machine that accepts matching input', function () {
+        var machine = FiniteStateMachine_1.FiniteStateMachine.fromRegex('(a|b)*abb');
+        expect(machine.name).to.equal('(a|b)*abb');
+        expect(machine.alphabet).to.deep.equal(['a', 'b']);
+        // three states track the suffix 'abb', one accepts, and the last rejects input outside the alphabet
+        expect(machine.numStates).to.equal(5);
+        expect(machine.initialState).to.equal('S0');
+        var accepts = function (word) {
+            machine.reset();
+            word.split('').forEach(function (symbol) { machine.next(symbol); });
+            return machine.isAcceptance;
+        };
+        expect(accepts('abb')).to.be.true;
+        expect(accepts('babaabb')).to.be.true;
+        expect(accepts('')).to.be.false;
+        expect(accepts('abba')).to.be.false;
+        // plus, optional, classes and grouping
+        var number = FiniteStateMachine_1.FiniteStateMachine.fromRegex('-?[0-9]+(\\.[0-9]+)?');
+        var matches = function (word) {
+            number.reset();
+            word.split('').forEach(function (symbol) { number.next(symbol); });
+            return number.isAcceptance;
+        };
+        expect(matches('42')).to.be.true;
+        expect(matches('-3.14')).to.be.true;
+        expect(matches('3.')).to.be.false;
+        expect(matches('--1')).to.be.false;
+        // no input can match after a second '-'
+        expect(number.isRejected).to.be.true;
+        expect(FiniteStateMachine_1.FiniteStateMachine.fromRegex('(a|b')).to.be.null;
+    });
+    it('fromRegex rejects input outside the alphabet', function () {
+        var accepts = function (pattern, word) {
+            var machine = FiniteStateMachine_1.FiniteStateMachine.fromRegex(pattern);
+            word.split('').forEach(function (symbol) { machine.next(symbol); });
+            expect(machine.isRejected).to.equal(word.split('').some(function (symbol) { return machine.alphabet.indexOf(symbol) == -1; }));
+            return machine.isAcceptance;
+        };
+        expect(accepts('abc', 'abc')).to.be.true;
+        expect(accepts('abc', 'abXc')).to.be.false;
+        expect(accepts('[0-9]+', '123')).to.be.true;
+        expect(accepts('[0-9]+', '12a3')).to.be.false;
+        expect(accepts('(a|b)*abb', 'abbX')).to.be.false;
+    });
+    it('fromRegex over a token alphabet notifies subscribers of transitions', function () {
+        var machine = FiniteStateMachine_1.FiniteStateMachine.fromRegex('GET /users (/ id)?', ['GET', 'POST', '/users', '/', 'id']);
+        var transitions = new Array();
+        machine.addSubscriber({
+            next: function (transition) { transitions.push(transition.from + '>' + transition.to); },
+            error: function () { },
+            complete: function () { }
+        });
+        ['GET', '/users', '/', 'id'].forEach(function (token) { machine.next(token); });
+        expect(machine.isAcceptance).to.be.true;
+        expect(transitions).to.deep.equal(['S0>S1', 'S1>S2', 'S2>S3', 'S3>S4']);
+        machine.reset();
+        machine.next('POST');
+        expect(machine.isRejected).to.be.true;
+        expect(machine.toJson()['states'].length).to.equal(6);
+    });
+    it('combinators build machines from the product of two machines', function () {
+        var a = FiniteStateMachine_1.FiniteStateMachine.fromRegex('ab*', ['a', 'b']);
+        var b = FiniteStateMachine_1.FiniteStateMachine.fromRegex('(a|b)(a|b)', ['b', 'a']);
+        var accepts = function (machine, word) {
+            machine.reset();
+            word.split('').forEach(function (symbol) { machine.next(symbol); });
+            return machine.isAcceptance;
+        };
+        // every word over {a, b} with at most four symbols
+        var words = [''];
+        for (var i = 0; words[i].length < 4; ++i) {
+            words.push(words[i] + 'a', words[i] + 'b');
+        }
+        // a word may be split into words accepted by a machine, any number of times
+        var splits = function (machine, word) {
+            return word == '' || word.split('').some(function (symbol, i) {
+                return accepts(machine, word.substr(0, i + 1)) && splits(machine, word.substr(i + 1));
+            });
+        };
+        var intersection = FiniteStateMachine_1.FiniteStateMachine.intersection(a, FiniteStateMachine_1.FiniteStateMachine.complement(b), 'A and not B');
+        var union = FiniteStateMachine_1.FiniteStateMachine.union(a, b);
+        var complement = FiniteStateMachine_1.FiniteStateMachine.complement(a);
+        var concatenation = FiniteStateMachine_1.FiniteStateMachine.concatenation(a, b);
+        var star = FiniteStateMachine_1.FiniteStateMachine.star(a);
+        expect(intersection.name).to.equal('A and not B');
+        expect(intersection.alphabet).to.deep.equal(['a', 'b']);
+        expect(intersection.initialState).to.equal('S0');
+        words.forEach(function (word) {
+            var inA = accepts(a, word);
+            var inB = accepts(b, word);
+            expect(accepts(intersection, word)).to.equal(inA && !inB);
+            expect(accepts(union, word)).to.equal(inA || inB);
+            expect(accepts(complement, word)).to.equal(!inA);
+            expect(accepts(star, word)).to.equal(splits(a, word));
+            var concatenated = word.split('').some(function (symbol, i) {
+                return accepts(a, word.substr(0, i)) && accepts(b, word.substr(i));
+            });
+            expect(accepts(concatenation, word)).to.equal(concatenated);
+        });
+        // results are ordinary machines
+        var copy = FiniteStateMachine_1.FiniteStateMachine.create(concatenation.toJson());
+        expect(words.every(function (word) { return accepts(copy, word) == accepts(concatenation, word); })).to.be.true;
+        expect(union.minimize().machine.numStates).to.be.at.most(union.numStates);
+    });
+    it('combinators require deterministic machines over compatible alphabets', function () {
+        var a = FiniteStateMachine_1.FiniteStateMachine.fromRegex('ab*', ['a', 'b']);
+        var c = FiniteStateMachine_1.FiniteStateMachine.fromRegex('ab*c', ['a', 'b', 'c']);
+        expect(FiniteStateMachine_1.FiniteStateMachine.intersection(a, c)).to.be.null;
+        expect(FiniteStateMachine_1.FiniteStateMachine.concatenation(c, a)).to.be.null;
+        expect(FiniteStateMachine_1.FiniteStateMachine.union(a, a)).to.not.be.null;
+        __machine.clear();
+        __machine.alphabet = ['a', 'b'];
+        __machine.addState('S1');
+        __machine.addState('S2', { acceptance: true });
+        __machine.addTransition('S1', function () { return ({ to: 'S2' }); });
+        // there is no initial state
+        expect(FiniteStateMachine_1.FiniteStateMachine.complement(__machine)).to.be.null;
+        var opaque = FiniteStateMachine_1.FiniteStateMachine.create({
+            name: 'Opaque',
+            alphabet: ['a', 'b'],
+            initialState: 'S1',
+            states: [
+                { name: 'S1', isAcceptance: false, transition: "return Promise.resolve({to: 'S2'});" },
+                { name: 'S2', isAcceptance: true, isFinal: true }
+            ]
+        });
+        expect(opaque.analyze().opaque.length).to.equal(2);
+        expect(FiniteStateMachine_1.FiniteStateMachine.star(opaque)).to.be.null;
+        // missing transitions are completed against the alphabet
+        var machine = FiniteStateMachine_1.FiniteStateMachine.create({
+            name: 'Partial',
+            alphabet: ['a', 'b'],
+            initialState: 'S1',
+            states: [
+                { name: 'S1', isAcceptance: false, transitions: [{ on: 'a', to: 'S2' }] },
+                { name: 'S2', isAcceptance: true, isFinal: true }
+            ]
+        });
+        var complement = FiniteStateMachine_1.FiniteStateMachine.complement(machine);
+        expect(complement.toJson()['states']).to.deep.equal([
+            { name: 'S0', isAcceptance: true, transitions: [{ on: ['a'], to: 'S1' }, { on: ['b'], to: 'S0' }] },
+            { name: 'S1', isAcceptance: false, transitions: [{ on: ['a', 'b'], to: 'S1' }] }
+        ]);
+    });
 });
@@ -15,9 +15,23 @@
  */
 
 // Finite State Machine
-import { FiniteStateMachine, IStateOutput, IStateTransition, transFunction , IDecisionTreeAction } from "../src/FiniteStateMachine";
-
-import { Observer } from "rxjs";
+import {
+  FiniteStateMachine,
+  IStateOutput,
+  IStateTransition,
+  transFunction,
+  IDecisionTreeAction,
+  ITransitionTable,
+  ITransitionRow,
+  IMachineSnapshot,
+  IJournal,
+  IJournalEntry,
+  IAnalysis,
+  IMinimization
+} from "../src/FiniteStateMachine";
+
+import { Observer, Observable, Subject, Subscription } from "rxjs";
+import { TestScheduler } from "rxjs/testing/TestScheduler";
 
 import * as Chai from 'chai';
 
@@ -951,4 +965,2447 @@ describe('Finite State Machine', () => {
     expect(machine).to.be.null;
   });
 
+  it('rejection state is never exited', () => {
+    __machine.clear();
+
+    __machine.addState('VALID', true);
+    __machine.addState('INVALID', {rejection: true});
+
+    // a badly written transition function that attempts to leave the trap state
+    __machine.addTransition('VALID', (data: string) => {
+      return data == 'x' ? {to: 'INVALID'} : {to: 'VALID'}
+    });
+    __machine.addTransition('INVALID', (data: string) => {
+      return {to: 'VALID'}
+    });
+
+    let state: IStateOutput = __machine.next('a', 'VALID');
+    expect(state.to).to.equal('VALID');
+    expect(state.status).to.be.undefined;
+    expect(__machine.isAcceptance).to.be.true;
+    expect(__machine.isRejected).to.be.false;
+
+    state = __machine.next('x');
+    expect(state.to).to.equal('INVALID');
+    expect(__machine.isRejected).to.be.true;
+
+    const statuses: Array<string> = new Array<string>();
+    __machine.addSubscriber({
+      next: (trans: IStateTransition) => {
+        statuses.push(trans.status);
+      },
+      error: () => {
+      },
+      complete: () => {
+      }
+    });
+
+    state = __machine.next('a');
+    expect(state.to).to.equal('INVALID');
+    expect(state.data).to.equal('a');
+    expect(state.status).to.equal(FiniteStateMachine.REJECTED);
+    expect(__machine.currentState).to.equal('INVALID');
+    expect(__machine.isRejected).to.be.true;
+    expect(__machine.isAcceptance).to.be.false;
+    expect(statuses).to.eql([FiniteStateMachine.REJECTED]);
+  });
+
+  it('data-defined rejection state', () => {
+    __machine.clear();
+
+    const result: IDecisionTreeAction = __machine.fromJson({
+      name: 'Digits',
+      initialState: 'D',
+      alphabet: ['0', '1', 'x'],
+      states: [
+        {
+          name: 'D',
+          isAcceptance: true,
+          transition: "return data == '0' || data == '1' ? {to: 'D'} : {to: 'E'}"
+        },
+        {
+          name: 'E',
+          isAcceptance: false,
+          isRejection: true
+        }
+      ]
+    });
+
+    expect(result.success).to.be.true;
+    expect(__machine.numTransitions).to.equal(1);
+
+    const str: Array<string> = ['0', '1', 'x', '0', '1'];
+    let state: IStateOutput;
+
+    str.forEach( (symbol: string) => {state = __machine.next(symbol)} );
+
+    expect(state.to).to.equal('E');
+    expect(state.status).to.equal(FiniteStateMachine.REJECTED);
+    expect(__machine.isRejected).to.be.true;
+  });
+
+  it('data-defined machine with declarative transition tables', () => {
+    __machine.clear();
+
+    // the same string test as machine1, but no transition is ever evaluated as code
+    const result: IDecisionTreeAction = __machine.fromJson({
+      name: 'StringTestTable',
+      initialState: 'S1',
+      alphabet: ['a', 'b', 'c', 'd'],
+      states: [
+        {
+          name: 'S1',
+          isAcceptance: false,
+          transitions: [
+            {on: 'a', to: 'S2'}
+          ],
+          otherwise: 'S1'
+        },
+        {
+          name: 'S2',
+          isAcceptance: false,
+          transitions: [
+            {on: 'a', to: 'S2'},
+            {on: 'b', to: 'S1'},
+            {on: 'c', to: 'S4'}
+          ],
+          otherwise: 'S2'
+        },
+        {
+          name: 'S3',
+          isAcceptance: false,
+          transitions: [
+            {on: 'a', to: 'S1'},
+            {on: 'b', to: 'S4'}
+          ],
+          otherwise: 'S3'
+        },
+        {
+          name: 'S4',
+          isAcceptance: true,
+          transitions: [
+            {on: 'd', to: 'S3'},
+            {on: ['a', 'b', 'c'], to: 'S4', data: {repeat: true}}
+          ]
+        }
+      ]
+    });
+
+    expect(result.success).to.be.true;
+    expect(__machine.numTransitions).to.equal(4);
+
+    let str: Array<string> = ['a', 'b', 'a', 'c', 'd', 'a', 'a', 'c'];
+    let state: IStateOutput;
+
+    str.forEach( (symbol: string) => {state = __machine.next(symbol)} );
+    expect(__machine.isAcceptance).to.be.true;
+    expect(state.data).to.equal('c');
+
+    state = __machine.next('a');
+    expect(state.to).to.equal('S4');
+    expect(state.data.repeat).to.be.true;
+
+    str = ['a', 'a', 'a', 'a', 'c', 'd'];
+    str.forEach( (symbol: string) => {state = __machine.next(symbol)} );
+    expect(__machine.isAcceptance).to.be.false;
+
+    // no row matches and there is no 'otherwise' state
+    __machine.next('c', 'S4');
+    expect(__machine.next('x')).to.be.null;
+    expect(__machine.currentState).to.equal('S4');
+  });
+
+  it('transition tables with named guards', () => {
+    __machine.clear();
+
+    const table: ITransitionTable = {
+      transitions: [
+        {on: 'coin', to: 'PAID', guard: 'sufficient'},
+        {on: 'coin', to: 'WAIT'}
+      ]
+    };
+
+    __machine.addState('WAIT');
+    __machine.addState('PAID', true);
+
+    // guards must be defined before they are referenced
+    expect(__machine.addTransitionTable('WAIT', table)).to.be.false;
+
+    let count: number = 0;
+    __machine.addGuard('sufficient', (data: any) => ++count >= 3);
+
+    expect(__machine.addTransitionTable('WAIT', table)).to.be.true;
+    expect(__machine.addTransitionTable('WAIT', table)).to.be.false;
+    expect(__machine.addTransitionTable('PAID', {transitions: [ <ITransitionRow> {on: 'coin'} ]})).to.be.false;
+
+    expect(__machine.next('coin', 'WAIT').to).to.equal('WAIT');
+    expect(__machine.next('coin').to).to.equal('WAIT');
+    expect(__machine.next('coin').to).to.equal('PAID');
+    expect(__machine.isAcceptance).to.be.true;
+
+    // factory with guards
+    const machine: FiniteStateMachine = FiniteStateMachine.create({
+      name: 'Guarded',
+      initialState: 'A',
+      alphabet: ['1', '2'],
+      states: [
+        {name: 'A', isAcceptance: false, transitions: [{on: ['1', '2'], to: 'B', guard: 'odd'}], otherwise: 'A'},
+        {name: 'B', isAcceptance: true, transitions: []}
+      ]
+    }, 'Guarded', {odd: (data: number) => data % 2 == 1});
+
+    expect(machine).to.not.be.null;
+    expect(machine.next(2).to).to.equal('A');
+    expect(machine.next(1).to).to.equal('B');
+    expect(machine.isAcceptance).to.be.true;
+
+    expect(FiniteStateMachine.create({
+      name: 'Unguarded',
+      alphabet: ['1'],
+      states: [
+        {name: 'A', isAcceptance: false, transitions: [{on: '1', to: 'A', guard: 'odd'}]}
+      ]
+    })).to.be.null;
+  });
+
+  it('data-defined machine with expression guards and outputs', () => {
+    __machine.clear();
+
+    let result: IDecisionTreeAction = __machine.fromJson({
+      name: 'Parking',
+      initialState: 'q',
+      alphabet: [],
+      states: [
+        {
+          name: 'q',
+          isAcceptance: false,
+          transitions: [
+            {guard: "data.amount >= 25 && state == 'q'", to: 'c', output: {change: 'data.amount - 25', from: 'state'}},
+            {to: 'q', output: '25 - data.amount'}
+          ]
+        },
+        {
+          name: 'c',
+          isAcceptance: true,
+          transitions: []
+        }
+      ]
+    });
+
+    expect(result.success).to.be.true;
+
+    let state: IStateOutput = __machine.next({amount: 10});
+    expect(state.to).to.equal('q');
+    expect(state.data).to.equal(15);
+
+    state = __machine.next({amount: 30});
+    expect(state.to).to.equal('c');
+    expect(state.data.change).to.equal(5);
+    expect(state.data.from).to.equal('q');
+    expect(__machine.isAcceptance).to.be.true;
+
+    const badRow: Object = {on: 'a', guard: 'data.amount >', to: 'q'};
+
+    __machine.clear();
+    result = __machine.fromJson({
+      name: 'Bad',
+      alphabet: ['a'],
+      states: [
+        {name: 'q', isAcceptance: false, transitions: [{on: 'a', to: 'q'}, badRow]}
+      ]
+    });
+
+    expect(result.success).to.be.false;
+    expect(result.action).to.equal(FiniteStateMachine.INVALID_EXPRESSION);
+    expect(result.node).to.equal(badRow);
+
+    // no access to globals
+    result = __machine.fromJson({
+      name: 'Bad',
+      alphabet: ['a'],
+      states: [
+        {name: 'q', isAcceptance: false, transitions: [{on: 'a', to: 'q', output: {x: 'window.location'}}]}
+      ]
+    });
+
+    expect(result.success).to.be.false;
+    expect(result.action).to.equal(FiniteStateMachine.INVALID_EXPRESSION);
+  });
+
+  it('toJson() round-trips with fromJson()', () => {
+    __machine.clear();
+    __machine.fromJson(machine2);
+
+    let data: Object = __machine.toJson();
+    expect(data).to.eql(machine2);
+
+    const machine: FiniteStateMachine = FiniteStateMachine.create(data);
+    expect(machine).to.not.be.null;
+
+    const payment: IPayment = <IPayment> machine.initialData;
+    machine.next(payment, 'q');
+    machine.next(payment, 'q');
+    expect(machine.next(payment, 'q').to).to.equal('c');
+    expect(machine.isAcceptance).to.be.true;
+
+    // tables and states added after the data definition are retained
+    __machine.clear();
+    __machine.fromJson(machine1);
+
+    __machine.addState('S5', {rejection: true});
+    __machine.addState('S6', true);
+    __machine.addTransitionTable('S6', {transitions: [{on: ['a', 'b'], to: 'S6', data: {n: 1}}], otherwise: 'S5'});
+
+    data = __machine.toJson();
+    expect(data['name']).to.equal('StringTest');
+    expect(data['initialState']).to.equal('S1');
+    expect(data['alphabet']).to.eql(['a', 'b', 'c', 'd']);
+    expect(data.hasOwnProperty('initialData')).to.be.false;
+    expect(data['states'].length).to.equal(6);
+    expect(data['states'][3]).to.eql(machine1['states'][3]);
+    expect(data['states'][4]).to.eql({name: 'S5', isAcceptance: false, isRejection: true});
+    expect(data['states'][5]).to.eql({
+      name: 'S6',
+      isAcceptance: true,
+      transitions: [{on: ['a', 'b'], to: 'S6', data: {n: 1}}],
+      otherwise: 'S5'
+    });
+
+    __machine.clear();
+    expect(__machine.fromJson(data).success).to.be.true;
+    expect(__machine.next('c', 'S6').to).to.equal('S5');
+    expect(__machine.isRejected).to.be.true;
+  });
+
+  it('toJson() reports opaque transitions', () => {
+    __machine.clear();
+
+    __machine.addState('S1', true);
+    __machine.addState('S2');
+    __machine.addTransition('S1', f1);
+    __machine.addTransition('S2', f2);
+
+    const data: Object = __machine.toJson();
+    expect(data['states']).to.eql([
+      {name: 'S1', isAcceptance: true, opaque: true},
+      {name: 'S2', isAcceptance: false, opaque: true}
+    ]);
+
+    expect(FiniteStateMachine.create(data)).to.be.null;
+  });
+
+  it('fromJson() validates the entire definition and reports every error', () => {
+    __machine.clear();
+    __machine.fromJson(machine1);
+
+    const dupState: Object  = {name: 'S1', isAcceptance: true, transition: "return {to: 'S1'}"};
+    const badBody: Object   = {name: 'S3', isAcceptance: false, transition: "return {to: 'S1'"};
+    const badTarget: Object = {name: 'S4', isAcceptance: false, transition: "return data == 'a' ? {to: 'S7'} : {to: 'S1'}"};
+    const badRow: Object    = {on: 'a', to: 'S9'};
+    const tableState: Object = {name: 'S5', isAcceptance: false, transitions: [{on: 'b', to: 'S1'}, badRow], otherwise: 'S0'};
+
+    const result: IDecisionTreeAction = __machine.fromJson({
+      name: 'Broken',
+      initialState: 'S0',
+      alphabet: ['a', 'b'],
+      states: [
+        {name: 'S1', isAcceptance: false, transition: "return {to: 'S2'}"},
+        {name: 'S2', isAcceptance: false, transition: "return {to: 'S1'}"},
+        dupState,
+        badBody,
+        badTarget,
+        tableState
+      ]
+    });
+
+    expect(result.success).to.be.false;
+    expect(result.action).to.equal(FiniteStateMachine.DUPLICATE_STATE);
+    expect(result.node).to.equal(dupState);
+
+    const errors: Array<IDecisionTreeAction> = result.errors;
+    expect(errors.length).to.equal(6);
+
+    expect(errors.map( (error: IDecisionTreeAction) => error.action )).to.eql([
+      FiniteStateMachine.DUPLICATE_STATE,
+      FiniteStateMachine.INVALID_TRANSITION,
+      FiniteStateMachine.INVALID_TARGET,
+      FiniteStateMachine.INVALID_TARGET,
+      FiniteStateMachine.INVALID_TARGET,
+      FiniteStateMachine.INVALID_INITIAL_STATE
+    ]);
+
+    expect(errors[1].node).to.equal(badBody);
+    expect(errors[2].node).to.equal(badTarget);
+    expect(errors[3].node).to.equal(badRow);
+    expect(errors[4].node).to.equal(tableState);
+    expect(errors[5].node).to.equal('S0');
+
+    // the machine is unchanged
+    expect(__machine.name).to.equal('StringTest');
+    expect(__machine.numStates).to.equal(4);
+    expect(__machine.currentState).to.equal('S1');
+    expect(__machine.alphabet).to.eql(['a', 'b', 'c', 'd']);
+  });
+
+  it('fromJson() is atomic', () => {
+    __machine.clear();
+    __machine.fromJson(machine2);
+
+    // an error late in the definition
+    const result: IDecisionTreeAction = __machine.fromJson({
+      name: 'Partial',
+      alphabet: ['a'],
+      states: [
+        {name: 'A', isAcceptance: false, transition: "return {to: 'A'}"},
+        {name: 'B', isAcceptance: true, transition: "return {to: 'A'}"}
+      ],
+      initialData: 'none'
+    });
+
+    expect(result.success).to.be.false;
+    expect(result.action).to.equal(FiniteStateMachine.INVALID_DATA);
+    expect(result.node).to.equal('none');
+    expect(result.errors.length).to.equal(1);
+
+    expect(__machine.name).to.equal('ChangeMachine');
+    expect(__machine.numStates).to.equal(5);
+    expect(__machine.numTransitions).to.equal(5);
+    expect(__machine.initialData['amt']).to.equal(0.68);
+
+    // a successful load replaces the prior definition
+    expect(__machine.fromJson(machine1).success).to.be.true;
+    expect(__machine.numStates).to.equal(4);
+    expect(__machine.initialData).to.be.null;
+    expect(__machine.currentState).to.equal('S1');
+  });
+
+  it('validateDefinition() checks data against the definition schema', () => {
+    expect(FiniteStateMachine.validateDefinition(machine1).success).to.be.true;
+    expect(FiniteStateMachine.validateDefinition(machine2).action).to.equal(FiniteStateMachine.VALID);
+    expect(FiniteStateMachine.validateDefinition(null).action).to.equal(FiniteStateMachine.NO_DATA);
+
+    // guards are not known, so a plain identifier is presumed to name a guard
+    expect(FiniteStateMachine.validateDefinition({
+      name: 'Guarded',
+      alphabet: ['1'],
+      states: [
+        {name: 'A', isAcceptance: false, transitions: [{on: '1', to: 'A', guard: 'odd'}, {to: 'A', guard: 'data > 1'}]}
+      ]
+    }).success).to.be.true;
+
+    const badState: Object = {name: 'S1', isAcceptance: 'no', transition: "return {to: 'S1'}"};
+    const extraState: Object = {name: 'S2', isAcceptance: false, transition: "return {to: 'S1'}", colour: 'red'};
+    const bothState: Object = {name: 'S3', isAcceptance: false, transition: "return {to: 'S1'}", transitions: []};
+
+    let result: IDecisionTreeAction = FiniteStateMachine.validateDefinition({
+      alphabet: ['a', 1],
+      states: [badState, extraState, bothState]
+    });
+
+    expect(result.success).to.be.false;
+    expect(result.action).to.equal(FiniteStateMachine.MISSING_PROPS);
+    expect(result.errors.map( (error: IDecisionTreeAction) => error.action )).to.eql([
+      FiniteStateMachine.MISSING_PROPS,
+      FiniteStateMachine.INVALID_DATA,
+      FiniteStateMachine.INVALID_DATA,
+      FiniteStateMachine.INVALID_DATA,
+      FiniteStateMachine.INVALID_DATA
+    ]);
+
+    expect(result.errors[1].node).to.eql(['a', 1]);
+    expect(result.errors[2].node).to.equal(badState);
+    expect(result.errors[3].node).to.equal(extraState);
+    expect(result.errors[4].node).to.equal(bothState);
+
+    result = FiniteStateMachine.validateDefinition({name: 'Empty', alphabet: [], states: []});
+    expect(result.action).to.equal(FiniteStateMachine.NO_STATE);
+
+    // structural errors are reported once the data conforms to the schema
+    result = FiniteStateMachine.validateDefinition({
+      name: 'Dup',
+      initialState: 'S2',
+      alphabet: ['a'],
+      states: [
+        {name: 'S1', isAcceptance: false, transition: "return {to: 'S1'}"},
+        {name: 'S1', isAcceptance: false, transition: "return {to: 'S1'}"}
+      ]
+    });
+
+    expect(result.errors.map( (error: IDecisionTreeAction) => error.action )).to.eql([
+      FiniteStateMachine.DUPLICATE_STATE,
+      FiniteStateMachine.INVALID_INITIAL_STATE
+    ]);
+  });
+
+  it('validateDefinition() and fromJson() agree on properties outside the schema', () => {
+    const definitions: Array<Object> = [
+      {name: 'Root', alphabet: ['a'], version: 2, states: [{name: 'S1', isAcceptance: true, transitions: [{on: 'a', to: 'S1'}]}]},
+      {name: 'Node', alphabet: ['a'], states: [{name: 'S1', isAcceptance: true, color: 'red', transitions: [{on: 'a', to: 'S1'}]}]},
+      {name: 'Row', alphabet: ['a'], states: [{name: 'S1', isAcceptance: true, transitions: [{on: 'a', to: 'S1', note: 'loop'}]}]},
+      {name: 'Delayed', alphabet: ['a'], states: [
+        {name: 'S1', isAcceptance: false, after: {ms: 10, to: 'S2', units: 'ms'}},
+        {name: 'S2', isAcceptance: true, isFinal: true}
+      ]}
+    ];
+
+    definitions.forEach( (definition: Object) => {
+      const machine: FiniteStateMachine = new FiniteStateMachine();
+
+      expect(FiniteStateMachine.validateDefinition(definition).action).to.equal(FiniteStateMachine.INVALID_DATA);
+      expect(machine.fromJson(definition).action).to.equal(FiniteStateMachine.INVALID_DATA);
+      expect(machine.numStates).to.equal(0);
+    });
+  });
+
+  it('strict mode enforces the alphabet', () => {
+    __machine.clear();
+    __machine.fromJson(machine1);
+
+    const statuses: Array<string> = new Array<string>();
+    __machine.addSubscriber({
+      next: (trans: IStateTransition) => {
+        statuses.push(trans.status);
+      },
+      error: () => {
+      },
+      complete: () => {
+      }
+    });
+
+    // not strict, so the transition function handles anything
+    expect(__machine.strict).to.be.false;
+    expect(__machine.next('x').to).to.equal('S1');
+
+    expect(__machine.setStrict(true)).to.be.true;
+    expect(__machine.next('a').to).to.equal('S2');
+
+    let state: IStateOutput = __machine.next('x');
+    expect(state.to).to.equal('S2');
+    expect(state.data).to.equal('x');
+    expect(state.status).to.equal(FiniteStateMachine.INVALID_SYMBOL);
+    expect(__machine.next({}).status).to.equal(FiniteStateMachine.INVALID_SYMBOL);
+    expect(__machine.currentState).to.equal('S2');
+
+    expect(statuses).to.eql([undefined, undefined, FiniteStateMachine.INVALID_SYMBOL, FiniteStateMachine.INVALID_SYMBOL]);
+
+    // route to an error state
+    expect(__machine.setStrict(true, 'S5')).to.be.false;
+    __machine.addState('S5', {rejection: true});
+    expect(__machine.setStrict(true, 'S5')).to.be.true;
+
+    state = __machine.next('x');
+    expect(state.to).to.equal('S5');
+    expect(state.status).to.equal(FiniteStateMachine.INVALID_SYMBOL);
+    expect(__machine.isRejected).to.be.true;
+
+    expect(__machine.toJson()['strict']).to.be.true;
+    expect(__machine.toJson()['errorState']).to.equal('S5');
+  });
+
+  it('classifier maps non-primitive input to alphabet symbols', () => {
+    __machine.clear();
+
+    __machine.addState('LOCKED');
+    __machine.addState('OPEN', true);
+    __machine.alphabet = ['coin', 'push'];
+
+    __machine.addTransitionTable('LOCKED', {transitions: [{on: 'coin', to: 'OPEN'}], otherwise: 'LOCKED'});
+    __machine.addTransitionTable('OPEN', {transitions: [{on: 'push', to: 'LOCKED'}], otherwise: 'OPEN'});
+
+    __machine.classifier = (data: any) => data.type;
+    __machine.setStrict(true);
+
+    let state: IStateOutput = __machine.next({type: 'coin', value: 25}, 'LOCKED');
+    expect(state.to).to.equal('OPEN');
+    expect(state.data.value).to.equal(25);
+
+    state = __machine.next({type: 'kick'});
+    expect(state.status).to.equal(FiniteStateMachine.INVALID_SYMBOL);
+    expect(__machine.currentState).to.equal('OPEN');
+
+    expect(__machine.next({type: 'push'}).to).to.equal('LOCKED');
+
+    // data-defined strict mode
+    __machine.clear();
+    expect(__machine.classifier).to.be.null;
+
+    const definition: Object = {
+      name: 'Binary',
+      initialState: 'S1',
+      alphabet: ['0', '1'],
+      strict: true,
+      errorState: 'E',
+      states: [
+        {name: 'S1', isAcceptance: true, transitions: [{on: '0', to: 'S2'}], otherwise: 'S1'},
+        {name: 'S2', isAcceptance: false, transitions: [{on: '0', to: 'S1'}], otherwise: 'S2'},
+        {name: 'E', isAcceptance: false, isRejection: true}
+      ]
+    };
+
+    expect(FiniteStateMachine.validateDefinition(definition).success).to.be.true;
+    expect(__machine.fromJson(definition).success).to.be.true;
+    expect(__machine.strict).to.be.true;
+    expect(__machine.errorState).to.equal('E');
+
+    [0, 1, 0].forEach( (bit: number) => {__machine.next(bit)} );
+    expect(__machine.isAcceptance).to.be.true;
+
+    expect(__machine.next(2).to).to.equal('E');
+    expect(__machine.isRejected).to.be.true;
+
+    definition['errorState'] = 'S3';
+    expect(FiniteStateMachine.validateDefinition(definition).action).to.equal(FiniteStateMachine.INVALID_TARGET);
+  });
+
+  it('multiple guarded transitions per state', () => {
+    __machine.clear();
+
+    __machine.addState('S1');
+    __machine.addState('S2');
+    __machine.addState('S3');
+    __machine.addState('S4', true);
+
+    // machine test #2 without the ternary chains
+    const toS1: transFunction = () => ({to: 'S1'});
+    const toS2: transFunction = () => ({to: 'S2'});
+    const toS3: transFunction = () => ({to: 'S3'});
+    const toS4: transFunction = () => ({to: 'S4'});
+
+    expect(__machine.addTransition('S1', toS2, {on: 'a'})).to.be.true;
+    expect(__machine.addTransition('S1', toS1)).to.be.true;
+
+    expect(__machine.addTransition('S2', toS2, {on: 'a'})).to.be.true;
+    expect(__machine.addTransition('S2', toS1, {on: 'b'})).to.be.true;
+    expect(__machine.addTransition('S2', toS4, {on: 'c'})).to.be.true;
+    expect(__machine.addTransition('S2', toS2)).to.be.true;
+
+    expect(__machine.addTransition('S3', toS1, {on: 'a'})).to.be.true;
+    expect(__machine.addTransition('S3', toS4, {on: 'b'})).to.be.true;
+    expect(__machine.addTransition('S3', toS3)).to.be.true;
+
+    expect(__machine.addTransition('S4', toS3, {on: 'd'})).to.be.true;
+    expect(__machine.addTransition('S4', toS4)).to.be.true;
+
+    // the single-function form still allows only one transition
+    expect(__machine.addTransition('S4', toS4)).to.be.false;
+    expect(__machine.numTransitions).to.equal(11);
+
+    let str: Array<string> = ['a', 'b', 'a', 'c', 'd', 'a', 'a', 'c'];
+    __machine.next(str[0], 'S1');
+    str.slice(1).forEach( (symbol: string) => {__machine.next(symbol)} );
+    expect(__machine.isAcceptance).to.be.true;
+
+    str = ['a', 'a', 'a', 'a', 'c', 'd'];
+    __machine.next(str[0], 'S1');
+    str.slice(1).forEach( (symbol: string) => {__machine.next(symbol)} );
+    expect(__machine.isAcceptance).to.be.false;
+
+    expect(__machine.toJson()['states'][0]['opaque']).to.be.true;
+  });
+
+  it('guarded transitions are evaluated in priority order with a conflict policy', () => {
+    __machine.clear();
+
+    __machine.addState('WAIT');
+    __machine.addState('SMALL');
+    __machine.addState('LARGE');
+
+    __machine.addTransition('WAIT', () => ({to: 'SMALL'}), {guard: (data: number) => data > 0});
+    __machine.addTransition('WAIT', () => ({to: 'LARGE'}), {guard: (data: number) => data > 100, priority: 1});
+
+    expect(__machine.next(5, 'WAIT').to).to.equal('SMALL');
+    expect(__machine.next(500, 'WAIT').to).to.equal('LARGE');
+    expect(__machine.next(-1, 'WAIT')).to.be.null;
+
+    expect(__machine.conflictPolicy).to.equal(FiniteStateMachine.FIRST_MATCH);
+    __machine.conflictPolicy = FiniteStateMachine.THROW_ON_CONFLICT;
+
+    // a lower-priority match is not a conflict
+    expect(__machine.next(500, 'WAIT').to).to.equal('LARGE');
+
+    __machine.addTransition('WAIT', () => ({to: 'WAIT'}), {on: ['1000', '2000'], priority: 1});
+    expect( () => __machine.next(1000, 'WAIT') ).to.throw(Error);
+    expect(__machine.currentState).to.equal('WAIT');
+
+    __machine.conflictPolicy = FiniteStateMachine.FIRST_MATCH;
+    expect(__machine.next(1000, 'WAIT').to).to.equal('LARGE');
+  });
+
+  it('entry, exit and transition actions run in order', () => {
+    __machine.clear();
+
+    const log: Array<string> = new Array<string>();
+
+    __machine.addState('IDLE', {onExit: () => {log.push('exit IDLE')}});
+    __machine.addState('RUN', {
+      onEnter: (t: IStateTransition) => {log.push('enter RUN from ' + t.from + ', now ' + __machine.currentState)},
+      onExit: () => {log.push('exit RUN')}
+    });
+
+    __machine.addTransition('IDLE', () => ({to: 'RUN'}), {on: 'go', action: () => {log.push('go')}});
+    __machine.addTransition('RUN', (data: string) => ({to: data == 'stop' ? 'IDLE' : 'RUN'}));
+
+    expect(__machine.addTransitionAction('IDLE', 'RUN', () => {log.push('IDLE->RUN')})).to.be.true;
+    expect(__machine.addTransitionAction('IDLE', 'NONE', () => {log.push('none')})).to.be.false;
+
+    __machine.next('go', 'IDLE');
+    expect(log).to.deep.equal(['exit IDLE', 'go', 'IDLE->RUN', 'enter RUN from IDLE, now RUN']);
+
+    // self-transition exits and re-enters the state
+    log.length = 0;
+    __machine.next('again');
+    expect(log).to.deep.equal(['exit RUN', 'enter RUN from RUN, now RUN']);
+
+    // no transition, no actions
+    log.length = 0;
+    __machine.next('other', 'IDLE');
+    expect(log.length).to.equal(0);
+  });
+
+  it('data-defined machine with named actions', () => {
+    __machine.clear();
+
+    const log: Array<string> = new Array<string>();
+
+    __machine.addAction('beep', () => {log.push('beep')});
+    __machine.addAction('lightOn', () => {log.push('light on')});
+    __machine.addAction('lightOff', () => {log.push('light off')});
+
+    const data: Object = {
+      name: 'Lamp',
+      alphabet: ['toggle'],
+      initialState: 'OFF',
+      states: [
+        {name: 'OFF', isAcceptance: true, transitions: [{on: 'toggle', to: 'ON', action: 'beep'}]},
+        {name: 'ON', isAcceptance: false, onEnter: 'lightOn', onExit: ['lightOff'],
+         transition: "return {to: 'OFF', actions: ['beep']};"}
+      ]
+    };
+
+    expect(FiniteStateMachine.validateDefinition(data).success).to.be.true;
+    expect(__machine.fromJson(data).success).to.be.true;
+
+    __machine.next('toggle');
+    __machine.next('toggle');
+    expect(log).to.deep.equal(['beep', 'light on', 'light off', 'beep']);
+
+    const json: Object = __machine.toJson();
+    expect(json['states'][1]['onEnter']).to.deep.equal(['lightOn']);
+    expect(json['states'][0]['transitions'][0]['action']).to.equal('beep');
+
+    // action names must be registered
+    const bad: Object = JSON.parse(JSON.stringify(data));
+    bad['states'][1]['onEnter'] = 'flash';
+
+    const result: IDecisionTreeAction = __machine.fromJson(bad);
+    expect(result.success).to.be.false;
+    expect(result.action).to.equal(FiniteStateMachine.INVALID_ACTION);
+
+    // an unknown name in transition output is an error before any state change
+    __machine.addState('A');
+    __machine.addState('B');
+    __machine.addTransition('A', () => ({to: 'B', actions: ['flash']}));
+    expect( () => __machine.next('x', 'A') ).to.throw(Error);
+    expect(__machine.currentState).to.equal('A');
+  });
+
+  it('machine context is initialized from initial data and updated by transitions', () => {
+    __machine.clear();
+
+    const data: Object = {
+      name: 'Payment',
+      alphabet: [],
+      initialState: 'paying',
+      initialData: {due: 40, change: 0, coins: 0},
+      states: [
+        {
+          name: 'paying',
+          isAcceptance: false,
+          transitions: [
+            {guard: 'data >= context.due', to: 'paid', context: {change: 'data - context.due', due: '0', coins: 'context.coins + 1'}},
+            {to: 'paying', context: {due: 'context.due - data', coins: 'context.coins + 1'}}
+          ]
+        },
+        {
+          name: 'paid',
+          isAcceptance: true,
+          transition: "return {to: 'paying', context: {due: data, change: 0, coins: 0}};"
+        }
+      ]
+    };
+
+    expect(FiniteStateMachine.validateDefinition(data).success).to.be.true;
+    expect(__machine.fromJson(data).success).to.be.true;
+    expect(__machine.context).to.deep.equal({due: 40, change: 0, coins: 0});
+
+    const transitions: Array<IStateTransition> = new Array<IStateTransition>();
+    __machine.addSubscriber( {
+      next: (transition: IStateTransition) => {transitions.push(transition)},
+      error: () => {},
+      complete: () => {}
+    });
+
+    __machine.next(25);
+    __machine.next(25);
+    expect(__machine.currentState).to.equal('paid');
+    expect(__machine.context).to.deep.equal({due: 0, change: 10, coins: 2});
+
+    expect(transitions[0].contextBefore).to.deep.equal({due: 40, change: 0, coins: 0});
+    expect(transitions[0].contextAfter).to.deep.equal({due: 15, change: 0, coins: 1});
+    expect(transitions[1].contextBefore).to.deep.equal(transitions[0].contextAfter);
+
+    __machine.next(30);
+    expect(__machine.context).to.deep.equal({due: 30, change: 0, coins: 0});
+
+    // the context may not be altered outside of a transition
+    __machine.context['due'] = 1;
+    expect(__machine.context['due']).to.equal(30);
+
+    __machine.reset();
+    expect(__machine.currentState).to.equal('paying');
+    expect(__machine.context).to.deep.equal({due: 40, change: 0, coins: 0});
+
+    // context expressions are validated
+    const bad: Object = JSON.parse(JSON.stringify(data));
+    bad['states'][0]['transitions'][1]['context']['due'] = 'context.due -';
+    expect(__machine.fromJson(bad).action).to.equal(FiniteStateMachine.INVALID_EXPRESSION);
+  });
+
+  it('transition functions and guards receive the context', () => {
+    __machine.clear();
+
+    __machine.addState('COUNT');
+    __machine.addState('DONE', true);
+    __machine.initialData = {count: 0};
+
+    __machine.addTransition('COUNT', () => ({to: 'DONE'}), {guard: (data: any, state: string, context: Object) => context['count'] == 2});
+    __machine.addTransition('COUNT', (data: any, state: string, context: Object) => {
+      const count: number = context['count'];
+
+      // the machine's context is unaffected
+      context['count'] = -1;
+
+      return {to: 'COUNT', context: {count: count + 1, last: data}};
+    });
+
+    __machine.next('a', 'COUNT');
+    expect(__machine.context).to.deep.equal({count: 1, last: 'a'});
+
+    __machine.next('b');
+    __machine.next('c');
+    expect(__machine.currentState).to.equal('DONE');
+    expect(__machine.context).to.deep.equal({count: 2, last: 'b'});
+
+    __machine.reset();
+    expect(__machine.context).to.deep.equal({count: 0});
+  });
+
+  it('transitions and observers may not alter a nested context', () => {
+    __machine.clear();
+
+    __machine.addState('S1');
+    __machine.addState('S2', {acceptance: true});
+    __machine.initialData = {items: ['a'], nested: {n: 1}};
+
+    __machine.addTransition('S1', (data: any, state: string, context: Object) => {
+      context['items'].push('x');
+      context['nested']['n'] = 2;
+
+      return {to: 'S2', context: {last: data}};
+    }, {guard: (data: any, state: string, context: Object) => {
+      context['items'].push('guard');
+      return true;
+    }});
+
+    __machine.addSubscriber({
+      next: (transition: IStateTransition) => {
+        transition.contextBefore['items'].push('before');
+        transition.contextAfter['nested']['n'] = 99;
+      },
+      error: () => {},
+      complete: () => {}
+    });
+
+    __machine.next('a', 'S1');
+
+    expect(__machine.currentState).to.equal('S2');
+    expect(__machine.context).to.deep.equal({items: ['a'], nested: {n: 1}, last: 'a'});
+  });
+
+  it('hierarchical states', () => {
+    __machine.clear();
+
+    const log: Array<string> = new Array<string>();
+    const logger: Function   = (entry: string) => () => {log.push(entry)};
+
+    __machine.addState('idle');
+    __machine.addState('checkout', {onEnter: logger('enter checkout'), onExit: logger('exit checkout')});
+    __machine.addState('cart', {parent: 'checkout'});
+    __machine.addState('payment', {parent: 'checkout', initial: 'cardEntry', onExit: logger('exit payment')});
+    __machine.addState('address', {parent: 'checkout.payment'});
+    __machine.addState('cardEntry', {parent: 'checkout.payment', onEnter: logger('enter cardEntry')});
+    __machine.addState('bad.name', {parent: 'checkout'});
+    __machine.addState('orphan', {parent: 'none'});
+
+    expect(__machine.numStates).to.equal(6);
+    expect(__machine.states.next().value).to.equal('idle');
+
+    __machine.addTransition('idle', () => ({to: 'checkout'}), {on: 'start'});
+    __machine.addTransition('checkout.cart', () => ({to: 'checkout.payment'}), {on: 'pay'});
+    __machine.addTransition('checkout', () => ({to: 'idle'}), {on: 'cancel'});
+    __machine.addTransition('checkout.payment', () => ({to: 'checkout.payment'}), {on: 'retry'});
+
+    const paths: Array<string> = new Array<string>();
+    __machine.addSubscriber( {
+      next: (transition: IStateTransition) => {paths.push(transition.from + ' -> ' + transition.to)},
+      error: () => {},
+      complete: () => {}
+    });
+
+    // entering a compound state enters its initial child
+    __machine.next('start', 'idle');
+    expect(__machine.currentState).to.equal('checkout.cart');
+
+    __machine.next('pay');
+    expect(__machine.currentState).to.equal('checkout.payment.cardEntry');
+    expect(log).to.deep.equal(['enter checkout', 'enter cardEntry']);
+
+    // a transition of an ancestor applies to its descendants
+    log.length = 0;
+    __machine.next('retry');
+    expect(__machine.currentState).to.equal('checkout.payment.cardEntry');
+    expect(log).to.deep.equal(['exit payment', 'enter cardEntry']);
+
+    log.length = 0;
+    __machine.next('cancel');
+    expect(__machine.currentState).to.equal('idle');
+    expect(log).to.deep.equal(['exit payment', 'exit checkout']);
+
+    expect(paths).to.deep.equal([
+      'idle -> checkout.cart',
+      'checkout.cart -> checkout.payment.cardEntry',
+      'checkout.payment.cardEntry -> checkout.payment.cardEntry',
+      'checkout.payment.cardEntry -> idle'
+    ]);
+
+    // the innermost transition is preferred
+    __machine.addTransition('checkout.payment.address', () => ({to: 'checkout.payment.cardEntry'}), {on: 'cancel'});
+    expect(__machine.next('cancel', 'checkout.payment.address').to).to.equal('checkout.payment.cardEntry');
+    expect(__machine.next('unknown')).to.be.null;
+  });
+
+  it('data-defined hierarchical states', () => {
+    __machine.clear();
+
+    const data: Object = {
+      name: 'Workflow',
+      alphabet: ['start', 'next', 'cancel', 'timeout'],
+      initialState: 'idle',
+      states: [
+        {name: 'idle', isAcceptance: true, transitions: [{on: 'start', to: 'wizard'}]},
+        {
+          name: 'wizard',
+          isAcceptance: false,
+          transitions: [{on: ['cancel', 'timeout'], to: 'idle'}],
+          states: [
+            {name: 'step1', isAcceptance: false, transitions: [{on: 'next', to: 'wizard.step2'}]},
+            {
+              name: 'step2',
+              isAcceptance: false,
+              initial: 'review',
+              states: [
+                {name: 'edit', isAcceptance: false},
+                {name: 'review', isAcceptance: false, transitions: [{on: 'next', to: 'wizard.step2.edit'}]}
+              ]
+            }
+          ]
+        }
+      ]
+    };
+
+    expect(FiniteStateMachine.validateDefinition(data).success).to.be.true;
+    expect(__machine.fromJson(data).success).to.be.true;
+    expect(__machine.numStates).to.equal(6);
+
+    __machine.next('start');
+    expect(__machine.currentState).to.equal('wizard.step1');
+
+    __machine.next('next');
+    expect(__machine.currentState).to.equal('wizard.step2.review');
+
+    __machine.next('next');
+    expect(__machine.currentState).to.equal('wizard.step2.edit');
+
+    expect(__machine.next('timeout').to).to.equal('idle');
+
+    // compound initial state
+    __machine.next('x', 'wizard.step2');
+    expect(__machine.currentState).to.equal('wizard.step2.review');
+
+    expect(__machine.toJson()).to.deep.equal(data);
+
+    const bad: Object = JSON.parse(JSON.stringify(data));
+    bad['states'][1]['states'][1]['initial'] = 'none';
+    bad['states'][1]['states'][0]['name']    = 'step.1';
+
+    const result: IDecisionTreeAction = __machine.fromJson(bad);
+    expect(result.success).to.be.false;
+    expect(result.errors.map( (error: IDecisionTreeAction) => error.action )).to.deep.equal([
+      FiniteStateMachine.INVALID_DATA,
+      FiniteStateMachine.INVALID_INITIAL_STATE
+    ]);
+
+    expect(FiniteStateMachine.validateDefinition(bad).success).to.be.false;
+  });
+
+  it('parallel regions', () => {
+    __machine.clear();
+
+    const log: Array<string> = new Array<string>();
+
+    __machine.addState('off');
+    __machine.addState('screen', {parallel: true, onEnter: () => {log.push('enter screen')}, onExit: () => {log.push('exit screen')}});
+    __machine.addState('connection', {parent: 'screen'});
+    __machine.addState('offline', {parent: 'screen.connection'});
+    __machine.addState('online', {parent: 'screen.connection', acceptance: true});
+    __machine.addState('form', {parent: 'screen'});
+    __machine.addState('invalid', {parent: 'screen.form'});
+    __machine.addState('valid', {parent: 'screen.form', acceptance: true, onEnter: () => {log.push('enter valid')}});
+    __machine.addState('mode', {parent: 'screen', acceptance: true});
+    __machine.addState('bad,name');
+
+    __machine.addTransition('off', () => ({to: 'screen'}), {on: 'open'});
+    __machine.addTransition('screen.connection.offline', () => ({to: 'screen.connection.online'}), {on: 'connect'});
+    __machine.addTransition('screen.connection.online', () => ({to: 'screen.connection.offline'}), {on: 'disconnect'});
+    __machine.addTransition('screen.form.invalid', () => ({to: 'screen.form.valid'}), {on: ['fix', 'connect']});
+    __machine.addTransition('screen', () => ({to: 'off'}), {on: ['close', 'fix']});
+
+    let transitions: number = 0;
+    __machine.addSubscriber( {
+      next: () => {transitions++},
+      error: () => {},
+      complete: () => {}
+    });
+
+    __machine.next('open', 'off');
+    expect(__machine.currentState).to.equal('screen.connection.offline,screen.form.invalid,screen.mode');
+    expect(__machine.activeStates.length).to.equal(3);
+    expect(__machine.isAcceptance).to.be.false;
+
+    // every region receives the input
+    const output: IStateOutput = __machine.next('connect');
+    expect(output.to).to.equal('screen.connection.online,screen.form.valid,screen.mode');
+    expect(transitions).to.equal(3);
+    expect(log).to.deep.equal(['enter screen', 'enter valid']);
+    expect(__machine.isAcceptance).to.be.true;
+
+    __machine.next('disconnect');
+    expect(__machine.currentState).to.equal('screen.connection.offline,screen.form.valid,screen.mode');
+    expect(__machine.isAcceptance).to.be.false;
+
+    expect(__machine.regionAcceptance).to.equal(FiniteStateMachine.ALL_REGIONS);
+    __machine.regionAcceptance = FiniteStateMachine.ANY_REGION;
+    expect(__machine.isAcceptance).to.be.true;
+
+    // the parallel state transitions only if no region does
+    __machine.next('fix');
+    expect(__machine.currentState).to.equal('off');
+    expect(log[log.length - 1]).to.equal('exit screen');
+
+    // entering a region state enters the other regions in their initial states
+    __machine.next('x', 'screen.form.valid');
+    expect(__machine.currentState).to.equal('screen.connection.offline,screen.form.valid,screen.mode');
+  });
+
+  it('data-defined parallel regions', () => {
+    __machine.clear();
+
+    const data: Object = {
+      name: 'Editor',
+      alphabet: ['edit', 'save', 'error', 'reset'],
+      initialState: 'editor',
+      regionAcceptance: 'any',
+      states: [
+        {
+          name: 'editor',
+          isAcceptance: false,
+          parallel: true,
+          transitions: [{on: 'reset', to: 'editor'}],
+          states: [
+            {
+              name: 'mode',
+              isAcceptance: false,
+              states: [
+                {name: 'view', isAcceptance: true, transitions: [{on: 'edit', to: 'editor.mode.edit'}]},
+                {name: 'edit', isAcceptance: false, transitions: [{on: 'save', to: 'editor.mode.view'}]}
+              ]
+            },
+            {
+              name: 'status',
+              isAcceptance: false,
+              states: [
+                {name: 'ok', isAcceptance: false, transitions: [{on: 'error', to: 'editor.status.failed'}]},
+                {name: 'failed', isAcceptance: false, isRejection: true}
+              ]
+            }
+          ]
+        }
+      ]
+    };
+
+    expect(FiniteStateMachine.validateDefinition(data).success).to.be.true;
+    expect(__machine.fromJson(data).success).to.be.true;
+    expect(__machine.currentState).to.equal('editor.mode.view,editor.status.ok');
+    expect(__machine.isAcceptance).to.be.true;
+
+    __machine.next('edit');
+    __machine.next('error');
+    expect(__machine.currentState).to.equal('editor.mode.edit,editor.status.failed');
+    expect(__machine.isAcceptance).to.be.false;
+    expect(__machine.isRejected).to.be.false;
+
+    // a region in a rejection state is frozen, and so are its ancestors
+    __machine.next('save');
+    expect(__machine.currentState).to.equal('editor.mode.view,editor.status.failed');
+    expect(__machine.next('reset')).to.be.null;
+
+    expect(__machine.toJson()).to.deep.equal(data);
+
+    const bad: Object = JSON.parse(JSON.stringify(data));
+    bad['states'][0]['initial'] = 'mode';
+    expect(__machine.fromJson(bad).action).to.equal(FiniteStateMachine.INVALID_DATA);
+  });
+
+  it('final states complete the machine with output', () => {
+    __machine.clear();
+
+    const data: Object = JSON.parse(JSON.stringify(machine2));
+    data['states'][4] = {name: 'c', isAcceptance: true, isFinal: true, output: {change: 'data.change', quarters: 'data.q'}};
+
+    expect(FiniteStateMachine.validateDefinition(data).success).to.be.true;
+    expect(__machine.fromJson(data).success).to.be.true;
+
+    const notifications: Array<IStateTransition> = new Array<IStateTransition>();
+    let completed: boolean = false;
+
+    __machine.addSubscriber( {
+      next: (transition: IStateTransition) => {notifications.push(transition)},
+      error: () => {},
+      complete: () => {completed = true}
+    });
+
+    const payment: IPayment = <IPayment> __machine.initialData;
+
+    __machine.next(payment, 'q');
+    __machine.next(payment, 'q');
+    expect(__machine.isDone).to.be.false;
+    expect(__machine.output).to.be.undefined;
+
+    const state: IStateOutput = __machine.next(payment, 'q');
+    expect(state.to).to.equal('c');
+    expect(__machine.isDone).to.be.true;
+    expect(__machine.output['quarters']).to.equal(3);
+    expect(Math.abs(__machine.output['change'] - 0.07) < 0.001).to.be.true;
+
+    const done: IStateTransition = notifications[notifications.length - 1];
+    expect(done.status).to.equal(FiniteStateMachine.DONE);
+    expect(done.data).to.deep.equal(__machine.output);
+    expect(completed).to.be.true;
+
+    // no further transitions
+    const terminated: IStateOutput = __machine.next(payment, 'q');
+    expect(terminated.status).to.equal(FiniteStateMachine.TERMINATED);
+    expect(terminated.to).to.equal('c');
+    expect(notifications[notifications.length - 1]).to.equal(done);
+
+    expect(__machine.toJson()['states'][4]).to.deep.equal(data['states'][4]);
+
+    // output is only allowed for a final state and must be valid
+    const bad: Object = JSON.parse(JSON.stringify(data));
+    bad['states'][4]['output'] = 'data.change +';
+    expect(__machine.fromJson(bad).action).to.equal(FiniteStateMachine.INVALID_EXPRESSION);
+
+    delete bad['states'][4]['isFinal'];
+    expect(__machine.fromJson(bad).action).to.equal(FiniteStateMachine.INVALID_DATA);
+  });
+
+  it('final states in code and reset', () => {
+    __machine.clear();
+
+    __machine.addState('A');
+    __machine.addState('B', {final: true, output: (data: any, context: Object) => data + context['suffix']});
+    __machine.addTransition('A', (data: string) => ({to: 'B'}));
+    __machine.initialData = {suffix: '!'};
+
+    expect(__machine.next('done', 'A').to).to.equal('B');
+    expect(__machine.isDone).to.be.true;
+    expect(__machine.output).to.equal('done!');
+    expect(__machine.toJson()['states'][1]['opaque']).to.be.true;
+
+    __machine.next('again', 'A');
+    expect(__machine.currentState).to.equal('B');
+
+    // a machine that is done is restarted by reset() with a new subject
+    let count: number = 0;
+
+    __machine.reset();
+    __machine.addSubscriber( {
+      next: () => {count++},
+      error: () => {},
+      complete: () => {}
+    });
+
+    expect(__machine.isDone).to.be.false;
+    expect(__machine.output).to.be.undefined;
+
+    __machine.next('again', 'A');
+    expect(__machine.output).to.equal('again!');
+    expect(count).to.equal(2);
+  });
+
+  it('asynchronous transitions are queued and notify observers after they resolve', (done: Function) => {
+    __machine.clear();
+
+    const resolvers: Array<Function> = new Array<Function>();
+    const notifications: Array<string> = new Array<string>();
+
+    __machine.addState('IDLE');
+    __machine.addState('VALID');
+    __machine.addState('INVALID');
+
+    // validation lookup resolves later
+    __machine.addTransition('IDLE', (data: string) => new Promise<IStateOutput>( (resolve: Function) => {
+      resolvers.push( () => resolve({to: data == 'ok' ? 'VALID' : 'INVALID', data: data.toUpperCase()}) );
+    }));
+
+    __machine.addTransition('VALID', (data: string) => Observable.of({to: 'IDLE'}));
+    __machine.addTransition('INVALID', () => ({to: 'IDLE'}));
+
+    __machine.addSubscriber( {
+      next: (transition: IStateTransition) => {notifications.push(transition.from + ' -> ' + transition.to)},
+      error: () => {},
+      complete: () => {}
+    });
+
+    const first: Promise<IStateOutput> = __machine.nextAsync('ok', 'IDLE');
+    const second: Promise<IStateOutput> = __machine.nextAsync('reset');
+
+    expect(__machine.isPending).to.be.true;
+    expect(notifications.length).to.equal(0);
+    expect( () => __machine.next('x') ).to.throw(Error);
+
+    first.then( (output: IStateOutput) => {
+      expect(output.to).to.equal('VALID');
+      expect(output.data).to.equal('OK');
+      expect(notifications[0]).to.equal('IDLE -> VALID');
+
+      return second;
+    })
+    .then( (output: IStateOutput) => {
+      expect(output.to).to.equal('IDLE');
+      expect(notifications).to.deep.equal(['IDLE -> VALID', 'VALID -> IDLE']);
+      expect(__machine.isPending).to.be.false;
+
+      // a synchronous transition that returns a Promise requires nextAsync()
+      expect( () => __machine.next('bad', 'IDLE') ).to.throw(Error);
+      expect(__machine.currentState).to.equal('IDLE');
+
+      done();
+    })
+    .catch( (error: any) => done(error) );
+
+    resolvers[0]();
+  });
+
+  it('asynchronous transitions may be cancelled', (done: Function) => {
+    __machine.clear();
+
+    __machine.addState('IDLE');
+    __machine.addState('BUSY');
+
+    const lookups: Array<Subject<IStateOutput>> = new Array<Subject<IStateOutput>>();
+
+    __machine.addTransition('IDLE', () => {
+      lookups.push(new Subject<IStateOutput>());
+      return lookups[lookups.length - 1];
+    });
+    __machine.addTransition('BUSY', () => Promise.reject(new Error('lookup failed')));
+
+    const first: Promise<IStateOutput> = __machine.nextAsync('a', 'IDLE');
+    const second: Promise<IStateOutput> = __machine.nextAsync('b');
+    const third: Promise<IStateOutput> = __machine.nextAsync('c');
+
+    expect(lookups[0].observers.length).to.equal(1);
+    expect(__machine.cancel()).to.be.true;
+    expect(lookups[0].observers.length).to.equal(0);
+
+    // the next input is in flight
+    expect(lookups[1].observers.length).to.equal(1);
+
+    first.then( (output: IStateOutput) => {
+      expect(output.status).to.equal(FiniteStateMachine.CANCELLED);
+      expect(output.to).to.equal('IDLE');
+
+      lookups[1].next({to: 'BUSY'});
+      expect(lookups[1].observers.length).to.equal(0);
+
+      return second;
+    })
+    .then( (output: IStateOutput) => {
+      expect(output.to).to.equal('BUSY');
+      return third;
+    })
+    .then( () => done(new Error('a failed transition rejects')), (error: Error) => {
+      expect(error.message).to.equal('lookup failed');
+      expect(__machine.currentState).to.equal('BUSY');
+
+      const fourth: Promise<IStateOutput> = __machine.nextAsync('d', 'IDLE');
+      const fifth: Promise<IStateOutput>  = __machine.nextAsync('e');
+
+      expect(__machine.cancel(true)).to.be.true;
+      expect(__machine.cancel()).to.be.false;
+
+      return Promise.all([fourth, fifth]);
+    })
+    .then( (outputs: Array<IStateOutput>) => {
+      expect(outputs.map( (output: IStateOutput) => output.status )).to.deep.equal([FiniteStateMachine.CANCELLED, FiniteStateMachine.CANCELLED]);
+      done();
+    })
+    .catch( (error: any) => done(error) );
+  });
+
+  it('a failed or cancelled transition leaves every parallel region as it was', (done: Function) => {
+    __machine.clear();
+
+    const lookups: Array<Subject<IStateOutput>> = new Array<Subject<IStateOutput>>();
+    const notifications: Array<string> = new Array<string>();
+
+    __machine.addState('screen', {parallel: true});
+    __machine.addState('left', {parent: 'screen'});
+    __machine.addState('idle', {parent: 'screen.left'});
+    __machine.addState('busy', {parent: 'screen.left'});
+    __machine.addState('right', {parent: 'screen'});
+    __machine.addState('idle', {parent: 'screen.right'});
+    __machine.addState('busy', {parent: 'screen.right'});
+
+    __machine.addTransition('screen.left.idle', () => ({to: 'screen.left.busy'}), {on: 'go'});
+    __machine.addTransition('screen.right.idle', () => {
+      const lookup: Subject<IStateOutput> = new Subject<IStateOutput>();
+      lookups.push(lookup);
+
+      return lookup;
+    }, {on: 'go'});
+
+    __machine.addSubscriber( {
+      next: (transition: IStateTransition) => {notifications.push(transition.from + ' -> ' + transition.to)},
+      error: () => {},
+      complete: () => {}
+    });
+
+    __machine.journaling = true;
+
+    // the left region has resolved, but is not applied while the right region is in flight
+    const first: Promise<IStateOutput> = __machine.nextAsync('go', 'screen');
+
+    expect(__machine.currentState).to.equal('screen.left.idle,screen.right.idle');
+    expect(notifications.length).to.equal(0);
+
+    expect(__machine.cancel()).to.be.true;
+
+    first.then( (output: IStateOutput) => {
+      expect(output.status).to.equal(FiniteStateMachine.CANCELLED);
+      expect(__machine.currentState).to.equal('screen.left.idle,screen.right.idle');
+      expect(notifications.length).to.equal(0);
+      expect(__machine.getJournal().entries.length).to.equal(0);
+
+      const second: Promise<IStateOutput> = __machine.nextAsync('go');
+      lookups[1].error(new Error('lookup failed'));
+
+      return second;
+    })
+    .then( () => {throw new Error('a failed transition rejects')}, (error: Error) => {
+      expect(error.message).to.equal('lookup failed');
+      expect(__machine.currentState).to.equal('screen.left.idle,screen.right.idle');
+      expect(notifications.length).to.equal(0);
+
+      // every region transitions once all of them have resolved
+      const third: Promise<IStateOutput> = __machine.nextAsync('go');
+      lookups[2].next({to: 'screen.right.busy'});
+
+      return third;
+    })
+    .then( (output: IStateOutput) => {
+      expect(output.to).to.equal('screen.left.busy,screen.right.busy');
+      expect(notifications).to.deep.equal([
+        'screen.left.idle,screen.right.idle -> screen.left.busy,screen.right.idle',
+        'screen.left.busy,screen.right.idle -> screen.left.busy,screen.right.busy'
+      ]);
+
+      const journal: IJournal = __machine.getJournal();
+      expect(journal.entries.length).to.equal(1);
+      expect(journal.entries[0].to).to.equal('screen.left.busy,screen.right.busy');
+
+      done();
+    })
+    .catch( (error: any) => done(error) );
+  });
+
+  it('timed transitions are armed on entry and cancelled on exit', () => {
+    __machine.clear();
+
+    const scheduler: TestScheduler = new TestScheduler( (actual: any, expected: any) => {expect(actual).to.deep.equal(expected)} );
+    scheduler.maxFrames = Number.POSITIVE_INFINITY;     // virtual time is not limited to a single marble diagram
+
+    __machine.scheduler = scheduler;
+
+    __machine.addState('idle');
+    __machine.addState('editing', {after: {ms: 300, to: 'idle', data: 'debounced'}});
+    __machine.addState('saved', {after: [{ms: 100, to: 'idle'}, {ms: 500, to: 'editing'}]});
+
+    __machine.addTransition('idle', (data: string): IStateOutput => ({to: data == 'save' ? 'saved' : 'editing'}));
+    __machine.addTransition('editing', (data: string): IStateOutput => ({to: data == 'save' ? 'saved' : 'editing'}));
+
+    const times: Array<string> = new Array<string>();
+
+    __machine.addSubscriber( {
+      next: (transition: IStateTransition) => {times.push(scheduler.now() + ':' + transition.to + ':' + transition.data)},
+      error: () => {},
+      complete: () => {}
+    });
+
+    // each key re-enters the editing state, which re-arms its timer
+    scheduler.schedule( () => {__machine.next('key', 'idle')}, 0 );
+    scheduler.schedule( () => {__machine.next('key')}, 200 );
+    scheduler.schedule( () => {__machine.next('key')}, 400 );
+    scheduler.flush();
+
+    expect(times).to.deep.equal(['0:editing:null', '200:editing:null', '400:editing:null', '700:idle:debounced']);
+    expect(__machine.currentState).to.equal('idle');
+
+    // exiting the state before a timer fires cancels it; only the shorter of two timers fires
+    times.length = 0;
+
+    scheduler.schedule( () => {__machine.next('key')}, 100 );
+    scheduler.schedule( () => {__machine.next('save')}, 200 );
+    scheduler.flush();
+
+    expect(times).to.deep.equal(['800:editing:null', '900:saved:null', '1000:idle:null']);
+
+    // clearing the machine cancels armed timers and restores the default scheduler
+    __machine.next('save');
+    __machine.clear();
+    scheduler.flush();
+
+    expect(times.length).to.equal(4);
+    expect(__machine.scheduler).to.not.equal(scheduler);
+  });
+
+  it('data-defined timed transitions', () => {
+    __machine.clear();
+
+    const scheduler: TestScheduler = new TestScheduler( (actual: any, expected: any) => {expect(actual).to.deep.equal(expected)} );
+    scheduler.maxFrames = Number.POSITIVE_INFINITY;     // virtual time is not limited to a single marble diagram
+
+    __machine.scheduler = scheduler;
+
+    const data: Object = {
+      name: 'session',
+      alphabet: ['activity', 'logout'],
+      initialState: 'active',
+      states: [
+        {name: 'active', isAcceptance: false, after: {ms: 600, to: 'expired'}, transitions: [
+          {on: 'activity', to: 'active'},
+          {on: 'logout', to: 'ended'}
+        ]},
+        {name: 'expired', isAcceptance: false, after: [{ms: 200, to: 'ended', data: 'timeout'}]},
+        {name: 'ended', isAcceptance: true, isFinal: true}
+      ]
+    };
+
+    expect(FiniteStateMachine.validateDefinition(data).success).to.be.true;
+    expect(__machine.fromJson(data).success).to.be.true;
+
+    const notifications: Array<IStateTransition> = new Array<IStateTransition>();
+
+    __machine.addSubscriber( {
+      next: (transition: IStateTransition) => {notifications.push(transition)},
+      error: () => {},
+      complete: () => {}
+    });
+
+    scheduler.schedule( () => {__machine.next('activity')}, 500 );
+    scheduler.flush();
+
+    expect(notifications.map( (transition: IStateTransition): string => transition.to )).to.deep.equal(['active', 'expired', 'ended', 'ended']);
+    expect(notifications[2].data).to.equal('timeout');
+    expect(notifications[3].status).to.equal(FiniteStateMachine.DONE);
+    expect(scheduler.now()).to.equal(1300);
+
+    // reset arms the timer of the initial state
+    __machine.reset();
+    expect(__machine.currentState).to.equal('active');
+
+    scheduler.flush();
+    expect(__machine.currentState).to.equal('ended');
+
+    const exported: Object = __machine.toJson();
+    expect(exported['states'][0]['after']).to.deep.equal({ms: 600, to: 'expired'});
+    expect(exported['states'][1]['after']).to.deep.equal({ms: 200, to: 'ended', data: 'timeout'});
+    expect(exported['states'][1].hasOwnProperty('transition')).to.be.false;
+    expect(FiniteStateMachine.validateDefinition(exported).success).to.be.true;
+
+    const bad: Object = JSON.parse(JSON.stringify(data));
+    bad['states'][1]['after'][0]['to'] = 'missing';
+    expect(FiniteStateMachine.validateDefinition(bad).action).to.equal(FiniteStateMachine.INVALID_TARGET);
+
+    bad['states'][1]['after'] = {ms: -1, to: 'ended'};
+    expect(FiniteStateMachine.validateDefinition(bad).action).to.equal(FiniteStateMachine.INVALID_DATA);
+  });
+
+  it('an error in a timed transition is emitted by error$ and observers are still notified', () => {
+    __machine.clear();
+
+    const scheduler: TestScheduler = new TestScheduler( (actual: any, expected: any) => {expect(actual).to.deep.equal(expected)} );
+    scheduler.maxFrames = Number.POSITIVE_INFINITY;
+
+    __machine.scheduler = scheduler;
+    __machine.addAction('alarm', () => {throw new Error('alarm failed')});
+
+    expect(__machine.fromJson({
+      name: 'alarm',
+      alphabet: ['start'],
+      initialState: 'idle',
+      states: [
+        {name: 'idle', isAcceptance: false, transitions: [{on: 'start', to: 'waiting'}]},
+        {name: 'waiting', isAcceptance: false, after: {ms: 100, to: 'expired'}},
+        {name: 'expired', isAcceptance: false, onEnter: 'alarm', transitions: []}
+      ]
+    }).success).to.be.true;
+
+    const errors: Array<string> = new Array<string>();
+    __machine.error$.subscribe( (error: Error) => {errors.push(error.message)} );
+
+    const states: Array<string> = new Array<string>();
+    const observed: Array<string> = new Array<string>();
+    const observer: Observer<IStateTransition> = {
+      next: (transition: IStateTransition) => {states.push(transition.to)},
+      error: (error: Error) => {observed.push(error.message)},
+      complete: () => {}
+    };
+
+    __machine.addSubscriber(observer);
+    __machine.next('start');
+
+    // the scheduler does not throw
+    expect( () => scheduler.flush() ).to.not.throw();
+    expect(errors).to.deep.equal(['alarm failed']);
+    expect(observed.length).to.equal(0);
+
+    // observers are notified of later transitions
+    __machine.reset();
+    __machine.next('start');
+
+    expect(states).to.deep.equal(['waiting', 'waiting']);
+  });
+
+  it('connect() drives the machine from an input stream', () => {
+    __machine.clear();
+
+    const data: Object = JSON.parse(JSON.stringify(machine2));
+    data['initialState'] = 'q';
+
+    expect(__machine.fromJson(data).success).to.be.true;
+
+    const payment: IPayment = <IPayment> __machine.initialData;
+    const input$: Subject<IPayment> = new Subject<IPayment>();
+
+    const states: Array<string> = new Array<string>();
+    __machine.state$.subscribe( (state: string) => {states.push(state)} );
+
+    const connection: Subscription = __machine.connect(input$);
+
+    input$.next(payment);
+    expect(payment.q).to.equal(1);
+
+    // disconnected streams no longer drive the machine
+    connection.unsubscribe();
+    input$.next(payment);
+    expect(payment.q).to.equal(1);
+
+    // an error of a stream disconnects only that stream and is reported to its handler (or error$)
+    const errors: Array<string> = new Array<string>();
+    const observed: Array<string> = new Array<string>();
+
+    __machine.addSubscriber( {next: () => {}, error: (error: string) => {observed.push(error)}, complete: () => {}} );
+    __machine.error$.subscribe( (error: string) => {errors.push('error$: ' + error)} );
+
+    const failing: Subject<IPayment> = new Subject<IPayment>();
+    const failed: Subscription = __machine.connect(failing, (error: string) => {errors.push('handler: ' + error)});
+
+    failing.error('error');
+    __machine.connect(Observable.throw('unhandled'));
+
+    expect(failed.closed).to.be.true;
+    expect(errors).to.deep.equal(['handler: error', 'error$: unhandled']);
+    expect(observed.length).to.equal(0);
+
+    // completion of the stream does not affect the machine
+    __machine.connect(Observable.of(payment, payment));
+    expect(payment.q).to.equal(3);
+    expect(__machine.currentState).to.equal('c');
+    expect(states).to.deep.equal(['q', 'c']);
+
+    __machine.connect(input$);
+    expect(input$.observers.length).to.equal(1);
+
+    __machine.clear();
+    expect(input$.observers.length).to.equal(0);
+  });
+
+  it('state$ emits the current state on subscription and each state change', () => {
+    __machine.clear();
+
+    __machine.addState('a');
+    __machine.addState('b');
+    __machine.addTransition('a', (data: string): IStateOutput => ({to: data}));
+    __machine.addTransition('b', (data: string): IStateOutput => ({to: data}));
+
+    const early: Array<string> = new Array<string>();
+    __machine.state$.subscribe( (state: string) => {early.push(state)} );
+
+    __machine.next('b', 'a');
+    __machine.next('b');
+
+    const late: Array<string> = new Array<string>();
+    __machine.state$.subscribe( (state: string) => {late.push(state)} );
+
+    __machine.next('a');
+    __machine.next('a', 'b');
+
+    // a self-transition does not change the state
+    expect(early).to.deep.equal([FiniteStateMachine.NO_STATE, 'a', 'b', 'a', 'b', 'a']);
+    expect(late).to.deep.equal(['b', 'a', 'b', 'a']);
+  });
+
+  it('subscriptions return handles and may be filtered', () => {
+    __machine.clear();
+
+    __machine.addState('idle');
+    __machine.addState('checkout');
+    __machine.addState('cart', {parent: 'checkout'});
+    __machine.addState('payment', {parent: 'checkout', acceptance: true});
+    __machine.addState('trap', {rejection: true});
+
+    __machine.addTransition('idle', () => ({to: 'checkout'}), {on: 'start'});
+    __machine.addTransition('checkout.cart', () => ({to: 'checkout.payment'}), {on: 'pay'});
+    __machine.addTransition('checkout', () => ({to: 'idle'}), {on: 'cancel'});
+    __machine.addTransition('checkout', () => ({to: 'trap'}), {on: 'fraud'});
+
+    const log: Array<string> = new Array<string>();
+    const logger: Function   = (entry: string) => (transition: IStateTransition) => {log.push(entry + ' ' + transition.to)};
+
+    const all: Subscription = __machine.addSubscriber( {
+      next: <any> logger('all'),
+      error: () => {},
+      complete: () => {}
+    });
+
+    const enter: Subscription = __machine.onEnter('checkout', <any> logger('enter checkout'));
+    __machine.onExit('checkout.cart', <any> logger('exit cart'));
+    __machine.onTransition('checkout.cart', 'checkout.payment', <any> logger('cart to payment'));
+    __machine.onAccept(<any> logger('accept'));
+    __machine.onReject(<any> logger('reject'));
+
+    expect(__machine.addSubscriber(null)).to.be.null;
+
+    __machine.next('start', 'idle');
+    expect(log).to.deep.equal(['all checkout.cart', 'enter checkout checkout.cart']);
+
+    // a transition between children does not enter their parent
+    log.length = 0;
+    __machine.next('pay');
+    expect(log).to.deep.equal([
+      'all checkout.payment',
+      'exit cart checkout.payment',
+      'cart to payment checkout.payment',
+      'accept checkout.payment'
+    ]);
+
+    // unsubscribed observers are detached without altering the machine
+    all.unsubscribe();
+    enter.unsubscribe();
+
+    log.length = 0;
+    __machine.next('cancel');
+    __machine.next('start');
+    __machine.next('pay');
+    expect(log).to.deep.equal(['exit cart checkout.payment', 'cart to payment checkout.payment', 'accept checkout.payment']);
+    expect(__machine.numStates).to.equal(5);
+
+    log.length = 0;
+    __machine.next('fraud');
+    __machine.next('start');
+    expect(log).to.deep.equal(['reject trap', 'reject trap']);
+  });
+
+  it('snapshot and restore of runtime state', () => {
+    __machine.clear();
+
+    const scheduler: TestScheduler = new TestScheduler( (actual: any, expected: any) => {expect(actual).to.deep.equal(expected)} );
+    scheduler.maxFrames = Number.POSITIVE_INFINITY;
+
+    const data: Object = {
+      name: 'workflow',
+      alphabet: ['next', 'back'],
+      initialState: 'profile',
+      initialData: {steps: 0},
+      states: [
+        {name: 'profile', isAcceptance: false, transitions: [{on: 'next', to: 'review', context: {steps: 'context.steps + 1'}}]},
+        {name: 'review', isAcceptance: false, after: {ms: 1000, to: 'expired'}, transitions: [
+          {on: 'next', to: 'submitted', context: {steps: 'context.steps + 1'}},
+          {on: 'back', to: 'profile'}
+        ]},
+        {name: 'expired', isAcceptance: false, isRejection: true},
+        {name: 'submitted', isAcceptance: true, isFinal: true, output: 'context.steps'}
+      ]
+    };
+
+    __machine.scheduler = scheduler;
+    expect(__machine.fromJson(data).success).to.be.true;
+
+    // the snapshot is taken before the timed transition fires, and it survives serialization
+    let snapshot: IMachineSnapshot;
+
+    __machine.next('next');
+    scheduler.schedule( () => {snapshot = JSON.parse(JSON.stringify(__machine.getSnapshot()))}, 400 );
+    scheduler.flush();
+
+    expect(__machine.currentState).to.equal('expired');
+    expect(snapshot.name).to.equal('workflow');
+    expect(snapshot.state).to.equal('review');
+    expect(snapshot.context).to.deep.equal({steps: 1});
+    expect(snapshot.isAcceptance).to.be.false;
+    expect(snapshot.done).to.be.false;
+    expect(snapshot.timers).to.deep.equal([{state: 'review', index: 0, remaining: 600}]);
+
+    // a new machine from the same definition resumes with the time that remained
+    const machine: FiniteStateMachine = new FiniteStateMachine();
+    machine.scheduler = scheduler;
+    expect(machine.fromJson(data).success).to.be.true;
+
+    const states: Array<string> = new Array<string>();
+    machine.state$.subscribe( (state: string) => {states.push(state)} );
+
+    expect(machine.restore(snapshot).success).to.be.true;
+    expect(machine.currentState).to.equal('review');
+    expect(machine.context).to.deep.equal({steps: 1});
+
+    const start: number = scheduler.now();
+    scheduler.flush();
+    expect(scheduler.now() - start).to.equal(600);
+    expect(machine.currentState).to.equal('expired');
+    expect(states).to.deep.equal(['profile', 'review', 'expired']);
+
+    // completion is restored
+    __machine.reset();
+    __machine.next('next');
+    __machine.next('next');
+    expect(__machine.isDone).to.be.true;
+
+    expect(machine.restore(__machine.getSnapshot()).success).to.be.true;
+    expect(machine.isDone).to.be.true;
+    expect(machine.output).to.equal(2);
+    expect(machine.next('back').status).to.equal(FiniteStateMachine.TERMINATED);
+
+    machine.reset();
+    expect(machine.currentState).to.equal('profile');
+
+    // the snapshot is validated before the machine is altered
+    expect(machine.restore(null).action).to.equal(FiniteStateMachine.NO_DATA);
+    expect(machine.restore(<IMachineSnapshot> {state: 'review'}).action).to.equal(FiniteStateMachine.INVALID_DATA);
+
+    const bad: IMachineSnapshot = JSON.parse(JSON.stringify(snapshot));
+    bad.state = 'missing';
+    expect(machine.restore(bad).action).to.equal(FiniteStateMachine.INVALID_STATE);
+
+    bad.state = 'profile';
+    const result: IDecisionTreeAction = machine.restore(bad);
+    expect(result.action).to.equal(FiniteStateMachine.INVALID_STATE);
+    expect(result.node).to.deep.equal(snapshot.timers[0]);
+
+    bad.timers[0].remaining = -1;
+    expect(machine.restore(bad).action).to.equal(FiniteStateMachine.INVALID_DATA);
+    expect(machine.currentState).to.equal('profile');
+  });
+
+  it('snapshots share no nested context with the machine', () => {
+    __machine.clear();
+
+    expect(__machine.fromJson({
+      name: 'cart',
+      alphabet: ['add'],
+      initialState: 'open',
+      initialData: {cart: {items: ['book']}},
+      states: [{name: 'open', isAcceptance: false, transitions: [{on: 'add', to: 'open'}]}]
+    }).success).to.be.true;
+
+    const snapshot: IMachineSnapshot = __machine.getSnapshot();
+    snapshot.context['cart'].items.push('pen');
+
+    expect(__machine.context).to.deep.equal({cart: {items: ['book']}});
+    expect(__machine.getSnapshot().context).to.deep.equal({cart: {items: ['book']}});
+
+    // nor does a restored machine share the context of its snapshot
+    expect(__machine.restore(snapshot).success).to.be.true;
+    snapshot.context['cart'].items.push('lamp');
+
+    expect(__machine.context).to.deep.equal({cart: {items: ['book', 'pen']}});
+  });
+
+  it('snapshots hold the journal as history, which restore() continues', () => {
+    const data: Object = {
+      name: 'steps',
+      alphabet: ['next'],
+      initialState: 'one',
+      states: [
+        {name: 'one', isAcceptance: false, transitions: [{on: 'next', to: 'two'}]},
+        {name: 'two', isAcceptance: false, transitions: [{on: 'next', to: 'three'}]},
+        {name: 'three', isAcceptance: true, transitions: [{on: 'next', to: 'one'}]}
+      ]
+    };
+
+    const source: FiniteStateMachine = new FiniteStateMachine();
+    expect(source.fromJson(data).success).to.be.true;
+
+    // there is no history until the journal has entries
+    source.journaling = true;
+    expect(source.getSnapshot().history).to.be.undefined;
+
+    source.next('next');
+    source.next('next');
+
+    const snapshot: IMachineSnapshot = JSON.parse(JSON.stringify(source.getSnapshot()));
+    expect(snapshot.history).to.deep.equal(source.getJournal());
+    expect(snapshot.history.entries.map( (entry: IJournalEntry): string => entry.to )).to.deep.equal(['two', 'three']);
+
+    // a machine without a journal continues the history of the snapshot
+    const machine: FiniteStateMachine = new FiniteStateMachine();
+    expect(machine.fromJson(data).success).to.be.true;
+    expect(machine.restore(snapshot).success).to.be.true;
+
+    expect(machine.journaling).to.be.true;
+    expect(machine.currentState).to.equal('three');
+    expect(machine.getJournal()).to.deep.equal(snapshot.history);
+
+    machine.next('next');
+    expect(machine.getJournal().entries.map( (entry: IJournalEntry): string => entry.to )).to.deep.equal(['two', 'three', 'one']);
+
+    // the states between restored entries are unknown, so only new entries (and the first) can be undone
+    expect(machine.undo()).to.be.true;
+    expect(machine.currentState).to.equal('three');
+    expect(machine.undo()).to.be.false;
+
+    expect(machine.restore(Object.assign({}, snapshot, {history: {entries: []}})).action).to.equal(FiniteStateMachine.INVALID_DATA);
+  });
+
+  it('journal records inputs and timed transitions and may be replayed', () => {
+    __machine.clear();
+
+    const scheduler: TestScheduler = new TestScheduler( (actual: any, expected: any) => {expect(actual).to.deep.equal(expected)} );
+    scheduler.maxFrames = Number.POSITIVE_INFINITY;
+
+    const data: Object = {
+      name: 'door',
+      alphabet: ['open', 'close', 'lock'],
+      initialState: 'closed',
+      states: [
+        {name: 'closed', isAcceptance: true, transitions: [{on: 'open', to: 'opened'}, {on: 'lock', to: 'locked', data: 'locked'}]},
+        {name: 'opened', isAcceptance: false, after: {ms: 100, to: 'closed', data: 'auto'}, transitions: [{on: 'close', to: 'closed'}]},
+        {name: 'locked', isAcceptance: false, transitions: [{on: 'open', to: 'locked', output: "'still locked'"}]}
+      ]
+    };
+
+    __machine.scheduler = scheduler;
+    expect(__machine.fromJson(data).success).to.be.true;
+    expect(__machine.journaling).to.be.false;
+    expect(__machine.getJournal()).to.be.null;
+
+    __machine.journaling = true;
+
+    scheduler.schedule( () => {__machine.next('open')}, 10 );
+    scheduler.schedule( () => {__machine.next('close')}, 50 );
+    scheduler.schedule( () => {__machine.next('lock')}, 60 );
+    scheduler.schedule( () => {__machine.next('open', 'opened')}, 70 );
+    scheduler.flush();
+
+    const journal: IJournal = JSON.parse(JSON.stringify(__machine.getJournal()));
+
+    expect(journal.name).to.equal('door');
+    expect(journal.initial.state).to.equal('closed');
+    expect(journal.entries).to.deep.equal([
+      {input: 'open', from: 'closed', to: 'opened', data: 'open', timestamp: 10},
+      {input: 'close', from: 'opened', to: 'closed', data: 'close', timestamp: 50},
+      {input: 'lock', from: 'closed', to: 'locked', data: 'locked', timestamp: 60},
+      {input: 'open', initialState: 'opened', from: 'locked', to: 'opened', timestamp: 70},
+      {timer: {state: 'opened', index: 0}, from: 'opened', to: 'closed', data: 'auto', timestamp: 170}
+    ]);
+
+    // replay into a fresh machine
+    const machine: FiniteStateMachine = FiniteStateMachine.create(data);
+    machine.journaling = true;
+
+    expect(machine.replay(journal).success).to.be.true;
+    expect(machine.currentState).to.equal('closed');
+    expect(machine.getJournal().entries.map( (entry: IJournalEntry): string => entry.to )).to.deep.equal(['opened', 'closed', 'locked', 'opened', 'closed']);
+
+    // a changed definition diverges from the journal
+    const changed: Object = JSON.parse(JSON.stringify(data));
+    changed['states'][0]['transitions'][1]['to'] = 'opened';
+
+    const result: IDecisionTreeAction = FiniteStateMachine.create(changed).replay(journal);
+    expect(result.success).to.be.false;
+    expect(result.action).to.equal(FiniteStateMachine.DIVERGED);
+    expect(result.node['index']).to.equal(2);
+    expect(result.node['actual'].to).to.equal('opened');
+    expect(result.node['expected'].to).to.equal('locked');
+
+    expect(machine.replay(null).action).to.equal(FiniteStateMachine.NO_DATA);
+  });
+
+  it('journal records inputs to nextAsync() and replayAsync() replays them', (done: Function) => {
+    const data: Object = {
+      name: 'loader',
+      alphabet: ['load', 'back', 'fail'],
+      initialState: 'idle',
+      initialData: {pages: 0},
+      states: [
+        {name: 'idle', isAcceptance: false, transition: "if (data == 'fail') { return Promise.reject('offline'); } return Promise.resolve({to: 'loaded', data: 'page', context: {pages: context.pages + 1}});"},
+        {name: 'loaded', isAcceptance: true, transitions: [{on: 'back', to: 'idle'}]}
+      ]
+    };
+
+    const machine: FiniteStateMachine = new FiniteStateMachine();
+    expect(machine.fromJson(data).success).to.be.true;
+
+    machine.journaling = true;
+
+    machine.nextAsync('load').then( () => {
+      machine.next('back');
+
+      return machine.nextAsync('load');
+    })
+    .then( () => {
+      machine.next('back');
+
+      // a failed transition is not recorded
+      return machine.nextAsync('fail').then( () => {throw new Error('transition should fail')}, () => {} );
+    })
+    .then( () => {
+      const journal: IJournal = machine.getJournal();
+
+      expect(journal.entries.map( (entry: IJournalEntry): string => entry.from + ' -> ' + entry.to )).to.deep.equal([
+        'idle -> loaded',
+        'loaded -> idle',
+        'idle -> loaded',
+        'loaded -> idle'
+      ]);
+
+      expect(journal.entries[0].async).to.be.true;
+      expect(journal.entries[0].data).to.equal('page');
+      expect(journal.entries[1].async).to.be.undefined;
+
+      // undo steps through the asynchronous transitions
+      expect(machine.undo()).to.be.true;
+      expect(machine.undo()).to.be.true;
+      expect(machine.currentState).to.equal('idle');
+      expect(machine.context).to.deep.equal({pages: 1});
+
+      expect(machine.redo()).to.be.true;
+      expect(machine.currentState).to.equal('loaded');
+      expect(machine.context).to.deep.equal({pages: 2});
+
+      // replay() sends every input to next(), which does not process asynchronous transitions
+      const copy: FiniteStateMachine = new FiniteStateMachine();
+      expect(copy.fromJson(data).success).to.be.true;
+      expect( () => copy.replay(journal) ).to.throw(Error);
+
+      return copy.replayAsync(journal).then( (result: IDecisionTreeAction) => {
+        expect(result.success).to.be.true;
+        expect(copy.currentState).to.equal('idle');
+        expect(copy.context).to.deep.equal({pages: 2});
+      });
+    })
+    .then( () => done() )
+    .catch( (error: any) => done(error) );
+  });
+
+  it('undo and redo step through the journal', () => {
+    __machine.clear();
+
+    __machine.addState('a');
+    __machine.addState('b');
+    __machine.addState('c');
+    __machine.addTransition('a', (data: string): IStateOutput => ({to: data, context: {last: 'a'}}));
+    __machine.addTransition('b', (data: string): IStateOutput => ({to: data, context: {last: 'b'}}));
+
+    expect(__machine.undo()).to.be.false;
+
+    __machine.next('a', 'a');
+    __machine.journaling = true;
+
+    __machine.next('b');
+    __machine.next('c');
+    expect(__machine.redo()).to.be.false;
+
+    const states: Array<string> = new Array<string>();
+    __machine.state$.subscribe( (state: string) => {states.push(state)} );
+
+    expect(__machine.undo()).to.be.true;
+    expect(__machine.currentState).to.equal('b');
+    expect(__machine.context).to.deep.equal({last: 'a'});
+
+    expect(__machine.undo()).to.be.true;
+    expect(__machine.undo()).to.be.false;
+    expect(__machine.currentState).to.equal('a');
+
+    expect(__machine.redo()).to.be.true;
+    expect(__machine.currentState).to.equal('b');
+    expect(__machine.getJournal().entries.length).to.equal(1);
+
+    // a new entry discards entries that could be redone
+    __machine.next('a');
+    expect(__machine.redo()).to.be.false;
+    expect(__machine.getJournal().entries.map( (entry: IJournalEntry): string => entry.to )).to.deep.equal(['b', 'a']);
+    expect(states).to.deep.equal(['c', 'b', 'a', 'b', 'a']);
+
+    // the journal restarts on reset and is discarded when disabled
+    __machine.reset();
+    expect(__machine.getJournal().entries.length).to.equal(0);
+
+    __machine.journaling = false;
+    expect(__machine.getJournal()).to.be.null;
+  });
+
+  it('instances share a frozen definition', () => {
+    __machine.clear();
+
+    const data: Object = JSON.parse(JSON.stringify(machine2));
+    data['initialState'] = 'q';
+
+    const definition: FiniteStateMachine = FiniteStateMachine.compile(data, 'change');
+    expect(definition.isFrozen).to.be.true;
+    expect(FiniteStateMachine.compile({name: 'bad'})).to.be.null;
+
+    const first: FiniteStateMachine  = definition.createInstance();
+    const second: FiniteStateMachine = definition.createInstance();
+
+    expect(first.isFrozen).to.be.true;
+    expect(first.name).to.equal('change');
+    expect(first.numStates).to.equal(definition.numStates);
+    expect(first.currentState).to.equal('q');
+
+    // each instance has its own state, context and subscribers
+    const notifications: Array<string> = new Array<string>();
+    first.onEnter('c', () => {notifications.push('first')});
+    second.onEnter('c', () => {notifications.push('second')});
+
+    const payment: IPayment = <IPayment> first.initialData;
+    payment.amt = 0.25;
+
+    expect(first.next(payment).to).to.equal('c');
+    expect(first.isAcceptance).to.be.true;
+    expect(second.currentState).to.equal('q');
+    expect(second.isAcceptance).to.be.false;
+    expect(definition.currentState).to.equal('q');
+    expect(notifications).to.deep.equal(['first']);
+
+    // the definition may not be altered through any machine that shares it
+    expect( () => first.addState('x') ).to.throw(Error);
+    expect( () => definition.addTransition('p', () => ({to: 'q'})) ).to.throw(Error);
+    expect( () => second.fromJson(data) ).to.throw(Error);
+    expect( () => {second.alphabet = []} ).to.throw(Error);
+
+    // a machine that is cleared no longer shares the definition
+    second.clear();
+    expect(second.isFrozen).to.be.false;
+    expect(second.numStates).to.equal(0);
+    expect(first.numStates).to.equal(5);
+
+    // any machine may share its definition, which freezes it
+    expect(__machine.fromJson(data).success).to.be.true;
+    expect(__machine.isFrozen).to.be.false;
+
+    const instance: FiniteStateMachine = __machine.createInstance();
+    expect(__machine.isFrozen).to.be.true;
+    expect(instance.toJson()).to.deep.equal(__machine.toJson());
+
+    __machine.clear();
+    expect(__machine.isFrozen).to.be.false;
+    expect(instance.numStates).to.equal(5);
+  });
+
+  it('instances keep the compiled definition after the source machine is cleared', () => {
+    const source: FiniteStateMachine = new FiniteStateMachine();
+
+    source.alphabet   = ['a'];
+    source.classifier = (data: any): string => data.kind;
+
+    source.addState('A');
+    source.addState('B', {after: {ms: 100, to: 'A', data: {reason: 'idle'}}});
+    source.addTransitionTable('A', {transitions: [{on: 'a', to: 'B'}]});
+
+    const instance: FiniteStateMachine = source.createInstance();
+
+    expect(instance.next({kind: 'a'}, 'A').to).to.equal('B');
+
+    // table transitions classify input with the classifier of the definition they belong to
+    source.clear();
+    expect(instance.next({kind: 'a'}, 'A').to).to.equal('B');
+
+    // nested structures of a shared definition are frozen as well
+    const def: any = (<any> instance)._def;
+
+    expect( () => def.states.add('C') ).to.throw(Error);
+    expect( () => def.tables.delete('A') ).to.throw(Error);
+    expect( () => def.delayed.get('B')[0].data.reason = 'busy' ).to.throw(Error);
+    expect(instance.numStates).to.equal(2);
+  });
+
+  it('analysis reports reachability, dead states and missing transitions', () => {
+    __machine.clear();
+
+    const data: Object = {
+      name: 'analysis',
+      alphabet: ['a', 'b'],
+      initialState: 'S1',
+      states: [
+        {name: 'S1', isAcceptance: false, transitions: [{on: 'a', to: 'S2'}]},
+        {name: 'S2', isAcceptance: false, transitions: [{on: 'a', to: 'S3'}, {on: 'b', to: 'S2'}]},
+        {name: 'S3', isAcceptance: true, transitions: [{on: ['a', 'b'], to: 'S3'}]},
+        {name: 'S4', isAcceptance: false, transitions: [{on: 'a', to: 'S5'}, {on: 'b', to: 'S4'}]},
+        {name: 'S5', isAcceptance: false, isRejection: true}
+      ]
+    };
+
+    expect(__machine.fromJson(data).success).to.be.true;
+
+    const analysis: IAnalysis = __machine.analyze();
+
+    expect(analysis.initial).to.deep.equal(['S1']);
+    expect(analysis.transitions).to.deep.include({from: 'S2', on: 'a', to: 'S3'});
+    expect(analysis.transitions.length).to.equal(7);
+    expect(analysis.unreachable).to.deep.equal(['S4', 'S5']);
+    expect(analysis.dead).to.deep.equal(['S4', 'S5']);
+    expect(analysis.missing).to.deep.equal([{state: 'S1', on: 'b'}]);
+    expect(analysis.nondeterministic).to.deep.equal([]);
+    expect(analysis.opaque).to.deep.equal([]);
+    expect(analysis.acceptanceReachable).to.be.true;
+
+    // reachability from another state
+    const fromS4: IAnalysis = __machine.analyze('S4');
+    expect(fromS4.unreachable).to.deep.equal(['S1', 'S2', 'S3']);
+    expect(fromS4.acceptanceReachable).to.be.false;
+
+    // the structured result survives serialization
+    expect(JSON.parse(JSON.stringify(analysis))).to.deep.equal(analysis);
+  });
+
+  it('analysis of hierarchical, guarded, timed and asynchronous transitions', () => {
+    __machine.clear();
+
+    __machine.alphabet = ['go', 'stop'];
+
+    __machine.addState('idle');
+    __machine.addState('running');
+    __machine.addState('fast', {parent: 'running'});
+    __machine.addState('slow', {parent: 'running', after: {ms: 100, to: 'idle'}});
+    __machine.addState('done', {acceptance: true, final: true});
+    __machine.addState('remote');
+
+    __machine.addTransition('idle', () => ({to: 'running'}), {on: 'go'});
+    __machine.addTransition('idle', () => ({to: 'remote'}), {on: 'go'});
+    __machine.addTransition('idle', () => null);
+    __machine.addTransition('running', () => ({to: 'done'}), {on: 'stop'});
+    __machine.addTransition('running.fast', () => ({to: 'running.slow'}), {on: 'go'});
+    __machine.addTransition('remote', () => Promise.resolve({to: 'done'}));
+
+    const analysis: IAnalysis = __machine.analyze('idle');
+
+    // entering a compound state enters its initial child
+    expect(analysis.transitions).to.deep.include({from: 'idle', on: 'go', to: 'running.fast'});
+    expect(analysis.transitions).to.deep.include({from: 'running.slow', on: null, to: 'idle'});
+    expect(analysis.transitions).to.deep.include({from: 'running.slow', on: 'stop', to: 'done'});
+
+    expect(analysis.nondeterministic).to.deep.equal([{state: 'idle', on: 'go'}]);
+    expect(analysis.missing).to.deep.equal([{state: 'idle', on: 'stop'}, {state: 'running.slow', on: 'go'}]);
+    expect(analysis.opaque).to.deep.equal([{state: 'remote', on: 'go'}, {state: 'remote', on: 'stop'}]);
+    expect(analysis.unreachable).to.deep.equal(['remote']);
+    expect(analysis.dead).to.deep.equal(['remote']);
+    expect(analysis.acceptanceReachable).to.be.true;
+
+    // there is no initial state
+    expect(__machine.analyze().unreachable.length).to.equal(5);
+  });
+
+  it('minimize merges equivalent states', () => {
+    __machine.clear();
+
+    const rows: Function = (zero: string, one: string): Array<Object> => [{on: '0', to: zero}, {on: '1', to: one}];
+
+    const data: Object = {
+      name: 'Textbook',
+      alphabet: ['0', '1'],
+      initialState: 'a',
+      states: [
+        {name: 'a', isAcceptance: false, transitions: rows('b', 'c')},
+        {name: 'b', isAcceptance: false, transitions: rows('a', 'd')},
+        {name: 'c', isAcceptance: true, transitions: rows('e', 'f')},
+        {name: 'd', isAcceptance: true, transitions: rows('e', 'f')},
+        {name: 'e', isAcceptance: true, transitions: rows('e', 'f')},
+        {name: 'f', isAcceptance: false, transitions: [{on: '1', to: 'f'}]},
+        {name: 'g', isAcceptance: true, transitions: rows('a', 'g')}
+      ]
+    };
+
+    expect(__machine.fromJson(data).success).to.be.true;
+
+    const result: IMinimization = __machine.minimize();
+
+    expect(result.mapping).to.deep.equal({a: 'a', b: 'a', c: 'c', d: 'c', e: 'c', f: 'f', g: null});
+
+    const minimized: FiniteStateMachine = result.machine;
+
+    expect(minimized).to.not.equal(__machine);
+    expect(minimized.name).to.equal('Textbook');
+    expect(minimized.numStates).to.equal(3);
+    expect(minimized.initialState).to.equal('a');
+    expect(Array.from(minimized.states)).to.deep.equal(['a', 'c', 'f']);
+    expect(minimized.alphabet).to.deep.equal(['0', '1']);
+
+    // the same sequences are accepted
+    ['', '0', '1', '01', '0010', '1111', '10', '0101'].forEach( (word: string) =>
+    {
+      __machine.reset();
+      minimized.reset();
+
+      word.split('').forEach( (symbol: string) => {
+        __machine.next(symbol);
+        minimized.next(symbol);
+      });
+
+      expect(minimized.isAcceptance).to.equal(__machine.isAcceptance);
+      expect(minimized.currentState).to.equal(result.mapping[__machine.currentState]);
+    });
+
+    // the minimized machine is already minimal
+    const again: IMinimization = minimized.minimize();
+    expect(again.machine.numStates).to.equal(3);
+    expect(again.mapping).to.deep.equal({a: 'a', c: 'c', f: 'f'});
+  });
+
+  it('minimize requires a deterministic machine with an alphabet', () => {
+    __machine.clear();
+
+    __machine.addState('S1');
+    __machine.addState('S2', {acceptance: true});
+    __machine.addTransition('S1', () => ({to: 'S2'}));
+
+    expect(__machine.minimize('S1')).to.be.null;
+
+    __machine.alphabet = ['a'];
+    expect(__machine.minimize()).to.be.null;
+    expect(__machine.minimize('S1').machine.numStates).to.equal(2);
+
+    __machine.addTransition('S2', () => ({to: 'S1'}), {on: 'a'});
+    __machine.addTransition('S2', () => ({to: 'S2'}), {on: 'a'});
+    expect(__machine.analyze('S1').nondeterministic.length).to.equal(1);
+    expect(__machine.minimize('S1')).to.be.null;
+  });
+
+  it('fromRegex creates a minimal machine that accepts matching input', () => {
+    const machine: FiniteStateMachine = FiniteStateMachine.fromRegex('(a|b)*abb');
+
+    expect(machine.name).to.equal('(a|b)*abb');
+    expect(machine.alphabet).to.deep.equal(['a', 'b']);
+    // three states track the suffix 'abb', one accepts, and the last rejects input outside the alphabet
+    expect(machine.numStates).to.equal(5);
+    expect(machine.initialState).to.equal('S0');
+
+    const accepts: Function = (word: string): boolean =>
+    {
+      machine.reset();
+      word.split('').forEach( (symbol: string) => {machine.next(symbol)} );
+
+      return machine.isAcceptance;
+    };
+
+    expect(accepts('abb')).to.be.true;
+    expect(accepts('babaabb')).to.be.true;
+    expect(accepts('')).to.be.false;
+    expect(accepts('abba')).to.be.false;
+
+    // plus, optional, classes and grouping
+    const number: FiniteStateMachine = FiniteStateMachine.fromRegex('-?[0-9]+(\\.[0-9]+)?');
+    const matches: Function = (word: string): boolean =>
+    {
+      number.reset();
+      word.split('').forEach( (symbol: string) => {number.next(symbol)} );
+
+      return number.isAcceptance;
+    };
+
+    expect(matches('42')).to.be.true;
+    expect(matches('-3.14')).to.be.true;
+    expect(matches('3.')).to.be.false;
+    expect(matches('--1')).to.be.false;
+
+    // no input can match after a second '-'
+    expect(number.isRejected).to.be.true;
+
+    expect(FiniteStateMachine.fromRegex('(a|b')).to.be.null;
+  });
+
+  it('fromRegex rejects input outside the alphabet', () => {
+    const accepts: Function = (pattern: string, word: string): boolean =>
+    {
+      const machine: FiniteStateMachine = FiniteStateMachine.fromRegex(pattern);
+      word.split('').forEach( (symbol: string) => {machine.next(symbol)} );
+
+      expect(machine.isRejected).to.equal(word.split('').some( (symbol: string): boolean => machine.alphabet.indexOf(symbol) == -1 ));
+
+      return machine.isAcceptance;
+    };
+
+    expect(accepts('abc', 'abc')).to.be.true;
+    expect(accepts('abc', 'abXc')).to.be.false;
+    expect(accepts('[0-9]+', '123')).to.be.true;
+    expect(accepts('[0-9]+', '12a3')).to.be.false;
+    expect(accepts('(a|b)*abb', 'abbX')).to.be.false;
+  });
+
+  it('fromRegex over a token alphabet notifies subscribers of transitions', () => {
+    const machine: FiniteStateMachine = FiniteStateMachine.fromRegex('GET /users (/ id)?', ['GET', 'POST', '/users', '/', 'id']);
+    const transitions: Array<string> = new Array<string>();
+
+    machine.addSubscriber({
+      next: (transition: IStateTransition) => {transitions.push(transition.from + '>' + transition.to)},
+      error: () => {},
+      complete: () => {}
+    });
+
+    ['GET', '/users', '/', 'id'].forEach( (token: string) => {machine.next(token)} );
+
+    expect(machine.isAcceptance).to.be.true;
+    expect(transitions).to.deep.equal(['S0>S1', 'S1>S2', 'S2>S3', 'S3>S4']);
+
+    machine.reset();
+    machine.next('POST');
+
+    expect(machine.isRejected).to.be.true;
+    expect(machine.toJson()['states'].length).to.equal(6);
+  });
+
+  it('combinators build machines from the product of two machines', () => {
+    const a: FiniteStateMachine = FiniteStateMachine.fromRegex('ab*', ['a', 'b']);
+    const b: FiniteStateMachine = FiniteStateMachine.fromRegex('(a|b)(a|b)', ['b', 'a']);
+
+    const accepts: Function = (machine: FiniteStateMachine, word: string): boolean =>
+    {
+      machine.reset();
+      word.split('').forEach( (symbol: string) => {machine.next(symbol)} );
+
+      return machine.isAcceptance;
+    };
+
+    // every word over {a, b} with at most four symbols
+    const words: Array<string> = [''];
+    for (let i: number = 0; words[i].length < 4; ++i) {
+      words.push(words[i] + 'a', words[i] + 'b');
+    }
+
+    // a word may be split into words accepted by a machine, any number of times
+    const splits: Function = (machine: FiniteStateMachine, word: string): boolean =>
+      word == '' || word.split('').some( (symbol: string, i: number): boolean =>
+        accepts(machine, word.substr(0, i + 1)) && splits(machine, word.substr(i + 1)) );
+
+    const intersection: FiniteStateMachine  = FiniteStateMachine.intersection(a, FiniteStateMachine.complement(b), 'A and not B');
+    const union: FiniteStateMachine         = FiniteStateMachine.union(a, b);
+    const complement: FiniteStateMachine    = FiniteStateMachine.complement(a);
+    const concatenation: FiniteStateMachine = FiniteStateMachine.concatenation(a, b);
+    const star: FiniteStateMachine          = FiniteStateMachine.star(a);
+
+    expect(intersection.name).to.equal('A and not B');
+    expect(intersection.alphabet).to.deep.equal(['a', 'b']);
+    expect(intersection.initialState).to.equal('S0');
+
+    words.forEach( (word: string) =>
+    {
+      const inA: boolean = accepts(a, word);
+      const inB: boolean = accepts(b, word);
+
+      expect(accepts(intersection, word)).to.equal(inA && !inB);
+      expect(accepts(union, word)).to.equal(inA || inB);
+      expect(accepts(complement, word)).to.equal(!inA);
+      expect(accepts(star, word)).to.equal(splits(a, word));
+
+      const concatenated: boolean = word.split('').some( (symbol: string, i: number): boolean =>
+        accepts(a, word.substr(0, i)) && accepts(b, word.substr(i)) );
+
+      expect(accepts(concatenation, word)).to.equal(concatenated);
+    });
+
+    // results are ordinary machines
+    const copy: FiniteStateMachine = FiniteStateMachine.create(concatenation.toJson());
+    expect(words.every( (word: string): boolean => accepts(copy, word) == accepts(concatenation, word) )).to.be.true;
+    expect(union.minimize().machine.numStates).to.be.at.most(union.numStates);
+  });
+
+  it('combinators require deterministic machines over compatible alphabets', () => {
+    const a: FiniteStateMachine = FiniteStateMachine.fromRegex('ab*', ['a', 'b']);
+    const c: FiniteStateMachine = FiniteStateMachine.fromRegex('ab*c', ['a', 'b', 'c']);
+
+    expect(FiniteStateMachine.intersection(a, c)).to.be.null;
+    expect(FiniteStateMachine.concatenation(c, a)).to.be.null;
+    expect(FiniteStateMachine.union(a, a)).to.not.be.null;
+
+    __machine.clear();
+    __machine.alphabet = ['a', 'b'];
+    __machine.addState('S1');
+    __machine.addState('S2', {acceptance: true});
+    __machine.addTransition('S1', () => ({to: 'S2'}));
+
+    // there is no initial state
+    expect(FiniteStateMachine.complement(__machine)).to.be.null;
+
+    const opaque: FiniteStateMachine = FiniteStateMachine.create({
+      name: 'Opaque',
+      alphabet: ['a', 'b'],
+      initialState: 'S1',
+      states: [
+        {name: 'S1', isAcceptance: false, transition: "return Promise.resolve({to: 'S2'});"},
+        {name: 'S2', isAcceptance: true, isFinal: true}
+      ]
+    });
+
+    expect(opaque.analyze().opaque.length).to.equal(2);
+    expect(FiniteStateMachine.star(opaque)).to.be.null;
+
+    // missing transitions are completed against the alphabet
+    const machine: FiniteStateMachine = FiniteStateMachine.create({
+      name: 'Partial',
+      alphabet: ['a', 'b'],
+      initialState: 'S1',
+      states: [
+        {name: 'S1', isAcceptance: false, transitions: [{on: 'a', to: 'S2'}]},
+        {name: 'S2', isAcceptance: true, isFinal: true}
+      ]
+    });
+
+    const complement: FiniteStateMachine = FiniteStateMachine.complement(machine);
+
+    expect(complement.toJson()['states']).to.deep.equal([
+      {name: 'S0', isAcceptance: true, transitions: [{on: ['a'], to: 'S1'}, {on: ['b'], to: 'S0'}]},
+      {name: 'S1', isAcceptance: false, transitions: [{on: ['a', 'b'], to: 'S1'}]}
+    ]);
+  });
 });
\ No newline at end of file
@@ -0,0 +1,313 @@
+/**
+ * Copyright 2018 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Nondeterministic machines and subset construction
+import { FiniteStateMachine,
+         IDecisionTreeAction     } from "../src/FiniteStateMachine";
+import { NondeterministicMachine } from "../src/NondeterministicMachine";
+
+import * as Chai from 'chai';
+
+const expect = Chai.expect;
+
+// Test Suites
+describe('Nondeterministic Machine', () => {
+
+  // words over {a, b} that end in 'ab'
+  const endsInAB: Object = {
+    name: 'EndsInAB',
+    alphabet: ['a', 'b'],
+    initialState: 'q0',
+    states: [
+      {name: 'q0', isAcceptance: false, transitions: [{on: 'a', to: ['q0', 'q1']}, {on: 'b', to: 'q0'}]},
+      {name: 'q1', isAcceptance: false, transitions: [{on: 'b', to: 'q2'}]},
+      {name: 'q2', isAcceptance: true, transitions: []}
+    ]
+  };
+
+  const run: Function = (machine: NondeterministicMachine | FiniteStateMachine, word: string): boolean =>
+  {
+    machine.reset();
+    word.split('').forEach( (symbol: string) => {machine.next(symbol)} );
+
+    return machine.isAcceptance;
+  };
+
+  it('newly constructed machine has no states', () => {
+    const machine: NondeterministicMachine = new NondeterministicMachine();
+
+    expect(machine.numStates).to.equal(0);
+    expect(machine.currentStates).to.deep.equal([]);
+    expect(machine.isAcceptance).to.be.false;
+    expect(machine.isRejected).to.be.false;
+    expect(machine.next('a')).to.be.null;
+  });
+
+  it('runs a definition by tracking the set of active states', () => {
+    const machine: NondeterministicMachine = NondeterministicMachine.create(endsInAB, 'NFA');
+
+    expect(machine).to.not.be.null;
+    expect(machine.name).to.equal('NFA');
+    expect(machine.numStates).to.equal(3);
+    expect(machine.currentStates).to.deep.equal(['q0']);
+
+    expect(machine.next('a')).to.deep.equal(['q0', 'q1']);
+    expect(machine.next('a')).to.deep.equal(['q0', 'q1']);
+    expect(machine.next('b')).to.deep.equal(['q0', 'q2']);
+    expect(machine.isAcceptance).to.be.true;
+
+    expect(machine.next('b')).to.deep.equal(['q0']);
+    expect(machine.isAcceptance).to.be.false;
+    expect(machine.isRejected).to.be.false;
+
+    expect(run(machine, 'babab')).to.be.true;
+    expect(run(machine, 'abba')).to.be.false;
+  });
+
+  it('follows epsilon transitions and transition functions that return a set of states', () => {
+    const machine: NondeterministicMachine = new NondeterministicMachine();
+
+    expect(machine.addState('S1')).to.be.true;
+    expect(machine.addState('S2')).to.be.true;
+    expect(machine.addState('S3', true)).to.be.true;
+    expect(machine.addState('S4')).to.be.true;
+    expect(machine.addState('S1')).to.be.false;
+
+    expect(machine.addEpsilon('S1', 'S2')).to.be.true;
+    expect(machine.addEpsilon('S3', ['S4', 'S1'])).to.be.true;
+    expect(machine.addEpsilon('S3', 'S5')).to.be.false;
+
+    expect(machine.addTransition('S2', (data: any) => data == 'x' ? {to: ['S3', 'S4']} : null)).to.be.true;
+    expect(machine.addTransitionTable('S4', [{on: ['y', 'z'], to: 'S4'}])).to.be.true;
+    expect(machine.addTransitionTable('S4', [{to: 'S5'}])).to.be.false;
+
+    // the initial state is the closure of S1
+    expect(machine.next('x', 'S1')).to.deep.equal(['S1', 'S2', 'S3', 'S4']);
+    expect(machine.isAcceptance).to.be.true;
+
+    expect(machine.next('y')).to.deep.equal(['S4']);
+    expect(machine.isAcceptance).to.be.false;
+
+    // no state remains active
+    expect(machine.next('x')).to.deep.equal([]);
+    expect(machine.isRejected).to.be.true;
+    expect(machine.next('y')).to.deep.equal([]);
+
+    // a function may not transition to an undefined state
+    machine.addTransition('S1', () => ({to: 'S9'}));
+    machine.reset();
+    expect( () => machine.next('x', 'S1') ).to.throw(Error);
+  });
+
+  it('accepts transition function bodies and epsilon targets in data', () => {
+    const machine: NondeterministicMachine = new NondeterministicMachine();
+
+    const result: IDecisionTreeAction = machine.fromJson({
+      name: 'Bodies',
+      alphabet: ['0', '1'],
+      initialState: 'start',
+      states: [
+        {name: 'start', isAcceptance: false, epsilon: ['even', 'odd']},
+        {name: 'even', isAcceptance: true, transition: "return data == '0' ? {to: 'even'} : {to: 'odd'};"},
+        {name: 'odd', isAcceptance: false, transition: "return data == '0' ? {to: 'odd'} : {to: ['even']};"}
+      ]
+    });
+
+    expect(result.success).to.be.true;
+    expect(machine.name).to.equal('Bodies');
+    expect(machine.alphabet).to.deep.equal(['0', '1']);
+    expect(machine.currentStates).to.deep.equal(['start', 'even', 'odd']);
+
+    expect(machine.next('1')).to.deep.equal(['even', 'odd']);
+    expect(machine.next('0')).to.deep.equal(['even', 'odd']);
+  });
+
+  it('reports every error in an invalid definition', () => {
+    const machine: NondeterministicMachine = new NondeterministicMachine();
+
+    expect(machine.fromJson(null).action).to.equal(FiniteStateMachine.NO_DATA);
+    expect(machine.fromJson({name: 'N', states: []}).action).to.equal(FiniteStateMachine.MISSING_PROPS);
+    expect(machine.fromJson({name: 'N', alphabet: [], states: []}).action).to.equal(FiniteStateMachine.NO_STATE);
+
+    const result: IDecisionTreeAction = machine.fromJson({
+      name: 'Invalid',
+      alphabet: ['a'],
+      initialState: 'S9',
+      states: [
+        {name: 'S1', isAcceptance: false, transitions: [{on: 'a', to: ['S2', 'S5']}]},
+        {name: 'S2', isAcceptance: true, epsilon: 'S4'},
+        {name: 'S2', isAcceptance: true, transitions: []},
+        {name: 'S3', isAcceptance: false, transition: 'return {to: ;'},
+        {name: 'S4', isAcceptance: false, epsilon: 'S1', after: {ms: 100, to: 'S1'}}
+      ]
+    });
+
+    expect(result.success).to.be.false;
+    expect(result.action).to.equal(FiniteStateMachine.DUPLICATE_STATE);
+
+    const actions: Array<string> = result.errors.map( (error: IDecisionTreeAction): string => error.action );
+
+    expect(actions).to.deep.equal([
+      FiniteStateMachine.DUPLICATE_STATE,
+      FiniteStateMachine.INVALID_TARGET,
+      FiniteStateMachine.INVALID_TRANSITION,
+      FiniteStateMachine.INVALID_DATA,
+      FiniteStateMachine.INVALID_INITIAL_STATE
+    ]);
+
+    // the machine is not altered
+    expect(machine.numStates).to.equal(0);
+
+    // rows have only symbols and targets, and subset construction requires an initial state
+    const states: Array<Object> = [{name: 'S1', isAcceptance: true, transitions: [{on: 'a', to: 'S1', guard: 'data == "a"'}]}];
+
+    expect(machine.fromJson({name: 'N', alphabet: ['a'], initialState: 'S1', states: states}).action).to.equal(FiniteStateMachine.INVALID_DATA);
+    expect(machine.fromJson({name: 'N', alphabet: ['a'], states: [{name: 'S1', isAcceptance: true, epsilon: 'S1'}]}).action)
+      .to.equal(FiniteStateMachine.INVALID_INITIAL_STATE);
+  });
+
+  it('shares the definition format and validation of a deterministic machine', () => {
+    expect(FiniteStateMachine.validateDefinition(endsInAB).success).to.be.true;
+
+    // a definition with a list of targets or epsilon targets is loaded as the equivalent deterministic machine
+    const machine: FiniteStateMachine = new FiniteStateMachine();
+    const result: IDecisionTreeAction = machine.fromJson(endsInAB);
+
+    expect(result.success).to.be.true;
+    expect(machine.name).to.equal('EndsInAB');
+    expect(machine.initialState).to.equal('{q0}');
+    expect(Array.from(machine.states)).to.deep.equal(['{q0}', '{q0|q1}', '{q0|q2}']);
+
+    ['ab', 'aab', 'abb', 'bab'].forEach( (word: string) => {
+      expect(run(machine, word)).to.equal(run(NondeterministicMachine.create(endsInAB), word));
+    });
+
+    const epsilon: Object = {
+      name: 'Epsilon',
+      alphabet: ['a'],
+      initialState: 'S1',
+      states: [
+        {name: 'S1', isAcceptance: false, epsilon: ['S2']},
+        {name: 'S2', isAcceptance: true, transitions: [{on: 'a', to: 'S3'}]},
+        {name: 'S3', isAcceptance: false, transitions: []}
+      ]
+    };
+
+    expect(FiniteStateMachine.create(epsilon).initialState).to.equal('{S1|S2}');
+
+    // the same validator reports the errors of both kinds of definition
+    const invalid: Object = JSON.parse(JSON.stringify(epsilon));
+    invalid['states'][0].epsilon = 'S4';
+
+    expect(FiniteStateMachine.validateDefinition(invalid).action).to.equal(FiniteStateMachine.INVALID_TARGET);
+    expect(machine.fromJson(invalid).action).to.equal(FiniteStateMachine.INVALID_TARGET);
+    expect(new NondeterministicMachine().fromJson(invalid).action).to.equal(FiniteStateMachine.INVALID_TARGET);
+
+    // a nondeterministic state has no children
+    invalid['states'][0] = {name: 'S1', isAcceptance: false, epsilon: 'S2', states: [{name: 'child', isAcceptance: false, transitions: []}]};
+    expect(machine.fromJson(invalid).action).to.equal(FiniteStateMachine.INVALID_DATA);
+  });
+
+  it('recognizes literal lists of targets in function bodies and rejects computed lists', () => {
+    const data: Object = {
+      name: 'Function',
+      alphabet: ['a'],
+      initialState: 'S1',
+      initialData: {count: 0},
+      states: [
+        {name: 'S1', isAcceptance: false, transition: "return {to: ['S1', 'S2']};"},
+        {name: 'S2', isAcceptance: true, transitions: []}
+      ]
+    };
+
+    // a literal list of targets marks the definition as nondeterministic; the initial context is retained
+    const machine: FiniteStateMachine = FiniteStateMachine.create(data);
+
+    expect(machine).to.not.be.null;
+    expect(machine.context).to.deep.equal({count: 0});
+    expect(machine.next('a').to).to.equal('{S1|S2}');
+    expect(machine.isAcceptance).to.be.true;
+
+    // every target in the list must be a state
+    const invalid: Object = JSON.parse(JSON.stringify(data));
+    invalid['states'][0].transition = "return {to: ['S1', 'S3']};";
+
+    expect(FiniteStateMachine.validateDefinition(invalid).action).to.equal(FiniteStateMachine.INVALID_TARGET);
+
+    // other top-level properties of a deterministic machine are not part of a nondeterministic definition
+    expect(FiniteStateMachine.validateDefinition(Object.assign({strict: true}, data)).action).to.equal(FiniteStateMachine.INVALID_DATA);
+
+    // a computed list can not be recognized in advance, so it is an Error when the transition is taken
+    const computed: Object = JSON.parse(JSON.stringify(data));
+    computed['states'][0].transition = "var to = ['S1']; to.push('S2'); return {to: to};";
+
+    const deterministic: FiniteStateMachine = FiniteStateMachine.create(computed);
+
+    expect(deterministic.initialState).to.equal('S1');
+    expect( () => deterministic.next('a') ).to.throw(Error, /list of states/);
+  });
+
+  it('determinize converts a machine by subset construction', () => {
+    const nfa: NondeterministicMachine = NondeterministicMachine.create(endsInAB, 'NFA');
+    const dfa: FiniteStateMachine      = nfa.determinize();
+
+    expect(dfa).to.not.be.null;
+    expect(dfa.name).to.equal('NFA');
+    expect(dfa.alphabet).to.deep.equal(['a', 'b']);
+    expect(dfa.initialState).to.equal('{q0}');
+    expect(Array.from(dfa.states)).to.deep.equal(['{q0}', '{q0|q1}', '{q0|q2}']);
+
+    ['', 'a', 'ab', 'aab', 'abb', 'bab', 'abab', 'abba'].forEach( (word: string) => {
+      expect(run(dfa, word)).to.equal(run(nfa, word));
+    });
+
+    dfa.reset();
+    dfa.next('a');
+    dfa.next('b');
+    expect(dfa.currentState).to.equal('{q0|q2}');
+  });
+
+  it('determinize includes the empty subset as a rejection state', () => {
+    const nfa: NondeterministicMachine = new NondeterministicMachine();
+
+    nfa.addState('S1');
+    nfa.addState('S2', true);
+    nfa.addEpsilon('S1', 'S2');
+    nfa.addTransitionTable('S2', [{on: 'a', to: 'S1'}]);
+
+    // there is no alphabet
+    expect(nfa.determinize('S1')).to.be.null;
+
+    nfa.alphabet = ['a', 'b'];
+
+    // there is no initial state
+    expect(nfa.determinize()).to.be.null;
+
+    const dfa: FiniteStateMachine = nfa.determinize('S1');
+
+    expect(Array.from(dfa.states)).to.deep.equal(['{S1|S2}', '{}']);
+
+    dfa.reset();
+    expect(dfa.isAcceptance).to.be.true;
+
+    dfa.next('a');
+    expect(dfa.currentState).to.equal('{S1|S2}');
+
+    dfa.next('b');
+    expect(dfa.currentState).to.equal('{}');
+    expect(dfa.isRejected).to.be.true;
+  });
+});
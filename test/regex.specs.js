@@ -0,0 +1,89 @@
+"use strict";
+/**
+ * Copyright 2018 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+// Regular expressions compiled into machine definitions
+var Regex_1 = require("../src/Regex");
+var Chai = require("chai");
+var expect = Chai.expect;
+// Test Suites
+describe('Regex', function () {
+    it('parses operators with the usual precedence', function () {
+        var regex = new Regex_1.Regex('ab|c*');
+        expect(regex.isValid).to.be.true;
+        expect(regex.alphabet).to.deep.equal(['a', 'b', 'c']);
+        expect(regex.ast).to.deep.equal({
+            type: Regex_1.Regex.UNION,
+            left: { type: Regex_1.Regex.CONCAT, left: { type: Regex_1.Regex.SYMBOL, symbols: ['a'] }, right: { type: Regex_1.Regex.SYMBOL, symbols: ['b'] } },
+            right: { type: Regex_1.Regex.STAR, argument: { type: Regex_1.Regex.SYMBOL, symbols: ['c'] } }
+        });
+        expect(new Regex_1.Regex('(a|)+?').ast).to.deep.equal({
+            type: Regex_1.Regex.OPTIONAL,
+            argument: {
+                type: Regex_1.Regex.PLUS,
+                argument: { type: Regex_1.Regex.UNION, left: { type: Regex_1.Regex.SYMBOL, symbols: ['a'] }, right: { type: Regex_1.Regex.EMPTY } }
+            }
+        });
+    });
+    it('parses classes, any symbol and escapes', function () {
+        expect(new Regex_1.Regex('[a-c]').ast.symbols).to.deep.equal(['a', 'b', 'c']);
+        expect(new Regex_1.Regex('[a-c]x[^ax]').ast.right.symbols).to.deep.equal(['b', 'c']);
+        expect(new Regex_1.Regex('x.').ast.right.symbols).to.deep.equal(['x']);
+        expect(new Regex_1.Regex('\\*\\.').alphabet).to.deep.equal(['*', '.']);
+        expect(new Regex_1.Regex('[\\]\\-]').ast.symbols).to.deep.equal([']', '-']);
+    });
+    it('matches the longest token of an alphabet', function () {
+        var regex = new Regex_1.Regex('if (id | i)* \\(', ['i', 'if', 'id', '(', ' ']);
+        expect(regex.isValid).to.be.true;
+        expect(regex.alphabet).to.deep.equal(['i', 'if', 'id', '(', ' ']);
+        // whitespace is a token of this alphabet
+        expect(regex.ast.left.right.symbols).to.deep.equal([' ']);
+        expect(new Regex_1.Regex('[0-9x]', ['0', '5', '9', 'x', '10']).ast.symbols).to.deep.equal(['0', '5', '9', 'x']);
+        expect(new Regex_1.Regex('if ( id )', ['if', 'id']).isValid).to.be.true;
+    });
+    it('reports parse errors', function () {
+        var errors = [
+            ['(ab', 3],
+            ['a)', 1],
+            ['*a', 0],
+            ['a|+', 2],
+            ['[ab', 0],
+            ['[c-a]', 1],
+            ['a\\', 1],
+            ['ab', 1, ['a']]
+        ];
+        errors.forEach(function (error) {
+            var regex = new Regex_1.Regex(error[0], error[2]);
+            expect(regex.isValid).to.be.false;
+            expect(regex.ast).to.be.null;
+            expect(regex.error).to.not.equal('');
+            expect(regex.position).to.equal(error[1]);
+            expect(regex.toDefinition()).to.be.null;
+        });
+    });
+    it('compiles a pattern into a deterministic definition', function () {
+        var definition = new Regex_1.Regex('a(b|c)*').toDefinition('ABC');
+        expect(definition['name']).to.equal('ABC');
+        expect(definition['alphabet']).to.deep.equal(['a', 'b', 'c']);
+        expect(definition['initialState']).to.equal('S0');
+        expect(definition['states']).to.deep.equal([
+            { name: 'S0', isAcceptance: false, transitions: [{ on: ['a'], to: 'S1' }, { on: ['b', 'c'], to: 'S2' }] },
+            { name: 'S1', isAcceptance: true, transitions: [{ on: ['a'], to: 'S2' }, { on: ['b', 'c'], to: 'S1' }] },
+            { name: 'S2', isAcceptance: false, transitions: [{ on: ['a', 'b', 'c'], to: 'S2' }] }
+        ]);
+        expect(new Regex_1.Regex('').toDefinition()['states']).to.deep.equal([{ name: 'S0', isAcceptance: true, transitions: [] }]);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Copyright 2018 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Regular expressions compiled into machine definitions
+import { Regex } from "../src/Regex";
+
+import * as Chai from 'chai';
+
+const expect = Chai.expect;
+
+// Test Suites
+describe('Regex', () => {
+
+  it('parses operators with the usual precedence', () => {
+    const regex: Regex = new Regex('ab|c*');
+
+    expect(regex.isValid).to.be.true;
+    expect(regex.alphabet).to.deep.equal(['a', 'b', 'c']);
+    expect(regex.ast).to.deep.equal({
+      type: Regex.UNION,
+      left: {type: Regex.CONCAT, left: {type: Regex.SYMBOL, symbols: ['a']}, right: {type: Regex.SYMBOL, symbols: ['b']}},
+      right: {type: Regex.STAR, argument: {type: Regex.SYMBOL, symbols: ['c']}}
+    });
+
+    expect(new Regex('(a|)+?').ast).to.deep.equal({
+      type: Regex.OPTIONAL,
+      argument: {
+        type: Regex.PLUS,
+        argument: {type: Regex.UNION, left: {type: Regex.SYMBOL, symbols: ['a']}, right: {type: Regex.EMPTY}}
+      }
+    });
+  });
+
+  it('parses classes, any symbol and escapes', () => {
+    expect(new Regex('[a-c]').ast.symbols).to.deep.equal(['a', 'b', 'c']);
+    expect(new Regex('[a-c]x[^ax]').ast.right.symbols).to.deep.equal(['b', 'c']);
+    expect(new Regex('x.').ast.right.symbols).to.deep.equal(['x']);
+    expect(new Regex('\\*\\.').alphabet).to.deep.equal(['*', '.']);
+    expect(new Regex('[\\]\\-]').ast.symbols).to.deep.equal([']', '-']);
+  });
+
+  it('matches the longest token of an alphabet', () => {
+    const regex: Regex = new Regex('if (id | i)* \\(', ['i', 'if', 'id', '(', ' ']);
+
+    expect(regex.isValid).to.be.true;
+    expect(regex.alphabet).to.deep.equal(['i', 'if', 'id', '(', ' ']);
+
+    // whitespace is a token of this alphabet
+    expect(regex.ast.left.right.symbols).to.deep.equal([' ']);
+
+    expect(new Regex('[0-9x]', ['0', '5', '9', 'x', '10']).ast.symbols).to.deep.equal(['0', '5', '9', 'x']);
+    expect(new Regex('if ( id )', ['if', 'id']).isValid).to.be.true;
+  });
+
+  it('reports parse errors', () => {
+    const errors: Array<Array<any>> = [
+      ['(ab', 3],
+      ['a)', 1],
+      ['*a', 0],
+      ['a|+', 2],
+      ['[ab', 0],
+      ['[c-a]', 1],
+      ['a\\', 1],
+      ['ab', 1, ['a']]
+    ];
+
+    errors.forEach( (error: Array<any>) =>
+    {
+      const regex: Regex = new Regex(error[0], error[2]);
+
+      expect(regex.isValid).to.be.false;
+      expect(regex.ast).to.be.null;
+      expect(regex.error).to.not.equal('');
+      expect(regex.position).to.equal(error[1]);
+      expect(regex.toDefinition()).to.be.null;
+    });
+  });
+
+  it('compiles a pattern into a deterministic definition', () => {
+    const definition: Object = new Regex('a(b|c)*').toDefinition('ABC');
+
+    expect(definition['name']).to.equal('ABC');
+    expect(definition['alphabet']).to.deep.equal(['a', 'b', 'c']);
+    expect(definition['initialState']).to.equal('S0');
+    expect(definition['states']).to.deep.equal([
+      {name: 'S0', isAcceptance: false, transitions: [{on: ['a'], to: 'S1'}, {on: ['b', 'c'], to: 'S2'}]},
+      {name: 'S1', isAcceptance: true, transitions: [{on: ['a'], to: 'S2'}, {on: ['b', 'c'], to: 'S1'}]},
+      {name: 'S2', isAcceptance: false, transitions: [{on: ['a', 'b', 'c'], to: 'S2'}]}
+    ]);
+
+    expect(new Regex('').toDefinition()['states']).to.deep.equal([{name: 'S0', isAcceptance: true, transitions: []}]);
+  });
+});
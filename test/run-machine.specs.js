@@ -0,0 +1,75 @@
+"use strict";
+/**
+ * Copyright 2018 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+// Pipeable operator that runs a machine on an input stream
+var FiniteStateMachine_1 = require("../src/FiniteStateMachine");
+var RunMachine_1 = require("../src/RunMachine");
+var rxjs_1 = require("rxjs");
+var Chai = require("chai");
+var expect = Chai.expect;
+// Test Suites
+describe('runMachine Operator', function () {
+    var turnstile = {
+        name: 'Turnstile',
+        alphabet: ['coin', 'push', 'exit'],
+        initialState: 'locked',
+        states: [
+            { name: 'locked', isAcceptance: false, transitions: [{ on: 'coin', to: 'unlocked' }, { on: 'exit', to: 'closed' }] },
+            { name: 'unlocked', isAcceptance: true, transitions: [{ on: 'push', to: 'locked' }] },
+            { name: 'closed', isAcceptance: false, isFinal: true }
+        ]
+    };
+    it('emits the output of each transition', function () {
+        var states = new Array();
+        var completed = false;
+        rxjs_1.Observable.of('coin', 'push', 'push', 'coin').pipe(RunMachine_1.runMachine(turnstile)).subscribe(function (output) { states.push(output.to); }, function () { }, function () { completed = true; });
+        // there is no transition for 'push' in the locked state
+        expect(states).to.deep.equal(['unlocked', 'locked', 'unlocked']);
+        expect(completed).to.be.true;
+    });
+    it('each subscription runs its own machine', function () {
+        var input$ = new rxjs_1.Subject();
+        var output$ = input$.pipe(RunMachine_1.runMachine(turnstile));
+        var first = new Array();
+        var second = new Array();
+        output$.subscribe(function (output) { first.push(output.to); });
+        input$.next('coin');
+        output$.subscribe(function (output) { second.push(output.to); });
+        input$.next('push');
+        input$.next('coin');
+        expect(first).to.deep.equal(['unlocked', 'locked', 'unlocked']);
+        expect(second).to.deep.equal(['unlocked']);
+    });
+    it('completes when the machine is done', function () {
+        var input$ = new rxjs_1.Subject();
+        var states = new Array();
+        var completed = false;
+        input$.pipe(RunMachine_1.runMachine(turnstile)).subscribe(function (output) { states.push(output.to); }, function () { }, function () { completed = true; });
+        input$.next('exit');
+        input$.next('coin');
+        expect(states).to.deep.equal(['closed']);
+        expect(completed).to.be.true;
+        expect(input$.observers.length).to.equal(0);
+    });
+    it('an invalid definition is an error', function () {
+        var bad = JSON.parse(JSON.stringify(turnstile));
+        bad['states'][0]['transitions'][0]['to'] = 'missing';
+        var error = null;
+        rxjs_1.Observable.of('coin').pipe(RunMachine_1.runMachine(bad)).subscribe(function () { }, function (e) { error = e; });
+        expect(error.message).to.contain(FiniteStateMachine_1.FiniteStateMachine.INVALID_TARGET);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Copyright 2018 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Pipeable operator that runs a machine on an input stream
+import { FiniteStateMachine, IStateOutput } from "../src/FiniteStateMachine";
+import { runMachine                       } from "../src/RunMachine";
+
+import { Observable, Subject } from "rxjs";
+
+import * as Chai from 'chai';
+
+const expect = Chai.expect;
+
+// Test Suites
+describe('runMachine Operator', () => {
+
+  const turnstile: Object = {
+    name: 'Turnstile',
+    alphabet: ['coin', 'push', 'exit'],
+    initialState: 'locked',
+    states: [
+      {name: 'locked', isAcceptance: false, transitions: [{on: 'coin', to: 'unlocked'}, {on: 'exit', to: 'closed'}]},
+      {name: 'unlocked', isAcceptance: true, transitions: [{on: 'push', to: 'locked'}]},
+      {name: 'closed', isAcceptance: false, isFinal: true}
+    ]
+  };
+
+  it('emits the output of each transition', () => {
+    const states: Array<string> = new Array<string>();
+    let completed: boolean      = false;
+
+    Observable.of('coin', 'push', 'push', 'coin').pipe( runMachine(turnstile) ).subscribe(
+      (output: IStateOutput) => {states.push(output.to)},
+      () => {},
+      () => {completed = true}
+    );
+
+    // there is no transition for 'push' in the locked state
+    expect(states).to.deep.equal(['unlocked', 'locked', 'unlocked']);
+    expect(completed).to.be.true;
+  });
+
+  it('each subscription runs its own machine', () => {
+    const input$: Subject<string> = new Subject<string>();
+    const output$: Observable<IStateOutput> = input$.pipe( runMachine(turnstile) );
+
+    const first: Array<string>  = new Array<string>();
+    const second: Array<string> = new Array<string>();
+
+    output$.subscribe( (output: IStateOutput) => {first.push(output.to)} );
+    input$.next('coin');
+
+    output$.subscribe( (output: IStateOutput) => {second.push(output.to)} );
+    input$.next('push');
+    input$.next('coin');
+
+    expect(first).to.deep.equal(['unlocked', 'locked', 'unlocked']);
+    expect(second).to.deep.equal(['unlocked']);
+  });
+
+  it('completes when the machine is done', () => {
+    const input$: Subject<string> = new Subject<string>();
+    const states: Array<string>   = new Array<string>();
+    let completed: boolean        = false;
+
+    input$.pipe( runMachine(turnstile) ).subscribe(
+      (output: IStateOutput) => {states.push(output.to)},
+      () => {},
+      () => {completed = true}
+    );
+
+    input$.next('exit');
+    input$.next('coin');
+
+    expect(states).to.deep.equal(['closed']);
+    expect(completed).to.be.true;
+    expect(input$.observers.length).to.equal(0);
+  });
+
+  it('an invalid definition is an error', () => {
+    const bad: Object = JSON.parse(JSON.stringify(turnstile));
+    bad['states'][0]['transitions'][0]['to'] = 'missing';
+
+    let error: Error = null;
+
+    Observable.of('coin').pipe( runMachine(bad) ).subscribe(
+      () => {},
+      (e: Error) => {error = e}
+    );
+
+    expect(error.message).to.contain(FiniteStateMachine.INVALID_TARGET);
+  });
+});
@@ -0,0 +1,86 @@
+"use strict";
+/**
+ * Copyright 2018 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+// Minimal JSON Schema validator and the machine definition schema
+var SchemaValidator_1 = require("../src/SchemaValidator");
+var FsmDefinitionSchema_1 = require("../src/FsmDefinitionSchema");
+var Chai = require("chai");
+var expect = Chai.expect;
+// Test Suites
+describe('Schema Validator', function () {
+    var schema = {
+        type: 'object',
+        required: ['id', 'tags'],
+        properties: {
+            id: { type: 'integer' },
+            tags: { type: 'array', minItems: 1, items: { $ref: '#/definitions/tag' } },
+            kind: { enum: ['a', 'b'] },
+            value: { anyOf: [{ type: 'string' }, { type: 'number' }] },
+            one: { oneOf: [{ type: 'number' }, { type: 'integer' }] }
+        },
+        additionalProperties: false,
+        dependencies: { kind: ['value'] },
+        definitions: {
+            tag: { type: 'string', minLength: 2 }
+        }
+    };
+    var validator = new SchemaValidator_1.SchemaValidator(schema);
+    it('accepts valid data', function () {
+        expect(validator.validate({ id: 1, tags: ['ab'] })).to.eql([]);
+        expect(validator.validate({ id: 1, tags: ['ab'], kind: 'a', value: 'x' })).to.eql([]);
+    });
+    it('reports every error with path and keyword', function () {
+        var data = { id: 1.5, tags: ['a', 'bc', 3], kind: 'c', extra: true };
+        var errors = validator.validate(data);
+        expect(errors.map(function (error) { return error.keyword + ' ' + error.path; })).to.eql([
+            'dependencies /kind',
+            'type /id',
+            'minLength /tags/0',
+            'type /tags/2',
+            'enum /kind',
+            'additionalProperties /extra'
+        ]);
+        expect(errors[0].node).to.equal(data);
+        expect(errors[3].node).to.equal(3);
+    });
+    it('supports required, minItems, anyOf, oneOf and not', function () {
+        expect(validator.validate({ tags: [] }).map(function (error) { return error.keyword; })).to.eql(['required', 'minItems']);
+        expect(validator.validate({ id: 1, tags: ['ab'], value: true })[0].keyword).to.equal('anyOf');
+        expect(validator.validate({ id: 1, tags: ['ab'], one: 2 })[0].keyword).to.equal('oneOf');
+        expect(validator.validate({ id: 1, tags: ['ab'], one: 2.5 })).to.eql([]);
+        expect(new SchemaValidator_1.SchemaValidator({ not: { type: 'string' } }).validate('a')[0].keyword).to.equal('not');
+        expect(new SchemaValidator_1.SchemaValidator({ const: true }).validate(false)[0].keyword).to.equal('const');
+    });
+    it('supports allOf and pattern', function () {
+        var named = new SchemaValidator_1.SchemaValidator({
+            allOf: [{ $ref: '#/definitions/name' }, { minLength: 2 }],
+            definitions: { name: { type: 'string', pattern: '^[^.]+$' } }
+        });
+        expect(named.validate('ab')).to.eql([]);
+        expect(named.validate('a.b')[0].keyword).to.equal('pattern');
+        expect(named.validate('a')[0].keyword).to.equal('minLength');
+        expect(named.validate(1)[0].keyword).to.equal('type');
+    });
+    it('supports minimum', function () {
+        var delay = new SchemaValidator_1.SchemaValidator({ type: 'number', minimum: 0 });
+        expect(delay.validate(0)).to.eql([]);
+        expect(delay.validate(-1)[0].keyword).to.equal('minimum');
+    });
+    it('distributed schema file is in sync with its source', function () {
+        expect(require('../schema/fsm-definition.schema.json')).to.eql(FsmDefinitionSchema_1.FSM_DEFINITION_SCHEMA);
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * Copyright 2018 Jim Armstrong (www.algorithmist.net)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Minimal JSON Schema validator and the machine definition schema
+import { SchemaValidator, ISchemaError } from "../src/SchemaValidator";
+import { FSM_DEFINITION_SCHEMA       } from "../src/FsmDefinitionSchema";
+
+import * as Chai from 'chai';
+
+const expect = Chai.expect;
+
+declare const require: any;
+
+// Test Suites
+describe('Schema Validator', () => {
+
+  const schema: Object = {
+    type: 'object',
+    required: ['id', 'tags'],
+    properties: {
+      id: {type: 'integer'},
+      tags: {type: 'array', minItems: 1, items: {$ref: '#/definitions/tag'}},
+      kind: {enum: ['a', 'b']},
+      value: {anyOf: [{type: 'string'}, {type: 'number'}]},
+      one: {oneOf: [{type: 'number'}, {type: 'integer'}]}
+    },
+    additionalProperties: false,
+    dependencies: {kind: ['value']},
+    definitions: {
+      tag: {type: 'string', minLength: 2}
+    }
+  };
+
+  const validator: SchemaValidator = new SchemaValidator(schema);
+
+  it('accepts valid data', () => {
+    expect(validator.validate({id: 1, tags: ['ab']})).to.eql([]);
+    expect(validator.validate({id: 1, tags: ['ab'], kind: 'a', value: 'x'})).to.eql([]);
+  });
+
+  it('reports every error with path and keyword', () => {
+    const data: Object = {id: 1.5, tags: ['a', 'bc', 3], kind: 'c', extra: true};
+    const errors: Array<ISchemaError> = validator.validate(data);
+
+    expect(errors.map( (error: ISchemaError) => error.keyword + ' ' + error.path )).to.eql([
+      'dependencies /kind',
+      'type /id',
+      'minLength /tags/0',
+      'type /tags/2',
+      'enum /kind',
+      'additionalProperties /extra'
+    ]);
+
+    expect(errors[0].node).to.equal(data);
+    expect(errors[3].node).to.equal(3);
+  });
+
+  it('supports required, minItems, anyOf, oneOf and not', () => {
+    expect(validator.validate({tags: []}).map( (error: ISchemaError) => error.keyword )).to.eql(['required', 'minItems']);
+    expect(validator.validate({id: 1, tags: ['ab'], value: true})[0].keyword).to.equal('anyOf');
+    expect(validator.validate({id: 1, tags: ['ab'], one: 2})[0].keyword).to.equal('oneOf');
+    expect(validator.validate({id: 1, tags: ['ab'], one: 2.5})).to.eql([]);
+
+    expect(new SchemaValidator({not: {type: 'string'}}).validate('a')[0].keyword).to.equal('not');
+    expect(new SchemaValidator({const: true}).validate(false)[0].keyword).to.equal('const');
+  });
+
+  it('supports allOf and pattern', () => {
+    const named: SchemaValidator = new SchemaValidator({
+      allOf: [{$ref: '#/definitions/name'}, {minLength: 2}],
+      definitions: {name: {type: 'string', pattern: '^[^.]+$'}}
+    });
+
+    expect(named.validate('ab')).to.eql([]);
+    expect(named.validate('a.b')[0].keyword).to.equal('pattern');
+    expect(named.validate('a')[0].keyword).to.equal('minLength');
+    expect(named.validate(1)[0].keyword).to.equal('type');
+  });
+
+  it('supports minimum', () => {
+    const delay: SchemaValidator = new SchemaValidator({type: 'number', minimum: 0});
+
+    expect(delay.validate(0)).to.eql([]);
+    expect(delay.validate(-1)[0].keyword).to.equal('minimum');
+  });
+
+  it('distributed schema file is in sync with its source', () => {
+    expect(require('../schema/fsm-definition.schema.json')).to.eql(FSM_DEFINITION_SCHEMA);
+  });
+});